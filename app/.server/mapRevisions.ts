@@ -0,0 +1,112 @@
+// Revision tracking for level files saved through /api/maps/{filename}
+//
+// A revision is a hash of the file's contents, so edits made outside the
+// editor (by hand, or by another server) count as new revisions too. Every
+// version written by the API is also copied to .map-history/, next to the
+// project rather than in levels/ so the game never bundles it.
+import { createHash } from "crypto";
+import { readFile, writeFile, mkdir, readdir, stat, unlink } from "fs/promises";
+import { join } from "path";
+
+const HISTORY_DIR = join(process.cwd(), ".map-history");
+
+// Oldest revisions of a map are dropped beyond this
+const HISTORY_LIMIT = 50;
+
+export interface RevisionInfo {
+  revision: string;
+  savedAt: string;
+}
+
+export function getRevision(content: string): string {
+  return createHash("sha256").update(content).digest("hex").slice(0, 12);
+}
+
+/**
+ * Current contents of a level file, or null if it doesn't exist yet
+ */
+export async function readLevelFile(mapPath: string) {
+  try {
+    const [content, stats] = await Promise.all([readFile(mapPath, "utf-8"), stat(mapPath)]);
+    return { content, revision: getRevision(content), modified: stats.mtime.toISOString() };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// History files are named <milliseconds>-<revision>.json
+function historyDir(fileWithExt: string) {
+  return join(HISTORY_DIR, fileWithExt.replace(/\.json$/, ""));
+}
+
+function parseHistoryFile(name: string): RevisionInfo & { name: string } | null {
+  const match = name.match(/^(\d+)-([0-9a-f]+)\.json$/);
+  if (!match) return null;
+  return { name, revision: match[2], savedAt: new Date(Number(match[1])).toISOString() };
+}
+
+async function readHistory(fileWithExt: string) {
+  try {
+    const names = await readdir(historyDir(fileWithExt));
+    return names
+      .map(parseHistoryFile)
+      .filter((entry): entry is RevisionInfo & { name: string } => entry !== null)
+      .sort((a, b) => b.name.localeCompare(a.name, undefined, { numeric: true }));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+/**
+ * Saved revisions of a level, newest first
+ */
+export async function listRevisions(fileWithExt: string): Promise<RevisionInfo[]> {
+  const history = await readHistory(fileWithExt);
+  return history.map(({ revision, savedAt }) => ({ revision, savedAt }));
+}
+
+/**
+ * Contents of a saved revision, or null if it isn't in the history
+ */
+export async function readRevision(fileWithExt: string, revision: string) {
+  const entry = (await readHistory(fileWithExt)).find(item => item.revision === revision);
+  if (!entry) return null;
+  const content = await readFile(join(historyDir(fileWithExt), entry.name), "utf-8");
+  return { content, revision, savedAt: entry.savedAt };
+}
+
+/**
+ * Keep a copy of one version of a level. Versions already in the history are
+ * not copied again.
+ */
+export async function archiveRevision(fileWithExt: string, content: string) {
+  const revision = getRevision(content);
+  const history = await readHistory(fileWithExt);
+  if (history.some(entry => entry.revision === revision)) return;
+  
+  const dir = historyDir(fileWithExt);
+  await mkdir(dir, { recursive: true });
+  await writeFile(join(dir, `${Date.now()}-${revision}.json`), content, "utf-8");
+  
+  const expired = history.slice(HISTORY_LIMIT - 1);
+  await Promise.all(expired.map(entry => unlink(join(dir, entry.name))));
+}
+
+// Saves to the same file run one at a time, so two of them can't both pass
+// the revision check before either has written
+const fileLocks = new Map<string, Promise<unknown>>();
+
+export async function withFileLock<T>(mapPath: string, task: () => Promise<T>): Promise<T> {
+  const previous = fileLocks.get(mapPath) || Promise.resolve();
+  const result = previous.catch(() => {}).then(task);
+  fileLocks.set(mapPath, result);
+  try {
+    return await result;
+  } finally {
+    if (fileLocks.get(mapPath) === result) {
+      fileLocks.delete(mapPath);
+    }
+  }
+}
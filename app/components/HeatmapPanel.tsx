@@ -0,0 +1,108 @@
+import { useState } from "react";
+
+// Playtest heatmap controls for the Map tab (see MapEditor.showPlaytestHeatmap)
+
+export type HeatmapMode = 'off' | 'visits' | 'time' | 'deaths';
+
+export interface HeatmapSummary {
+  attempts: number;
+  successes: number;
+  deathReasons: { reason: string; count: number; color: string }[];
+}
+
+const MODES: { value: HeatmapMode; label: string }[] = [
+  { value: 'off', label: 'Off' },
+  { value: 'visits', label: 'Worm positions' },
+  { value: 'time', label: 'Time spent' },
+  { value: 'deaths', label: 'Deaths' }
+];
+
+const HINTS: Record<HeatmapMode, string> = {
+  off: 'Show where playtesters went, died or got stuck, from the attempts recorded in this browser.',
+  visits: 'Share of attempts that reached each spot. Blue is few, red is all.',
+  time: 'Where worms spent their time. Red spots are where players get stuck.',
+  deaths: 'Where attempts ended in a death or restart, and deaths respawned from at checkpoints.'
+};
+
+interface HeatmapPanelProps {
+  // Overlay already showing, e.g. when coming back to the Map tab
+  initial?: { mode: HeatmapMode; deathReason: string | null; summary: HeatmapSummary | null } | null;
+  onShowHeatmap: (mode: HeatmapMode, options: { deathReason: string | null; reload?: boolean }) => Promise<HeatmapSummary | null>;
+}
+
+export default function HeatmapPanel({ initial, onShowHeatmap }: HeatmapPanelProps) {
+  const [mode, setMode] = useState<HeatmapMode>(initial?.mode || 'off');
+  const [deathReason, setDeathReason] = useState<string | null>(initial?.deathReason || null);
+  const [summary, setSummary] = useState<HeatmapSummary | null>(initial?.summary || null);
+  const [error, setError] = useState<string | null>(null);
+
+  const show = (nextMode: HeatmapMode, nextReason: string | null, reload = false) => {
+    setMode(nextMode);
+    setDeathReason(nextReason);
+    setError(null);
+    onShowHeatmap(nextMode, { deathReason: nextReason, reload })
+      .then(result => {
+        if (result) setSummary(result);
+      })
+      .catch((err: Error) => setError(err.message));
+  };
+
+  return (
+    <div className="border-t border-gray-700 pt-2 mt-2 space-y-1">
+      <div className="flex items-center justify-between">
+        <h4 className="text-xs font-semibold text-blue-300">Playtest Heatmap</h4>
+        {mode !== 'off' && (
+          <button
+            onClick={() => show(mode, deathReason, true)}
+            className="px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors"
+          >
+            Reload
+          </button>
+        )}
+      </div>
+      <select
+        value={mode}
+        onChange={(e) => show(e.target.value as HeatmapMode, deathReason)}
+        className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+      >
+        {MODES.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <p className="text-[10px] text-gray-500">{HINTS[mode]}</p>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {mode !== 'off' && summary && (
+        <div className="text-xs space-y-1">
+          <div className="text-gray-400">
+            {summary.attempts === 0
+              ? 'No recorded attempts at this map yet.'
+              : `${summary.attempts} attempt${summary.attempts === 1 ? '' : 's'}, ${summary.successes} finished`}
+          </div>
+          {mode === 'deaths' && summary.deathReasons.length > 0 && (
+            <>
+              <button
+                onClick={() => show(mode, null)}
+                className={`block w-full text-left px-1 rounded ${deathReason === null ? 'bg-blue-900' : ''}`}
+              >
+                All reasons
+              </button>
+              {summary.deathReasons.map(({ reason, count, color }) => (
+                <button
+                  key={reason}
+                  onClick={() => show(mode, reason)}
+                  className={`flex items-center gap-1 w-full text-left px-1 rounded ${deathReason === reason ? 'bg-blue-900' : ''}`}
+                >
+                  <span className="inline-block w-2 h-2 rounded-full" style={{ background: color }} />
+                  <span className="flex-1">{reason.replace(/_/g, ' ')}</span>
+                  <span className="text-gray-400">{count}</span>
+                </button>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+// Hinge settings for the selected platform (see src/utils/Hinge.js); the pivot is also dragged on the canvas
+
+export interface HingeMotor {
+  type: 'constant' | 'oscillate';
+  // Radians per second, clockwise
+  speed?: number;
+  // Radians either side of the starting angle
+  amplitude?: number;
+  // Milliseconds per back-and-forth
+  period?: number;
+}
+
+export interface Hinge {
+  // Offset from the platform's center, in map axes
+  pivot?: { x: number; y: number };
+  // Radians from the starting angle; without them the platform turns all the way round
+  minAngle?: number;
+  maxAngle?: number;
+  damping?: number;
+  motor?: HingeMotor;
+}
+
+const inputClass = "w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs";
+
+const toDegrees = (radians: number) => Math.round(radians * 180 / Math.PI);
+const toRadians = (degrees: string) => (parseFloat(degrees) || 0) * Math.PI / 180;
+
+interface HingePanelProps {
+  hinge?: Hinge;
+  onHingeChange: (hinge: Hinge | null) => void;
+}
+
+export default function HingePanel({ hinge, onHingeChange }: HingePanelProps) {
+  const update = (changes: Partial<Hinge>) => onHingeChange({ ...hinge, ...changes });
+  const pivot = hinge?.pivot ?? { x: 0, y: 0 };
+  const limited = typeof hinge?.minAngle === 'number' || typeof hinge?.maxAngle === 'number';
+  const motor = hinge?.motor;
+
+  return (
+    <div className="border-t border-gray-700 pt-2 mt-2">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-xs font-semibold text-blue-300">Hinge</h4>
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={!!hinge}
+            onChange={(e) => onHingeChange(e.target.checked ? { pivot: { x: 0, y: 0 } } : null)}
+            className="mr-1"
+          />
+          <span className="text-xs text-gray-400">Enable</span>
+        </label>
+      </div>
+
+      {hinge && (
+        <div className="space-y-1">
+          <div className="grid grid-cols-2 gap-1">
+            <div>
+              <label className="block text-xs text-gray-400">Pivot X</label>
+              <input
+                type="number"
+                step="8"
+                value={pivot.x}
+                onChange={(e) => update({ pivot: { x: parseInt(e.target.value) || 0, y: pivot.y } })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400">Pivot Y</label>
+              <input
+                type="number"
+                step="8"
+                value={pivot.y}
+                onChange={(e) => update({ pivot: { x: pivot.x, y: parseInt(e.target.value) || 0 } })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={limited}
+              onChange={(e) => {
+                const { minAngle, maxAngle, ...rest } = hinge;
+                onHingeChange(e.target.checked ? { ...rest, minAngle: -Math.PI / 4, maxAngle: Math.PI / 4 } : rest);
+              }}
+              className="mr-1"
+            />
+            <span className="text-xs text-gray-400">Limit the swing</span>
+          </label>
+
+          {limited && (
+            <div className="grid grid-cols-2 gap-1">
+              <div>
+                <label className="block text-xs text-gray-400">Min °</label>
+                <input
+                  type="number"
+                  step="5"
+                  value={toDegrees(hinge.minAngle ?? -Math.PI)}
+                  onChange={(e) => update({ minAngle: toRadians(e.target.value) })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400">Max °</label>
+                <input
+                  type="number"
+                  step="5"
+                  value={toDegrees(hinge.maxAngle ?? Math.PI)}
+                  onChange={(e) => update({ maxAngle: toRadians(e.target.value) })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-xs text-gray-400">Motor</label>
+            <select
+              value={motor?.type ?? ''}
+              onChange={(e) => {
+                const { motor: _motor, ...rest } = hinge;
+                if (e.target.value === 'constant') {
+                  onHingeChange({ ...rest, motor: { type: 'constant', speed: Math.PI / 2 } });
+                } else if (e.target.value === 'oscillate') {
+                  onHingeChange({ ...rest, motor: { type: 'oscillate', amplitude: Math.PI / 6, period: 3000 } });
+                } else {
+                  onHingeChange(rest);
+                }
+              }}
+              className={inputClass}
+            >
+              <option value="">None (swings freely)</option>
+              <option value="constant">Constant speed</option>
+              <option value="oscillate">Oscillate</option>
+            </select>
+          </div>
+
+          {motor?.type === 'constant' && (
+            <div>
+              <label className="block text-xs text-gray-400">Speed °/s (negative turns anticlockwise)</label>
+              <input
+                type="number"
+                step="15"
+                value={toDegrees(motor.speed ?? 0)}
+                onChange={(e) => update({ motor: { ...motor, speed: toRadians(e.target.value) } })}
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          {motor?.type === 'oscillate' && (
+            <div className="grid grid-cols-2 gap-1">
+              <div>
+                <label className="block text-xs text-gray-400">Amplitude °</label>
+                <input
+                  type="number"
+                  step="5"
+                  value={toDegrees(motor.amplitude ?? 0)}
+                  onChange={(e) => update({ motor: { ...motor, amplitude: toRadians(e.target.value) } })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400">Period (ms)</label>
+                <input
+                  type="number"
+                  min="100"
+                  step="250"
+                  value={motor.period ?? 2000}
+                  onChange={(e) => update({ motor: { ...motor, period: Math.max(100, parseInt(e.target.value) || 2000) } })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          )}
+
+          {!motor && (
+            <div>
+              <label className="block text-xs text-gray-400">Damping: {(hinge.damping ?? 0.01).toFixed(2)}</label>
+              <input
+                type="range"
+                min="0"
+                max="0.2"
+                step="0.01"
+                value={hinge.damping ?? 0.01}
+                onChange={(e) => update({ damping: parseFloat(e.target.value) })}
+                className="w-full h-4"
+              />
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Drag the green handle to move the pivot. Without a motor the platform swings under gravity and the worm's weight; a motor drives it and signals can pause it.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
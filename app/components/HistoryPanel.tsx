@@ -0,0 +1,138 @@
+import { useState, useEffect } from "react";
+
+// Saved revisions of the map on the server (see MapEditor.getRevisionHistory)
+
+export interface RevisionHistory {
+  current: string | null;
+  revisions: { revision: string; savedAt: string }[];
+}
+
+// One entry from diffMaps in src/services/MapDiff.js
+export interface MapChange {
+  section: string;
+  id: string;
+  type: 'added' | 'removed' | 'changed';
+  fields?: string[];
+}
+
+const buttonClass = "px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors";
+
+const CHANGE_STYLES = {
+  added: { symbol: '+', className: 'text-green-400' },
+  removed: { symbol: '−', className: 'text-red-400' },
+  changed: { symbol: '~', className: 'text-yellow-300' }
+};
+
+const MAX_CHANGES_SHOWN = 30;
+
+export function MapChangeList({ changes }: { changes: MapChange[] }) {
+  if (changes.length === 0) {
+    return <p className="text-xs text-gray-400">No differences.</p>;
+  }
+
+  return (
+    <ul className="text-[11px] font-mono space-y-0.5">
+      {changes.slice(0, MAX_CHANGES_SHOWN).map((change, index) => (
+        <li key={index} className={CHANGE_STYLES[change.type].className}>
+          {CHANGE_STYLES[change.type].symbol} {change.section} {change.id}
+          {change.fields && change.fields.length > 0 && (
+            <span className="text-gray-400">: {change.fields.join(', ')}</span>
+          )}
+        </li>
+      ))}
+      {changes.length > MAX_CHANGES_SHOWN && (
+        <li className="text-gray-400">…and {changes.length - MAX_CHANGES_SHOWN} more</li>
+      )}
+    </ul>
+  );
+}
+
+interface HistoryPanelProps {
+  // Revision the editor's changes start from; the list reloads when it changes
+  revision?: string | null;
+  onListRevisions: () => Promise<RevisionHistory>;
+  onDiffRevision: (revision: string) => Promise<MapChange[]>;
+  onRestoreRevision: (revision: string) => Promise<void>;
+}
+
+export default function HistoryPanel({ revision, onListRevisions, onDiffRevision, onRestoreRevision }: HistoryPanelProps) {
+  const [history, setHistory] = useState<RevisionHistory | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [diff, setDiff] = useState<{ revision: string; changes: MapChange[] } | null>(null);
+
+  const loadHistory = () => {
+    setError(null);
+    onListRevisions()
+      .then(setHistory)
+      .catch((err: Error) => setError(err.message));
+  };
+
+  useEffect(loadHistory, [revision]);
+
+  const showDiff = (selected: string) => {
+    setError(null);
+    onDiffRevision(selected)
+      .then(changes => setDiff({ revision: selected, changes }))
+      .catch((err: Error) => setError(err.message));
+  };
+
+  const restore = (selected: string) => {
+    if (!confirm(`Replace the map in the editor with revision ${selected}? You can undo this, and nothing is saved until you save.`)) {
+      return;
+    }
+    setError(null);
+    onRestoreRevision(selected)
+      .then(() => setDiff(null))
+      .catch((err: Error) => setError(err.message));
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <h4 className="text-xs font-semibold text-blue-300">Saved Revisions</h4>
+        <button onClick={loadHistory} className={buttonClass}>Refresh</button>
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {history && history.revisions.length === 0 && (
+        <p className="text-xs text-gray-400">No revisions yet. Each save adds one.</p>
+      )}
+
+      {history && history.revisions.map(entry => (
+        <div
+          key={entry.revision}
+          className={`flex items-center gap-1 px-1 py-0.5 rounded ${
+            entry.revision === diff?.revision ? 'bg-blue-900' : 'bg-gray-700'
+          }`}
+        >
+          <div className="flex-1 text-xs truncate">
+            {new Date(entry.savedAt).toLocaleString()}
+            <span className="ml-1 font-mono text-gray-400">{entry.revision.slice(0, 7)}</span>
+            {entry.revision === history.current && (
+              <span className="ml-1 text-green-400">current</span>
+            )}
+          </div>
+          <button onClick={() => showDiff(entry.revision)} className={buttonClass} title="Compare with the map in the editor">
+            Diff
+          </button>
+          <button onClick={() => restore(entry.revision)} className={buttonClass} title="Load this revision into the editor">
+            Restore
+          </button>
+        </div>
+      ))}
+
+      {diff && (
+        <div className="border-t border-gray-700 pt-2 space-y-1">
+          <h4 className="text-xs font-semibold text-blue-300">
+            Editor vs. {diff.revision.slice(0, 7)}
+          </h4>
+          <p className="text-[10px] text-gray-500">
+            + only in the editor, − only in the revision, ~ different
+          </p>
+          <MapChangeList changes={diff.changes} />
+        </div>
+      )}
+    </div>
+  );
+}
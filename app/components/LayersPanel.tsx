@@ -0,0 +1,160 @@
+// Map layers for the Map tab (see src/services/MapLayers.js and MapEditor.updateLayers)
+
+export interface MapLayer {
+  id: string;
+  name?: string;
+  depth?: number;
+  parallax?: number;
+  collides?: boolean;
+}
+
+export interface LayerState {
+  layers: MapLayer[];
+  // Editor-only: ids of layers that are hidden or can't be selected
+  hidden: string[];
+  locked: string[];
+}
+
+export const GAMEPLAY_LAYER = 'gameplay';
+
+const inputClass = "w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs disabled:opacity-50";
+const buttonClass = "px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors";
+
+interface LayerSelectProps {
+  layers: MapLayer[];
+  // null when the selected items are on different layers
+  value: string | null;
+  onChange: (layerId: string) => void;
+}
+
+// Layer picker for the platform and selection panels
+export function LayerSelect({ layers, value, onChange }: LayerSelectProps) {
+  return (
+    <div>
+      <label className="block text-xs text-gray-400">Layer</label>
+      <select value={value ?? ''} onChange={(e) => e.target.value && onChange(e.target.value)} className={inputClass}>
+        {value === null && <option value="">Mixed</option>}
+        {layers.map(layer => (
+          <option key={layer.id} value={layer.id}>{layer.name || layer.id}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+interface LayersPanelProps {
+  layerState: LayerState;
+  onLayersChange: (layers: MapLayer[], label?: string) => void;
+  onLayerFlagChange: (flag: 'hidden' | 'locked', layerId: string, enabled: boolean) => void;
+}
+
+export default function LayersPanel({ layerState, onLayersChange, onLayerFlagChange }: LayersPanelProps) {
+  const { layers, hidden, locked } = layerState;
+  // Front first, like the layers of a drawing program
+  const ordered = [...layers].sort((a, b) => (b.depth ?? 0) - (a.depth ?? 0));
+
+  const update = (id: string, changes: Partial<MapLayer>) => {
+    onLayersChange(layers.map(layer => {
+      if (layer.id !== id) return layer;
+      const updated = { ...layer, ...changes };
+      // Layers collide unless they say otherwise
+      if (updated.collides !== false) delete updated.collides;
+      return updated;
+    }));
+  };
+
+  const addLayer = () => {
+    let count = layers.length;
+    while (layers.some(layer => layer.id === `layer_${count}`)) count++;
+    const depth = Math.max(0, ...layers.map(layer => layer.depth ?? 0)) + 10;
+    onLayersChange([...layers, { id: `layer_${count}`, name: 'New layer', depth, parallax: 1, collides: false }], 'Add layer');
+  };
+
+  const deleteLayer = (id: string) => {
+    onLayersChange(layers.filter(layer => layer.id !== id), 'Delete layer');
+  };
+
+  return (
+    <div className="border-t border-gray-700 pt-2 mt-2 space-y-1">
+      <div className="flex items-center justify-between">
+        <h4 className="text-xs font-semibold text-blue-300">Layers</h4>
+        <button onClick={addLayer} className={buttonClass}>Add Layer</button>
+      </div>
+
+      {ordered.map(layer => {
+        const isGameplay = layer.id === GAMEPLAY_LAYER;
+        const isDecoration = layer.collides === false;
+        return (
+          <div key={layer.id} className="p-1 bg-gray-800 rounded space-y-1">
+            <div className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                title="Show"
+                checked={!hidden.includes(layer.id)}
+                onChange={(e) => onLayerFlagChange('hidden', layer.id, !e.target.checked)}
+              />
+              <input
+                type="checkbox"
+                title="Lock"
+                checked={locked.includes(layer.id)}
+                onChange={(e) => onLayerFlagChange('locked', layer.id, e.target.checked)}
+              />
+              <input
+                type="text"
+                value={layer.name ?? ''}
+                placeholder={layer.id}
+                onChange={(e) => update(layer.id, { name: e.target.value })}
+                className={inputClass}
+              />
+              {!isGameplay && (
+                <button onClick={() => deleteLayer(layer.id)} title="Delete layer" className={buttonClass}>
+                  ✕
+                </button>
+              )}
+            </div>
+
+            {!isGameplay && (
+              <div className="grid grid-cols-3 gap-1 items-end">
+                <div>
+                  <label className="block text-[10px] text-gray-400">Depth</label>
+                  <input
+                    type="number"
+                    value={layer.depth ?? 0}
+                    onChange={(e) => update(layer.id, { depth: parseInt(e.target.value) || 0 })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-[10px] text-gray-400">Parallax</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={layer.parallax ?? 1}
+                    disabled={!isDecoration}
+                    onChange={(e) => update(layer.id, { parallax: Math.max(0, parseFloat(e.target.value) || 0) })}
+                    className={inputClass}
+                  />
+                </div>
+                <label className="flex items-center text-[10px]">
+                  <input
+                    type="checkbox"
+                    checked={isDecoration}
+                    onChange={(e) => update(layer.id, { collides: !e.target.checked })}
+                    className="mr-1"
+                  />
+                  Decoration
+                </label>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <p className="text-[10px] text-gray-500">
+        Show and lock only affect the editor. Decoration has no collisions and scrolls at its parallax in the game
+        (1 moves with the level, 0.5 at half speed). Gameplay items keep their usual depths: stickers behind platforms, worm on top.
+      </p>
+    </div>
+  );
+}
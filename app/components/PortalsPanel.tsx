@@ -0,0 +1,64 @@
+// Portal settings for the portal tool (see src/utils/PortalManager.js and MapEditor.updatePortal)
+
+export interface Portal {
+  id: string;
+  x: number;
+  y: number;
+  // Radians the mouth faces, clockwise from up
+  angle?: number;
+  // Id of the portal it leads to; without one it is an exit only
+  target?: string;
+}
+
+const inputClass = "w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs";
+
+interface PortalsPanelProps {
+  portals: Portal[];
+  onPortalChange: (index: number, changes: { angle?: number; target?: string | null }) => void;
+}
+
+export default function PortalsPanel({ portals, onPortalChange }: PortalsPanelProps) {
+  return (
+    <div className="border-t border-gray-700 pt-2 mt-2 space-y-1">
+      <h4 className="text-xs font-semibold text-blue-300">Portals</h4>
+      <p className="text-xs text-gray-400">
+        Double-click to place a portal; the next one placed is linked to it both ways. Double-click a portal to remove it.
+        The worm's head entering a portal sends the whole worm out of its exit, turned to face the way the exit does.
+      </p>
+
+      {portals.map((portal, index) => (
+        <div key={portal.id} className="p-1 bg-gray-800 rounded grid grid-cols-3 gap-1 items-end">
+          <span className="text-xs font-semibold">P{index + 1}</span>
+          <div>
+            <label className="block text-[10px] text-gray-400">Facing °</label>
+            <input
+              type="number"
+              step="15"
+              value={Math.round((portal.angle ?? 0) * 180 / Math.PI)}
+              onChange={(e) => onPortalChange(index, { angle: (parseFloat(e.target.value) || 0) * Math.PI / 180 })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-[10px] text-gray-400">Leads to</label>
+            <select
+              value={portal.target ?? ''}
+              onChange={(e) => onPortalChange(index, { target: e.target.value || null })}
+              className={inputClass}
+            >
+              <option value="">Exit only</option>
+              {portal.target && !portals.some(other => other.id === portal.target) && (
+                <option value={portal.target}>{portal.target} (missing)</option>
+              )}
+              {portals.map((other, otherIndex) => other.id !== portal.id && (
+                <option key={other.id} value={other.id}>P{otherIndex + 1}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      ))}
+
+      <p className="text-[10px] text-gray-500">Facing: 0 up, 90 right, 180 down, 270 left.</p>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// Prefab tool settings and the selected prefab instance (see MapEditor.getPrefabList)
+
+export interface PrefabInfo {
+  key: string;
+  name: string;
+  inMap: boolean;
+  inLibrary: boolean;
+  instances: number;
+}
+
+export interface PrefabInstanceInfo {
+  id: string;
+  prefab: string;
+  name: string;
+  x: number;
+  y: number;
+}
+
+const buttonClass = "px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors";
+
+interface PrefabPanelProps {
+  prefabs: PrefabInfo[];
+  selectedPrefab: string;
+  onSelectPrefab: (key: string) => void;
+  onCommand: (command: string, arg?: string) => void;
+}
+
+export default function PrefabPanel({ prefabs, selectedPrefab, onSelectPrefab, onCommand }: PrefabPanelProps) {
+  return (
+    <div className="border-t border-gray-700 pt-2 mt-2 space-y-1">
+      <h4 className="text-xs font-semibold text-blue-300">Prefabs</h4>
+      {prefabs.length === 0 ? (
+        <p className="text-xs text-gray-400">
+          No prefabs yet. Select several items and use Save as Prefab.
+        </p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-400">Double-click to place the selected prefab.</p>
+          {prefabs.map(prefab => (
+            <div
+              key={prefab.key}
+              className={`flex items-center gap-1 px-1 py-0.5 rounded ${
+                prefab.key === selectedPrefab ? 'bg-blue-900' : 'bg-gray-700'
+              }`}
+            >
+              <button onClick={() => onSelectPrefab(prefab.key)} className="flex-1 text-left text-xs truncate">
+                {prefab.name}
+                <span className="ml-1 text-gray-400">
+                  {prefab.inMap ? `map · ${prefab.instances} placed` : 'library'}
+                </span>
+              </button>
+              {prefab.inMap && !prefab.inLibrary && (
+                <button onClick={() => onCommand('addToLibrary', prefab.key)} className={buttonClass} title="Keep in the shared library">
+                  + Lib
+                </button>
+              )}
+              {prefab.inLibrary && (
+                <button onClick={() => onCommand('removeFromLibrary', prefab.key)} className={buttonClass} title="Remove from the shared library">
+                  − Lib
+                </button>
+              )}
+              {prefab.inMap && prefab.instances === 0 && (
+                <button onClick={() => onCommand('removeFromMap', prefab.key)} className={buttonClass} title="Remove the unused prefab from this map">
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+interface PrefabInstancePanelProps {
+  instance: PrefabInstanceInfo;
+  onCommand: (command: string, arg?: string) => void;
+}
+
+export function PrefabInstancePanel({ instance, onCommand }: PrefabInstancePanelProps) {
+  return (
+    <div className="space-y-2">
+      <div className="text-xs font-semibold text-blue-300">
+        Prefab: {instance.name}
+      </div>
+      <div className="text-xs text-gray-400">
+        {instance.id} at ({instance.x}, {instance.y})
+      </div>
+      <p className="text-[10px] text-gray-500">
+        Parts get ids like {instance.id}/platform_1 in the game, so signals can target them.
+      </p>
+      <div className="grid grid-cols-2 gap-1">
+        <button onClick={() => onCommand('unpack')} className={buttonClass} title="Replace with editable copies of its parts">
+          Unpack
+        </button>
+        <button onClick={() => onCommand('delete')} className="px-1 py-0.5 bg-red-700 hover:bg-red-600 rounded text-xs transition-colors">
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,14 @@
 import { useState, useEffect } from "react";
+import SignalsPanel, { type Signals, type SignalEndpoints } from "./SignalsPanel";
+import SelectionPanel, { type SelectionSummary } from "./SelectionPanel";
+import PrefabPanel, { PrefabInstancePanel, type PrefabInfo, type PrefabInstanceInfo } from "./PrefabPanel";
+import HistoryPanel, { MapChangeList, type MapChange, type RevisionHistory } from "./HistoryPanel";
+import HeatmapPanel, { type HeatmapMode, type HeatmapSummary } from "./HeatmapPanel";
+import SnapPanel, { type SnapSettings } from "./SnapPanel";
+import LayersPanel, { LayerSelect, GAMEPLAY_LAYER, type LayerState, type MapLayer } from "./LayersPanel";
+import PortalsPanel, { type Portal } from "./PortalsPanel";
+import RopesPanel, { type Rope } from "./RopesPanel";
+import HingePanel from "./HingePanel";
 
 interface MapMetadata {
   name: string;
@@ -11,6 +21,27 @@ interface MapDimensions {
   height: number;
 }
 
+type MotionType = 'horizontal' | 'vertical' | 'waypoints';
+
+const WAYPOINT_EASINGS = ['Linear', 'Sine.easeInOut', 'Quad.easeInOut', 'Cubic.easeInOut', 'Back.easeOut', 'Bounce.easeOut'];
+
+// Build a motion config of the given type, keeping what carries over from the previous one
+function buildMotion(type: MotionType, distance: number, speed: number, previous?: any) {
+  if (type === 'waypoints') {
+    return {
+      type,
+      mode: previous?.mode || 'pingpong',
+      speed,
+      easing: previous?.easing || 'Sine.easeInOut',
+      waypoints: previous?.waypoints || [
+        { x: 0, y: 0 },
+        previous?.type === 'vertical' ? { x: 0, y: -distance } : { x: distance, y: 0 }
+      ]
+    };
+  }
+  return { type, distance, speed };
+}
+
 interface ToolSettings {
   platformType: string;
   platformColor: string;
@@ -21,7 +52,7 @@ interface ToolSettings {
   trapezoidSlope: number;
   // Motion settings
   motionEnabled: boolean;
-  motionType: 'horizontal' | 'vertical';
+  motionType: MotionType;
   motionDistance: number;
   motionSpeed: number;
   // Sticker settings
@@ -34,6 +65,8 @@ interface ToolSettings {
   constraintDamping: number;
   constraintLength: number | null;
   constraintRender: boolean;
+  // Prefab tool
+  prefab: string;
 }
 
 interface PropertyPanelProps {
@@ -45,14 +78,52 @@ interface PropertyPanelProps {
   selectedTool: string;
   toolSettings: ToolSettings;
   gridSnapEnabled: boolean;
+  snapSettings: SnapSettings;
   
   // Selected platform properties
   selectedPlatform: any;
   selectedConstraint: any;
+  selection?: SelectionSummary | null;
+  selectedPrefabInstance?: PrefabInstanceInfo | null;
+  
+  // Prefabs in the map and the shared library
+  prefabs?: PrefabInfo[];
   
   // Editor info
   filename?: string;
-  saveStatus?: { state: string; message?: string; error?: string };
+  saveStatus?: {
+    state: string;
+    message?: string;
+    error?: string;
+    errors?: string[];
+    // Set when someone else saved the map first
+    conflict?: { revision: string; modified?: string; changes: MapChange[] };
+  };
+  // Server revisions
+  revision?: string | null;
+  onListRevisions?: () => Promise<RevisionHistory>;
+  onDiffRevision?: (revision: string) => Promise<MapChange[]>;
+  onRestoreRevision?: (revision: string) => Promise<void>;
+  onResolveConflict?: (action: 'overwrite' | 'load') => void;
+  // Playtest heatmap overlay
+  getHeatmapState?: () => { mode: HeatmapMode; deathReason: string | null; summary: HeatmapSummary | null } | null;
+  onShowHeatmap?: (mode: HeatmapMode, options: { deathReason: string | null; reload?: boolean }) => Promise<HeatmapSummary | null>;
+  
+  // Signal wiring
+  signals?: Signals | null;
+  getSignalEndpoints?: () => SignalEndpoints | null;
+  
+  // Map layers
+  layerState?: LayerState | null;
+  onLayersChange?: (layers: MapLayer[], label?: string) => void;
+  onLayerFlagChange?: (flag: 'hidden' | 'locked', layerId: string, enabled: boolean) => void;
+  
+  // Portal tool
+  portals?: Portal[];
+  onPortalChange?: (index: number, changes: { angle?: number; target?: string | null }) => void;
+  // Rope tool
+  ropes?: Rope[];
+  onRopeChange?: (index: number, changes: { length?: number | null; style?: string; color?: string | null }) => void;
   
   // Callbacks
   onMapMetadataChange: (metadata: MapMetadata) => void;
@@ -60,8 +131,13 @@ interface PropertyPanelProps {
   onToolChange: (tool: string) => void;
   onToolSettingsChange: (settings: ToolSettings) => void;
   onGridSnapChange: (enabled: boolean) => void;
+  onSnapSettingsChange: (settings: SnapSettings) => void;
   onPlatformPropertyChange: (property: string, value: any) => void;
   onConstraintPropertyChange: (property: string, value: any) => void;
+  onSelectionPropertyChange?: (property: string, value: any) => void;
+  onSelectionCommand?: (command: string, arg?: string | number) => void;
+  onPrefabCommand?: (command: string, arg?: string) => void;
+  onShapeCommand?: (command: string) => void;
   
   // Actions
   onLoadMap: (mapName: string) => void;
@@ -70,6 +146,7 @@ interface PropertyPanelProps {
   onExportJSON: () => void;
   onImportJSON: (file: File) => void;
   onSaveMap?: () => void;
+  onSignalsChange?: (signals: Signals) => void;
 }
 
 export default function PropertyPanel({
@@ -78,23 +155,49 @@ export default function PropertyPanel({
   selectedTool,
   toolSettings,
   gridSnapEnabled,
+  snapSettings,
   selectedPlatform,
   selectedConstraint,
+  selection,
+  selectedPrefabInstance,
+  prefabs = [],
   filename,
   saveStatus,
+  revision,
+  onListRevisions,
+  onDiffRevision,
+  onRestoreRevision,
+  onResolveConflict,
+  getHeatmapState,
+  onShowHeatmap,
+  signals,
+  getSignalEndpoints,
+  layerState,
+  onLayersChange,
+  onLayerFlagChange,
+  portals = [],
+  onPortalChange,
+  ropes = [],
+  onRopeChange,
   onMapMetadataChange,
   onMapDimensionsChange,
   onToolChange,
   onToolSettingsChange,
   onGridSnapChange,
+  onSnapSettingsChange,
   onPlatformPropertyChange,
   onConstraintPropertyChange,
+  onSelectionPropertyChange,
+  onSelectionCommand,
+  onPrefabCommand,
+  onShapeCommand,
   onLoadMap,
   onNewMap,
   onSaveToLibrary,
   onExportJSON,
   onImportJSON,
-  onSaveMap
+  onSaveMap,
+  onSignalsChange
 }: PropertyPanelProps) {
   const [showNewMapModal, setShowNewMapModal] = useState(false);
   const [activeTab, setActiveTab] = useState('platform');
@@ -115,7 +218,10 @@ export default function PropertyPanel({
     'fire': 'Fire',
     'blackhole': 'Black Hole',
     'water': 'Water',
-    'waterfall': 'Waterfall'
+    'waterfall': 'Waterfall',
+    'crumble': 'Crumble',
+    'conveyor': 'Conveyor',
+    'wind': 'Wind'
   };
   
   const stickerPresets = {
@@ -133,7 +239,12 @@ export default function PropertyPanel({
     { value: 'trapezoid', label: 'Trapezoid' },
     { value: 'custom', label: 'Custom' },
     { value: 'sticker', label: 'Sticker' },
-    { value: 'constraint', label: 'Constraint (L)' }
+    { value: 'checkpoint', label: 'Checkpoint' },
+    { value: 'portal', label: 'Portal' },
+    { value: 'rope', label: 'Rope' },
+    { value: 'prefab', label: 'Prefab' },
+    { value: 'constraint', label: 'Constraint (L)' },
+    { value: 'measure', label: 'Measure' }
   ];
 
   // Helper function to get preset background colors for preview
@@ -159,7 +270,7 @@ export default function PropertyPanel({
               {filename ? `Editing: ${filename}` : 'Map Editor'}
             </div>
             <div className="text-gray-400 text-[10px]">
-              Press Ctrl/Cmd+S to save
+              Ctrl/Cmd+S to save · Ctrl/Cmd+Z to undo, +Shift to redo
             </div>
           </div>
           {onSaveMap && (
@@ -184,6 +295,45 @@ export default function PropertyPanel({
             {saveStatus.state === 'error' && (
               <span className="text-red-400">✗ {saveStatus.error || 'Error saving'}</span>
             )}
+            {saveStatus.state === 'error' && saveStatus.errors && (
+              <ul className="mt-1 text-red-300 list-disc list-inside">
+                {saveStatus.errors.slice(0, 10).map((message, index) => (
+                  <li key={index}>{message}</li>
+                ))}
+                {saveStatus.errors.length > 10 && (
+                  <li>…and {saveStatus.errors.length - 10} more</li>
+                )}
+              </ul>
+            )}
+            {saveStatus.state === 'conflict' && saveStatus.conflict && (
+              <div className="space-y-1">
+                <span className="text-red-400">✗ {saveStatus.error}</span>
+                <div className="text-gray-400">
+                  Server has revision <span className="font-mono">{saveStatus.conflict.revision.slice(0, 7)}</span>
+                  {saveStatus.conflict.modified && `, saved ${new Date(saveStatus.conflict.modified).toLocaleString()}`}.
+                  Your version differs by:
+                </div>
+                <MapChangeList changes={saveStatus.conflict.changes} />
+                {onResolveConflict && (
+                  <div className="grid grid-cols-2 gap-1">
+                    <button
+                      onClick={() => onResolveConflict('overwrite')}
+                      className="px-1 py-0.5 bg-red-700 hover:bg-red-600 rounded text-xs transition-colors"
+                      title="Save your version over theirs; theirs stays in the history"
+                    >
+                      Overwrite
+                    </button>
+                    <button
+                      onClick={() => onResolveConflict('load')}
+                      className="px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors"
+                      title="Drop your changes and continue from their version (undoable)"
+                    >
+                      Load Theirs
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         )}
         
@@ -245,12 +395,51 @@ export default function PropertyPanel({
         >
           Map
         </button>
+        {onSignalsChange && (
+          <button
+            onClick={() => setActiveTab('signals')}
+            className={`flex-1 px-2 py-1 text-xs font-medium transition-colors ${
+              activeTab === 'signals' 
+                ? 'bg-gray-700 text-blue-300 border-b-2 border-blue-300' 
+                : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            Signals
+          </button>
+        )}
+        {onListRevisions && (
+          <button
+            onClick={() => setActiveTab('history')}
+            className={`flex-1 px-2 py-1 text-xs font-medium transition-colors ${
+              activeTab === 'history' 
+                ? 'bg-gray-700 text-blue-300 border-b-2 border-blue-300' 
+                : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            History
+          </button>
+        )}
       </div>
       
       {/* Tab Content */}
       <div className="flex-1 p-2 overflow-y-auto">
+        {/* Group selection replaces the platform tab */}
+        {activeTab === 'platform' && selection && onSelectionPropertyChange && onSelectionCommand && (
+          <SelectionPanel
+            selection={selection}
+            layers={layerState?.layers}
+            onPropertyChange={onSelectionPropertyChange}
+            onCommand={onSelectionCommand}
+          />
+        )}
+        
+        {/* A placed prefab is edited as a whole */}
+        {activeTab === 'platform' && !selection && selectedPrefabInstance && onPrefabCommand && (
+          <PrefabInstancePanel instance={selectedPrefabInstance} onCommand={onPrefabCommand} />
+        )}
+        
         {/* Platform Tab */}
-        {activeTab === 'platform' && (
+        {activeTab === 'platform' && !selection && !selectedPrefabInstance && (
           <div className="space-y-2">
             {/* Platform Header */}
             <div className="text-xs font-semibold text-blue-300">
@@ -281,6 +470,14 @@ export default function PropertyPanel({
               </div>
             )}
             
+            {selectedPlatform && layerState && (
+              <LayerSelect
+                layers={layerState.layers}
+                value={selectedPlatform.data?.layer || GAMEPLAY_LAYER}
+                onChange={(layerId) => onPlatformPropertyChange('layer', layerId)}
+              />
+            )}
+            
             {/* Shape and Type in grid */}
             <div className="grid grid-cols-2 gap-1">
               <div>
@@ -319,7 +516,10 @@ export default function PropertyPanel({
                         'fire': '#f44336',
                         'blackhole': '#1a1a1a',
                         'water': '#2196f3',
-                        'waterfall': '#1e88e5'
+                        'waterfall': '#1e88e5',
+                        'crumble': '#a1887f',
+                        'conveyor': '#455a64',
+                        'wind': '#b2ebf2'
                       };
                       onToolSettingsChange({ 
                         ...toolSettings, 
@@ -455,8 +655,186 @@ export default function PropertyPanel({
               </div>
             )}
             
+            {/* Custom shape outline */}
+            {selectedPlatform && selectedPlatform.data?.type === 'custom' && (
+              <div className="space-y-1">
+                <div className="flex items-center justify-between">
+                  <span className="text-xs text-gray-400">{selectedPlatform.data?.vertices?.length || 0} vertices</span>
+                  {onShapeCommand && (
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => onShapeCommand('smooth')}
+                        className="px-2 py-0.5 bg-blue-600 hover:bg-blue-700 rounded text-xs"
+                        title="Round off the corners"
+                      >
+                        Smooth
+                      </button>
+                      <button
+                        onClick={() => onShapeCommand('simplify')}
+                        className="px-2 py-0.5 bg-blue-600 hover:bg-blue-700 rounded text-xs"
+                        title="Remove vertices that barely change the outline"
+                      >
+                        Simplify
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">Drag the dots to move vertices. Click a small dot to add one, shift-click a vertex to remove it.</p>
+              </div>
+            )}
+            {!selectedPlatform && selectedTool === 'custom' && (
+              <p className="text-xs text-gray-400">
+                Click to place vertices, then click the first one or press Enter to finish. Drag on empty space to draw freehand. Backspace removes the last point, Esc cancels.
+              </p>
+            )}
+            
+            {/* Crumble timing */}
+            {selectedPlatform && selectedPlatform.data?.platformType === 'crumble' && (
+              <div className="grid grid-cols-2 gap-1">
+                <div>
+                  <label className="block text-xs text-gray-400">Crumble (ms)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={selectedPlatform.data?.crumbleDelay ?? 800}
+                    onChange={(e) => onPlatformPropertyChange('crumbleDelay', parseFloat(e.target.value) || 0)}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-xs text-gray-400" title="0 = never respawns">Respawn (ms)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={selectedPlatform.data?.respawnDelay ?? 3000}
+                    onChange={(e) => onPlatformPropertyChange('respawnDelay', parseFloat(e.target.value) || 0)}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+              </div>
+            )}
+            
+            {/* Conveyor belt */}
+            {selectedPlatform && selectedPlatform.data?.platformType === 'conveyor' && (
+              <div className="grid grid-cols-2 gap-1">
+                <div>
+                  <label className="block text-xs text-gray-400">Speed (px/s)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="10"
+                    value={selectedPlatform.data?.conveyorSpeed ?? 120}
+                    onChange={(e) => onPlatformPropertyChange('conveyorSpeed', Math.max(0, parseFloat(e.target.value) || 0))}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-xs text-gray-400" title="The way the top surface runs">Direction</label>
+                  <select
+                    value={selectedPlatform.data?.conveyorDirection ?? 'right'}
+                    onChange={(e) => onPlatformPropertyChange('conveyorDirection', e.target.value)}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  >
+                    <option value="right">Right</option>
+                    <option value="left">Left</option>
+                  </select>
+                </div>
+              </div>
+            )}
+            
+            {/* Wind zone */}
+            {selectedPlatform && selectedPlatform.data?.platformType === 'wind' && (
+              <div className="grid grid-cols-2 gap-1">
+                <div>
+                  <label className="block text-xs text-gray-400" title="In gravities; negative is left">Force X</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={selectedPlatform.data?.windForce?.x ?? 0}
+                    onChange={(e) => onPlatformPropertyChange('windForce', { x: parseFloat(e.target.value) || 0, y: selectedPlatform.data?.windForce?.y ?? -1.5 })}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-xs text-gray-400" title="In gravities; negative is up">Force Y</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={selectedPlatform.data?.windForce?.y ?? -1.5}
+                    onChange={(e) => onPlatformPropertyChange('windForce', { x: selectedPlatform.data?.windForce?.x ?? 0, y: parseFloat(e.target.value) || 0 })}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-xs text-gray-400" title="0 = even, 1 = fades out downwind">Falloff</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.1"
+                    value={selectedPlatform.data?.windFalloff ?? 0}
+                    onChange={(e) => onPlatformPropertyChange('windFalloff', parseFloat(e.target.value) || 0)}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-xs text-gray-400">Turbulence</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={selectedPlatform.data?.windTurbulence ?? 0}
+                    onChange={(e) => onPlatformPropertyChange('windTurbulence', parseFloat(e.target.value) || 0)}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-xs text-gray-400" title="0 = always on">On (ms)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={selectedPlatform.data?.windOnTime ?? 0}
+                    onChange={(e) => onPlatformPropertyChange('windOnTime', parseFloat(e.target.value) || 0)}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-xs text-gray-400" title="0 = always on">Off (ms)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={selectedPlatform.data?.windOffTime ?? 0}
+                    onChange={(e) => onPlatformPropertyChange('windOffTime', parseFloat(e.target.value) || 0)}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-xs text-gray-400" title="Shifts the gust cycle">Offset (ms)</label>
+                  <input
+                    type="number"
+                    step="100"
+                    value={selectedPlatform.data?.windOffset ?? 0}
+                    onChange={(e) => onPlatformPropertyChange('windOffset', parseFloat(e.target.value) || 0)}
+                    className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                  />
+                </div>
+              </div>
+            )}
+            
             {/* Motion Settings - show for platforms */}
-            {(selectedPlatform || (selectedTool !== 'sticker' && selectedTool !== 'constraint')) && (
+            {(selectedPlatform || (selectedTool !== 'sticker' && selectedTool !== 'constraint' && selectedTool !== 'checkpoint' && selectedTool !== 'portal' && selectedTool !== 'rope' && selectedTool !== 'prefab' && selectedTool !== 'measure')) && (
               <div className="border-t border-gray-700 pt-2 mt-2">
                 <div className="flex items-center justify-between mb-2">
                   <h4 className="text-xs font-semibold text-blue-300">Motion</h4>
@@ -467,11 +845,7 @@ export default function PropertyPanel({
                       onChange={(e) => {
                         if (selectedPlatform) {
                           if (e.target.checked) {
-                            onPlatformPropertyChange('motion', {
-                              type: toolSettings.motionType,
-                              distance: toolSettings.motionDistance,
-                              speed: toolSettings.motionSpeed
-                            });
+                            onPlatformPropertyChange('motion', buildMotion(toolSettings.motionType, toolSettings.motionDistance, toolSettings.motionSpeed));
                           } else {
                             onPlatformPropertyChange('motion', null);
                           }
@@ -485,45 +859,53 @@ export default function PropertyPanel({
                   </label>
                 </div>
                 
-                {(selectedPlatform ? (selectedPlatform.data?.motion ? true : false) : toolSettings.motionEnabled) && (
+                {(selectedPlatform ? (selectedPlatform.data?.motion ? true : false) : toolSettings.motionEnabled) && (() => {
+                  const motion = selectedPlatform?.data?.motion;
+                  const motionType: MotionType = motion?.type || toolSettings.motionType;
+                  const speed = motion?.speed || toolSettings.motionSpeed;
+                  
+                  // Edit the selected platform's motion, or the defaults for new platforms
+                  const updateMotion = (changes: any) => {
+                    if (motion) {
+                      onPlatformPropertyChange('motion', { ...motion, ...changes });
+                    }
+                  };
+                  
+                  return (
                   <div className="space-y-1">
                     <div>
                       <label className="block text-xs text-gray-400">Type</label>
                       <select
-                        value={selectedPlatform?.data?.motion?.type || toolSettings.motionType}
+                        value={motionType}
                         onChange={(e) => {
-                          const motionType = e.target.value as 'horizontal' | 'vertical';
-                          if (selectedPlatform && selectedPlatform.data?.motion) {
-                            onPlatformPropertyChange('motion', {
-                              ...selectedPlatform.data.motion,
-                              type: motionType
-                            });
+                          const newType = e.target.value as MotionType;
+                          if (motion) {
+                            onPlatformPropertyChange('motion', buildMotion(newType, motion.distance || toolSettings.motionDistance, speed, motion));
                           } else {
-                            onToolSettingsChange({ ...toolSettings, motionType });
+                            onToolSettingsChange({ ...toolSettings, motionType: newType });
                           }
                         }}
                         className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
                       >
                         <option value="horizontal">Horizontal</option>
                         <option value="vertical">Vertical</option>
+                        <option value="waypoints">Waypoints</option>
                       </select>
                     </div>
                     
+                    {motionType !== 'waypoints' && (
                     <div>
-                      <label className="block text-xs text-gray-400">Distance: {selectedPlatform?.data?.motion?.distance || toolSettings.motionDistance}px</label>
+                      <label className="block text-xs text-gray-400">Distance: {motion?.distance || toolSettings.motionDistance}px</label>
                       <input
                         type="range"
                         min="50"
                         max="800"
                         step="50"
-                        value={selectedPlatform?.data?.motion?.distance || toolSettings.motionDistance}
+                        value={motion?.distance || toolSettings.motionDistance}
                         onChange={(e) => {
                           const distance = parseInt(e.target.value);
-                          if (selectedPlatform && selectedPlatform.data?.motion) {
-                            onPlatformPropertyChange('motion', {
-                              ...selectedPlatform.data.motion,
-                              distance
-                            });
+                          if (motion) {
+                            updateMotion({ distance });
                           } else {
                             onToolSettingsChange({ ...toolSettings, motionDistance: distance });
                           }
@@ -531,34 +913,138 @@ export default function PropertyPanel({
                         className="w-full h-4"
                       />
                     </div>
+                    )}
                     
                     <div>
-                      <label className="block text-xs text-gray-400">Speed: {selectedPlatform?.data?.motion?.speed || toolSettings.motionSpeed}</label>
+                      <label className="block text-xs text-gray-400">Speed: {speed}{motionType === 'waypoints' ? 'px/s' : ''}</label>
                       <input
                         type="range"
                         min="10"
-                        max="200"
+                        max={motionType === 'waypoints' ? 600 : 200}
                         step="10"
-                        value={selectedPlatform?.data?.motion?.speed || toolSettings.motionSpeed}
+                        value={speed}
                         onChange={(e) => {
-                          const speed = parseInt(e.target.value);
-                          if (selectedPlatform && selectedPlatform.data?.motion) {
-                            onPlatformPropertyChange('motion', {
-                              ...selectedPlatform.data.motion,
-                              speed
-                            });
+                          const newSpeed = parseInt(e.target.value);
+                          if (motion) {
+                            updateMotion({ speed: newSpeed });
                           } else {
-                            onToolSettingsChange({ ...toolSettings, motionSpeed: speed });
+                            onToolSettingsChange({ ...toolSettings, motionSpeed: newSpeed });
                           }
                         }}
                         className="w-full h-4"
                       />
                     </div>
+                    
+                    {motionType === 'waypoints' && motion && (
+                      <>
+                        <div>
+                          <label className="block text-xs text-gray-400">Mode</label>
+                          <select
+                            value={motion.mode || 'loop'}
+                            onChange={(e) => updateMotion({ mode: e.target.value })}
+                            className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                          >
+                            <option value="loop">Loop</option>
+                            <option value="pingpong">Ping-pong</option>
+                            <option value="once">Once</option>
+                          </select>
+                        </div>
+                        
+                        <div>
+                          <label className="block text-xs text-gray-400">Easing</label>
+                          <select
+                            value={motion.easing || 'Linear'}
+                            onChange={(e) => updateMotion({ easing: e.target.value })}
+                            className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                          >
+                            {WAYPOINT_EASINGS.map(easing => (
+                              <option key={easing} value={easing}>{easing}</option>
+                            ))}
+                          </select>
+                        </div>
+                        
+                        <div>
+                          <label className="block text-xs text-gray-400">Pause at each waypoint (ms)</label>
+                          <input
+                            type="number"
+                            min="0"
+                            step="100"
+                            value={motion.pause || 0}
+                            onChange={(e) => updateMotion({ pause: Math.max(0, parseInt(e.target.value) || 0) })}
+                            className="w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+                          />
+                        </div>
+                        
+                        <div className="flex items-center justify-between">
+                          <span className="text-xs text-gray-400">{motion.waypoints?.length || 0} waypoints</span>
+                          <button
+                            onClick={() => {
+                              const waypoints = motion.waypoints || [];
+                              const last = waypoints[waypoints.length - 1] || { x: 0, y: 0 };
+                              updateMotion({ waypoints: [...waypoints, { x: last.x + 96, y: last.y }] });
+                            }}
+                            className="px-2 py-0.5 bg-blue-600 hover:bg-blue-700 rounded text-xs"
+                          >
+                            Add Waypoint
+                          </button>
+                        </div>
+                        <p className="text-xs text-gray-500">Drag the numbered handles to move waypoints. Shift-click one to remove it.</p>
+                      </>
+                    )}
                   </div>
-                )}
+                  );
+                })()}
               </div>
             )}
             
+            {/* Hinge Settings - pivot, limits and motor of the selected platform */}
+            {selectedPlatform && (
+              <HingePanel
+                hinge={selectedPlatform.data?.hinge}
+                onHingeChange={(hinge) => onPlatformPropertyChange('hinge', hinge)}
+              />
+            )}
+            
+            {/* Checkpoint hint - checkpoints have no settings */}
+            {selectedTool === 'checkpoint' && !selectedPlatform && (
+              <div className="border-t border-gray-700 pt-2 mt-2">
+                <h4 className="text-xs font-semibold text-blue-300 mb-1">Checkpoint</h4>
+                <p className="text-xs text-gray-400">
+                  Double-click to place a checkpoint, double-click one to remove it. Deaths respawn the worm at the last checkpoint touched.
+                </p>
+              </div>
+            )}
+            
+            {/* Portal list - facing and exit of each portal */}
+            {selectedTool === 'portal' && !selectedPlatform && onPortalChange && (
+              <PortalsPanel portals={portals} onPortalChange={onPortalChange} />
+            )}
+            
+            {/* Rope list - length, style and color of each rope */}
+            {selectedTool === 'rope' && !selectedPlatform && onRopeChange && (
+              <RopesPanel ropes={ropes} onRopeChange={onRopeChange} />
+            )}
+            
+            {/* Measure hint - the tool has no settings */}
+            {selectedTool === 'measure' && !selectedPlatform && (
+              <div className="border-t border-gray-700 pt-2 mt-2">
+                <h4 className="text-xs font-semibold text-blue-300 mb-1">Measure</h4>
+                <p className="text-xs text-gray-400">
+                  Click two points to measure between them. Green is shorter than the worm, so it can lie across; yellow is within its reach when stretched; red needs a jump or swing. Esc clears.
+                </p>
+              </div>
+            )}
+            
+            {/* Prefab list - pick what the prefab tool places */}
+            {selectedTool === 'prefab' && !selectedPlatform && onPrefabCommand && (
+              <PrefabPanel
+                prefabs={prefabs}
+                selectedPrefab={toolSettings.prefab}
+                onSelectPrefab={(key) => onToolSettingsChange({ ...toolSettings, prefab: key })}
+                onCommand={onPrefabCommand}
+              />
+            )}
+            
             {/* Sticker Settings - only show when sticker tool is selected */}
             {selectedTool === 'sticker' && (
               <div className="border-t border-gray-700 pt-2 mt-2">
@@ -877,19 +1363,42 @@ export default function PropertyPanel({
               </div>
             </div>
             
-            <div className="mt-2">
-              <label className="flex items-center text-xs">
-                <input
-                  type="checkbox"
-                  checked={gridSnapEnabled}
-                  onChange={(e) => onGridSnapChange(e.target.checked)}
-                  className="mr-1"
-                />
-                Snap to Grid
-              </label>
-            </div>
+            <SnapPanel
+              gridSnapEnabled={gridSnapEnabled}
+              snapSettings={snapSettings}
+              onGridSnapChange={onGridSnapChange}
+              onSnapSettingsChange={onSnapSettingsChange}
+            />
+            
+            {layerState && onLayersChange && onLayerFlagChange && (
+              <LayersPanel layerState={layerState} onLayersChange={onLayersChange} onLayerFlagChange={onLayerFlagChange} />
+            )}
+            
+            {onShowHeatmap && (
+              <HeatmapPanel initial={getHeatmapState ? getHeatmapState() : null} onShowHeatmap={onShowHeatmap} />
+            )}
           </div>
         )}
+        
+        {/* Signals Tab */}
+        {activeTab === 'signals' && onSignalsChange && (
+          <SignalsPanel
+            signals={signals || null}
+            endpoints={getSignalEndpoints ? getSignalEndpoints() : null}
+            mapDimensions={mapDimensions}
+            onSignalsChange={onSignalsChange}
+          />
+        )}
+        
+        {/* History Tab */}
+        {activeTab === 'history' && onListRevisions && onDiffRevision && onRestoreRevision && (
+          <HistoryPanel
+            revision={revision}
+            onListRevisions={onListRevisions}
+            onDiffRevision={onDiffRevision}
+            onRestoreRevision={onRestoreRevision}
+          />
+        )}
       </div>
       
       {/* New Map Modal */}
@@ -0,0 +1,85 @@
+// Rope settings for the rope tool (see src/utils/RopeManager.js and MapEditor.updateRope)
+
+export interface Rope {
+  id: string;
+  // Platform id, or worm_head / worm_tail / worm_segment_N; without one the point is in the world
+  bodyA?: string;
+  bodyB?: string;
+  pointA?: { x: number; y: number };
+  // Without bodyB or pointB the rope hangs free
+  pointB?: { x: number; y: number };
+  length?: number;
+  style?: 'rope' | 'chain';
+  color?: string;
+}
+
+const inputClass = "w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs";
+
+interface RopesPanelProps {
+  ropes: Rope[];
+  onRopeChange: (index: number, changes: { length?: number | null; style?: string; color?: string | null }) => void;
+}
+
+// What a rope end is tied to, for the list
+const describeEnd = (body?: string, point?: { x: number; y: number }) => {
+  if (body) return body.startsWith('worm') ? 'worm' : body;
+  return point ? 'world' : 'free';
+};
+
+export default function RopesPanel({ ropes, onRopeChange }: RopesPanelProps) {
+  return (
+    <div className="border-t border-gray-700 pt-2 mt-2 space-y-1">
+      <h4 className="text-xs font-semibold text-blue-300">Ropes</h4>
+      <p className="text-xs text-gray-400">
+        Double-click to tie one end to a platform, the worm start or the world, then double-click again for the other end.
+        Hold Shift on the second double-click to leave the end hanging free. Double-click a rope to remove it.
+        The worm can grab ropes, and fire burns through them.
+      </p>
+
+      {ropes.map((rope, index) => (
+        <div key={rope.id} className="p-1 bg-gray-800 rounded space-y-1">
+          <div className="text-xs">
+            <span className="font-semibold">R{index + 1}</span>
+            <span className="text-gray-400"> {describeEnd(rope.bodyA, rope.pointA)} → {describeEnd(rope.bodyB, rope.pointB)}</span>
+          </div>
+          <div className="grid grid-cols-3 gap-1 items-end">
+            <div>
+              <label className="block text-[10px] text-gray-400">Length</label>
+              <input
+                type="number"
+                min="20"
+                step="20"
+                placeholder="auto"
+                value={rope.length !== undefined ? Math.round(rope.length) : ''}
+                onChange={(e) => onRopeChange(index, { length: e.target.value ? Math.max(20, parseInt(e.target.value) || 20) : null })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-[10px] text-gray-400">Style</label>
+              <select
+                value={rope.style ?? 'rope'}
+                onChange={(e) => onRopeChange(index, { style: e.target.value })}
+                className={inputClass}
+              >
+                <option value="rope">Rope</option>
+                <option value="chain">Chain</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-[10px] text-gray-400">Color</label>
+              <input
+                type="color"
+                value={rope.color ?? (rope.style === 'chain' ? '#90a4ae' : '#8d6e63')}
+                onChange={(e) => onRopeChange(index, { color: e.target.value })}
+                className="w-full h-5 bg-gray-700 border border-gray-600 rounded"
+              />
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <p className="text-[10px] text-gray-500">Chains are heavier and don't stretch.</p>
+    </div>
+  );
+}
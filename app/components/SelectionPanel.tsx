@@ -0,0 +1,195 @@
+import { useState } from "react";
+import { LayerSelect, type MapLayer } from "./LayersPanel";
+
+// Shared properties and group commands for a multi-selection (see MapEditor.getSelectionSummary)
+
+export interface SelectionSummary {
+  count: number;
+  platforms: number;
+  stickers: number;
+  constraints: number;
+  // Layer of the selected platforms and stickers; null when they differ
+  layer: string | null;
+  // Values every selected platform shares; null when they differ
+  common: {
+    platformType: string | null;
+    color: string | null;
+    friction: number | null;
+    frictionStatic: number | null;
+    restitution: number | null;
+  } | null;
+}
+
+const PLATFORM_TYPES: Record<string, string> = {
+  standard: 'Standard',
+  ice: 'Ice',
+  bouncy: 'Bouncy',
+  electric: 'Electric',
+  fire: 'Fire',
+  blackhole: 'Black Hole',
+  water: 'Water',
+  waterfall: 'Waterfall',
+  crumble: 'Crumble',
+  conveyor: 'Conveyor',
+  wind: 'Wind'
+};
+
+const PHYSICS_FIELDS: { key: 'friction' | 'frictionStatic' | 'restitution'; label: string }[] = [
+  { key: 'friction', label: 'Friction' },
+  { key: 'frictionStatic', label: 'Static Friction' },
+  { key: 'restitution', label: 'Restitution' }
+];
+
+const ALIGN_COMMANDS = [
+  { edge: 'left', label: 'Left' },
+  { edge: 'center', label: 'Center' },
+  { edge: 'right', label: 'Right' },
+  { edge: 'top', label: 'Top' },
+  { edge: 'middle', label: 'Middle' },
+  { edge: 'bottom', label: 'Bottom' }
+];
+
+const inputClass = "w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs";
+const buttonClass = "px-1 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors";
+
+interface SelectionPanelProps {
+  selection: SelectionSummary;
+  layers?: MapLayer[];
+  onPropertyChange: (property: string, value: any) => void;
+  onCommand: (command: string, arg?: string | number) => void;
+}
+
+export default function SelectionPanel({ selection, layers, onPropertyChange, onCommand }: SelectionPanelProps) {
+  const { common } = selection;
+  const [prefabName, setPrefabName] = useState('');
+  const parts = [
+    selection.platforms && `${selection.platforms} platforms`,
+    selection.stickers && `${selection.stickers} stickers`,
+    selection.constraints && `${selection.constraints} constraints`
+  ].filter(Boolean);
+
+  return (
+    <div className="space-y-2">
+      <div className="text-xs font-semibold text-blue-300">
+        {selection.count} selected
+        <span className="ml-1 font-normal text-gray-400">({parts.join(', ')})</span>
+      </div>
+
+      {layers && selection.platforms + selection.stickers > 0 && (
+        <LayerSelect layers={layers} value={selection.layer} onChange={(layerId) => onPropertyChange('layer', layerId)} />
+      )}
+
+      {common && (
+        <div className="space-y-2">
+          <div className="grid grid-cols-2 gap-1">
+            <div>
+              <label className="block text-xs text-gray-400">Type</label>
+              <select
+                value={common.platformType ?? ''}
+                onChange={(e) => onPropertyChange('platformType', e.target.value)}
+                className={inputClass}
+              >
+                {common.platformType === null && <option value="">Mixed</option>}
+                {Object.entries(PLATFORM_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400">Color{common.color === null && ' (mixed)'}</label>
+              <input
+                type="color"
+                value={common.color ?? '#666666'}
+                onChange={(e) => onPropertyChange('color', e.target.value)}
+                className="w-full h-6 bg-gray-700 border border-gray-600 rounded"
+              />
+            </div>
+          </div>
+
+          {PHYSICS_FIELDS.map(({ key, label }) => (
+            <div key={key}>
+              <label className="block text-xs text-gray-400">
+                {label}: {common[key] === null ? 'mixed' : (common[key] ?? 0).toFixed(1)}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="2"
+                step="0.1"
+                value={common[key] ?? 0}
+                onChange={(e) => onPropertyChange(key, parseFloat(e.target.value))}
+                className="w-full h-4"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="border-t border-gray-700 pt-2">
+        <h4 className="text-xs font-semibold text-blue-300 mb-1">Align</h4>
+        <div className="grid grid-cols-3 gap-1">
+          {ALIGN_COMMANDS.map(({ edge, label }) => (
+            <button key={edge} onClick={() => onCommand('align', edge)} className={buttonClass}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-xs font-semibold text-blue-300 mb-1">Distribute</h4>
+        <div className="grid grid-cols-2 gap-1">
+          <button onClick={() => onCommand('distribute', 'horizontal')} className={buttonClass}>
+            Horizontally
+          </button>
+          <button onClick={() => onCommand('distribute', 'vertical')} className={buttonClass}>
+            Vertically
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-xs font-semibold text-blue-300 mb-1">Rotate around center</h4>
+        <div className="grid grid-cols-4 gap-1">
+          {[-90, -15, 15, 90].map(degrees => (
+            <button key={degrees} onClick={() => onCommand('rotate', degrees)} className={buttonClass}>
+              {degrees > 0 ? '+' : ''}{degrees}°
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-1 border-t border-gray-700 pt-2">
+        <button onClick={() => onCommand('duplicate')} className={buttonClass}>
+          Duplicate (Ctrl+D)
+        </button>
+        <button onClick={() => onCommand('delete')} className="px-1 py-0.5 bg-red-700 hover:bg-red-600 rounded text-xs transition-colors">
+          Delete
+        </button>
+      </div>
+
+      <div className="border-t border-gray-700 pt-2">
+        <h4 className="text-xs font-semibold text-blue-300 mb-1">Save as Prefab</h4>
+        <input
+          type="text"
+          value={prefabName}
+          onChange={(e) => setPrefabName(e.target.value)}
+          placeholder="Prefab name, e.g. Pendulum"
+          className={inputClass}
+        />
+        <div className="grid grid-cols-2 gap-1 mt-1">
+          <button onClick={() => onCommand('savePrefab', prefabName)} disabled={!prefabName.trim()} className={buttonClass}>
+            Save to Map
+          </button>
+          <button onClick={() => onCommand('savePrefabToLibrary', prefabName)} disabled={!prefabName.trim()} className={buttonClass}>
+            Map + Library
+          </button>
+        </div>
+      </div>
+
+      <div className="text-[10px] text-gray-500">
+        Shift-click to add or remove items. Drag on empty space to box select. Drag any selected item to move the group.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,410 @@
+// Editor for a map's `signals` block (see src/systems/SignalSystem.js)
+
+export interface SignalNode {
+  id: string;
+  type: string;
+  switchId?: string;
+  goal?: number;
+  x?: number;
+  y?: number;
+  width?: number;
+  height?: number;
+  inputs?: string[];
+  reset?: string;
+  delay?: number;
+}
+
+export interface SignalTarget {
+  signal: string;
+  action: string;
+  platform?: string | number;
+  sticker?: string;
+  value?: string;
+  invert?: boolean;
+}
+
+export interface Signals {
+  nodes: SignalNode[];
+  targets: SignalTarget[];
+}
+
+export interface SignalEndpoints {
+  platforms: { id: string | number; platformType: string }[];
+  stickers: string[];
+  switchIds: string[];
+  goalCount: number;
+}
+
+const NODE_TYPES: Record<string, string> = {
+  switch: 'Switch',
+  goal: 'Goal collected',
+  zone: 'Trigger zone',
+  and: 'AND',
+  or: 'OR',
+  not: 'NOT',
+  delay: 'Delay',
+  latch: 'Latch'
+};
+
+const ACTIONS: Record<string, string> = {
+  motion: 'Run motion',
+  enable: 'Enable platform',
+  platformType: 'Change type',
+  open: 'Open door',
+  reverse: 'Reverse conveyor',
+  sticker: 'Show sticker'
+};
+
+const TARGET_TYPES = ['standard', 'ice', 'bouncy', 'electric', 'fire', 'blackhole', 'water', 'waterfall', 'crumble', 'conveyor', 'wind'];
+
+const inputClass = "w-full px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs";
+
+interface SignalsPanelProps {
+  signals: Signals | null;
+  endpoints: SignalEndpoints | null;
+  mapDimensions: { width: number; height: number };
+  onSignalsChange: (signals: Signals) => void;
+}
+
+export default function SignalsPanel({ signals, endpoints, mapDimensions, onSignalsChange }: SignalsPanelProps) {
+  const nodes = signals?.nodes || [];
+  const targets = signals?.targets || [];
+  const nodeIds = nodes.map(node => node.id);
+
+  const setNodes = (next: SignalNode[]) => onSignalsChange({ nodes: next, targets });
+  const setTargets = (next: SignalTarget[]) => onSignalsChange({ nodes, targets: next });
+
+  const updateNode = (index: number, changes: Partial<SignalNode>) => {
+    setNodes(nodes.map((node, i) => (i === index ? { ...node, ...changes } : node)));
+  };
+
+  const updateTarget = (index: number, changes: Partial<SignalTarget>) => {
+    setTargets(targets.map((target, i) => (i === index ? { ...target, ...changes } : target)));
+  };
+
+  // Renaming a node rewires everything that referenced it
+  const renameNode = (index: number, id: string) => {
+    const previous = nodes[index].id;
+    const rename = (ref?: string) => (ref === previous ? id : ref);
+    onSignalsChange({
+      nodes: nodes.map((node, i) => ({
+        ...node,
+        id: i === index ? id : node.id,
+        ...(node.inputs ? { inputs: node.inputs.map(input => rename(input) as string) } : {}),
+        ...(node.reset ? { reset: rename(node.reset) } : {})
+      })),
+      targets: targets.map(target => ({ ...target, signal: rename(target.signal) as string }))
+    });
+  };
+
+  // Keep only the fields the new type uses
+  const changeNodeType = (index: number, type: string) => {
+    const { id } = nodes[index];
+    const defaults: Record<string, Partial<SignalNode>> = {
+      switch: { switchId: endpoints?.switchIds[0] || 'red' },
+      goal: { goal: 0 },
+      zone: { x: Math.round(mapDimensions.width / 2), y: Math.round(mapDimensions.height / 2), width: 192, height: 192 },
+      and: { inputs: [] },
+      or: { inputs: [] },
+      not: { inputs: [] },
+      delay: { inputs: [], delay: 1000 },
+      latch: { inputs: [] }
+    };
+    setNodes(nodes.map((node, i) => (i === index ? { id, type, ...defaults[type] } : node)));
+  };
+
+  const addNode = () => {
+    let count = nodes.length + 1;
+    while (nodeIds.includes(`signal_${count}`)) count++;
+    setNodes([...nodes, { id: `signal_${count}`, type: 'switch', switchId: endpoints?.switchIds[0] || 'red' }]);
+  };
+
+  // Removing a node unwires it from gates and drops the targets it drove
+  const removeNode = (index: number) => {
+    const { id } = nodes[index];
+    onSignalsChange({
+      nodes: nodes
+        .filter((_, i) => i !== index)
+        .map(node => ({
+          ...node,
+          ...(node.inputs ? { inputs: node.inputs.filter(input => input !== id) } : {}),
+          ...(node.reset === id ? { reset: undefined } : {})
+        })),
+      targets: targets.filter(target => target.signal !== id)
+    });
+  };
+
+  // Switching between sticker and platform actions swaps the reference field
+  const changeTargetAction = (index: number, action: string) => {
+    const previous = targets[index];
+    const next: SignalTarget = { signal: previous.signal, action, ...(previous.invert ? { invert: true } : {}) };
+    if (action === 'sticker') {
+      next.sticker = previous.sticker || endpoints?.stickers[0];
+    } else {
+      next.platform = previous.platform ?? endpoints?.platforms[0]?.id;
+    }
+    if (action === 'platformType') {
+      next.value = previous.value || 'ice';
+    }
+    setTargets(targets.map((target, i) => (i === index ? next : target)));
+  };
+
+  const addTarget = () => {
+    setTargets([...targets, {
+      signal: nodeIds[0] || '',
+      action: 'motion',
+      platform: endpoints?.platforms[0]?.id
+    }]);
+  };
+
+  const numberField = (index: number, key: 'x' | 'y' | 'width' | 'height', label: string) => (
+    <div key={key}>
+      <label className="block text-xs text-gray-400">{label}</label>
+      <input
+        type="number"
+        value={nodes[index][key] ?? 0}
+        onChange={(e) => updateNode(index, { [key]: parseInt(e.target.value) || 0 })}
+        className={inputClass}
+      />
+    </div>
+  );
+
+  const inputSelect = (value: string | undefined, exclude: string, onChange: (id: string) => void, allowNone = false) => (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+      <option value="" disabled={!allowNone}>{allowNone ? 'None' : 'Choose signal'}</option>
+      {nodeIds.filter(id => id !== exclude).map(id => (
+        <option key={id} value={id}>{id}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <h4 className="text-xs font-semibold text-blue-300">Signals</h4>
+          <button onClick={addNode} className="px-2 py-0.5 bg-blue-600 hover:bg-blue-700 rounded text-xs">
+            Add Signal
+          </button>
+        </div>
+
+        {nodes.length === 0 && (
+          <p className="text-xs text-gray-500">Signals turn on from switches, collected goals and trigger zones, and can be combined with gates.</p>
+        )}
+
+        <div className="space-y-2">
+          {nodes.map((node, index) => (
+            <div key={index} className="p-1 bg-gray-900 rounded space-y-1">
+              <div className="grid grid-cols-2 gap-1">
+                <input
+                  value={node.id}
+                  onChange={(e) => renameNode(index, e.target.value)}
+                  className={inputClass}
+                />
+                <select
+                  value={node.type}
+                  onChange={(e) => changeNodeType(index, e.target.value)}
+                  className={inputClass}
+                >
+                  {Object.entries(NODE_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {node.type === 'switch' && (
+                <div>
+                  <label className="block text-xs text-gray-400">Switch ID</label>
+                  <input
+                    list="signal-switch-ids"
+                    value={node.switchId || ''}
+                    onChange={(e) => updateNode(index, { switchId: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              )}
+
+              {node.type === 'goal' && (
+                <div>
+                  <label className="block text-xs text-gray-400">Goal #</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max={endpoints?.goalCount || 1}
+                    value={(node.goal || 0) + 1}
+                    onChange={(e) => updateNode(index, { goal: Math.max(0, (parseInt(e.target.value) || 1) - 1) })}
+                    className={inputClass}
+                  />
+                </div>
+              )}
+
+              {node.type === 'zone' && (
+                <div className="grid grid-cols-4 gap-1">
+                  {numberField(index, 'x', 'X')}
+                  {numberField(index, 'y', 'Y')}
+                  {numberField(index, 'width', 'W')}
+                  {numberField(index, 'height', 'H')}
+                </div>
+              )}
+
+              {(node.type === 'and' || node.type === 'or') && (
+                <div>
+                  <label className="block text-xs text-gray-400">Inputs</label>
+                  <div className="flex flex-wrap gap-1">
+                    {nodeIds.filter(id => id !== node.id).map(id => (
+                      <label key={id} className="flex items-center text-xs">
+                        <input
+                          type="checkbox"
+                          checked={node.inputs?.includes(id) || false}
+                          onChange={(e) => updateNode(index, {
+                            inputs: e.target.checked
+                              ? [...(node.inputs || []), id]
+                              : (node.inputs || []).filter(input => input !== id)
+                          })}
+                          className="mr-1"
+                        />
+                        {id}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {(node.type === 'not' || node.type === 'delay' || node.type === 'latch') && (
+                <div>
+                  <label className="block text-xs text-gray-400">Input</label>
+                  {inputSelect(node.inputs?.[0], node.id, id => updateNode(index, { inputs: [id] }))}
+                </div>
+              )}
+
+              {node.type === 'delay' && (
+                <div>
+                  <label className="block text-xs text-gray-400">Delay (ms)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={node.delay || 0}
+                    onChange={(e) => updateNode(index, { delay: Math.max(0, parseInt(e.target.value) || 0) })}
+                    className={inputClass}
+                  />
+                </div>
+              )}
+
+              {node.type === 'latch' && (
+                <div>
+                  <label className="block text-xs text-gray-400">Reset</label>
+                  {inputSelect(node.reset, node.id, id => updateNode(index, { reset: id || undefined }), true)}
+                </div>
+              )}
+
+              <button
+                onClick={() => removeNode(index)}
+                className="text-xs text-red-400 hover:text-red-300"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="border-t border-gray-700 pt-2">
+        <div className="flex items-center justify-between mb-1">
+          <h4 className="text-xs font-semibold text-blue-300">Targets</h4>
+          <button
+            onClick={addTarget}
+            disabled={nodes.length === 0}
+            className="px-2 py-0.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded text-xs"
+          >
+            Add Target
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          {targets.map((target, index) => (
+            <div key={index} className="p-1 bg-gray-900 rounded space-y-1">
+              <div className="grid grid-cols-2 gap-1">
+                {inputSelect(target.signal, '', id => updateTarget(index, { signal: id }))}
+                <select
+                  value={target.action}
+                  onChange={(e) => changeTargetAction(index, e.target.value)}
+                  className={inputClass}
+                >
+                  {Object.entries(ACTIONS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {target.action === 'sticker' ? (
+                <select
+                  value={target.sticker || ''}
+                  onChange={(e) => updateTarget(index, { sticker: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="" disabled>Choose sticker</option>
+                  {(endpoints?.stickers || []).map(id => (
+                    <option key={id} value={id}>{id}</option>
+                  ))}
+                </select>
+              ) : (
+                <select
+                  value={target.platform ?? ''}
+                  onChange={(e) => {
+                    const platform = endpoints?.platforms.find(p => String(p.id) === e.target.value);
+                    updateTarget(index, { platform: platform ? platform.id : e.target.value });
+                  }}
+                  className={inputClass}
+                >
+                  <option value="" disabled>Choose platform</option>
+                  {(endpoints?.platforms || []).map(p => (
+                    <option key={p.id} value={p.id}>{p.id} ({p.platformType})</option>
+                  ))}
+                </select>
+              )}
+
+              {target.action === 'platformType' && (
+                <select
+                  value={target.value || 'standard'}
+                  onChange={(e) => updateTarget(index, { value: e.target.value })}
+                  className={inputClass}
+                >
+                  {TARGET_TYPES.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              )}
+
+              <div className="flex items-center justify-between">
+                <label className="flex items-center text-xs text-gray-400">
+                  <input
+                    type="checkbox"
+                    checked={target.invert || false}
+                    onChange={(e) => updateTarget(index, { invert: e.target.checked || undefined })}
+                    className="mr-1"
+                  />
+                  Invert (apply while off)
+                </label>
+                <button
+                  onClick={() => setTargets(targets.filter((_, i) => i !== index))}
+                  className="text-xs text-red-400 hover:text-red-300"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <p className="text-xs text-gray-500 mt-1">Targets start in their off state: motion paused, platform disabled, original type, door closed, sticker hidden.</p>
+      </div>
+
+      <datalist id="signal-switch-ids">
+        {(endpoints?.switchIds || []).map(id => (
+          <option key={id} value={id} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+// Snapping options for the Map tab (see MapEditor.getSnapSettings)
+
+export interface SnapSettings {
+  gridSize: number;
+  // Degrees per step of the rotation handle; 0 rotates freely
+  angleStep: number;
+  // Pull onto the corners and edges of other platforms
+  platforms: boolean;
+}
+
+const GRID_SIZES = [6, 12, 24, 48, 96];
+const ANGLE_STEPS = [0, 1, 5, 15, 45];
+
+interface SnapPanelProps {
+  gridSnapEnabled: boolean;
+  snapSettings: SnapSettings;
+  onGridSnapChange: (enabled: boolean) => void;
+  onSnapSettingsChange: (settings: SnapSettings) => void;
+}
+
+export default function SnapPanel({ gridSnapEnabled, snapSettings, onGridSnapChange, onSnapSettingsChange }: SnapPanelProps) {
+  return (
+    <div className="mt-2 space-y-1">
+      <div className="flex items-center gap-1">
+        <label className="flex items-center text-xs flex-1">
+          <input
+            type="checkbox"
+            checked={gridSnapEnabled}
+            onChange={(e) => onGridSnapChange(e.target.checked)}
+            className="mr-1"
+          />
+          Snap to Grid
+        </label>
+        <select
+          value={snapSettings.gridSize}
+          disabled={!gridSnapEnabled}
+          onChange={(e) => onSnapSettingsChange({ ...snapSettings, gridSize: parseInt(e.target.value) })}
+          className="px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs disabled:opacity-50"
+        >
+          {GRID_SIZES.map(size => (
+            <option key={size} value={size}>{size}px</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-1">
+        <label className="text-xs flex-1">Rotation steps</label>
+        <select
+          value={snapSettings.angleStep}
+          onChange={(e) => onSnapSettingsChange({ ...snapSettings, angleStep: parseInt(e.target.value) })}
+          className="px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs"
+        >
+          {ANGLE_STEPS.map(step => (
+            <option key={step} value={step}>{step === 0 ? 'Free' : `${step}°`}</option>
+          ))}
+        </select>
+      </div>
+
+      <label className="flex items-center text-xs">
+        <input
+          type="checkbox"
+          checked={snapSettings.platforms}
+          onChange={(e) => onSnapSettingsChange({ ...snapSettings, platforms: e.target.checked })}
+          className="mr-1"
+        />
+        Snap to platform corners and edges
+      </label>
+      <p className="text-[10px] text-gray-500">Hold Shift while rotating to turn freely.</p>
+    </div>
+  );
+}
@@ -383,17 +383,20 @@ export default class GameScene extends JsonMapBase {
      */
     checkWormFallOff() {
         if (!this.worm || !this.worm.segments || this.victoryAchieved) {
-            return;
+            return false;
         }
         
         const fallThreshold = this.levelHeight + 100;
         
         for (let segment of this.worm.segments) {
             if (segment.position.y > fallThreshold) {
-                this.handleRestart('fell_off_map');
-                return;
+                if (!this.respawnAtCheckpoint('fell_off_map')) {
+                    this.handleRestart('fell_off_map');
+                }
+                return true;
             }
         }
+        return false;
     }
 
     /**
@@ -0,0 +1,46 @@
+import type { LoaderFunctionArgs } from "@remix-run/node";
+import { json } from "@remix-run/node";
+import { join } from "path";
+import { listRevisions, readLevelFile, readRevision } from "~/.server/mapRevisions";
+import { migrateMap } from "/src/services/MapMigrations";
+
+// GET /api/maps/{filename}/history lists the saved revisions of a map;
+// add ?revision={id} to get that version's map data
+export async function loader({ request, params }: LoaderFunctionArgs) {
+  const { filename } = params;
+  
+  if (!filename) {
+    throw new Response("Filename is required", { status: 400 });
+  }
+  
+  const decodedPath = decodeURIComponent(filename);
+  const fileWithExt = decodedPath.endsWith('.json') ? decodedPath : `${decodedPath}.json`;
+  const revision = new URL(request.url).searchParams.get("revision");
+  
+  try {
+    if (revision) {
+      const saved = await readRevision(fileWithExt, revision);
+      if (!saved) {
+        return json({ error: "Revision not found" }, { status: 404 });
+      }
+      
+      return json({
+        filename: decodedPath,
+        revision: saved.revision,
+        savedAt: saved.savedAt,
+        mapData: migrateMap(JSON.parse(saved.content)).mapData
+      });
+    }
+    
+    const current = await readLevelFile(join(process.cwd(), "levels", fileWithExt));
+    
+    return json({
+      filename: decodedPath,
+      current: current?.revision || null,
+      revisions: await listRevisions(fileWithExt)
+    });
+  } catch (error) {
+    console.error(`Failed to read history of map ${decodedPath}:`, error);
+    return json({ error: "Failed to read map history" }, { status: 500 });
+  }
+}
@@ -1,9 +1,12 @@
 import type { LoaderFunctionArgs, ActionFunctionArgs } from "@remix-run/node";
 import { json } from "@remix-run/node";
-import { readFile, writeFile, mkdir } from "fs/promises";
+import { writeFile, mkdir } from "fs/promises";
 import { join, dirname } from "path";
 import { existsSync } from "fs";
+import { archiveRevision, getRevision, readLevelFile, withFileLock } from "~/.server/mapRevisions";
 import { loadMapDataSync } from "/src/scenes/maps/MapDataRegistry";
+import { validateMap } from "/src/services/MapValidator";
+import { migrateMap } from "/src/services/MapMigrations";
 
 export async function loader({ params }: LoaderFunctionArgs) {
   const { filename } = params;
@@ -34,22 +37,28 @@ export async function loader({ params }: LoaderFunctionArgs) {
     });
   }
   
-  // If not in registry, try loading JSON file directly (backwards compatibility)
+  // If not in registry, try loading JSON file directly from levels/
   // Ensure filename has .json extension
   const fileWithExt = decodedPath.endsWith('.json') ? decodedPath : `${decodedPath}.json`;
-  
-  // Support both old path (src/scenes/maps/data) and new path (levels)
-  const newPath = join(process.cwd(), "levels", fileWithExt);
-  const oldPath = join(process.cwd(), "src", "scenes", "maps", "data", fileWithExt);
-  
-  // Try new path first, then fall back to old path
-  let mapPath = existsSync(newPath) ? newPath : oldPath;
+  const mapPath = join(process.cwd(), "levels", fileWithExt);
   
   try {
-    const content = await readFile(mapPath, 'utf-8');
-    const mapData = JSON.parse(content);
+    const file = await readLevelFile(mapPath);
+    if (!file) {
+      return json({ error: "Map not found" }, { status: 404 });
+    }
     
-    return json({ mapData, filename: decodedPath });
+    // Older formats are upgraded on the way out; saving writes the upgraded
+    // shape back, so opening a map in the editor and saving migrates it
+    const { mapData, fromVersion, applied } = migrateMap(JSON.parse(file.content));
+    
+    // Saves must send this revision back (see action)
+    return json({
+      mapData,
+      filename: decodedPath,
+      revision: file.revision,
+      ...(applied.length > 0 && { migratedFrom: fromVersion, migrations: applied })
+    });
   } catch (error) {
     console.error(`Failed to load map ${decodedPath}:`, error);
     return json({ error: "Map not found" }, { status: 404 });
@@ -84,19 +93,53 @@ export async function action({ request, params }: ActionFunctionArgs) {
       throw new Response("Invalid map data", { status: 400 });
     }
     
-    // Validate JSON
-    const mapData = JSON.parse(mapDataString);
+    // Validate JSON, upgrading maps created by older editors or by hand
+    const { mapData } = migrateMap(JSON.parse(mapDataString));
     
-    // Ensure directory exists
-    const dir = dirname(mapPath);
-    if (!existsSync(dir)) {
-      await mkdir(dir, { recursive: true });
+    // Validate against the level schema before anything touches disk
+    const validation = validateMap(mapData);
+    if (!validation.valid) {
+      return json({
+        error: `Map failed validation (${validation.errors.length} error${validation.errors.length === 1 ? '' : 's'})`,
+        errors: validation.errors,
+        warnings: validation.warnings
+      }, { status: 400 });
     }
     
-    // Write the file with pretty formatting
-    await writeFile(mapPath, JSON.stringify(mapData, null, 2), 'utf-8');
+    // The revision the editor loaded. Saving over a file requires it, so
+    // whoever saves second is told about the conflict instead of clobbering
+    const baseRevision = formData.get("revision");
     
-    return json({ success: true, filename: decodedPath });
+    return await withFileLock(mapPath, async () => {
+      const current = await readLevelFile(mapPath);
+      if (current && baseRevision !== current.revision) {
+        return json({
+          error: baseRevision ? "Map was changed by someone else" : "Map already exists",
+          conflict: true,
+          revision: current.revision,
+          modified: current.modified,
+          mapData: migrateMap(JSON.parse(current.content)).mapData
+        }, { status: 409 });
+      }
+      
+      // Ensure directory exists
+      const dir = dirname(mapPath);
+      if (!existsSync(dir)) {
+        await mkdir(dir, { recursive: true });
+      }
+      
+      // Keep the version being replaced too, in case it was edited outside the API
+      if (current) {
+        await archiveRevision(fileWithExt, current.content);
+      }
+      
+      // Write the file with pretty formatting
+      const content = JSON.stringify(mapData, null, 2);
+      await writeFile(mapPath, content, 'utf-8');
+      await archiveRevision(fileWithExt, content);
+      
+      return json({ success: true, filename: decodedPath, revision: getRevision(content), warnings: validation.warnings });
+    });
   } catch (error) {
     console.error(`Failed to save map ${decodedPath}:`, error);
     if (error instanceof SyntaxError) {
@@ -8,6 +8,7 @@ interface MapInfo {
   filename: string;
   category: string;
   categoryOrder: string;
+  order: number;
   title: string;
   difficulty: number;
   lastModified: string;
@@ -37,6 +38,7 @@ export async function loader({ request }: LoaderFunctionArgs) {
           filename: map.key,
           category: category.name,
           categoryOrder: category.order.toString().padStart(3, '0'),
+          order: map.order,
           title: map.title,
           difficulty: map.difficulty,
           lastModified: new Date().toISOString(), // Build-time processed, so use current time
@@ -1,10 +1,35 @@
 import { Link, useParams } from "@remix-run/react";
 import { useRef, useEffect, useState } from "react";
 import PropertyPanel from "~/components/PropertyPanel";
+import type { Signals } from "~/components/SignalsPanel";
+import type { SelectionSummary } from "~/components/SelectionPanel";
+import type { PrefabInfo, PrefabInstanceInfo } from "~/components/PrefabPanel";
+import type { MapChange } from "~/components/HistoryPanel";
+import type { SnapSettings } from "~/components/SnapPanel";
+import type { LayerState } from "~/components/LayersPanel";
+import type { Portal } from "~/components/PortalsPanel";
+import type { Rope } from "~/components/RopesPanel";
+
+// Set when the API upgraded the map from an older format on load
+interface MapMigration {
+  fromVersion: number;
+  steps: string[];
+}
+
+interface SaveStatus {
+  state: string;
+  message?: string;
+  error?: string;
+  errors?: string[];
+  conflict?: { revision: string; modified?: string; changes: MapChange[] };
+}
 
 // Client-only map editor component
-function MapEditorClient({ mapData, filename }: { mapData: any, filename: string }) {
-  const [saveStatus, setSaveStatus] = useState<{ state: string; message?: string; error?: string }>({ state: 'idle' });
+function MapEditorClient({ mapData, filename, migration, revision }: { mapData: any, filename: string, migration: MapMigration | null, revision: string | null }) {
+  const [pendingMigration, setPendingMigration] = useState<MapMigration | null>(migration);
+  const [saveStatus, setSaveStatus] = useState<SaveStatus>({ state: 'idle' });
+  // Server revision the editor's changes start from; saves send it back
+  const [currentRevision, setCurrentRevision] = useState<string | null>(revision);
   const [gameLoaded, setGameLoaded] = useState(false);
   const [error, setError] = useState<string | null>(null);
   
@@ -22,8 +47,16 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
   
   const [selectedTool, setSelectedTool] = useState('rectangle');
   const [gridSnapEnabled, setGridSnapEnabled] = useState(true);
+  const [snapSettings, setSnapSettings] = useState<SnapSettings>({ gridSize: 12, angleStep: 5, platforms: true });
   const [selectedPlatform, setSelectedPlatform] = useState<any>(null);
+  const [selection, setSelection] = useState<SelectionSummary | null>(null);
+  const [prefabs, setPrefabs] = useState<PrefabInfo[]>([]);
+  const [selectedPrefabInstance, setSelectedPrefabInstance] = useState<PrefabInstanceInfo | null>(null);
   const [selectedConstraint, setSelectedConstraint] = useState<any>(null);
+  const [signals, setSignals] = useState<Signals | null>(mapData?.signals || null);
+  const [layerState, setLayerState] = useState<LayerState | null>(null);
+  const [portals, setPortals] = useState<Portal[]>(mapData?.entities?.portals || []);
+  const [ropes, setRopes] = useState<Rope[]>(mapData?.ropes || []);
   
   const [toolSettings, setToolSettings] = useState({
     platformType: 'standard',
@@ -35,7 +68,7 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
     trapezoidSlope: 0.5,
     // Motion settings
     motionEnabled: false,
-    motionType: 'horizontal' as 'horizontal' | 'vertical',
+    motionType: 'horizontal' as 'horizontal' | 'vertical' | 'waypoints',
     motionDistance: 300,
     motionSpeed: 60,
     // Sticker settings
@@ -47,7 +80,9 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
     constraintStiffness: 0.8,
     constraintDamping: 0.2,
     constraintLength: null,
-    constraintRender: true
+    constraintRender: true,
+    // Prefab tool
+    prefab: ''
   });
 
   useEffect(() => {
@@ -58,15 +93,23 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
         onGridSnapChange: setGridSnapEnabled,
         onPlatformSelect: setSelectedPlatform,
         onConstraintSelected: setSelectedConstraint,
+        onSelectionChange: setSelection,
+        onPrefabsChange: setPrefabs,
+        onPrefabInstanceSelect: setSelectedPrefabInstance,
         onToolSettingsChange: setToolSettings,
+        onSignalsChange: setSignals,
+        onLayersChange: setLayerState,
+        onPortalsChange: setPortals,
+        onRopesChange: setRopes,
         mapMetadata,
         mapDimensions,
         selectedTool,
         gridSnapEnabled,
+        snapSettings,
         toolSettings
       };
     }
-  }, [mapMetadata, mapDimensions, selectedTool, gridSnapEnabled, toolSettings]);
+  }, [mapMetadata, mapDimensions, selectedTool, gridSnapEnabled, snapSettings, toolSettings]);
 
   // Update toolSettings when a platform is selected
   useEffect(() => {
@@ -114,11 +157,19 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
           onToolChange: setSelectedTool,
           onGridSnapChange: setGridSnapEnabled,
           onPlatformSelect: setSelectedPlatform,
+          onSelectionChange: setSelection,
+          onPrefabsChange: setPrefabs,
+          onPrefabInstanceSelect: setSelectedPrefabInstance,
           onToolSettingsChange: setToolSettings,
+          onSignalsChange: setSignals,
+          onLayersChange: setLayerState,
+          onPortalsChange: setPortals,
+          onRopesChange: setRopes,
           mapMetadata,
           mapDimensions,
           selectedTool,
           gridSnapEnabled,
+          snapSettings,
           toolSettings
         };
         
@@ -143,6 +194,8 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
 
         // Store map data globally for the MapEditor to access
         (window as any).serverMapData = mapData;
+        (window as any).serverMapFilename = filename;
+        (window as any).serverMapRevision = revision;
         
         // Also ensure the window object is available before game creation
         console.log('Setting server map data:', mapData);
@@ -153,42 +206,30 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
         // Store game reference globally for property updates
         (window as any).game = game;
 
-        // Set up save functionality (POST to API)
-        const handleSave = async () => {
+        // Set up save functionality (MapEditor.saveToServer POSTs to the API)
+        const handleSave = async (options?: { overwrite?: boolean }) => {
           const scene = game.scene.getScene('MapEditor') as any;
-          if (scene && scene.mapData) {
-            // Update map data with current state (like the editor does)
-            scene.mapData.entities = scene.entities;
-            scene.mapData.platforms = scene.platforms.map((p: any) => p.data);
-            scene.mapData.metadata.modified = new Date().toISOString();
-            
-            const currentMapData = scene.mapData;
-            
-            setSaveStatus({ state: 'submitting' });
-            
-            try {
-              // Submit to API endpoint
-              const formData = new FormData();
-              formData.append("mapData", JSON.stringify(currentMapData));
-              
-              const response = await fetch(`/api/maps/${encodeURIComponent(filename)}`, {
-                method: 'POST',
-                body: formData
-              });
-              
-              const result = await response.json();
-              
-              if (result.success) {
-                setSaveStatus({ state: 'success', message: result.message });
-                setTimeout(() => setSaveStatus({ state: 'idle' }), 3000);
-              } else {
-                setSaveStatus({ state: 'error', error: result.error });
-                setTimeout(() => setSaveStatus({ state: 'idle' }), 5000);
-              }
-            } catch (error) {
-              setSaveStatus({ state: 'error', error: 'Failed to save map' });
-              setTimeout(() => setSaveStatus({ state: 'idle' }), 5000);
-            }
+          if (!scene || !scene.mapData) return;
+          
+          setSaveStatus({ state: 'submitting' });
+          const result = await scene.saveToServer(options);
+          
+          if (result.state === 'saved') {
+            setPendingMigration(null);
+            setCurrentRevision(result.revision);
+            setSaveStatus({ state: 'success' });
+            setTimeout(() => setSaveStatus({ state: 'idle' }), 3000);
+          } else if (result.state === 'conflict' || result.errors) {
+            // Conflicts and validation errors stay up until the next save
+            setSaveStatus({
+              state: result.state === 'conflict' ? 'conflict' : 'error',
+              error: result.error,
+              errors: result.errors,
+              conflict: result.conflict
+            });
+          } else {
+            setSaveStatus({ state: 'error', error: result.error });
+            setTimeout(() => setSaveStatus({ state: 'idle' }), 5000);
           }
         };
 
@@ -265,6 +306,24 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
             position: 'relative'
           }}
         >
+          {pendingMigration && (
+            <div
+              title={pendingMigration.steps.join('\n')}
+              style={{
+                position: 'absolute',
+                top: 8,
+                left: 8,
+                zIndex: 10,
+                padding: '6px 10px',
+                background: 'rgba(0, 0, 0, 0.8)',
+                color: '#feca57',
+                fontSize: 12,
+                borderRadius: 4
+              }}
+            >
+              Upgraded from map format v{pendingMigration.fromVersion}. Save to write the new format.
+            </div>
+          )}
           <div 
             id="map-editor-container" 
             style={{ 
@@ -294,15 +353,63 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
             selectedTool={selectedTool}
             toolSettings={toolSettings}
             gridSnapEnabled={gridSnapEnabled}
+            snapSettings={snapSettings}
             selectedPlatform={selectedPlatform}
             selectedConstraint={selectedConstraint}
+            selection={selection}
+            selectedPrefabInstance={selectedPrefabInstance}
+            prefabs={prefabs}
             filename={filename}
             saveStatus={saveStatus}
+            revision={currentRevision}
+            onListRevisions={() => (window as any).game.scene.getScene('MapEditor').getRevisionHistory()}
+            onDiffRevision={(selected) => (window as any).game.scene.getScene('MapEditor').diffRevision(selected)}
+            onRestoreRevision={(selected) => (window as any).game.scene.getScene('MapEditor').restoreRevision(selected)}
+            getHeatmapState={() => {
+              const scene = (window as any).game?.scene?.getScene('MapEditor');
+              return scene ? {
+                mode: scene.heatmapMode,
+                deathReason: scene.heatmapDeathReason,
+                summary: scene.getPlaytestHeatmapSummary()
+              } : null;
+            }}
+            onShowHeatmap={(mode, options) => (window as any).game.scene.getScene('MapEditor').showPlaytestHeatmap(mode, options)}
+            onResolveConflict={(action) => {
+              const scene = (window as any).game?.scene?.getScene('MapEditor');
+              if (!scene) return;
+              if (action === 'overwrite') {
+                (window as any).saveMap({ overwrite: true });
+              } else {
+                scene.loadServerVersion();
+                setCurrentRevision(scene.serverRevision);
+                setSaveStatus({ state: 'idle' });
+              }
+            }}
+            signals={signals}
+            getSignalEndpoints={() => {
+              const scene = (window as any).game?.scene?.getScene('MapEditor');
+              return scene?.getSignalEndpoints ? scene.getSignalEndpoints() : null;
+            }}
+            onSignalsChange={(newSignals) => {
+              setSignals(newSignals);
+              const scene = (window as any).game?.scene?.getScene('MapEditor');
+              if (scene) {
+                scene.updateSignals(newSignals);
+              }
+            }}
+            layerState={layerState}
+            onLayersChange={(layers, label) => (window as any).game?.scene?.getScene('MapEditor')?.updateLayers(layers, label)}
+            onLayerFlagChange={(flag, layerId, enabled) => (window as any).game?.scene?.getScene('MapEditor')?.setLayerFlag(flag, layerId, enabled)}
+            portals={portals}
+            onPortalChange={(index, changes) => (window as any).game?.scene?.getScene('MapEditor')?.updatePortal(index, changes)}
+            ropes={ropes}
+            onRopeChange={(index, changes) => (window as any).game?.scene?.getScene('MapEditor')?.updateRope(index, changes)}
             onMapMetadataChange={setMapMetadata}
             onMapDimensionsChange={setMapDimensions}
             onToolChange={setSelectedTool}
             onToolSettingsChange={setToolSettings}
             onGridSnapChange={setGridSnapEnabled}
+            onSnapSettingsChange={setSnapSettings}
             onSaveMap={() => {
               if ((window as any).saveMap) {
                 (window as any).saveMap();
@@ -388,6 +495,30 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
               // TODO: Import JSON
               console.log('Import JSON:', file);
             }}
+            onSelectionPropertyChange={(property, value) => {
+              const scene = (window as any).game?.scene?.getScene('MapEditor');
+              if (scene) {
+                scene.updateSelectionProperty(property, value);
+              }
+            }}
+            onSelectionCommand={(command, arg) => {
+              const scene = (window as any).game?.scene?.getScene('MapEditor');
+              if (scene) {
+                scene.runSelectionCommand(command, arg);
+              }
+            }}
+            onPrefabCommand={(command, arg) => {
+              const scene = (window as any).game?.scene?.getScene('MapEditor');
+              if (scene) {
+                scene.runPrefabCommand(command, arg);
+              }
+            }}
+            onShapeCommand={(command) => {
+              const scene = (window as any).game?.scene?.getScene('MapEditor');
+              if (scene) {
+                scene.runShapeCommand(command);
+              }
+            }}
             onConstraintPropertyChange={(property, value) => {
               // Communicate with Phaser game to update constraint
               console.log('PropertyPanel: onConstraintPropertyChange called', { property, value });
@@ -411,6 +542,8 @@ function MapEditorClient({ mapData, filename }: { mapData: any, filename: string
 export default function MapEdit() {
   const { filename } = useParams();
   const [mapData, setMapData] = useState<any>(null);
+  const [migration, setMigration] = useState<MapMigration | null>(null);
+  const [revision, setRevision] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
@@ -431,6 +564,10 @@ export default function MapEdit() {
           const result = await response.json();
           if (result.mapData) {
             setMapData(result.mapData);
+            setRevision(result.revision || null);
+            if (result.migratedFrom) {
+              setMigration({ fromVersion: result.migratedFrom, steps: result.migrations || [] });
+            }
           } else {
             throw new Error('No map data received');
           }
@@ -511,7 +648,7 @@ export default function MapEdit() {
         }}
       >
         <div style={{ flex: 1 }}>
-          <MapEditorClient mapData={mapData} filename={filename || ''} />
+          <MapEditorClient mapData={mapData} filename={filename || ''} migration={migration} revision={revision} />
         </div>
       </div>
     </div>
@@ -12,6 +12,13 @@ interface MapData {
   error?: string;
 }
 
+interface ImportedPack {
+  id: string;
+  category: { name: string; displayName: string };
+  maps: unknown[];
+  importedAt: string;
+}
+
 export default function MapsIndex() {
   const [maps, setMaps] = useState<MapData[]>([]);
   const [loading, setLoading] = useState(true);
@@ -26,6 +33,8 @@ export default function MapsIndex() {
     width: 1920,
     height: 1152
   });
+  const [importedPacks, setImportedPacks] = useState<ImportedPack[]>([]);
+  const [packBusy, setPackBusy] = useState(false);
   
   // Extract unique categories from loaded maps
   const categories = Array.from(new Set(maps.map(m => m.category)))
@@ -61,8 +70,56 @@ export default function MapsIndex() {
     };
 
     loadMaps();
+    loadImportedPacks();
   }, []);
 
+  // Level packs live in the browser's IndexedDB, not on the server
+  const loadImportedPacks = async () => {
+    try {
+      const { getImportedLevelPacks } = await import('/src/services/LevelPack');
+      setImportedPacks(await getImportedLevelPacks());
+    } catch (err) {
+      console.error('Failed to load imported level packs:', err);
+    }
+  };
+
+  const handleImportPack = async () => {
+    const { pickLevelPackFile, importLevelPack } = await import('/src/services/LevelPack');
+    const text = await pickLevelPackFile();
+    if (!text) return;
+
+    try {
+      const pack = await importLevelPack(text) as ImportedPack;
+      await loadImportedPacks();
+      alert(`Imported "${pack.category.displayName}" with ${pack.maps.length} maps. Play it from the game's map select.`);
+    } catch (err) {
+      console.error('Failed to import level pack:', err);
+      alert(`Failed to import level pack: ${err instanceof Error ? err.message : err}`);
+    }
+  };
+
+  const handleExportPack = async (categoryName: string) => {
+    setPackBusy(true);
+    try {
+      const { loadImportedLevelPacks, exportCategoryPack, downloadLevelPack } = await import('/src/services/LevelPack');
+      await loadImportedLevelPacks();
+      downloadLevelPack(await exportCategoryPack(categoryName));
+    } catch (err) {
+      console.error('Failed to export level pack:', err);
+      alert(`Failed to export level pack: ${err instanceof Error ? err.message : err}`);
+    } finally {
+      setPackBusy(false);
+    }
+  };
+
+  const handleRemovePack = async (categoryName: string) => {
+    if (!confirm(`Remove the imported pack "${categoryName}"?`)) return;
+
+    const { removeLevelPack } = await import('/src/services/LevelPack');
+    await removeLevelPack(categoryName);
+    await loadImportedPacks();
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-100">
@@ -101,6 +158,12 @@ export default function MapsIndex() {
           >
             New Map
           </button>
+          <button
+            onClick={handleImportPack}
+            className="px-4 py-2 bg-purple-500 text-white rounded hover:bg-purple-600 transition-colors"
+          >
+            Import Pack
+          </button>
           <a
             href="/game"
             className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
@@ -110,6 +173,52 @@ export default function MapsIndex() {
         </div>
       </div>
       
+      <div className="bg-white rounded-lg shadow p-4 mb-6">
+        <h2 className="text-sm font-medium text-gray-500 uppercase tracking-wider mb-3">Level Packs</h2>
+        <div className="flex flex-wrap gap-2">
+          {categories.map((category) => (
+            <button
+              key={category}
+              onClick={() => handleExportPack(category)}
+              disabled={packBusy}
+              className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50 transition-colors"
+              title="Download this category as a level pack"
+            >
+              Export {category.replace(/-/g, ' ')}
+            </button>
+          ))}
+        </div>
+        {importedPacks.length > 0 && (
+          <ul className="mt-4 divide-y divide-gray-200">
+            {importedPacks.map((pack) => (
+              <li key={pack.id} className="py-2 flex justify-between items-center text-sm">
+                <span className="text-gray-700">
+                  <span className="inline-flex px-2 py-1 mr-2 text-xs font-medium rounded-full bg-purple-100 text-purple-800">
+                    imported
+                  </span>
+                  {pack.category.displayName} ({pack.maps.length} maps, {new Date(pack.importedAt).toLocaleDateString()})
+                </span>
+                <span>
+                  <button
+                    onClick={() => handleExportPack(pack.id)}
+                    disabled={packBusy}
+                    className="text-indigo-600 hover:text-indigo-900 mr-4 disabled:opacity-50"
+                  >
+                    Export
+                  </button>
+                  <button
+                    onClick={() => handleRemovePack(pack.id)}
+                    className="text-red-600 hover:text-red-900"
+                  >
+                    Remove
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="max-h-[600px] overflow-y-auto">
           <table className="min-w-full">
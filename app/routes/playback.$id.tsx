@@ -2,6 +2,7 @@ import { useEffect, useState, useRef } from 'react';
 import { useParams, Link } from '@remix-run/react';
 import RecordingDatabase from '/src/storage/RecordingDatabase';
 import { ClientOnly } from '~/components/ClientOnly';
+import { MatterWorldConfig } from '/src/config/matter';
 
 interface Recording {
     id: number;
@@ -18,6 +19,16 @@ interface Recording {
     recordingData: any;
     compression?: string;
     encoding?: string;
+    fixedStep?: number;
+}
+
+interface ReplayResult {
+    outcome: string;
+    deathReason: string | null;
+    expected: string;
+    verified: boolean;
+    frames: number;
+    elapsedTime: number;
 }
 
 function RecordingPlayer({ recording }: { recording: Recording }) {
@@ -27,6 +38,7 @@ function RecordingPlayer({ recording }: { recording: Recording }) {
     const [playbackSpeed, setPlaybackSpeed] = useState(1);
     const [game, setGame] = useState<any>(null);
     const [loadingState, setLoadingState] = useState('initializing');
+    const [replayResult, setReplayResult] = useState<ReplayResult | null>(null);
 
     // Test rendering first
     useEffect(() => {
@@ -95,7 +107,8 @@ function RecordingPlayer({ recording }: { recording: Recording }) {
                     physics: {
                         default: 'matter',
                         matter: {
-                            gravity: { y: 1 },
+                            // Same solver settings as gameplay so re-simulation matches
+                            ...MatterWorldConfig,
                             debug: false
                         }
                     },
@@ -111,7 +124,8 @@ function RecordingPlayer({ recording }: { recording: Recording }) {
                 gameInstance.scene.start('PlaybackScene', {
                     recording: recording,
                     onFrameUpdate: (frame: number) => setCurrentFrame(frame),
-                    onPlayStateChange: (playing: boolean) => setIsPlaying(playing)
+                    onPlayStateChange: (playing: boolean) => setIsPlaying(playing),
+                    onReplayComplete: (result: ReplayResult) => setReplayResult(result)
                 });
                 setLoadingState('ready');
             } catch (error) {
@@ -133,6 +147,10 @@ function RecordingPlayer({ recording }: { recording: Recording }) {
         if (game) {
             const scene = game.scene.getScene('PlaybackScene');
             if (scene) {
+                // Playing a finished replay starts it over
+                if (!isPlaying) {
+                    setReplayResult(null);
+                }
                 scene.togglePlayPause();
             }
         }
@@ -142,6 +160,10 @@ function RecordingPlayer({ recording }: { recording: Recording }) {
         if (game) {
             const scene = game.scene.getScene('PlaybackScene');
             if (scene) {
+                // Seeking back re-runs a re-simulated replay from the start
+                if (frame < currentFrame) {
+                    setReplayResult(null);
+                }
                 scene.seekToFrame(frame);
                 setCurrentFrame(frame);
             }
@@ -253,6 +275,15 @@ function RecordingPlayer({ recording }: { recording: Recording }) {
                             {formatTime(currentTime)}/{formatTime(recording.duration)}
                         </span>
                     </div>
+
+                    {/* Re-simulation verdict */}
+                    {replayResult && (
+                        <div className={`text-sm font-semibold ${replayResult.verified ? 'text-green-400' : 'text-red-400'}`}>
+                            {replayResult.verified
+                                ? `Verified: ${replayResult.outcome}`
+                                : `Diverged: expected ${replayResult.expected}, got ${replayResult.outcome}`}
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
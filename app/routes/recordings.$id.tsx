@@ -17,6 +17,7 @@ interface Recording {
     recordingData: any;
     compression?: string;
     encoding?: string;
+    fixedStep?: number;
 }
 
 export default function RecordingViewer() {
@@ -83,12 +84,16 @@ export default function RecordingViewer() {
         const dataStr = JSON.stringify({
             mapKey: recording.mapKey,
             mapTitle: recording.mapTitle,
+            success: recording.success,
+            completionTime: recording.completionTime,
+            deathReason: recording.deathReason,
             timestamp: recording.timestamp,
             duration: recording.duration,
             frameCount: recording.frameCount,
             segmentCount: recording.segmentCount,
             compression: recording.compression,
             encoding: recording.encoding,
+            fixedStep: recording.fixedStep,
             data: recording.recordingData
         }, null, 2);
         
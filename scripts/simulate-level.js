@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Run a level headlessly and report the outcome.
+ *
+ *   node scripts/simulate-level.js levels/010-tutorial/001-Left.json \
+ *       --inputs inputs.json --frames 3600 --expect victory
+ *
+ * The inputs file holds ScriptedInputSource steps, either as an array or as
+ * `{ "steps": [...] }`. Exits non-zero when `--expect` does not match the
+ * outcome, so it can gate CI.
+ *
+ * To verify a recording exported from the recordings page instead:
+ *
+ *   node scripts/simulate-level.js levels/010-tutorial/001-Left.json \
+ *       --recording 001-Left_12_success.json
+ *
+ * The recording's input is replayed step by step and the outcome is expected
+ * to match how the recorded run ended, unless `--expect` overrides it.
+ *
+ * Game sources are loaded through Vite's SSR loader with `phaser` aliased to
+ * the DOM-free HeadlessPhaser module.
+ */
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { gunzipSync } from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+    const args = { frames: 60 * 60, inputs: null, recording: null, expect: null, json: false, mapFile: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--inputs') args.inputs = argv[++i];
+        else if (arg === '--recording') args.recording = argv[++i];
+        else if (arg === '--frames') args.frames = parseInt(argv[++i], 10);
+        else if (arg === '--expect') args.expect = argv[++i];
+        else if (arg === '--json') args.json = true;
+        else if (!args.mapFile) args.mapFile = arg;
+    }
+    return args;
+}
+
+// Exported recordings hold base64 (optionally gzipped) binary frames
+function readRecordingBuffer(recording) {
+    let bytes = Buffer.from(recording.data || recording.recordingData, 'base64');
+    if (recording.compression === 'gzip') {
+        bytes = gunzipSync(bytes);
+    }
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+export async function createSimulationLoader() {
+    const server = await createServer({
+        root,
+        configFile: false,
+        logLevel: 'error',
+        appType: 'custom',
+        server: { middlewareMode: true, hmr: false, watch: null },
+        optimizeDeps: { noDiscovery: true, include: [] },
+        resolve: {
+            alias: [
+                { find: /^phaser$/, replacement: path.join(root, 'src/headless/HeadlessPhaser.js') },
+                { find: /^zzfx$/, replacement: path.join(root, 'src/headless/SilentZzfx.js') }
+            ]
+        }
+    });
+
+    return {
+        load: modulePath => server.ssrLoadModule(modulePath),
+        close: () => server.close()
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.mapFile) {
+        console.error('Usage: simulate-level.js <map.json> [--inputs file.json | --recording file.json] [--frames N] [--expect victory|death|timeout] [--json]');
+        process.exit(2);
+    }
+
+    const rawMapData = JSON.parse(await readFile(args.mapFile, 'utf8'));
+    let inputs = [];
+    if (args.inputs) {
+        const parsed = JSON.parse(await readFile(args.inputs, 'utf8'));
+        inputs = Array.isArray(parsed) ? parsed : parsed.steps || [];
+    }
+
+    const recording = args.recording ? JSON.parse(await readFile(args.recording, 'utf8')) : null;
+
+    const loader = await createSimulationLoader();
+    let result;
+    try {
+        const { default: LevelSimulation } = await loader.load('/src/headless/LevelSimulation.js');
+        const { migrateMap } = await loader.load('/src/services/MapMigrations.js');
+        const { mapData } = migrateMap(rawMapData);
+
+        const config = { mapKey: path.basename(args.mapFile, '.json'), inputs };
+        let runOptions = { maxFrames: args.frames };
+
+        if (recording) {
+            const format = await loader.load('/src/components/ghost/RecordingFormat.js');
+            const { default: ReplayInputSource } = await loader.load('/src/components/ghost/ReplayInputSource.js');
+
+            if (!format.isReplayable(recording)) {
+                console.error(`Recording has no replayable input (encoding ${recording.encoding || 'unknown'}); only ${format.REPLAY_ENCODING} recordings can be verified`);
+                process.exit(2);
+            }
+
+            const frames = format.decodeFrames(readRecordingBuffer(recording), recording.segmentCount || 12, recording.encoding);
+            config.mapKey = recording.mapKey || config.mapKey;
+            config.inputSource = new ReplayInputSource(frames);
+            runOptions = { maxFrames: frames.length + 1, stopWhenInputEnds: true };
+            args.expect = args.expect || format.expectedReplayOutcome(recording);
+        }
+
+        // Keep the game's debug chatter out of the report
+        const log = console.log;
+        console.log = () => {};
+        try {
+            const simulation = new LevelSimulation(mapData, config);
+            result = simulation.run(runOptions);
+            simulation.destroy();
+        } finally {
+            console.log = log;
+        }
+    } finally {
+        await loader.close();
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        const reason = result.deathReason ? ` (${result.deathReason})` : '';
+        const respawns = result.respawns ? `, ${result.respawns} checkpoint respawn(s)` : '';
+        console.log(`${result.mapKey}: ${result.outcome}${reason} after ${result.frames} frames / ${result.elapsedTime}ms, goals ${result.goalsCollected}/${result.totalGoals}${respawns}`);
+    }
+
+    if (args.expect && args.expect !== result.outcome) {
+        console.error(`Expected ${args.expect} but got ${result.outcome}`);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
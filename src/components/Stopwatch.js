@@ -18,6 +18,8 @@ export default class Stopwatch {
         this.isPaused = false;
         this.pausedTime = 0;  // Accumulated time when paused
         this.bestTime = null;
+        this.splits = [];       // { id, time } for each goal/checkpoint this run
+        this.bestSplits = [];   // Splits of the personal best run
     }
     
     start() {
@@ -25,6 +27,7 @@ export default class Stopwatch {
             // Reset elapsed time when starting fresh
             this.elapsedTime = 0;
             this.pausedTime = 0;
+            this.splits = [];
             this.startTime = Date.now();
             this.isRunning = true;
             this.isPaused = false;
@@ -60,6 +63,7 @@ export default class Stopwatch {
         this.startTime = Date.now();
         this.elapsedTime = 0;
         this.pausedTime = 0;
+        this.splits = [];
         this.isRunning = false;
         this.isPaused = false;
         // Emit event to reset UI
@@ -81,6 +85,35 @@ export default class Stopwatch {
         this.scene.events.emit('ui-set-best', time);
     }
     
+    setBestSplits(splits) {
+        this.bestSplits = splits || [];
+    }
+    
+    /**
+     * Record a split and compare it to the personal best
+     * @param {string} id - Goal or checkpoint id, e.g. 'goal_0' or 'checkpoint_1'
+     * @param {number} [time] - Run time of the split in ms; defaults to the elapsed time
+     * @returns {Object|null} The split with its delta (ms, negative = ahead), or null when not running
+     */
+    split(id, time = null) {
+        if (!this.isRunning) {
+            return null;
+        }
+        
+        this.update();
+        if (time === null) {
+            time = this.elapsedTime;
+        }
+        this.splits.push({ id, time });
+        
+        const best = this.bestSplits.find(split => split.id === id);
+        const result = { id, time, delta: best ? time - best.time : null };
+        
+        // Emit event to update UI
+        this.scene.events.emit('ui-split', result);
+        return result;
+    }
+    
     formatTime(milliseconds) {
         const totalSeconds = Math.floor(milliseconds / 1000);
         const minutes = Math.floor(totalSeconds / 60);
@@ -1,3 +1,5 @@
+import { getInputBytesPerFrame } from './RecordingFormat';
+
 export default class GhostPlayer {
     constructor(scene, segmentCount = 12) {
         this.scene = scene;
@@ -64,8 +66,8 @@ export default class GhostPlayer {
         const frames = [];
         
         // Determine bytes per frame based on encoding version
-        const hasInputData = encoding === 'binary-v2';
-        const inputBytesPerFrame = hasInputData ? 24 : 0; // 6 floats * 4 bytes
+        const inputBytesPerFrame = getInputBytesPerFrame(encoding);
+        const hasInputData = inputBytesPerFrame > 0;
         const bytesPerFrame = 4 + (this.segmentCount * 8) + inputBytesPerFrame;
         
         console.log('Decoding frames:', {
@@ -96,7 +98,7 @@ export default class GhostPlayer {
             
             // Skip input data if present (we don't need it for ghost playback)
             if (hasInputData) {
-                offset += 24; // Skip 6 floats (left stick x/y, right stick x/y, triggers l/r)
+                offset += inputBytesPerFrame;
             }
             
             frames.push({ timestamp, segments });
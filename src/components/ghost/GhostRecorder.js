@@ -1,3 +1,5 @@
+import { REPLAY_ENCODING, getBytesPerFrame, writeInput } from './RecordingFormat';
+
 export default class GhostRecorder {
     constructor(scene, segmentCount = 12) {
         this.scene = scene;
@@ -7,6 +9,9 @@ export default class GhostRecorder {
         this.startTime = null;
         this.frameInterval = 1000 / 60; // 60fps
         this.lastFrameTime = 0;
+        this.fixedStep = null; // Set when frames come from fixed simulation steps
+        this.checkpointSplits = [];
+        this.deaths = [];
     }
     
     startRecording() {
@@ -14,6 +19,9 @@ export default class GhostRecorder {
         this.isRecording = true;
         this.startTime = Date.now();
         this.lastFrameTime = 0;
+        this.fixedStep = null;
+        this.checkpointSplits = [];
+        this.deaths = [];
     }
     
     stopRecording() {
@@ -61,20 +69,60 @@ export default class GhostRecorder {
         this.lastFrameTime = elapsedTime;
     }
     
+    /**
+     * Record one fixed simulation step, unthrottled
+     * 
+     * Stores the complete input state the worm consumed on this step (grabs
+     * and roll included) so the run can be re-simulated by a ReplayInputSource.
+     * @param {Array} wormSegments - Worm segment bodies after the step
+     * @param {Object} inputState - Input state consumed during the step
+     * @param {number} stepIndex - 1-based simulation step number
+     * @param {number} stepMs - Fixed step length in milliseconds
+     */
+    recordStep(wormSegments, inputState, stepIndex, stepMs) {
+        if (!this.isRecording || !wormSegments || wormSegments.length === 0 || !inputState) {
+            return;
+        }
+        
+        this.fixedStep = stepMs;
+        this.frames.push({
+            timestamp: Math.round(stepIndex * stepMs),
+            segments: wormSegments.map(segment => ({
+                x: segment.position.x,
+                y: segment.position.y
+            })),
+            input: {
+                leftStick: { x: inputState.leftStick.x, y: inputState.leftStick.y },
+                rightStick: { x: inputState.rightStick.x, y: inputState.rightStick.y },
+                leftTrigger: inputState.leftTrigger,
+                rightTrigger: inputState.rightTrigger,
+                leftGrab: inputState.leftGrab || 0,
+                rightGrab: inputState.rightGrab || 0,
+                rollButton: !!inputState.rollButton,
+                swapControls: !!inputState.swapControls
+            }
+        });
+    }
+    
+    // Pick the binary encoding that can hold the recorded frames
+    getEncoding(frames) {
+        const input = frames.length > 0 ? frames[0].input : undefined;
+        if (!input) {
+            return 'binary-v1';
+        }
+        return input.leftGrab !== undefined ? REPLAY_ENCODING : 'binary-v2';
+    }
+    
     // Binary encoding methods
     encodeFrames(frames) {
         if (!frames || frames.length === 0) {
             return null;
         }
         
-        // Check if we have input data (new format)
-        const hasInputData = frames.length > 0 && frames[0].input !== undefined;
-        
-        // Calculate buffer size
-        // v1 format: timestamp (4 bytes) + segments (8 bytes each)
-        // v2 format: v1 + input data (16 bytes: 4 floats for sticks + 2 floats for triggers)
-        const inputBytesPerFrame = hasInputData ? 24 : 0; // 4*4 for sticks + 2*4 for triggers
-        const bytesPerFrame = 4 + (this.segmentCount * 8) + inputBytesPerFrame;
+        // Layouts are described in RecordingFormat
+        const encoding = this.getEncoding(frames);
+        const hasInputData = encoding !== 'binary-v1';
+        const bytesPerFrame = getBytesPerFrame(this.segmentCount, encoding);
         const buffer = new ArrayBuffer(frames.length * bytesPerFrame);
         const view = new DataView(buffer);
         
@@ -94,21 +142,7 @@ export default class GhostRecorder {
             
             // Write input data if present
             if (hasInputData && frame.input) {
-                // Write stick positions (4 floats)
-                view.setFloat32(offset, frame.input.leftStick.x, true);
-                offset += 4;
-                view.setFloat32(offset, frame.input.leftStick.y, true);
-                offset += 4;
-                view.setFloat32(offset, frame.input.rightStick.x, true);
-                offset += 4;
-                view.setFloat32(offset, frame.input.rightStick.y, true);
-                offset += 4;
-                
-                // Write trigger values (2 floats)
-                view.setFloat32(offset, frame.input.leftTrigger, true);
-                offset += 4;
-                view.setFloat32(offset, frame.input.rightTrigger, true);
-                offset += 4;
+                offset = writeInput(view, offset, frame.input, encoding);
             }
         });
         
@@ -151,6 +185,46 @@ export default class GhostRecorder {
         }
     }
     
+    /**
+     * Note the step on which a checkpoint was first reached
+     * @param {number} index - Checkpoint index in the map
+     * @param {number} stepIndex - 1-based simulation step number
+     * @param {number} stepMs - Fixed step length in milliseconds
+     */
+    recordCheckpoint(index, stepIndex, stepMs) {
+        if (!this.isRecording) {
+            return;
+        }
+        
+        this.checkpointSplits.push({
+            checkpoint: index,
+            frame: stepIndex,
+            time: Math.round(stepIndex * stepMs)
+        });
+    }
+    
+    /**
+     * Note a death the worm came back from at a checkpoint. The recording
+     * carries on, so without this only the death that ended it is known.
+     * @param {string} reason - e.g. 'electric'
+     * @param {{x: number, y: number}} position - Middle of the worm
+     * @param {number} stepIndex - 1-based simulation step number
+     * @param {number} stepMs - Fixed step length in milliseconds
+     */
+    recordDeath(reason, position, stepIndex, stepMs) {
+        if (!this.isRecording) {
+            return;
+        }
+        
+        this.deaths.push({
+            reason,
+            x: Math.round(position.x),
+            y: Math.round(position.y),
+            frame: stepIndex,
+            time: Math.round(stepIndex * stepMs)
+        });
+    }
+    
     // Get recording data ready for storage
     async getRecordingData() {
         if (this.frames.length === 0) {
@@ -160,8 +234,8 @@ export default class GhostRecorder {
         const binaryData = this.encodeFrames(this.frames);
         const compressedData = await this.compressData(binaryData);
         
-        // Check if we have input data to determine version
-        const hasInputData = this.frames.length > 0 && this.frames[0].input !== undefined;
+        const encoding = this.getEncoding(this.frames);
+        const hasInputData = encoding !== 'binary-v1';
         
         // Get duration safely - check if last frame has a timestamp
         const lastFrame = this.frames[this.frames.length - 1];
@@ -172,9 +246,12 @@ export default class GhostRecorder {
             duration: duration,
             segmentCount: this.segmentCount,
             compression: (typeof window !== 'undefined' && window.CompressionStream) ? 'gzip' : 'none',
-            encoding: hasInputData ? 'binary-v2' : 'binary-v1', // v2 includes input data
+            encoding: encoding, // v2 adds input data, v3 adds replayable input
+            fixedStep: this.fixedStep, // Step length for re-simulating v3 recordings
             data: compressedData,
-            hasInputData: hasInputData // Explicit flag for easier checking
+            hasInputData: hasInputData, // Explicit flag for easier checking
+            checkpointSplits: this.checkpointSplits,
+            deaths: this.deaths
         };
     }
     
@@ -184,5 +261,8 @@ export default class GhostRecorder {
         this.isRecording = false;
         this.startTime = null;
         this.lastFrameTime = 0;
+        this.fixedStep = null;
+        this.checkpointSplits = [];
+        this.deaths = [];
     }
 }
@@ -9,6 +9,8 @@ export default class GhostStorage {
         // Create a string representation of important map features
         const mapString = JSON.stringify({
             platforms: mapData.platforms,
+            prefabs: mapData.prefabs,
+            prefabInstances: mapData.prefabInstances,
             entities: mapData.entities,
             dimensions: mapData.dimensions
         });
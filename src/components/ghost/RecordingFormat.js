@@ -0,0 +1,164 @@
+/**
+ * RecordingFormat - Binary layout of ghost recordings
+ *
+ * Every frame starts with a uint32 timestamp followed by float32 x/y pairs
+ * for each worm segment. What comes after depends on the encoding:
+ *
+ *   binary-v1  nothing (positions only)
+ *   binary-v2  6 float32: left stick x/y, right stick x/y, left/right trigger
+ *   binary-v3  8 float64: sticks, triggers, left/right grab
+ *              1 uint8 flags: bit 0 roll button, bit 1 swapped controls
+ *
+ * v3 frames are written once per fixed simulation step with the exact input
+ * the worm consumed, at full precision, so they can be re-simulated.
+ */
+export const REPLAY_ENCODING = 'binary-v3';
+
+const INPUT_BYTES = {
+    'binary-v1': 0,
+    'binary-v2': 24,
+    'binary-v3': 65
+};
+
+const ROLL_FLAG = 1;
+const SWAP_FLAG = 2;
+
+export function getInputBytesPerFrame(encoding) {
+    return INPUT_BYTES[encoding] || 0;
+}
+
+export function getBytesPerFrame(segmentCount, encoding) {
+    return 4 + (segmentCount * 8) + getInputBytesPerFrame(encoding);
+}
+
+export function isReplayable(recording) {
+    return recording?.encoding === REPLAY_ENCODING;
+}
+
+/**
+ * Write one frame's input at offset
+ * @returns {number} Offset after the input block
+ */
+export function writeInput(view, offset, input, encoding) {
+    if (encoding === 'binary-v2') {
+        view.setFloat32(offset, input.leftStick.x, true);
+        view.setFloat32(offset + 4, input.leftStick.y, true);
+        view.setFloat32(offset + 8, input.rightStick.x, true);
+        view.setFloat32(offset + 12, input.rightStick.y, true);
+        view.setFloat32(offset + 16, input.leftTrigger, true);
+        view.setFloat32(offset + 20, input.rightTrigger, true);
+    } else if (encoding === REPLAY_ENCODING) {
+        view.setFloat64(offset, input.leftStick.x, true);
+        view.setFloat64(offset + 8, input.leftStick.y, true);
+        view.setFloat64(offset + 16, input.rightStick.x, true);
+        view.setFloat64(offset + 24, input.rightStick.y, true);
+        view.setFloat64(offset + 32, input.leftTrigger, true);
+        view.setFloat64(offset + 40, input.rightTrigger, true);
+        view.setFloat64(offset + 48, input.leftGrab || 0, true);
+        view.setFloat64(offset + 56, input.rightGrab || 0, true);
+        view.setUint8(offset + 64, (input.rollButton ? ROLL_FLAG : 0) | (input.swapControls ? SWAP_FLAG : 0));
+    }
+    return offset + getInputBytesPerFrame(encoding);
+}
+
+/**
+ * Read one frame's input at offset
+ * @returns {Object|null} Input state, or null when the encoding has none
+ */
+export function readInput(view, offset, encoding) {
+    if (encoding === 'binary-v2') {
+        return {
+            leftStick: { x: view.getFloat32(offset, true), y: view.getFloat32(offset + 4, true) },
+            rightStick: { x: view.getFloat32(offset + 8, true), y: view.getFloat32(offset + 12, true) },
+            leftTrigger: view.getFloat32(offset + 16, true),
+            rightTrigger: view.getFloat32(offset + 20, true)
+        };
+    }
+
+    if (encoding === REPLAY_ENCODING) {
+        const flags = view.getUint8(offset + 64);
+        return {
+            leftStick: { x: view.getFloat64(offset, true), y: view.getFloat64(offset + 8, true) },
+            rightStick: { x: view.getFloat64(offset + 16, true), y: view.getFloat64(offset + 24, true) },
+            leftTrigger: view.getFloat64(offset + 32, true),
+            rightTrigger: view.getFloat64(offset + 40, true),
+            leftGrab: view.getFloat64(offset + 48, true),
+            rightGrab: view.getFloat64(offset + 56, true),
+            rollButton: (flags & ROLL_FLAG) !== 0,
+            swapControls: (flags & SWAP_FLAG) !== 0
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Decode a decompressed recording buffer into frames
+ * @returns {Array<{timestamp, segments, input?}>}
+ */
+export function decodeFrames(buffer, segmentCount, encoding) {
+    const view = new DataView(buffer);
+    const bytesPerFrame = getBytesPerFrame(segmentCount, encoding);
+    const frameCount = Math.floor(buffer.byteLength / bytesPerFrame);
+    const frames = [];
+
+    let offset = 0;
+    for (let f = 0; f < frameCount; f++) {
+        const timestamp = view.getUint32(offset, true);
+        offset += 4;
+
+        const segments = [];
+        for (let s = 0; s < segmentCount; s++) {
+            segments.push({
+                x: view.getFloat32(offset, true),
+                y: view.getFloat32(offset + 4, true)
+            });
+            offset += 8;
+        }
+
+        const frame = { timestamp, segments };
+        const input = readInput(view, offset, encoding);
+        if (input) {
+            frame.input = input;
+        }
+        offset += getInputBytesPerFrame(encoding);
+
+        frames.push(frame);
+    }
+
+    return frames;
+}
+
+/**
+ * How a re-simulation of this recording should end
+ * @returns {'victory'|'death'|'timeout'}
+ */
+export function expectedReplayOutcome(recording) {
+    if (recording.success) {
+        return 'victory';
+    }
+    // Manual restarts end a recording without the level ending
+    if (!recording.deathReason || recording.deathReason === 'manual_restart') {
+        return 'timeout';
+    }
+    return 'death';
+}
+
+/**
+ * Decode the frames of a stored recording (base64, gzipped or not)
+ * @param {Object} recording - As saved in RecordingDatabase
+ * @returns {Promise<Array<{timestamp, segments, input?}>>}
+ */
+export async function readRecordingFrames(recording) {
+    const binaryString = atob(recording.recordingData || recording.data);
+    const bytes = Uint8Array.from(binaryString, char => char.charCodeAt(0));
+
+    let buffer = bytes.buffer;
+    if (recording.compression === 'gzip' && typeof DecompressionStream !== 'undefined') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        buffer = await new Response(stream).arrayBuffer();
+    }
+
+    const encoding = recording.encoding || (recording.hasInputData ? 'binary-v2' : 'binary-v1');
+    return decodeFrames(buffer, recording.segmentCount || 12, encoding);
+}
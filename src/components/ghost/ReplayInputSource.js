@@ -0,0 +1,76 @@
+const NEUTRAL_INPUT = {
+    leftStick: { x: 0, y: 0 },
+    rightStick: { x: 0, y: 0 },
+    leftTrigger: 0,
+    rightTrigger: 0,
+    leftGrab: 0,
+    rightGrab: 0,
+    rollButton: false,
+    swapControls: false
+};
+
+/**
+ * ReplayInputSource - Plays back recorded per-step input
+ *
+ * Drop-in replacement for InputManager wherever `getInputState(delta)` is
+ * consumed. Each call returns the input recorded for the next fixed step of a
+ * binary-v3 recording, so a seeded level driven by it re-simulates the
+ * original run. Once the recording runs out, input stays neutral.
+ */
+export default class ReplayInputSource {
+    /**
+     * @param {Array} frames - Decoded recording frames (each with an `input`)
+     */
+    constructor(frames = []) {
+        this.enabled = true;
+        this.setFrames(frames);
+    }
+
+    setFrames(frames) {
+        this.inputs = frames.map(frame => frame.input || NEUTRAL_INPUT);
+        this.frame = 0;
+    }
+
+    get length() {
+        return this.inputs.length;
+    }
+
+    get finished() {
+        return this.frame >= this.inputs.length;
+    }
+
+    /**
+     * Get the recorded input for this step and advance
+     * @param {number} delta - Step delta in milliseconds
+     * @returns {Object} InputManager-shaped input state
+     */
+    getInputState(delta) {
+        const source = (this.enabled && this.inputs[this.frame]) || NEUTRAL_INPUT;
+        this.frame++;
+
+        return {
+            leftStick: { ...source.leftStick },
+            rightStick: { ...source.rightStick },
+            leftTrigger: source.leftTrigger,
+            rightTrigger: source.rightTrigger,
+            leftGrab: source.leftGrab || 0,
+            rightGrab: source.rightGrab || 0,
+            rollButton: !!source.rollButton,
+            delta,
+            deltaSeconds: delta / 1000,
+            swapControls: !!source.swapControls
+        };
+    }
+
+    isMenuButtonJustPressed() {
+        return false;
+    }
+
+    setTouchControlsVisible() {
+        // Replays have no touch controls
+    }
+
+    destroy() {
+        this.inputs = [];
+    }
+}
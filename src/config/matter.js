@@ -0,0 +1,22 @@
+/**
+ * Matter.js world settings shared by the browser game and the headless
+ * level simulation, so both step the same physics.
+ */
+export const MatterWorldConfig = {
+    gravity: { y: 1 },
+    positionIterations: 20,
+    velocityIterations: 20,
+    constraintIterations: 4,
+    enableSleeping: true
+};
+
+/**
+ * Gameplay advances in fixed physics steps of this many milliseconds so a
+ * recorded input sequence replays to the same result.
+ */
+export const FIXED_TIMESTEP = 1000 / 60;
+
+// Cap on catch-up steps per rendered frame; any backlog beyond this is dropped
+export const MAX_STEPS_PER_FRAME = 5;
+
+export default MatterWorldConfig;
@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { MatterWorldConfig } from './matter';
 
 export const BaseGameConfig = {
     type: Phaser.AUTO,
@@ -15,7 +16,7 @@ export const BaseGameConfig = {
     physics: {
         default: 'matter',
         matter: {
-            gravity: { y: 1 },
+            ...MatterWorldConfig,
             plugins: {
                 attractors: true
             },
@@ -83,11 +84,7 @@ export const BaseGameConfig = {
 
                 showConvexHulls: true,
                 hullColor: 0xd703d0
-            },
-            positionIterations: 20,
-            velocityIterations: 20,
-            constraintIterations: 4,
-            enableSleeping: true
+            }
         }
     },
     input: {
@@ -0,0 +1,35 @@
+/**
+ * Worm body used when playing a level. Shared by JsonMapBase and the
+ * headless level simulation so both build the same worm.
+ */
+export const LevelWormConfig = {
+    baseRadius: 15,
+    segmentSizes: [0.75, 1, 1, 0.95, 0.9, 0.8, 0.8, 0.8, 0.8, 0.8, 0.8, 0.8],
+    // How far the sticks pull the head and tail (DoubleWorm's default)
+    anchorRadius: 60
+};
+
+// WormBase links segment edges 1px out from each segment, 1px apart
+const LINK_GAP = 3;
+
+/**
+ * Rough sizes for level design: `length` is the worm stretched out from
+ * head to tail, `reach` adds the anchor pull of a stick at one end. A gap
+ * shorter than `length` can be bridged lying down; up to `reach` needs a
+ * stretch. Jumps and swings can go further.
+ * @param {Object} [config]
+ * @returns {{length: number, anchorRadius: number, reach: number}}
+ */
+export function getWormReach(config = LevelWormConfig) {
+    const radii = config.segmentSizes.map(size => config.baseRadius * size);
+    const spacing = radii.slice(1).reduce((sum, radius, index) => sum + radii[index] + radius + LINK_GAP, 0);
+    const length = Math.round(radii[0] + spacing + radii[radii.length - 1]);
+
+    return {
+        length,
+        anchorRadius: config.anchorRadius,
+        reach: length + config.anchorRadius
+    };
+}
+
+export default LevelWormConfig;
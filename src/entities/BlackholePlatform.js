@@ -225,6 +225,11 @@ export default class BlackholePlatform extends PlatformBase {
         });
     }
     
+    // Swallow the next worm too after a checkpoint respawn
+    onWormRespawn() {
+        this.isTriggered = false;
+    }
+    
     triggerSuckInEffect(segment, spinDuration, fadeDuration) {
         // Visual feedback for being sucked in
         if (this.debrisEmitter) {
@@ -0,0 +1,167 @@
+import PlatformBase from './PlatformBase.js';
+
+// Fraction of the gap to belt speed closed each step; friction with the belt takes back some of it
+const BELT_GRIP = 0.5;
+const TREAD_SPACING = 24;
+
+export default class ConveyorPlatform extends PlatformBase {
+    constructor(scene, x, y, width, height, config = {}) {
+        const conveyorConfig = {
+            color: 0x455a64,         // Dark rubber belt
+            strokeColor: 0xffb300,   // Safety yellow border
+            strokeWidth: 3,
+            friction: 1.0,
+            restitution: 0.0,
+            ...config
+        };
+        
+        super(scene, x, y, width, height, conveyorConfig);
+        
+        // Belt speed in px/s; direction is the way the top surface runs
+        this.speed = config.conveyorSpeed ?? 120;
+        this.direction = config.conveyorDirection === 'left' ? -1 : 1;
+        // Switches can run the belt backwards
+        this.reversed = false;
+        this.treadOffset = 0;
+        
+        // Worms with a segment on the belt; their segmentCollisions say which
+        this.worms = new Set();
+        
+        this.createTreads();
+    }
+    
+    createTreads() {
+        this.treads = this.scene.add.graphics();
+        this.container.add(this.treads);
+        this.drawTreads();
+    }
+    
+    drawTreads() {
+        const g = this.treads;
+        g.clear();
+        g.lineStyle(2, this.config.strokeColor, 0.7);
+        
+        if (this.config.shape === 'circle') {
+            // Spokes that turn with the belt
+            const angle = this.treadOffset / Math.max(1, this.radius);
+            for (let i = 0; i < 6; i++) {
+                const spoke = angle + i * Math.PI / 3;
+                g.lineBetween(0, 0, Math.cos(spoke) * this.radius * 0.8, Math.sin(spoke) * this.radius * 0.8);
+            }
+            return;
+        }
+        
+        // Chevrons pointing the way the top surface runs
+        const halfWidth = this.width / 2;
+        const size = Math.min(this.height * 0.3, 8);
+        const heading = this.getSurfaceDirection();
+        const offset = ((this.treadOffset % TREAD_SPACING) + TREAD_SPACING) % TREAD_SPACING;
+        
+        for (let x = -halfWidth + offset; x < halfWidth; x += TREAD_SPACING) {
+            if (x - size < -halfWidth || x + size > halfWidth) continue;
+            g.beginPath();
+            g.moveTo(x - size * heading, -size);
+            g.lineTo(x + size * heading, 0);
+            g.lineTo(x - size * heading, size);
+            g.strokePath();
+        }
+    }
+    
+    /**
+     * Run the belt backwards while a switch holds it
+     * @param {boolean} reversed
+     */
+    setReversed(reversed) {
+        this.reversed = reversed;
+    }
+    
+    // 1 when the top surface runs right, -1 when it runs left
+    getSurfaceDirection() {
+        return this.reversed ? -this.direction : this.direction;
+    }
+    
+    onCollision(segment, collision) {
+        // The carrying happens in update() so it runs on simulation time
+        if (segment.worm) {
+            this.worms.add(segment.worm);
+        }
+    }
+    
+    update(time, delta) {
+        super.update(time, delta);
+        
+        if (!this.enabled) return;
+        
+        const surfaceSpeed = this.speed * this.getSurfaceDirection();
+        this.carrySegments(surfaceSpeed, delta);
+        
+        this.treadOffset += surfaceSpeed * delta / 1000;
+        this.drawTreads();
+    }
+    
+    carrySegments(surfaceSpeed, delta) {
+        // Matter velocities are in px per 60th of a second
+        const beltVelocity = surfaceSpeed / 60;
+        
+        this.worms.forEach(worm => {
+            let touching = false;
+            
+            worm.segments?.forEach((segment, index) => {
+                const collision = worm.segmentCollisions?.[index];
+                if (!collision || !collision.isColliding || collision.surfaceBody !== this.body) return;
+                touching = true;
+                
+                const tangent = this.getSurfaceTangent(segment, collision.surfaceNormal);
+                
+                // Ease the segment toward belt speed along the surface
+                const along = segment.velocity.x * tangent.x + segment.velocity.y * tangent.y;
+                const change = (beltVelocity - along) * BELT_GRIP;
+                this.scene.matter.body.setVelocity(segment, {
+                    x: segment.velocity.x + tangent.x * change,
+                    y: segment.velocity.y + tangent.y * change
+                });
+                
+                // Slide the grip point under the segment so the surface constraint only
+                // holds it against the belt. Running ahead would overstretch and drop it.
+                const constraint = worm.surfaceConstraints?.get(segment);
+                if (constraint && constraint.bodyA === this.body) {
+                    const gap = {
+                        x: segment.position.x + constraint.pointB.x - this.body.position.x - constraint.pointA.x,
+                        y: segment.position.y + constraint.pointB.y - this.body.position.y - constraint.pointA.y
+                    };
+                    const slide = gap.x * tangent.x + gap.y * tangent.y;
+                    constraint.pointA.x += tangent.x * slide;
+                    constraint.pointA.y += tangent.y * slide;
+                }
+            });
+            
+            if (!touching) {
+                this.worms.delete(worm);
+            }
+        });
+    }
+    
+    // Clockwise along the surface, so a belt running right carries things right on top and left underneath
+    getSurfaceTangent(segment, surfaceNormal) {
+        let normal = surfaceNormal;
+        if (this.config.shape === 'circle') {
+            // The contact normal goes stale as the segment moves round a drum
+            const dx = segment.position.x - this.body.position.x;
+            const dy = segment.position.y - this.body.position.y;
+            const length = Math.hypot(dx, dy) || 1;
+            normal = { x: dx / length, y: dy / length };
+        }
+        return { x: -normal.y, y: normal.x };
+    }
+    
+    destroy() {
+        this.worms.clear();
+        
+        if (this.treads) {
+            this.treads.destroy();
+            this.treads = null;
+        }
+        
+        super.destroy();
+    }
+}
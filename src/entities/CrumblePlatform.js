@@ -0,0 +1,206 @@
+import PlatformBase from './PlatformBase.js';
+import Random from '../utils/Random.js';
+
+export default class CrumblePlatform extends PlatformBase {
+    constructor(scene, x, y, width, height, config = {}) {
+        const crumbleConfig = {
+            color: 0xa1887f,         // Weathered sandstone
+            strokeColor: 0x6d4c41,   // Dark brown border
+            strokeWidth: 2,
+            friction: 0.9,
+            restitution: 0.0,
+            ...config
+        };
+        
+        super(scene, x, y, width, height, crumbleConfig);
+        
+        // Crumble-specific properties (times are in ms of simulation time)
+        this.crumbleDelay = config.crumbleDelay ?? 800;    // Shaking time before it breaks
+        this.respawnDelay = config.respawnDelay ?? 3000;  // 0 = stays broken
+        this.debrisLifetime = config.debrisLifetime ?? 2000;
+        this.debrisSize = config.debrisSize || 16;
+        this.shakeAmount = config.shakeAmount ?? 3;
+        
+        // 'solid' -> 'shaking' -> 'broken' -> (respawn) 'solid'
+        this.state = 'solid';
+        this.touched = false;
+        this.stateTime = 0;
+        this.debris = [];
+        
+        this.createCracks();
+    }
+    
+    createCracks() {
+        // Hairline cracks so crumbling platforms read differently from stone
+        this.cracks = this.scene.add.graphics();
+        this.cracks.lineStyle(1, 0x4e342e, 0.6);
+        
+        const halfWidth = this.width / 2;
+        const halfHeight = this.height / 2;
+        const crackCount = Math.max(2, Math.floor(this.width / 40));
+        
+        for (let i = 0; i < crackCount; i++) {
+            const startX = -halfWidth + (i + 0.5) * (this.width / crackCount);
+            const midX = startX + (Random.random() - 0.5) * 10;
+            const endX = midX + (Random.random() - 0.5) * 10;
+            this.cracks.beginPath();
+            this.cracks.moveTo(startX, -halfHeight);
+            this.cracks.lineTo(midX, 0);
+            this.cracks.lineTo(endX, halfHeight * 0.6);
+            this.cracks.strokePath();
+        }
+        
+        this.container.add(this.cracks);
+    }
+    
+    onCollision(segment, collision) {
+        // The state change happens in update() so it runs on simulation time
+        if (this.state === 'solid') {
+            this.touched = true;
+        }
+    }
+    
+    update(time, delta) {
+        super.update(time, delta);
+        
+        switch (this.state) {
+            case 'solid':
+                if (this.touched) {
+                    this.touched = false;
+                    this.state = 'shaking';
+                    this.stateTime = time;
+                }
+                break;
+            
+            case 'shaking': {
+                const elapsed = time - this.stateTime;
+                if (elapsed >= this.crumbleDelay) {
+                    this.crumble(time);
+                    break;
+                }
+                
+                // Shake harder as the platform gets closer to breaking
+                const strength = this.shakeAmount * (0.3 + 0.7 * elapsed / Math.max(1, this.crumbleDelay));
+                this.container.setPosition(
+                    this.body.position.x + Math.sin(elapsed * 0.09) * strength,
+                    this.body.position.y + Math.cos(elapsed * 0.13) * strength * 0.5
+                );
+                break;
+            }
+            
+            case 'broken':
+                if (this.respawnDelay > 0 && time - this.stateTime >= this.respawnDelay && !this.isOccupied()) {
+                    this.respawn();
+                }
+                break;
+        }
+        
+        this.updateDebris(time);
+    }
+    
+    crumble(time) {
+        this.state = 'broken';
+        this.stateTime = time;
+        this.setEnabled(false);
+        this.spawnDebris(time);
+        
+        console.log(`🧱 Crumble platform ${this.config.id || ''} broke`);
+    }
+    
+    respawn() {
+        this.state = 'solid';
+        this.touched = false;
+        this.setEnabled(true);
+        
+        // Fade back in rather than popping into place
+        this.container.setAlpha(0);
+        this.scene.tweens.add({
+            targets: this.container,
+            alpha: 1,
+            duration: 300
+        });
+    }
+    
+    // A platform won't respawn on top of the worm or anything else that moves
+    isOccupied() {
+        const bodies = this.Matter.Composite.allBodies(this.scene.matter.world.localWorld).filter(body =>
+            !body.isStatic && !body.isCrumbleDebris
+        );
+        return this.Matter.Query.region(bodies, this.body.bounds).length > 0;
+    }
+    
+    spawnDebris(time) {
+        const columns = Math.min(8, Math.max(1, Math.round(this.width / this.debrisSize)));
+        const rows = Math.min(3, Math.max(1, Math.round(this.height / this.debrisSize)));
+        const pieceWidth = this.width / columns;
+        const pieceHeight = this.height / rows;
+        const angle = this.body.angle;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        // Pieces don't collide with each other, but do with everything else
+        const group = this.Matter.Body.nextGroup(true);
+        
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                // Piece center in platform space, rotated into the world
+                const localX = -this.width / 2 + (column + 0.5) * pieceWidth;
+                const localY = -this.height / 2 + (row + 0.5) * pieceHeight;
+                const x = this.body.position.x + localX * cos - localY * sin;
+                const y = this.body.position.y + localX * sin + localY * cos;
+                
+                const body = this.scene.matter.add.rectangle(x, y, pieceWidth * 0.9, pieceHeight * 0.9, {
+                    label: 'crumble_debris',
+                    angle,
+                    friction: 0.5,
+                    density: 0.0005,
+                    collisionFilter: { group }
+                });
+                body.isCrumbleDebris = true;
+                this.scene.matter.body.setVelocity(body, {
+                    x: (Random.random() - 0.5) * 2,
+                    y: Random.random() * -1.5
+                });
+                this.scene.matter.body.setAngularVelocity(body, (Random.random() - 0.5) * 0.2);
+                
+                const visual = this.scene.add.rectangle(x, y, pieceWidth * 0.9, pieceHeight * 0.9, this.config.color);
+                visual.setStrokeStyle(1, this.config.strokeColor);
+                
+                this.debris.push({ body, visual, expiresAt: time + this.debrisLifetime });
+            }
+        }
+    }
+    
+    updateDebris(time) {
+        this.debris = this.debris.filter(piece => {
+            if (time >= piece.expiresAt) {
+                this.destroyDebrisPiece(piece);
+                return false;
+            }
+            
+            piece.visual.setPosition(piece.body.position.x, piece.body.position.y);
+            piece.visual.setRotation(piece.body.angle);
+            // Fade out over the last third of the lifetime
+            piece.visual.setAlpha(Math.min(1, (piece.expiresAt - time) / (this.debrisLifetime / 3)));
+            return true;
+        });
+    }
+    
+    destroyDebrisPiece(piece) {
+        piece.visual.destroy();
+        if (this.scene.matter && this.scene.matter.world) {
+            this.scene.matter.world.remove(piece.body);
+        }
+    }
+    
+    destroy() {
+        this.debris.forEach(piece => this.destroyDebrisPiece(piece));
+        this.debris = [];
+        
+        if (this.cracks) {
+            this.cracks.destroy();
+            this.cracks = null;
+        }
+        
+        super.destroy();
+    }
+}
@@ -138,23 +138,32 @@ export default class DoubleWorm extends WormBase {
             ...config.keyboardConfig
         };
         
-        // Initialize input manager with debug enabled in dev mode
-        const urlParams = new URLSearchParams(window.location.search);
-        this.inputManager = new InputManager(scene, {
-            debug: urlParams.get('debug') === '1' || urlParams.get('inputdebug') === '1',
-            swapControls: swingConfig.swapControls,
-            keyboardConfig: this.keyboardConfig,
-            touchConfig: {
-                leftJoystickColor: swingConfig.headColor,
-                leftJoystickKnobColor: swingConfig.headColor,
-                rightJoystickColor: swingConfig.tailColor,
-                rightJoystickKnobColor: swingConfig.tailColor,
-                leftButtonColor: swingConfig.headColor,
-                leftButtonActiveColor: swingConfig.headStrokeColor,
-                rightButtonColor: swingConfig.tailColor,
-                rightButtonActiveColor: swingConfig.tailStrokeColor
-            }
-        });
+        // Scripted and headless runs supply their own input source;
+        // otherwise initialize input manager with debug enabled in dev mode
+        // The worm only destroys an input manager it created, so a source
+        // can outlive the worm (e.g. respawning at a checkpoint)
+        this.ownsInputManager = !config.inputSource;
+        if (config.inputSource) {
+            this.inputManager = config.inputSource;
+        } else {
+            const urlParams = new URLSearchParams(window.location.search);
+            this.inputManager = new InputManager(scene, {
+                debug: urlParams.get('debug') === '1' || urlParams.get('inputdebug') === '1',
+                swapControls: swingConfig.swapControls,
+                keyboardConfig: this.keyboardConfig,
+                touchConfig: {
+                    leftJoystickColor: swingConfig.headColor,
+                    leftJoystickKnobColor: swingConfig.headColor,
+                    rightJoystickColor: swingConfig.tailColor,
+                    rightJoystickKnobColor: swingConfig.tailColor,
+                    leftButtonColor: swingConfig.headColor,
+                    leftButtonActiveColor: swingConfig.headStrokeColor,
+                    rightButtonColor: swingConfig.tailColor,
+                    rightButtonActiveColor: swingConfig.tailStrokeColor
+                }
+            });
+        }
+        this.lastInputState = null;
         
         // Initialize state machine
         this.stateMachine = new AbilityStateMachine();
@@ -216,6 +225,9 @@ export default class DoubleWorm extends WormBase {
         // Get input state from InputManager
         const inputState = this.inputManager.getInputState(delta);
         
+        // Keep the raw input so recorders capture exactly what this step consumed
+        this.lastInputState = inputState;
+        
         // Log input state if there's any movement
         if (inputState.leftStick.x !== 0 || inputState.leftStick.y !== 0 || 
             inputState.rightStick.x !== 0 || inputState.rightStick.y !== 0) {
@@ -341,9 +353,48 @@ export default class DoubleWorm extends WormBase {
     
     // Removed simulateStickFromKeyboard - now handled by InputManager
     
+    teleport(offset, rotation = 0) {
+        super.teleport(offset, rotation);
+        
+        // Anchors go along, or their constraints drag the worm straight back
+        if (this.movementAbility) {
+            Object.values(this.movementAbility.anchors).forEach(anchorData => {
+                if (!anchorData.body) return;
+                this.scene.matter.body.setPosition(anchorData.body, {
+                    x: anchorData.body.position.x + offset.x,
+                    y: anchorData.body.position.y + offset.y
+                });
+                anchorData.restPos.x += offset.x;
+                anchorData.restPos.y += offset.y;
+            });
+        }
+        
+        // Held grabs stay held: each is pinned to the same spot relative to the
+        // worm at the exit until the grab button is released
+        if (this.grabAbility) {
+            Object.values(this.grabAbility.stickyConstraints).forEach(constraints => {
+                constraints.forEach(constraintData => {
+                    const { constraint } = constraintData;
+                    const base = constraint.bodyB ? constraint.bodyB.position : { x: 0, y: 0 };
+                    constraint.pointB = {
+                        x: base.x + constraint.pointB.x + offset.x,
+                        y: base.y + constraint.pointB.y + offset.y
+                    };
+                    constraint.bodyB = null;
+                    constraintData.surfaceBody = null;
+                    
+                    const circle = this.grabAbility.stickinessCircles.get(constraint);
+                    if (circle && circle.graphics) {
+                        circle.graphics.setPosition(circle.graphics.x + offset.x, circle.graphics.y + offset.y);
+                    }
+                });
+            });
+        }
+    }
+    
     destroy() {
         // Clean up input manager
-        if (this.inputManager) {
+        if (this.inputManager && this.ownsInputManager) {
             this.inputManager.destroy();
         }
         
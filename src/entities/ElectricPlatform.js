@@ -172,6 +172,11 @@ export default class ElectricPlatform extends PlatformBase {
         });
     }
     
+    // Recharge so the platform still kills after a checkpoint respawn
+    onWormRespawn() {
+        this.isCharged = true;
+    }
+    
     applyElectricShock(segment) {
         // Apply random shock force
         const shockAngle = Random.random() * Math.PI * 2;
@@ -1,6 +1,10 @@
 import Phaser from 'phaser';
+import WaypointPath from '../utils/WaypointPath';
+import Hinge from '../utils/Hinge';
 const MOVEMENT_CONSTRAINT_MULTIPLIER = 15;
 const MOVEMENT_SPEED_MAGIC = 40;
+// Swinging platforms default to about a worm segment's density, so the worm can push them
+const HINGE_DENSITY = 0.02;
 
 export default class PlatformBase {
     constructor(scene, x, y, width, height, config = {}) {
@@ -18,7 +22,8 @@ export default class PlatformBase {
             strokeColor: null,
             strokeWidth: 2,
             shape: 'rectangle', // Default shape
-            motion: null, // Motion config: { type: 'horizontal'|'vertical', distance: 300, speed: 60 }
+            motion: null, // Motion config: { type: 'horizontal'|'vertical', distance: 300, speed: 60 } or { type: 'waypoints', ... } (see WaypointPath)
+            hinge: null, // Hinge config: { pivot: { x, y }, minAngle, maxAngle, damping, motor } (see Hinge); replaces motion
             ...config
         };
         
@@ -30,10 +35,31 @@ export default class PlatformBase {
         // For circles, use width as diameter
         this.radius = this.width / 2;
         
-        // Initialize motion state if motion is configured
-        if (this.config.motion) {
+        // Disabled platforms are hidden and collide with nothing
+        this.enabled = true;
+        
+        // Signals can pause motion and hinge motors; paused time is taken out of the motion clock
+        if (this.config.motion || this.config.hinge) {
+            this.motionPaused = false;
+            this.motionPausedTime = 0;
+            this.lastUpdateTime = 0;
+        }
+        
+        if (this.config.hinge) {
+            this.hinge = new Hinge(this.config.hinge, { x, y });
+            this.hingeBaseAngle = this.config.angle;
+            if (config.density === undefined) {
+                this.config.density = HINGE_DENSITY;
+            }
+        } else if (this.config.motion) {
+            // Initialize motion state if motion is configured
             this.motionCenter = { x, y };
             this.motionTime = 0;
+            
+            if (this.config.motion.type === 'waypoints') {
+                this.waypointPath = new WaypointPath(this.config.motion);
+                this.motionBaseAngle = this.config.angle;
+            }
         }
         
         // Create the platform
@@ -72,6 +98,12 @@ export default class PlatformBase {
             console.log(`Platform ${this.config.id} using matter config:`, this.config.matter);
         }
         
+        // A swinging hinge is a dynamic body pinned at its pivot; a motor turns a static one
+        if (this.hinge && !this.hinge.motor) {
+            bodyOptions.isStatic = false;
+            bodyOptions.frictionAir = this.hinge.damping;
+        }
+        
         // Create physics body (separate from container for flexible collision shapes)
         if (this.config.shape === 'circle') {
             this.body = this.scene.matter.add.circle(this.x, this.y, this.radius, {
@@ -98,6 +130,10 @@ export default class PlatformBase {
         this.body.platformType = this.constructor.name;
         this.body.platformInstance = this;
         
+        if (this.hinge) {
+            this.createHinge();
+        }
+        
         // Calculate surface stiffness scale based on motion
         this.updateSurfaceStiffnessScale();
     }
@@ -160,6 +196,29 @@ export default class PlatformBase {
         this.container.add(this.graphics);
     }
     
+    createHinge() {
+        const { pivot } = this.hinge;
+        const offset = { x: pivot.x - this.body.position.x, y: pivot.y - this.body.position.y };
+        
+        if (!this.hinge.motor) {
+            this.hingeConstraint = this.scene.matter.add.worldConstraint(this.body, 0, 1, {
+                pointA: { x: pivot.x, y: pivot.y },
+                pointB: offset
+            });
+        }
+        
+        // Bolt at the pivot, in the container's unrotated frame so it turns with the platform
+        const angle = -this.body.angle;
+        const boltX = offset.x * Math.cos(angle) - offset.y * Math.sin(angle);
+        const boltY = offset.x * Math.sin(angle) + offset.y * Math.cos(angle);
+        this.pivotGraphics = this.scene.add.graphics();
+        this.pivotGraphics.fillStyle(0x2d3436, 1);
+        this.pivotGraphics.fillCircle(boltX, boltY, 7);
+        this.pivotGraphics.lineStyle(2, 0xdfe6e9, 1);
+        this.pivotGraphics.strokeCircle(boltX, boltY, 7);
+        this.container.add(this.pivotGraphics);
+    }
+    
     setupCollisionDetection() {
         // Override in subclasses for special collision behavior
     }
@@ -176,10 +235,22 @@ export default class PlatformBase {
     
     // Update method called each frame
     update(time, delta) {
-        // Handle motion if configured
-        if (this.config.motion) {
-            this.updateMotion(time, delta);
+        if (this.hinge) {
+            // Motors run on the motion clock; a swinging hinge can't be paused
+            if (this.motionPaused && this.hinge.motor) {
+                this.motionPausedTime += time - this.lastUpdateTime;
+            } else {
+                this.updateHinge(time - this.motionPausedTime);
+            }
+        } else if (this.config.motion) {
+            // Handle motion if configured
+            if (this.motionPaused) {
+                this.motionPausedTime += time - this.lastUpdateTime;
+            } else {
+                this.updateMotion(time - this.motionPausedTime, delta);
+            }
         }
+        this.lastUpdateTime = time;
         
         // Keep visual container synchronized with physics body
         this.syncVisualWithPhysics();
@@ -188,6 +259,11 @@ export default class PlatformBase {
     }
     
     updateMotion(time, delta) {
+        if (this.waypointPath) {
+            this.updateWaypointMotion(time);
+            return;
+        }
+        
         const { type, distance, speed } = this.config.motion;
         
         // Calculate new position with sinusoidal movement
@@ -210,6 +286,73 @@ export default class PlatformBase {
         this.y = newY;
     }
     
+    updateWaypointMotion(time) {
+        const { x, y, angle } = this.waypointPath.getState(time);
+        
+        const newX = this.motionCenter.x + x;
+        const newY = this.motionCenter.y + y;
+        this.scene.matter.body.setPosition(this.body, { x: newX, y: newY });
+        
+        // Only take over the angle when the path asks for rotation
+        if (this.waypointPath.rotates) {
+            this.scene.matter.body.setAngle(this.body, this.motionBaseAngle + angle);
+        }
+        
+        this.x = newX;
+        this.y = newY;
+    }
+    
+    updateHinge(time) {
+        const { pivot } = this.hinge;
+        const angle = this.body.angle - this.hingeBaseAngle;
+        
+        if (this.hinge.motor) {
+            this.scene.matter.body.rotate(this.body, this.hinge.getMotorAngle(time) - angle, pivot);
+        } else {
+            const clamped = this.hinge.clampAngle(angle);
+            if (clamped !== angle) {
+                // Hitting a limit stops the swing dead
+                this.scene.matter.body.rotate(this.body, clamped - angle, pivot);
+                this.scene.matter.body.setAngularVelocity(this.body, 0);
+                this.scene.matter.body.setVelocity(this.body, { x: 0, y: 0 });
+            }
+        }
+        
+        this.x = this.body.position.x;
+        this.y = this.body.position.y;
+    }
+    
+    /**
+     * Hold or resume motion. Resuming continues from where the platform
+     * stopped rather than jumping ahead.
+     * @param {boolean} paused
+     */
+    setMotionPaused(paused) {
+        this.motionPaused = paused;
+    }
+    
+    /**
+     * Show or hide the platform. Disabled platforms keep their body but
+     * collide with nothing, so contacts end the usual way.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (this.enabled === enabled) return;
+        this.enabled = enabled;
+        
+        if (this.container) {
+            this.container.setVisible(enabled);
+        }
+        
+        const filter = this.body.collisionFilter;
+        if (enabled) {
+            filter.mask = this.enabledCollisionMask;
+        } else {
+            this.enabledCollisionMask = filter.mask;
+            filter.mask = 0;
+        }
+    }
+    
     // Synchronize visual container with physics body (source of truth)
     syncVisualWithPhysics() {
         if (this.container && this.body) {
@@ -230,13 +373,22 @@ export default class PlatformBase {
     
     // Calculate surface stiffness scale based on motion speed
     updateSurfaceStiffnessScale() {
-        if (!this.config.motion) {
+        if (this.hinge?.motor) {
+            // A motor moves the platform's far end fastest
+            const { pivot } = this.hinge;
+            const reach = Math.max(...this.body.vertices.map(vertex => Math.hypot(vertex.x - pivot.x, vertex.y - pivot.y)));
+            const speed = this.hinge.getPeakSpeed(reach);
+            this.config.surfaceStiffnessScale = MOVEMENT_CONSTRAINT_MULTIPLIER + (speed / MOVEMENT_SPEED_MAGIC);
+            
+            console.log(`Platform hinge motor detected - Speed: ${speed.toFixed(0)}, Stiffness Scale: ${this.config.surfaceStiffnessScale.toFixed(2)}x`);
+        } else if (!this.config.motion) {
             // Static platforms use default scale
             this.config.surfaceStiffnessScale = 1.0;
         } else {
             // Scale stiffness based on motion speed
             // Higher speed = stronger constraint needed
-            const { speed } = this.config.motion;
+            // Waypoint speeds are pixels per second; use the fastest segment
+            const speed = this.waypointPath ? this.waypointPath.getPeakSpeed() : this.config.motion.speed;
             
             // Scale formula: 1.5 + (speed / MOVEMENT_SPEED_MAGIC)
             // Speed 40 = 2.5x stiffness, Speed 80 = 3.5x stiffness, etc.
@@ -278,6 +430,10 @@ export default class PlatformBase {
     
     // Cleanup
     destroy() {
+        if (this.hingeConstraint && this.scene.matter && this.scene.matter.world) {
+            this.scene.matter.world.removeConstraint(this.hingeConstraint);
+            this.hingeConstraint = null;
+        }
         if (this.container) {
             this.container.destroy();
         } else if (this.graphics) {
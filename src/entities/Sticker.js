@@ -246,6 +246,13 @@ export default class Sticker {
         }
     }
     
+    // Show or hide the sticker (signals reveal stickers during play)
+    setVisible(visible) {
+        if (this.container) {
+            this.container.setVisible(visible);
+        }
+    }
+
     // Destroy the sticker
     destroy() {
         if (this.container) {
@@ -262,18 +269,27 @@ export default class Sticker {
     
     // Serialize to JSON for saving
     toJSON() {
-        return {
+        const json = {
             id: this.data.id,
             x: this.data.x,
             y: this.data.y,
             text: this.data.text,
             config: this.data.config
         };
+        // Stickers without a layer are on gameplay (see MapLayers)
+        if (this.data.layer) {
+            json.layer = this.data.layer;
+        }
+        return json;
     }
     
     // Create from JSON data
     static fromJSON(scene, data) {
-        return new Sticker(scene, data.x, data.y, data.text, { ...data.config });
+        const sticker = new Sticker(scene, data.x, data.y, data.text, { ...data.config });
+        if (data.layer) {
+            sticker.data.layer = data.layer;
+        }
+        return sticker;
     }
     
     // Get common sticker presets
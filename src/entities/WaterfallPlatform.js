@@ -302,6 +302,20 @@ export default class WaterfallPlatform extends PlatformBase {
         this.poolConnection = poolPlatform;
     }
     
+    setEnabled(enabled) {
+        super.setEnabled(enabled);
+        
+        // A dry waterfall stops spraying
+        [this.waterfallEmitter, this.mistEmitter].forEach(emitter => {
+            if (!emitter) return;
+            if (enabled) {
+                emitter.start();
+            } else {
+                emitter.stop();
+            }
+        });
+    }
+    
     update(time, delta) {
         super.update(time, delta);
         
@@ -0,0 +1,184 @@
+import PlatformBase from './PlatformBase.js';
+import Random from '../utils/Random.js';
+
+// Matter's default gravity scale, so windForce reads in gravities
+const GRAVITY_SCALE = 0.001;
+const STREAK_LENGTH = 18;
+
+export default class WindPlatform extends PlatformBase {
+    constructor(scene, x, y, width, height, config = {}) {
+        const windConfig = {
+            color: 0xb2ebf2,         // Pale sky blue
+            strokeColor: 0x80deea,   // Light cyan border
+            strokeWidth: 1,
+            friction: 0,
+            restitution: 0.0,
+            matter: {
+                isSensor: true       // Wind blows through, it doesn't block
+            },
+            ...config
+        };
+        
+        super(scene, x, y, width, height, windConfig);
+        
+        // Push in gravities along world axes: { x: 0, y: -1.5 } is an updraft
+        // that lifts anything inside it, whatever the zone's rotation
+        const force = config.windForce || {};
+        this.force = { x: force.x ?? 0, y: force.y ?? -1.5 };
+        // 0 = even push; 1 = fades to nothing at the downwind edge
+        this.falloff = Math.min(1, Math.max(0, config.windFalloff ?? 0));
+        // Random share of the push, varied every step from the seeded Random
+        this.turbulence = Math.max(0, config.windTurbulence ?? 0);
+        
+        // Gusts: blows for windOnTime ms, rests for windOffTime ms (0 = always on)
+        this.onTime = config.windOnTime ?? 0;
+        this.offTime = config.windOffTime ?? 0;
+        this.cycleOffset = config.windOffset ?? 0;
+        this.blowing = true;
+        
+        this.createStreaks();
+    }
+    
+    createStreaks() {
+        // Translucent zone so the level behind stays readable
+        this.graphics.setAlpha(0.15);
+        
+        const count = Math.max(3, Math.min(40, Math.round(this.width * this.height / 4000)));
+        this.streakSpeed = 0;
+        this.streaks = [];
+        for (let i = 0; i < count; i++) {
+            this.streaks.push({
+                x: (Random.random() - 0.5) * this.width,
+                y: (Random.random() - 0.5) * this.height,
+                speed: 0.6 + Random.random() * 0.8
+            });
+        }
+        
+        this.streakGraphics = this.scene.add.graphics();
+        this.container.add(this.streakGraphics);
+    }
+    
+    isBlowing(time) {
+        if (this.onTime <= 0 || this.offTime <= 0) return true;
+        const cycle = this.onTime + this.offTime;
+        const phase = (((time + this.cycleOffset) % cycle) + cycle) % cycle;
+        return phase < this.onTime;
+    }
+    
+    update(time, delta) {
+        super.update(time, delta);
+        
+        if (!this.enabled) return;
+        
+        this.blowing = this.isBlowing(time);
+        if (this.blowing) {
+            this.applyWind();
+        }
+        
+        this.updateStreaks(delta);
+    }
+    
+    /**
+     * Push every body whose center is inside the zone: worm segments, dynamic
+     * platforms and debris. Static bodies, sensors and bodies that collide
+     * with nothing (like the stick anchors) are left alone.
+     */
+    applyWind() {
+        const strength = Math.hypot(this.force.x, this.force.y);
+        if (strength === 0) return;
+        
+        const direction = { x: this.force.x / strength, y: this.force.y / strength };
+        const extent = this.getExtentAlong(direction);
+        const bodies = this.Matter.Composite.allBodies(this.scene.matter.world.localWorld).filter(body =>
+            !body.isStatic && !body.isSensor && body.collisionFilter.mask !== 0
+        );
+        
+        this.Matter.Query.region(bodies, this.body.bounds).forEach(body => {
+            if (!this.Matter.Vertices.contains(this.body.vertices, body.position)) return;
+            
+            // Weaker the further downwind the body is
+            const along = body.position.x * direction.x + body.position.y * direction.y;
+            const depth = extent.size > 0 ? (along - extent.min) / extent.size : 0;
+            let scale = 1 - this.falloff * Math.min(1, Math.max(0, depth));
+            
+            let sideways = 0;
+            if (this.turbulence > 0) {
+                scale *= 1 + (Random.random() - 0.5) * 2 * this.turbulence;
+                sideways = (Random.random() - 0.5) * this.turbulence;
+            }
+            
+            const push = body.mass * GRAVITY_SCALE * strength * scale;
+            const swirl = body.mass * GRAVITY_SCALE * strength * sideways;
+            
+            if (body.isSleeping) {
+                this.Matter.Sleeping.set(body, false);
+            }
+            this.scene.matter.body.applyForce(body, body.position, {
+                x: direction.x * push - direction.y * swirl,
+                y: direction.y * push + direction.x * swirl
+            });
+        });
+    }
+    
+    // Where the zone starts and ends along a world direction
+    getExtentAlong(direction) {
+        let min = Infinity;
+        let max = -Infinity;
+        this.body.vertices.forEach(vertex => {
+            const along = vertex.x * direction.x + vertex.y * direction.y;
+            min = Math.min(min, along);
+            max = Math.max(max, along);
+        });
+        return { min, size: max - min };
+    }
+    
+    updateStreaks(delta) {
+        const g = this.streakGraphics;
+        g.clear();
+        
+        // Streaks ease to a stop between gusts rather than freezing
+        const target = this.blowing ? 1 : 0;
+        this.streakSpeed += (target - this.streakSpeed) * Math.min(1, delta / 250);
+        if (this.streakSpeed < 0.02) return;
+        
+        // Wind is in world axes; the container turns with the zone
+        const strength = Math.hypot(this.force.x, this.force.y);
+        if (strength === 0) return;
+        const angle = -this.body.angle;
+        const local = {
+            x: (this.force.x * Math.cos(angle) - this.force.y * Math.sin(angle)) / strength,
+            y: (this.force.x * Math.sin(angle) + this.force.y * Math.cos(angle)) / strength
+        };
+        
+        const halfWidth = this.width / 2;
+        const halfHeight = this.height / 2;
+        const wrap = (value, half) => ((value + half) % (half * 2) + half * 2) % (half * 2) - half;
+        const travel = 0.25 * Math.min(3, strength) * delta * this.streakSpeed;
+        const length = STREAK_LENGTH * Math.min(2, strength) * this.streakSpeed;
+        
+        g.lineStyle(2, 0xffffff, 0.5 * this.streakSpeed);
+        this.streaks.forEach(streak => {
+            streak.x = wrap(streak.x + local.x * travel * streak.speed, halfWidth);
+            streak.y = wrap(streak.y + local.y * travel * streak.speed, halfHeight);
+            
+            const tailX = streak.x - local.x * length;
+            const tailY = streak.y - local.y * length;
+            if (this.config.shape === 'circle') {
+                if (Math.hypot(streak.x, streak.y) > this.radius || Math.hypot(tailX, tailY) > this.radius) return;
+            } else if (Math.abs(tailX) > halfWidth || Math.abs(tailY) > halfHeight) {
+                return;
+            }
+            g.lineBetween(tailX, tailY, streak.x, streak.y);
+        });
+    }
+    
+    destroy() {
+        if (this.streakGraphics) {
+            this.streakGraphics.destroy();
+            this.streakGraphics = null;
+        }
+        this.streaks = [];
+        
+        super.destroy();
+    }
+}
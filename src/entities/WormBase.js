@@ -59,6 +59,8 @@ export default class WormBase {
                 maxVelocityThreshold: 40,    // Maximum velocity for volume scaling
                 cooldownMs: 50               // Minimum ms between splat sounds
             },
+            // Set false to run silently (e.g. headless simulation)
+            audioEnabled: true,
             showDebug: false,
             ...config
         };
@@ -131,6 +133,7 @@ export default class WormBase {
             segment.sprite = segmentSprite;
             segment.gameObject = segmentGameObject;
             segment.isWorm = true;
+            segment.worm = this;
             segments.push(segment);
             
             if (i < this.config.segmentSizes.length - 1) {
@@ -201,7 +204,9 @@ export default class WormBase {
         this.cleanupOverstretchedConstraints();
         
         // Update audio based on flight physics
-        this.updateAudio(delta);
+        if (this.config.audioEnabled) {
+            this.updateAudio(delta);
+        }
     }
 
     updateMovement(delta) {
@@ -369,7 +374,7 @@ export default class WormBase {
         this.lastSplatTime = 0;
         
         // Also register it globally for UI sounds
-        if (!this.scene.registry.get('splatSynthesizer')) {
+        if (this.config.audioEnabled && !this.scene.registry.get('splatSynthesizer')) {
             try {
                 const globalSplatSynth = new ZzfxSplatWrapper();
                 this.scene.registry.set('splatSynthesizer', globalSplatSynth);
@@ -408,6 +413,10 @@ export default class WormBase {
     }
     
     playSplatSound(velocity = 10, mass = 0.1, surfaceHardness = 0.5) {
+        if (!this.config.audioEnabled) {
+            return;
+        }
+        
         // Use config values for minimum velocity and cooldown
         if (velocity < this.config.splatSound.minVelocityThreshold) {
             return;
@@ -809,6 +818,50 @@ export default class WormBase {
         }
     }
     
+    /**
+     * Move the whole worm by an offset, keeping its shape, and turn its
+     * velocity by `rotation` radians. Used by portals.
+     * @param {{x: number, y: number}} offset
+     * @param {number} rotation
+     */
+    teleport(offset, rotation = 0) {
+        if (!this.segments) return;
+        
+        // Surface grips hold on to where the worm was
+        this.surfaceConstraints.forEach(constraint => {
+            this.scene.matter.world.remove(constraint);
+        });
+        this.surfaceConstraints.clear();
+        
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        
+        this.segments.forEach((segment, index) => {
+            const { x: vx, y: vy } = segment.velocity;
+            
+            // setPosition moves positionPrev too, so this alone adds no speed
+            this.scene.matter.body.setPosition(segment, {
+                x: segment.position.x + offset.x,
+                y: segment.position.y + offset.y
+            });
+            this.scene.matter.body.setVelocity(segment, {
+                x: vx * cos - vy * sin,
+                y: vx * sin + vy * cos
+            });
+            
+            this.segmentCollisions[index] = {
+                isColliding: false,
+                contactPoint: { x: 0, y: 0 },
+                surfaceBody: null,
+                surfaceNormal: { x: 0, y: 1 },
+                isOnIce: false
+            };
+        });
+        
+        // Otherwise the trails draw a line across the level
+        this.clearTrails();
+    }
+    
     // Utility methods for segment range operations
     getSegmentRange(startPercent, endPercent) {
         if (!this.segments) return { startIndex: 0, endIndex: 0, count: 0 };
@@ -107,6 +107,11 @@ export default class GrabAbility extends BaseAbility {
         });
     }
     
+    // Static surfaces can be held, and so can bodies flagged isGrabbable (rope links)
+    canGrab(body) {
+        return !!body && (body.isStatic || body.isGrabbable === true);
+    }
+    
     checkDirectionalStickiness(section, stick) {
         const stickMagnitude = this.calculateStickMagnitude(stick);
         if (stickMagnitude < this.activationThreshold) {
@@ -122,7 +127,7 @@ export default class GrabAbility extends BaseAbility {
         // Check if any segment in range has collision where stick points toward surface
         for (let i = startIndex; i < endIndex && i < this.worm.segments.length; i++) {
             const collision = this.worm.segmentCollisions[i];
-            if (collision && collision.isColliding && collision.surfaceBody && collision.surfaceBody.isStatic) {
+            if (collision && collision.isColliding && this.canGrab(collision.surfaceBody)) {
                 // Calculate if stick direction aligns with pushing into the surface
                 const surfaceInwardDirection = {
                     x: -collision.surfaceNormal.x,
@@ -161,7 +166,7 @@ export default class GrabAbility extends BaseAbility {
             return;
         }
         
-        // Get segments that are touching static surfaces
+        // Get segments that are touching grabbable surfaces
         const { startIndex, endIndex } = this.worm.getSegmentRange(
             section.segmentRange.start,
             section.segmentRange.end
@@ -170,7 +175,7 @@ export default class GrabAbility extends BaseAbility {
         const touchingSegments = [];
         for (let i = startIndex; i < endIndex && i < this.worm.segments.length; i++) {
             const collision = this.worm.segmentCollisions[i];
-            if (collision && collision.isColliding && collision.surfaceBody && collision.surfaceBody.isStatic) {
+            if (collision && collision.isColliding && this.canGrab(collision.surfaceBody)) {
                 touchingSegments.push({
                     index: i,
                     segment: this.worm.segments[i],
@@ -347,6 +352,22 @@ export default class GrabAbility extends BaseAbility {
         });
     }
     
+    // Let go of anything held on the given bodies, e.g. platforms a map reload removes
+    releaseBodies(bodies) {
+        ['head', 'tail'].forEach(sectionName => {
+            this.stickyConstraints[sectionName] = this.stickyConstraints[sectionName].filter(constraintData => {
+                const { constraint, surfaceBody } = constraintData;
+                if (!surfaceBody || !bodies.has(surfaceBody.parent || surfaceBody)) {
+                    return true;
+                }
+                
+                this.removeConstraint(constraint);
+                this.removeStickinessCircle(constraint);
+                return false;
+            });
+        });
+    }
+    
     // Method to re-enable grab
     enableGrab() {
         this.grabDisabled = false;
@@ -8,6 +8,12 @@ import WaterPlatform from '../entities/WaterPlatform';
 import WaterfallPlatform from '../entities/WaterfallPlatform';
 import SwitchPlatform from '../entities/SwitchPlatform';
 import DoorPlatform from '../entities/DoorPlatform';
+import CrumblePlatform from '../entities/CrumblePlatform';
+import ConveyorPlatform from '../entities/ConveyorPlatform';
+import WindPlatform from '../entities/WindPlatform';
+import { expandPrefabInstance } from '../services/Prefabs';
+import { DEFAULT_LAYERS, getItemLayer, isDecorativeLayer } from '../services/MapLayers';
+import { decomposePolygon, getCustomPlatformPoints, getPolygonCentroid } from '../utils/PolygonShape';
 
 /**
  * PlatformFactory - Centralized platform creation from JSON data
@@ -16,10 +22,19 @@ import DoorPlatform from '../entities/DoorPlatform';
  * - Standard geometric platforms (rectangle, circle, polygon, etc.)
  * - Special platforms (ice, bouncy, electric, etc.)
  * - Dynamic platforms with motion
+ * - Hinged platforms, swinging or motor-driven about a pivot (see Hinge)
+ * - Prefab instances, expanded into the platforms above
+ * - Decoration: platforms on a layer with `collides: false` (see MapLayers)
  */
 export default class PlatformFactory {
-    constructor(scene) {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.layers] - The map's layers (MapLayers.getMapLayers)
+     */
+    constructor(scene, { layers = DEFAULT_LAYERS } = {}) {
         this.scene = scene;
+        this.layers = layers;
     }
     
     /**
@@ -28,10 +43,14 @@ export default class PlatformFactory {
      * @returns {Object|null} Platform object with body, visual, and metadata
      */
     createFromJSON(platformData) {
-        const { type, platformType = 'standard', physics = {}, motion, color, id } = platformData;
+        const { type, platformType = 'standard', physics = {}, motion, hinge, color, id } = platformData;
         
-        // Check if this is a special platform type or has motion
-        if ((platformType && platformType !== 'standard') || motion) {
+        if (isDecorativeLayer(getItemLayer(this.layers, platformData))) {
+            return this.createDecoration(platformData);
+        }
+        
+        // Check if this is a special platform type or has motion or a hinge
+        if ((platformType && platformType !== 'standard') || motion || hinge) {
             const platformInstance = this.createSpecialPlatform({
                 ...platformData,
                 platformType: platformType || 'standard'
@@ -49,25 +68,33 @@ export default class PlatformFactory {
         // Handle standard platforms
         let body, visual;
         
+        // Physics properties become body options at creation, so dynamic
+        // bodies (isStatic: false) get their mass. Pre-v2 `matter` blocks
+        // are merged into physics by MapMigrations.
+        const bodyData = {
+            ...platformData,
+            matter: { ...platformData.matter, ...physics }
+        };
+        
         switch(type) {
             case 'rectangle':
-                ({ body, visual } = this.createRectanglePlatform(platformData));
+                ({ body, visual } = this.createRectanglePlatform(bodyData));
                 break;
                 
             case 'circle':
-                ({ body, visual } = this.createCirclePlatform(platformData));
+                ({ body, visual } = this.createCirclePlatform(bodyData));
                 break;
                 
             case 'polygon':
-                ({ body, visual } = this.createPolygonPlatform(platformData));
+                ({ body, visual } = this.createPolygonPlatform(bodyData));
                 break;
                 
             case 'trapezoid':
-                ({ body, visual } = this.createTrapezoidPlatform(platformData));
+                ({ body, visual } = this.createTrapezoidPlatform(bodyData));
                 break;
                 
             case 'custom':
-                ({ body, visual } = this.createCustomPlatform(platformData));
+                ({ body, visual } = this.createCustomPlatform(bodyData));
                 break;
                 
             default:
@@ -75,13 +102,6 @@ export default class PlatformFactory {
                 return null;
         }
         
-        // Apply physics properties from JSON
-        if (physics && body) {
-            Object.keys(physics).forEach(key => {
-                this.scene.matter.body.set(body, key, physics[key]);
-            });
-        }
-        
         return { 
             body, 
             visual, 
@@ -90,6 +110,47 @@ export default class PlatformFactory {
         };
     }
     
+    /**
+     * Draw a platform without a body. Decoration never moves and nothing
+     * touches it, so its type, motion and hinge are ignored.
+     * @param {Object} platformData - Platform configuration from JSON
+     * @returns {Object|null} Platform object with `isDecoration` and no body
+     */
+    createDecoration(platformData) {
+        const { platformType, motion, hinge, ...shapeData } = platformData;
+        const platform = this.createFromJSON({ ...shapeData, layer: undefined });
+        if (!platform) {
+            return null;
+        }
+        
+        this.scene.matter.world.remove(platform.body);
+        return {
+            visual: platform.visual,
+            data: platformData,
+            id: platform.id,
+            isDecoration: true
+        };
+    }
+    
+    /**
+     * Create the platforms of a prefab instance. Their ids are prefixed with
+     * the instance id (see Prefabs.expandPrefabInstance).
+     * @param {Object} instance - Entry of mapData.prefabInstances
+     * @param {Object} prefabs - mapData.prefabs
+     * @returns {Array<Object>} Platform objects, as returned by createFromJSON
+     */
+    createFromPrefab(instance, prefabs = {}) {
+        const prefab = prefabs[instance.prefab];
+        if (!prefab) {
+            console.warn(`Prefab instance ${instance.id}: unknown prefab "${instance.prefab}"`);
+            return [];
+        }
+        
+        return expandPrefabInstance(prefab, instance).platforms
+            .map(platformData => this.createFromJSON(platformData))
+            .filter(Boolean);
+    }
+    
     createRectanglePlatform(platformData) {
         const { x, y, width, height, color = "#ff6b6b", angle = 0, matter = {}, chamfer } = platformData;
         
@@ -299,14 +360,17 @@ export default class PlatformFactory {
     }
     
     createCustomPlatform(platformData) {
-        const { vertices, color = "#a29bfe", angle = 0, matter = {} } = platformData;
+        const { color = "#a29bfe", matter = {} } = platformData;
         
-        // Use pixel coordinates directly - vertices are already in world coordinates
-        const pixelVertices = vertices;
+        // World-space outline; vertices are relative to x/y when the platform has a position
+        const points = getCustomPlatformPoints(platformData);
+        const center = getPolygonCentroid(points);
         
-        // Calculate center point for body positioning
-        const centerX = pixelVertices.reduce((sum, v) => sum + v.x, 0) / pixelVertices.length;
-        const centerY = pixelVertices.reduce((sum, v) => sum + v.y, 0) / pixelVertices.length;
+        // Matter bodies must be convex, so concave outlines become a compound body
+        const parts = decomposePolygon(points);
+        if (!parts) {
+            console.warn(`⚠️ Custom platform ${platformData.id} crosses itself; using its convex hull`);
+        }
         
         // Merge matter properties with defaults
         const bodyOptions = {
@@ -314,19 +378,16 @@ export default class PlatformFactory {
             ...matter
         };
         
-        const body = this.scene.matter.add.fromVertices(centerX, centerY, pixelVertices, {
+        // Matter puts the body's center of mass at the given position, which is the outline's centroid
+        const body = this.scene.matter.add.fromVertices(center.x, center.y, parts || points, {
             label: platformData.id || 'platform_custom',
             ...bodyOptions
         });
         
-        // Create visual polygon
-        const visual = this.scene.add.polygon(centerX, centerY, pixelVertices, parseInt(color.replace('#', '0x')));
-        
-        // Apply rotation if specified
-        if (angle !== 0) {
-            this.scene.matter.body.setAngle(body, angle);
-            visual.setRotation(angle);
-        }
+        // Create visual polygon around the body position, so dynamic platforms rotate about it
+        const localPoints = points.map(point => ({ x: point.x - center.x, y: point.y - center.y }));
+        const visual = this.scene.add.polygon(center.x, center.y, localPoints, parseInt(color.replace('#', '0x')));
+        visual.setDisplayOrigin(0, 0);
         
         return { body, visual };
     }
@@ -338,6 +399,8 @@ export default class PlatformFactory {
         const centerX = x;
         const centerY = y;
         
+        const bodyOptions = { ...otherProps.matter, ...physics };
+        
         // Apply physics from JSON with proper defaults
         // Include all platform-specific properties (switchId, doorId, etc.)
         const config = {
@@ -346,6 +409,8 @@ export default class PlatformFactory {
             chamfer: chamfer, // Pass chamfer config if present
             ...physics,
             ...otherProps, // Include all other properties like switchId, doorId, etc.
+            // PlatformBase only passes `matter` on to the body, as createFromJSON does for standard platforms
+            matter: Object.keys(bodyOptions).length > 0 ? bodyOptions : undefined
         };
         
         // Determine platform dimensions based on shape type
@@ -398,8 +463,17 @@ export default class PlatformFactory {
                 console.log(`Creating door with config:`, config);
                 return new DoorPlatform(this.scene, centerX, centerY, platformWidth, platformHeight, config);
                 
+            case 'crumble':
+                return new CrumblePlatform(this.scene, centerX, centerY, platformWidth, platformHeight, config);
+                
+            case 'conveyor':
+                return new ConveyorPlatform(this.scene, centerX, centerY, platformWidth, platformHeight, config);
+                
+            case 'wind':
+                return new WindPlatform(this.scene, centerX, centerY, platformWidth, platformHeight, config);
+                
             case 'standard':
-                // Standard platform with motion needs to use PlatformBase
+                // Standard platform with motion or a hinge needs to use PlatformBase
                 return new PlatformBase(this.scene, centerX, centerY, platformWidth, platformHeight, {
                     ...config,
                     color: parseInt(color?.replace('#', '0x')) || 0x666666
@@ -0,0 +1,37 @@
+import Matter from 'phaser/src/physics/matter-js/CustomMain.js';
+import PhaserMath from 'phaser/src/math/index.js';
+import Geom from 'phaser/src/geom/index.js';
+import KeyCodes from 'phaser/src/input/keyboard/keys/KeyCodes.js';
+import BlendModes from 'phaser/src/renderer/BlendModes.js';
+
+/**
+ * HeadlessPhaser - Stand-in for the `phaser` module when a level runs in Node
+ *
+ * The full Phaser bundle touches `window` and `navigator` as soon as it is
+ * imported, so the headless runner aliases `phaser` to this module instead.
+ * It only exposes the DOM-free namespaces the entities use: the same Matter
+ * build the game runs, math/geometry helpers, and key codes.
+ */
+class Scene {
+    constructor(config = {}) {
+        this.sys = { settings: config };
+    }
+}
+
+const HeadlessPhaser = {
+    Physics: {
+        Matter: { Matter }
+    },
+    Math: PhaserMath,
+    Geom,
+    BlendModes,
+    Input: {
+        Keyboard: {
+            KeyCodes,
+            JustDown: () => false
+        }
+    },
+    Scene
+};
+
+export default HeadlessPhaser;
@@ -0,0 +1,444 @@
+import Matter from 'phaser/src/physics/matter-js/CustomMain.js';
+import World from 'phaser/src/physics/matter-js/World.js';
+import EventEmitter from 'phaser/src/events/EventEmitter.js';
+import { MatterWorldConfig } from '../config/matter';
+
+/**
+ * Create an inert display object
+ *
+ * Every method call is accepted and returns the object itself so chained
+ * Phaser calls (setDepth().setOrigin()...) keep working. Plain properties
+ * can be read and written like on a real game object.
+ */
+export function createNullGameObject(props = {}) {
+    const state = {
+        x: 0,
+        y: 0,
+        width: 0,
+        height: 0,
+        rotation: 0,
+        angle: 0,
+        alpha: 1,
+        scale: 1,
+        scaleX: 1,
+        scaleY: 1,
+        depth: 0,
+        visible: true,
+        active: true,
+        list: [],
+        ...props
+    };
+
+    const proxy = new Proxy(state, {
+        get(target, key) {
+            if (key in target) {
+                return target[key];
+            }
+            if (typeof key === 'symbol' || key === 'then') {
+                return undefined;
+            }
+            return () => proxy;
+        }
+    });
+
+    return proxy;
+}
+
+/**
+ * HeadlessClock - Scene `time` plugin driven by the simulation step
+ */
+class HeadlessClock {
+    constructor() {
+        this.now = 0;
+        this.events = [];
+    }
+
+    addEvent(config) {
+        const event = {
+            delay: config.delay || 0,
+            callback: config.callback,
+            callbackScope: config.callbackScope,
+            args: config.args || [],
+            loop: !!config.loop,
+            repeatCount: config.repeat || 0,
+            elapsed: 0,
+            paused: !!config.paused,
+            hasDispatched: false,
+            remove: () => { event.removed = true; },
+            destroy: () => { event.removed = true; },
+            getProgress: () => event.delay ? event.elapsed / event.delay : 1
+        };
+        this.events.push(event);
+        return event;
+    }
+
+    delayedCall(delay, callback, args, callbackScope) {
+        return this.addEvent({ delay, callback, args, callbackScope });
+    }
+
+    removeAllEvents() {
+        this.events.forEach(event => { event.removed = true; });
+        this.events = [];
+    }
+
+    update(delta) {
+        this.now += delta;
+
+        // Iterate a snapshot - callbacks may schedule new events
+        this.events.slice().forEach(event => {
+            if (event.removed || event.paused) return;
+
+            event.elapsed += delta;
+            while (!event.removed && event.elapsed >= event.delay) {
+                event.elapsed -= event.delay;
+                event.hasDispatched = true;
+                if (event.callback) {
+                    event.callback.apply(event.callbackScope, event.args);
+                }
+
+                if (event.loop && event.delay > 0) {
+                    continue;
+                }
+                if (event.repeatCount > 0) {
+                    event.repeatCount--;
+                    if (event.delay > 0) continue;
+                }
+                event.removed = true;
+            }
+        });
+
+        this.events = this.events.filter(event => !event.removed);
+    }
+}
+
+const TWEEN_CONFIG_KEYS = new Set([
+    'targets', 'duration', 'delay', 'ease', 'yoyo', 'repeat', 'repeatDelay', 'hold',
+    'loop', 'paused', 'props', 'onStart', 'onUpdate', 'onComplete', 'onYoyo',
+    'onRepeat', 'callbackScope', 'persist'
+]);
+
+/**
+ * HeadlessTweens - Scene `tweens` plugin driven by the simulation step
+ *
+ * Interpolates numeric properties linearly. Easing is ignored; headless runs
+ * only care that gameplay-relevant tweens (doors, platform slides) reach
+ * their end values and fire their callbacks on the simulated clock.
+ */
+class HeadlessTweens {
+    constructor() {
+        this.tweens = [];
+    }
+
+    add(config) {
+        const targets = [].concat(config.targets || []).filter(Boolean);
+        const props = { ...(config.props || {}) };
+        Object.keys(config).forEach(key => {
+            if (!TWEEN_CONFIG_KEYS.has(key)) {
+                props[key] = config[key];
+            }
+        });
+
+        const tween = {
+            targets,
+            props,
+            config,
+            duration: config.duration ?? 1000,
+            delay: config.delay || 0,
+            yoyo: !!config.yoyo,
+            repeat: config.repeat || 0,
+            elapsed: 0,
+            progress: 0,
+            started: false,
+            forward: true,
+            isPlaying: () => !tween.removed,
+            stop: () => { tween.removed = true; },
+            remove: () => { tween.removed = true; },
+            destroy: () => { tween.removed = true; },
+            complete: () => this.finish(tween)
+        };
+        this.tweens.push(tween);
+        return tween;
+    }
+
+    resolveEndValue(start, value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'object' && value !== null) {
+            if ('to' in value) return this.resolveEndValue(start, value.to);
+            if ('value' in value) return this.resolveEndValue(start, value.value);
+        }
+        if (typeof value === 'string') {
+            const amount = parseFloat(value.slice(2));
+            if (value.startsWith('+=')) return start + amount;
+            if (value.startsWith('-=')) return start - amount;
+            return parseFloat(value);
+        }
+        return start;
+    }
+
+    start(tween) {
+        tween.started = true;
+        tween.data = tween.targets.map(target => {
+            const entry = {};
+            Object.keys(tween.props).forEach(key => {
+                const start = typeof target[key] === 'number' ? target[key] : 0;
+                entry[key] = { start, end: this.resolveEndValue(start, tween.props[key]) };
+            });
+            return entry;
+        });
+        if (tween.config.onStart) {
+            tween.config.onStart.call(tween.config.callbackScope, tween, tween.targets);
+        }
+    }
+
+    apply(tween, progress) {
+        tween.progress = progress;
+        tween.targets.forEach((target, index) => {
+            const entry = tween.data[index];
+            Object.keys(entry).forEach(key => {
+                const { start, end } = entry[key];
+                target[key] = start + (end - start) * progress;
+            });
+        });
+        if (tween.config.onUpdate) {
+            tween.config.onUpdate.call(tween.config.callbackScope, tween, tween.targets[0]);
+        }
+    }
+
+    finish(tween) {
+        if (tween.removed) return;
+        if (!tween.started) this.start(tween);
+        this.apply(tween, tween.yoyo ? 0 : 1);
+        tween.removed = true;
+        if (tween.config.onComplete) {
+            tween.config.onComplete.call(tween.config.callbackScope, tween, tween.targets);
+        }
+    }
+
+    killTweensOf(targets) {
+        const list = [].concat(targets);
+        this.tweens.forEach(tween => {
+            if (tween.targets.some(target => list.includes(target))) {
+                tween.removed = true;
+            }
+        });
+    }
+
+    killAll() {
+        this.tweens.forEach(tween => { tween.removed = true; });
+        this.tweens = [];
+    }
+
+    update(delta) {
+        this.tweens.slice().forEach(tween => {
+            if (tween.removed) return;
+
+            if (tween.delay > 0) {
+                tween.delay -= delta;
+                if (tween.delay > 0) return;
+            }
+            if (!tween.started) this.start(tween);
+
+            tween.elapsed += delta;
+            const progress = tween.duration > 0 ? Math.min(1, tween.elapsed / tween.duration) : 1;
+            this.apply(tween, tween.forward ? progress : 1 - progress);
+
+            if (progress < 1) return;
+
+            tween.elapsed = 0;
+            if (tween.yoyo && tween.forward) {
+                tween.forward = false;
+                return;
+            }
+            tween.forward = true;
+
+            if (tween.repeat === -1 || tween.repeat > 0) {
+                if (tween.repeat > 0) tween.repeat--;
+                return;
+            }
+
+            tween.removed = true;
+            if (tween.config.onComplete) {
+                tween.config.onComplete.call(tween.config.callbackScope, tween, tween.targets);
+            }
+        });
+
+        this.tweens = this.tweens.filter(tween => !tween.removed);
+    }
+}
+
+/**
+ * HeadlessMatterFactory - The subset of `scene.matter.add` used by entities
+ */
+class HeadlessMatterFactory {
+    constructor(world) {
+        this.world = world;
+    }
+
+    rectangle(x, y, width, height, options) {
+        const body = Matter.Bodies.rectangle(x, y, width, height, options);
+        this.world.add(body);
+        return body;
+    }
+
+    circle(x, y, radius, options, maxSides) {
+        const body = Matter.Bodies.circle(x, y, radius, options, maxSides);
+        this.world.add(body);
+        return body;
+    }
+
+    polygon(x, y, sides, radius, options) {
+        const body = Matter.Bodies.polygon(x, y, sides, radius, options);
+        this.world.add(body);
+        return body;
+    }
+
+    trapezoid(x, y, width, height, slope, options) {
+        const body = Matter.Bodies.trapezoid(x, y, width, height, slope, options);
+        this.world.add(body);
+        return body;
+    }
+
+    fromVertices(x, y, vertexSets, options, flagInternal, removeCollinear, minimumArea) {
+        if (typeof vertexSets === 'string') {
+            vertexSets = Matter.Vertices.fromPath(vertexSets);
+        }
+        const body = Matter.Bodies.fromVertices(x, y, vertexSets, options, flagInternal, removeCollinear, minimumArea);
+        this.world.add(body);
+        return body;
+    }
+
+    constraint(bodyA, bodyB, length, stiffness = 1, options = {}) {
+        options.bodyA = bodyA.type === 'body' ? bodyA : bodyA.body;
+        options.bodyB = bodyB.type === 'body' ? bodyB : bodyB.body;
+        if (!isNaN(length)) {
+            options.length = length;
+        }
+        options.stiffness = stiffness;
+        const constraint = Matter.Constraint.create(options);
+        this.world.add(constraint);
+        return constraint;
+    }
+
+    worldConstraint(body, length, stiffness = 1, options = {}) {
+        options.bodyB = body.type === 'body' ? body : body.body;
+        if (!isNaN(length)) {
+            options.length = length;
+        }
+        options.stiffness = stiffness;
+        const constraint = Matter.Constraint.create(options);
+        this.world.add(constraint);
+        return constraint;
+    }
+
+    // Attach a body to an inert display object, like MatterGameObject does
+    gameObject(gameObject, options = {}, addToWorld = true) {
+        const shape = options.shape || { type: 'rectangle' };
+        const x = gameObject.x;
+        const y = gameObject.y;
+        let body;
+
+        if (shape.type === 'circle') {
+            body = Matter.Bodies.circle(x, y, shape.radius, options, shape.maxSides || 25);
+        } else {
+            body = Matter.Bodies.rectangle(x, y, shape.width || gameObject.width, shape.height || gameObject.height, options);
+        }
+
+        body.gameObject = gameObject;
+        gameObject.body = body;
+        // Destroying the object removes its body, like MatterGameObject
+        gameObject.destroy = () => this.world.remove(body);
+        if (addToWorld) {
+            this.world.add(body);
+        }
+        return gameObject;
+    }
+}
+
+/**
+ * HeadlessScene - Just enough of Phaser.Scene to host platforms, the worm and
+ * goals outside the browser
+ *
+ * Physics runs on a real Phaser Matter World built with the game's own solver
+ * settings. Rendering, audio, cameras and input are inert; timers and tweens
+ * advance only when `step()` is called, so runs are reproducible.
+ */
+export default class HeadlessScene {
+    constructor(config = {}) {
+        this.events = new EventEmitter();
+        this.scale = { width: config.width || 1280, height: config.height || 720 };
+        this.sys = {
+            events: this.events,
+            scale: this.scale,
+            game: { device: { os: {} } }
+        };
+        this.game = { config: {}, canvas: null };
+
+        this.matter = {
+            world: new World(this, { ...MatterWorldConfig, ...config.matter }),
+            body: Matter.Body,
+            bodies: Matter.Bodies,
+            composite: Matter.Composite,
+            constraint: Matter.Constraint,
+            vector: Matter.Vector
+        };
+        this.matter.add = new HeadlessMatterFactory(this.matter.world);
+
+        this.time = new HeadlessClock();
+        this.tweens = new HeadlessTweens();
+
+        const registryData = new Map();
+        this.registry = {
+            get: key => registryData.get(key),
+            set: (key, value) => registryData.set(key, value),
+            has: key => registryData.has(key)
+        };
+
+        // Every display factory (graphics, rectangle, text, particles...) hands
+        // back an inert object positioned where the caller asked
+        this.add = new Proxy({}, {
+            get: () => (x, y, width, height) => createNullGameObject({
+                x: typeof x === 'number' ? x : 0,
+                y: typeof y === 'number' ? y : 0,
+                width: typeof width === 'number' ? width : 0,
+                height: typeof height === 'number' ? height : 0
+            })
+        });
+
+        this.cameras = { main: createNullGameObject({ zoom: 1 }) };
+        this.sound = createNullGameObject();
+        this.input = {
+            enabled: false,
+            keyboard: {
+                keys: [],
+                addKey: () => createNullGameObject({ isDown: false }),
+                createCursorKeys: () => ({})
+            },
+            gamepad: {
+                getPad: () => undefined,
+                on: () => {},
+                off: () => {}
+            }
+        };
+        this.scene = createNullGameObject({ key: 'HeadlessScene' });
+    }
+
+    /**
+     * Advance timers, tweens and physics by one fixed step
+     * @param {number} delta - Step length in milliseconds
+     */
+    step(delta) {
+        this.time.update(delta);
+        this.tweens.update(delta);
+        if (this.matter.world.enabled) {
+            this.matter.world.step(delta);
+        }
+    }
+
+    destroy() {
+        this.time.removeAllEvents();
+        this.tweens.killAll();
+        this.events.removeAllListeners();
+        this.matter.world.removeAllListeners();
+        Matter.Engine.clear(this.matter.world.engine);
+    }
+}
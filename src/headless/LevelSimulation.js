@@ -0,0 +1,336 @@
+import Matter from 'phaser/src/physics/matter-js/CustomMain.js';
+import HeadlessScene from './HeadlessScene';
+import ScriptedInputSource from './ScriptedInputSource';
+import PlatformFactory from '../factories/PlatformFactory';
+import DoubleWorm from '../entities/DoubleWorm';
+import GoalCollectionManager from '../utils/GoalCollectionManager';
+import CheckpointManager from '../utils/CheckpointManager';
+import PortalManager from '../utils/PortalManager';
+import RopeManager from '../utils/RopeManager';
+import SignalSystem from '../systems/SignalSystem';
+import { expandPrefabInstances } from '../services/Prefabs';
+import { getMapLayers } from '../services/MapLayers';
+import Random from '../utils/Random';
+import { LevelWormConfig } from '../config/worm';
+import { FIXED_TIMESTEP } from '../config/matter';
+
+export const FIXED_DELTA = FIXED_TIMESTEP;
+
+/**
+ * LevelSimulation - Runs a level's physics without a browser
+ *
+ * Builds the same platforms, worm and goals JsonMapBase does, but on a
+ * HeadlessScene that is stepped at a fixed timestep. Input comes from any
+ * object with `getInputState(delta)` (normally a ScriptedInputSource), so
+ * the same input sequence always produces the same outcome. Deaths after a
+ * checkpoint respawn the worm there instead of ending the run.
+ *
+ * Usage:
+ *   const sim = new LevelSimulation(mapData, { mapKey: '001-Left', inputs: steps });
+ *   const result = sim.run({ maxFrames: 60 * 30 });
+ *   // result.outcome: 'victory' | 'death' | 'timeout'
+ */
+export default class LevelSimulation {
+    constructor(mapData, config = {}) {
+        this.mapData = mapData;
+        this.config = {
+            mapKey: 'unknown',
+            fixedDelta: FIXED_DELTA,
+            inputs: [],
+            inputSource: null,
+            ...config
+        };
+
+        this.frame = 0;
+        this.elapsedTime = 0;
+        this.outcome = null;
+        this.deathReason = null;
+        this.goalCollections = [];
+        this.checkpointSplits = [];
+        this.respawns = 0;
+        this.pendingDeath = null;
+
+        this.create();
+    }
+
+    create() {
+        // Same per-map seed JsonMapBase uses, so seeded effects line up
+        Random.setSeed(Random.seedFromMapKey(this.config.mapKey));
+
+        const { width, height } = this.mapData.dimensions;
+        this.scene = new HeadlessScene();
+        this.scene.levelWidth = width;
+        this.scene.levelHeight = height;
+        this.levelWidth = width;
+        this.levelHeight = height;
+
+        // Mirror the world bounds and boundary walls of JsonMapBase
+        this.scene.matter.world.setBounds(0, 0, width, height, 1000);
+        this.createBoundaryWalls();
+
+        this.platforms = [];
+        this.constraints = [];
+        this.platformFactory = new PlatformFactory(this.scene, { layers: getMapLayers(this.mapData) });
+
+        // Decoration has no body, so there is nothing of it to simulate
+        const { platforms = [], entities, constraints = [], ropes = [], signals, prefabs = {}, prefabInstances = [] } = this.mapData;
+        platforms.forEach(platformData => {
+            const platform = this.platformFactory.createFromJSON(platformData);
+            if (platform && !platform.isDecoration) {
+                this.platforms.push(platform);
+            }
+        });
+        prefabInstances.forEach(instance => {
+            this.platforms.push(...this.platformFactory.createFromPrefab(instance, prefabs)
+                .filter(platform => !platform.isDecoration));
+        });
+
+        this.inputSource = this.config.inputSource || new ScriptedInputSource(this.config.inputs);
+        this.createWorm(entities.wormStart.x, entities.wormStart.y);
+
+        this.goalManager = new GoalCollectionManager(this.scene);
+        this.goalManager.initializeGoals(entities);
+
+        this.checkpointManager = new CheckpointManager(this.scene);
+        this.checkpointManager.initializeCheckpoints(entities);
+
+        this.portalManager = new PortalManager(this.scene);
+        this.portalManager.initializePortals(entities);
+
+        this.createConstraints([...constraints, ...expandPrefabInstances(this.mapData).constraints]);
+        this.ropeManager = new RopeManager(this.scene);
+        this.ropeManager.initializeRopes(ropes, id => this.findBodyById(id));
+        this.setupCollisionRouting();
+        this.signalSystem = signals ? new SignalSystem(this, signals) : null;
+
+        // Deaths resolve after the platform updates, like JsonMapBase's death sequence
+        this.scene.events.on('worm-death', ({ reason }) => {
+            this.pendingDeath = this.pendingDeath || reason;
+        });
+    }
+
+    createWorm(x, y) {
+        this.worm = new DoubleWorm(this.scene, x, y, {
+            ...LevelWormConfig,
+            trailEnabled: false,
+            audioEnabled: false,
+            inputSource: this.inputSource
+        });
+        this.scene.worm = this.worm;
+    }
+
+    /**
+     * Replace the worm at the active checkpoint, as JsonMapBase does
+     * @returns {boolean} False when no checkpoint has been reached
+     */
+    respawnAtCheckpoint() {
+        const respawnPoint = this.checkpointManager.getRespawnPoint();
+        if (!respawnPoint) return false;
+
+        this.worm.destroy();
+        this.createWorm(respawnPoint.x, respawnPoint.y);
+        this.platforms.forEach(platform => platform.instance?.onWormRespawn?.());
+        this.ropeManager.onWormRespawn();
+        this.respawns++;
+        return true;
+    }
+
+    die(reason) {
+        if (!this.respawnAtCheckpoint()) {
+            this.finish('death', reason);
+        }
+    }
+
+    createBoundaryWalls() {
+        const wallThickness = 150;
+        const { levelWidth, levelHeight } = this;
+        const add = this.scene.matter.add;
+
+        add.rectangle(-wallThickness / 2, levelHeight / 2, wallThickness, levelHeight, { isStatic: true, label: 'wall_left' });
+        add.rectangle(levelWidth + wallThickness / 2, levelHeight / 2, wallThickness, levelHeight, { isStatic: true, label: 'wall_right' });
+        add.rectangle(levelWidth / 2, -wallThickness / 2, levelWidth * 2, wallThickness, { isStatic: true, label: 'wall_top' });
+        add.rectangle(levelWidth / 2, levelHeight + wallThickness / 2, levelWidth * 2, wallThickness, { isStatic: true, label: 'wall_bottom' });
+    }
+
+    createConstraints(constraints) {
+        constraints.forEach(constraintData => {
+            const { id, render, ...options } = constraintData;
+
+            for (const key of ['bodyA', 'bodyB']) {
+                if (typeof options[key] === 'string') {
+                    const body = this.findBodyById(options[key]);
+                    if (!body) {
+                        console.warn(`Constraint ${id}: ${key} not found: ${options[key]}`);
+                        return;
+                    }
+                    options[key] = body;
+                }
+            }
+            if (!options.bodyB) {
+                delete options.bodyB;
+            }
+
+            const constraint = Matter.Constraint.create(options);
+            this.scene.matter.world.add(constraint);
+            this.constraints.push({ id, constraint, data: constraintData });
+        });
+    }
+
+    findBodyById(id) {
+        for (const platform of this.platforms) {
+            if (platform.id === id || platform.data?.id === id) {
+                return platform.instance ? platform.instance.body : platform.body;
+            }
+        }
+
+        if (id === 'worm_head' || id === 'worm_tail') {
+            return id === 'worm_head' ? this.worm.getHead() : this.worm.getTail();
+        }
+        if (id.startsWith('worm')) {
+            const segmentIndex = parseInt(id.replace('worm_segment_', ''));
+            return this.worm.segments[segmentIndex] || null;
+        }
+
+        return null;
+    }
+
+    // Route worm/platform contacts to special platforms, as JsonMapBase does
+    setupCollisionRouting() {
+        const route = (event, handler) => {
+            event.pairs.forEach(({ bodyA, bodyB, collision }) => {
+                if (bodyA.isWorm && bodyB.isWorm) return;
+
+                const wormSegment = bodyA.isWorm ? bodyA : (bodyB.isWorm ? bodyB : null);
+                const platformBody = wormSegment === bodyA ? bodyB : bodyA;
+                const platform = wormSegment && platformBody.platformInstance;
+                if (platform) {
+                    handler(platform, wormSegment, collision);
+                }
+            });
+        };
+
+        this.scene.matter.world.on('collisionstart', event => {
+            route(event, (platform, segment, collision) => platform.onCollision?.(segment, collision));
+        });
+        this.scene.matter.world.on('collisionend', event => {
+            route(event, (platform, segment) => platform.onCollisionEnd?.(segment));
+        });
+    }
+
+    /**
+     * Advance the level by one fixed step
+     * @returns {boolean} True while the run is still in progress
+     */
+    step() {
+        if (this.outcome) return false;
+
+        const delta = this.config.fixedDelta;
+
+        // Phaser order: clock, tweens and physics first, then the scene update
+        this.scene.step(delta);
+        this.frame++;
+        this.elapsedTime = this.frame * delta;
+
+        this.worm.update(delta);
+
+        this.platforms.forEach(platform => {
+            if (platform.isSpecial && platform.instance && platform.instance.update) {
+                platform.instance.update(this.scene.time.now, delta);
+            }
+        });
+
+        if (this.pendingDeath) {
+            this.die(this.pendingDeath);
+            this.pendingDeath = null;
+            return !this.outcome;
+        }
+
+        if (this.worm.segments.some(segment => segment.position.y > this.levelHeight + 100)) {
+            this.die('fell_off_map');
+            return !this.outcome;
+        }
+
+        const collectedBefore = this.goalManager.collectedGoals.size;
+        const allCollected = this.goalManager.checkGoalCollisions(this.worm.segments, this.worm.segmentRadii);
+        if (this.goalManager.collectedGoals.size > collectedBefore) {
+            this.goalManager.goals
+                .filter(goal => goal.collected && !this.goalCollections.some(c => c.id === goal.id))
+                .forEach(goal => this.goalCollections.push({ id: goal.id, frame: this.frame, time: this.elapsedTime }));
+        }
+        if (allCollected) {
+            this.finish('victory');
+            return false;
+        }
+
+        const checkpoint = this.checkpointManager.checkCheckpointCollisions(this.worm.segments, this.worm.segmentRadii);
+        if (checkpoint) {
+            this.checkpointSplits.push({ checkpoint: checkpoint.index, frame: this.frame, time: this.elapsedTime });
+        }
+
+        this.portalManager.checkPortals(this.worm);
+
+        if (this.signalSystem) {
+            this.signalSystem.update(this.scene.time.now);
+        }
+
+        return true;
+    }
+
+    /**
+     * Step until the level ends or a frame limit is reached
+     * @param {Object} options
+     * @param {number} options.maxFrames - Give up after this many frames
+     * @param {boolean} options.stopWhenInputEnds - Stop once a scripted input source runs out
+     * @returns {Object} Run result (see getResult)
+     */
+    run({ maxFrames = 60 * 60, stopWhenInputEnds = false } = {}) {
+        while (this.frame < maxFrames && this.step()) {
+            if (stopWhenInputEnds && this.inputSource.finished) {
+                break;
+            }
+        }
+        if (!this.outcome) {
+            this.finish('timeout');
+        }
+        return this.getResult();
+    }
+
+    finish(outcome, reason = null) {
+        if (this.outcome) return;
+        this.outcome = outcome;
+        this.deathReason = reason;
+        this.scene.matter.world.pause();
+    }
+
+    getResult() {
+        const head = this.worm.getHead();
+        const status = this.goalManager.getStatus();
+        return {
+            mapKey: this.config.mapKey,
+            outcome: this.outcome,
+            deathReason: this.deathReason,
+            frames: this.frame,
+            elapsedTime: Math.round(this.elapsedTime),
+            goalsCollected: status.collected,
+            totalGoals: status.total,
+            goalCollections: this.goalCollections,
+            checkpointSplits: this.checkpointSplits,
+            respawns: this.respawns,
+            headPosition: { x: head.position.x, y: head.position.y }
+        };
+    }
+
+    destroy() {
+        this.goalManager.destroy();
+        this.checkpointManager.destroy();
+        this.portalManager.destroy();
+        this.ropeManager.destroy();
+        this.worm.destroy();
+        this.platforms.forEach(platform => {
+            if (platform.instance && platform.instance.destroy) {
+                platform.instance.destroy();
+            }
+        });
+        this.scene.destroy();
+    }
+}
@@ -0,0 +1,97 @@
+const NEUTRAL_INPUT = {
+    leftStick: { x: 0, y: 0 },
+    rightStick: { x: 0, y: 0 },
+    leftTrigger: 0,
+    rightTrigger: 0,
+    leftGrab: 0,
+    rightGrab: 0,
+    rollButton: false
+};
+
+/**
+ * ScriptedInputSource - Feeds a fixed input sequence to a worm
+ *
+ * Drop-in replacement for InputManager wherever `getInputState(delta)` is
+ * consumed. The script is a list of steps, each held for a number of frames:
+ *
+ *   [
+ *     { frames: 30 },                                        // idle
+ *     { frames: 60, leftStick: { x: 1, y: 0 } },             // push head right
+ *     { frames: 10, leftTrigger: 1, rightTrigger: 1 }        // jump
+ *   ]
+ *
+ * Omitted fields are neutral. Once the script runs out, input stays neutral.
+ */
+export default class ScriptedInputSource {
+    constructor(steps = [], config = {}) {
+        this.steps = steps;
+        this.config = {
+            swapControls: false,
+            ...config
+        };
+        this.enabled = true;
+        this.stepIndex = 0;
+        this.stepFrame = 0;
+        this.frame = 0;
+    }
+
+    /**
+     * Total number of frames covered by the script
+     */
+    get length() {
+        return this.steps.reduce((sum, step) => sum + (step.frames || 1), 0);
+    }
+
+    get finished() {
+        return this.stepIndex >= this.steps.length;
+    }
+
+    currentStep() {
+        while (this.stepIndex < this.steps.length &&
+               this.stepFrame >= (this.steps[this.stepIndex].frames || 1)) {
+            this.stepIndex++;
+            this.stepFrame = 0;
+        }
+        return this.steps[this.stepIndex] || null;
+    }
+
+    /**
+     * Get the input state for this frame and advance the script
+     * @param {number} delta - Frame delta in milliseconds
+     * @returns {Object} InputManager-shaped input state
+     */
+    getInputState(delta) {
+        const step = this.enabled ? this.currentStep() : null;
+        const source = step || NEUTRAL_INPUT;
+
+        if (step) {
+            this.stepFrame++;
+        }
+        this.frame++;
+
+        return {
+            leftStick: { ...NEUTRAL_INPUT.leftStick, ...source.leftStick },
+            rightStick: { ...NEUTRAL_INPUT.rightStick, ...source.rightStick },
+            leftTrigger: source.leftTrigger || 0,
+            rightTrigger: source.rightTrigger || 0,
+            leftGrab: source.leftGrab || 0,
+            rightGrab: source.rightGrab || 0,
+            rollButton: !!source.rollButton,
+            delta,
+            deltaSeconds: delta / 1000,
+            swapControls: this.config.swapControls
+        };
+    }
+
+    isMenuButtonJustPressed() {
+        return false;
+    }
+
+    setTouchControlsVisible() {
+        // No touch controls headlessly
+    }
+
+    destroy() {
+        this.steps = [];
+    }
+}
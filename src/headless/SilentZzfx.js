@@ -0,0 +1,17 @@
+/**
+ * Silent stand-in for the `zzfx` module in headless runs. The real module
+ * opens an AudioContext on import, which does not exist in Node.
+ */
+export const ZZFX = {
+    volume: 0,
+    sampleRate: 44100,
+    x: null,
+    play: () => null,
+    playSamples: () => null,
+    buildSamples: () => [],
+    getNote: () => 0
+};
+
+export const zzfx = () => null;
+
+export default zzfx;
@@ -30,6 +30,7 @@ export default class GameUIScene extends Phaser.Scene {
         this.starText = null;
         this.timeText = null;
         this.bestTimeText = null;
+        this.splitText = null;
         
         // Layout config
         this.baseFontSize = 18;
@@ -43,6 +44,8 @@ export default class GameUIScene extends Phaser.Scene {
             purple: '#9b59b6',
             gray: '#95a5a6',
             accent: '#4ecdc4',
+            ahead: '#2ecc71',
+            behind: '#e74c3c',
             shadow: '#000000'
         };
     }
@@ -145,6 +148,17 @@ export default class GameUIScene extends Phaser.Scene {
             strokeThickness: 2
         }).setOrigin(0, 0).setVisible(false);
         this.container.add(this.ghostIndicator);
+        
+        // Last split with its delta against the personal best
+        this.splitText = this.add.text(0, yOffset, '', {
+            fontSize: `${this.baseFontSize * 0.8}px`,
+            fontFamily: 'monospace',
+            color: this.colors.gray,
+            align: 'left',
+            stroke: this.colors.shadow,
+            strokeThickness: 2
+        }).setOrigin(0, 0).setVisible(false);
+        this.container.add(this.splitText);
     }
     
     createVCRControls(yOffset) {
@@ -233,6 +247,7 @@ export default class GameUIScene extends Phaser.Scene {
         this.gameScene.events.on('ui-update-ghost', this.updateGhostStatus, this);
         this.gameScene.events.on('ui-update-best', this.setBestTime, this);
         this.gameScene.events.on('ui-set-goal-total', this.setGoalTotal, this);
+        this.gameScene.events.on('ui-split', this.showSplit, this);
         
         // Clean up on scene shutdown
         this.events.once('shutdown', this.cleanup, this);
@@ -250,25 +265,16 @@ export default class GameUIScene extends Phaser.Scene {
     
     setBestTime(time) {
         this.bestTime = time;
-        const baseY = this.lineHeight * 2; // Position after level name and VCR controls
         
         if (time !== null && time !== undefined) {
             // Show best time below timer
             this.bestTimeText.setText(`Best ${this.formatTime(time)}`).setVisible(true);
-            this.bestTimeText.setY(baseY);
-            
-            // Shift other elements down
-            const offsetY = baseY + this.lineHeight;
-            this.starText.setY(offsetY);
-            this.ghostIndicator.setY(offsetY + this.lineHeight);
         } else {
             // Hide best time
             this.bestTimeText.setVisible(false);
-            
-            // Shift elements up
-            this.starText.setY(baseY);
-            this.ghostIndicator.setY(baseY + this.lineHeight);
         }
+        
+        this.updateElementPositions();
     }
     
     setGoalTotal(total) {
@@ -309,19 +315,45 @@ export default class GameUIScene extends Phaser.Scene {
         }
     }
     
-    updateElementPositions() {
-        const baseY = this.lineHeight * 2; // Position after level name and VCR controls
+    /**
+     * Show a split as it happens, like a speedrun timer
+     * @param {Object} split - { id, time, delta } from Stopwatch.split
+     */
+    showSplit({ id, time, delta }) {
+        const [kind, index] = id.split('_');
+        const label = kind === 'checkpoint' ? `🚩${Number(index) + 1}` : `⭐${Number(index) + 1}`;
+        
+        let text = `${label} ${this.formatTime(time)}`;
+        let color = this.colors.gray;
+        if (delta !== null) {
+            const sign = delta <= 0 ? '-' : '+';
+            text += ` ${sign}${this.formatDelta(Math.abs(delta))}`;
+            color = delta <= 0 ? this.colors.ahead : this.colors.behind;
+        }
         
-        if (this.bestTimeText.visible) {
-            // Best time is showing, shift other elements down
-            const offsetY = baseY + this.lineHeight;
-            this.starText.setY(offsetY);
-            this.ghostIndicator.setY(offsetY + this.lineHeight);
-        } else {
-            // No best time, elements move up
-            this.starText.setY(baseY);
-            this.ghostIndicator.setY(baseY + this.lineHeight);
+        this.splitText.setText(text).setColor(color).setVisible(true);
+        this.updateElementPositions();
+    }
+    
+    updateElementPositions() {
+        // Stack the optional lines below the VCR controls, skipping hidden ones
+        let y = this.lineHeight * 2;
+        [this.bestTimeText, this.splitText, this.starText, this.ghostIndicator].forEach(text => {
+            text.setY(y);
+            if (text.visible) {
+                y += this.lineHeight;
+            }
+        });
+    }
+    
+    // Seconds and centiseconds, with minutes only when needed
+    formatDelta(milliseconds) {
+        if (milliseconds >= 60000) {
+            return this.formatTime(milliseconds);
         }
+        const seconds = Math.floor(milliseconds / 1000);
+        const cs = Math.floor((milliseconds % 1000) / 10);
+        return `${seconds}.${cs.toString().padStart(2, '0')}`;
     }
     
     formatTime(milliseconds) {
@@ -354,6 +386,7 @@ export default class GameUIScene extends Phaser.Scene {
             this.gameScene.events.off('ui-update-ghost', this.updateGhostStatus, this);
             this.gameScene.events.off('ui-update-best', this.setBestTime, this);
             this.gameScene.events.off('ui-set-goal-total', this.setGoalTotal, this);
+            this.gameScene.events.off('ui-split', this.showSplit, this);
         }
         
         // Clean up resize listener
@@ -4,15 +4,26 @@ import Stopwatch from '../components/Stopwatch';
 import PlatformFactory from '../factories/PlatformFactory';
 import Sticker from '../entities/Sticker';
 import GhostSystemManager from '../systems/GhostSystemManager';
+import SignalSystem from '../systems/SignalSystem';
 import RecordingDatabase from '../storage/RecordingDatabase';
 import VictoryDialog from './VictoryDialog';
 import PauseMenu from './PauseMenu';
 import GameUIScene from './GameUIScene';
 import { getCachedBuildMode } from '../utils/buildMode';
 import GoalCollectionManager from '../utils/GoalCollectionManager';
+import CheckpointManager from '../utils/CheckpointManager';
+import PortalManager from '../utils/PortalManager';
+import RopeManager from '../utils/RopeManager';
 import GameStateManager from '../services/GameStateManager';
 import Random from '../utils/Random';
+import { LevelWormConfig } from '../config/worm';
+import { FIXED_TIMESTEP, MAX_STEPS_PER_FRAME } from '../config/matter';
 import { trackGameStart, trackGameFinish } from '../utils/analytics';
+import { expandPrefabInstance } from '../services/Prefabs';
+import { migrateMap } from '../services/MapMigrations';
+import { assertValidMap } from '../services/MapValidator';
+import { mapKeyForFile, onMapFileChanged } from '../services/MapHotReload';
+import { getMapLayers, getItemLayer, isGameplayLayer, getLayerParallax, getParallaxPosition } from '../services/MapLayers';
 
 export default class JsonMapBase extends Phaser.Scene {
     constructor(config = {}) {
@@ -43,6 +54,7 @@ export default class JsonMapBase extends Phaser.Scene {
         this.victoryAchieved = false;
         
         this.platforms = [];
+        this.decorations = [];
         this.stickers = [];
         this.constraints = [];
         this.platformColors = config.platformColors || [0xff6b6b, 0x4ecdc4, 0x95e1d3, 0xfeca57, 0xa29bfe];
@@ -217,7 +229,13 @@ export default class JsonMapBase extends Phaser.Scene {
     cleanup() {
         // Remove event listeners
         this.events.off('resume');
+        if (this.unwatchMapFile) {
+            this.unwatchMapFile();
+            this.unwatchMapFile = null;
+        }
         this.events.off('worm-death', this.handleWormDeath, this);
+        this.events.off('goal-collected', this.recordSplit, this);
+        this.events.off('checkpoint-reached', this.recordSplit, this);
         
         // Stop and clean up background music
         if (this.backgroundMusic) {
@@ -244,6 +262,23 @@ export default class JsonMapBase extends Phaser.Scene {
             this.goalManager = null;
         }
         
+        if (this.checkpointManager) {
+            this.checkpointManager.destroy();
+            this.checkpointManager = null;
+        }
+        
+        if (this.portalManager) {
+            this.portalManager.destroy();
+            this.portalManager = null;
+        }
+        
+        if (this.ropeManager) {
+            this.ropeManager.destroy();
+            this.ropeManager = null;
+        }
+        
+        this.signalSystem = null;
+        
         // Reset victory state (from BaseLevelScene)
         this.victoryAchieved = false;
         
@@ -262,6 +297,7 @@ export default class JsonMapBase extends Phaser.Scene {
         
         // Clear platforms array
         this.platforms = [];
+        this.decorations = [];
         
         // Cleanup videos
         if (this.videos) {
@@ -335,19 +371,14 @@ export default class JsonMapBase extends Phaser.Scene {
         // the exact patterns. Electric sparks, ice crystals, water bubbles, etc.
         // will always appear in the same pattern for a given map.
         // This is crucial for speedrunning and skill-based gameplay.
-        const seed = this.mapKey ? 
-            this.mapKey.split('').reduce((acc, char, index) => {
-                // Generate a stable hash from the map key
-                return acc + (char.charCodeAt(0) * (index + 1));
-            }, 42) : // Start with 42 as base seed
-            12345; // Fallback seed if no map key
-        Random.setSeed(seed);
+        Random.setSeed(Random.seedFromMapKey(this.mapKey));
         
         // Reset state on scene init (called before preload)
         this.victoryAchieved = false;
         this.victoryReturnTimer = null;
         this.worm = null;
         this.platforms = [];
+        this.decorations = [];
         this.stickers = [];
         this.videos = [];
         this.constraints = [];
@@ -356,8 +387,19 @@ export default class JsonMapBase extends Phaser.Scene {
         this.button0WasPressed = false;
         this.button1WasPressed = false;
         this.ghostSystem = null;
+        this.signalSystem = null;
+        this.checkpointManager = null;
+        this.portalManager = null;
+        this.ropeManager = null;
+        this.cameraTeleportOffset = null;
         this.isDying = false;
         
+        // Fixed-timestep simulation state
+        this.simulationFrame = 0;
+        this.stepAccumulator = 0;
+        // Replays drive the worm from recorded input instead of InputManager
+        this.replayInputSource = null;
+        
         // Reset camera references
         this.minimap = null;
         
@@ -389,6 +431,9 @@ export default class JsonMapBase extends Phaser.Scene {
     }
     
     async create() {
+        // Physics is stepped manually in fixed increments from update()
+        this.matter.world.autoUpdate = false;
+        
         // Clean up when scene shuts down (from BaseLevelScene)
         this.events.once('shutdown', () => {
             this.cleanup();
@@ -470,7 +515,8 @@ export default class JsonMapBase extends Phaser.Scene {
         this.matter.world.setBounds(0, 0, levelWidth, levelHeight, 1000);
         
         // Initialize platform factory (needed for loadMapFromJSON)
-        this.platformFactory = new PlatformFactory(this);
+        this.layers = getMapLayers(this.mapData);
+        this.platformFactory = new PlatformFactory(this, { layers: this.layers });
         
         // Create level elements
         this.createGrid(levelHeight);
@@ -495,6 +541,100 @@ export default class JsonMapBase extends Phaser.Scene {
                 trackGameStart(this.mapKey);
             }
         });
+        
+        this.watchMapFile();
+    }
+    
+    /**
+     * Rebuild the level when its file in levels/ is edited (dev server only,
+     * see MapHotReload). Add ?hotreload=restart to the URL to restart the
+     * level instead of keeping the worm where it is, or ?hotreload=off.
+     */
+    watchMapFile() {
+        const mode = new URLSearchParams(window.location.search).get('hotreload');
+        if (mode === 'off') return;
+        
+        this.unwatchMapFile = onMapFileChanged((path, content) => {
+            if (mapKeyForFile(path) !== mapKeyForFile(this.mapKey)) return;
+            
+            try {
+                this.reloadMap(this.parseMapFile(content), { keepWormPosition: mode !== 'restart' });
+                console.log(`🔥 Reloaded ${path}`);
+            } catch (error) {
+                console.warn(`🔥 Kept the current level, ${path} did not load:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Map data from the new contents of this level's file
+     * @param {string} content - File text
+     * @returns {Object}
+     * @throws {MapValidationError|SyntaxError}
+     */
+    parseMapFile(content) {
+        return assertValidMap(migrateMap(JSON.parse(content)).mapData, this.mapKey);
+    }
+    
+    /**
+     * Swap in new map data while the level is running. Platforms, stickers,
+     * constraints and signals are rebuilt in place and the worm carries on;
+     * a changed level size, entities, videos or layers restart the level instead.
+     * @param {Object} mapData
+     * @param {{keepWormPosition?: boolean}} [options]
+     */
+    reloadMap(mapData, { keepWormPosition = true } = {}) {
+        const previous = this.mapData;
+        this.mapData = mapData;
+        
+        const changed = key => JSON.stringify(mapData[key]) !== JSON.stringify(previous[key]);
+        if (!keepWormPosition || ['dimensions', 'entities', 'videos', 'layers'].some(changed)) {
+            this.scene.restart();
+            return;
+        }
+        
+        this.clearPlatformsAndStickers();
+        this.createPlatformsAndStickers();
+        this.createConstraintsAndSignals();
+    }
+    
+    // Remove everything reloadMap rebuilds
+    clearPlatformsAndStickers() {
+        // A worm holding on to a platform or rope link would stay pinned to the removed body
+        if (this.worm?.grabAbility) {
+            const bodies = new Set(this.platforms.map(platform => platform.instance ? platform.instance.body : platform.body));
+            this.ropeManager?.ropes.forEach(rope => rope.links.forEach(link => bodies.add(link)));
+            this.worm.grabAbility.releaseBodies(bodies);
+        }
+        
+        this.platforms.forEach(platform => {
+            if (platform.instance) {
+                platform.instance.destroy();
+            } else {
+                this.matter.world.remove(platform.body);
+                platform.visual?.destroy();
+            }
+        });
+        this.platforms = [];
+        
+        this.decorations.forEach(decoration => decoration.visual.destroy());
+        this.decorations = [];
+        
+        this.stickers.forEach(sticker => sticker.destroy());
+        this.stickers = [];
+        
+        this.constraints.forEach(({ constraint }) => this.matter.world.removeConstraint(constraint));
+        this.constraints = [];
+        if (this.constraintGraphics) {
+            this.constraintGraphics.clear();
+        }
+        
+        if (this.ropeManager) {
+            this.ropeManager.destroy();
+            this.ropeManager = null;
+        }
+        
+        this.signalSystem = null;
     }
 
 
@@ -521,47 +661,110 @@ export default class JsonMapBase extends Phaser.Scene {
 
     
     loadMapFromJSON() {
-        const { platforms, entities, stickers = [], constraints = [], videos = [] } = this.mapData;
+        const { entities, videos = [] } = this.mapData;
+        
+        this.createPlatformsAndStickers();
+        
+        // Create videos
+        videos.forEach((videoData, index) => {
+            this.createVideoFromJSON(videoData, index);
+        });
+        
+        // Create entities
+        this.createEntitiesFromJSON(entities);
+        
+        // Create constraints and signals (after platforms and entities are created)
+        this.createConstraintsAndSignals();
+    }
+    
+    createPlatformsAndStickers() {
+        const { platforms, stickers = [], prefabs = {}, prefabInstances = [] } = this.mapData;
         
         // Create platforms
         platforms.forEach(platformData => {
             this.createPlatformFromJSON(platformData);
         });
         
+        // Prefab instances expand into platforms with instance-prefixed ids
+        prefabInstances.forEach(instance => {
+            this.platformFactory.createFromPrefab(instance, prefabs)
+                .forEach(platform => this.addPlatform(platform));
+        });
+        
         // Create stickers
         stickers.forEach(stickerData => {
             this.createStickerFromJSON(stickerData);
         });
-        
-        // Create videos
-        videos.forEach((videoData, index) => {
-            this.createVideoFromJSON(videoData, index);
+        prefabInstances.forEach(instance => {
+            if (prefabs[instance.prefab]) {
+                expandPrefabInstance(prefabs[instance.prefab], instance).stickers
+                    .forEach(stickerData => this.createStickerFromJSON(stickerData));
+            }
         });
+    }
+    
+    createConstraintsAndSignals() {
+        const { constraints = [], ropes = [], signals, prefabInstances = [] } = this.mapData;
         
-        // Create entities
-        this.createEntitiesFromJSON(entities);
+        this.createConstraintsFromJSON(constraints, prefabInstances);
         
-        // Create constraints (after platforms and entities are created)
-        this.createConstraintsFromJSON(constraints);
+        // Ropes hang from platforms and the worm, so they come after both
+        if (ropes.length > 0) {
+            this.ropeManager = new RopeManager(this);
+            this.ropeManager.initializeRopes(ropes, id => this.findBodyById(id));
+        }
+        
+        // Wire switches, goals and zones to their targets (after everything they drive exists)
+        if (signals) {
+            this.signalSystem = new SignalSystem(this, signals);
+        }
     }
     
     createPlatformFromJSON(platformData) {
         const platform = this.platformFactory.createFromJSON(platformData);
         
         if (platform) {
+            this.addPlatform(platform);
+        }
+    }
+    
+    // Decoration has no body, so it stays out of the platforms the game updates
+    addPlatform(platform) {
+        if (platform.isDecoration) {
+            this.decorations.push(platform);
+            this.placeOnLayer(platform.visual, platform.data);
+        } else {
             this.platforms.push(platform);
+            this.placeOnLayer(platform.instance ? platform.instance.container : platform.visual, platform.data);
+        }
+    }
+    
+    /**
+     * Draw an item at its layer's depth (see MapLayers). Items on the
+     * gameplay layer keep the depth they were created with. Decoration with
+     * a parallax scrolls at that speed, and is moved so it lines up with the
+     * level when the camera is centered on it.
+     * @param {Phaser.GameObjects.GameObject} gameObject - Positioned at the item's center
+     * @param {Object} itemData - Platform, sticker or video data
+     */
+    placeOnLayer(gameObject, itemData) {
+        const layer = getItemLayer(this.layers, itemData);
+        if (!gameObject || isGameplayLayer(layer)) {
+            return;
+        }
+        
+        gameObject.setDepth(layer.depth || 0);
+        
+        const parallax = getLayerParallax(layer);
+        if (parallax !== 1) {
+            const { x, y } = getParallaxPosition(gameObject, parallax, this.cameras.main);
+            gameObject.setPosition(x, y);
+            gameObject.setScrollFactor(parallax);
             
-            // Additional debug for pendulum platform
-            if (platform.id === 'pendulum_platform' && platform.body) {
-                console.log('Pendulum platform created:', {
-                    id: platform.id,
-                    body: platform.body,
-                    isStatic: platform.body.isStatic,
-                    isSensor: platform.body.isSensor,
-                    position: platform.body.position,
-                    bounds: platform.body.bounds,
-                    matter: platformData.matter
-                });
+            // The mini-map doesn't scroll like the main camera, so it would show these out of place
+            this.minimapIgnoreList.push(gameObject);
+            if (this.minimap) {
+                this.minimap.ignore(gameObject);
             }
         }
     }
@@ -573,6 +776,7 @@ export default class JsonMapBase extends Phaser.Scene {
             
             // Add to stickers array for management
             this.stickers.push(sticker);
+            this.placeOnLayer(sticker.container, stickerData);
             
             // Stickers should not appear in the minimap
             if (this.minimap && sticker.textObject) {
@@ -599,6 +803,10 @@ export default class JsonMapBase extends Phaser.Scene {
             } else {
                 video.setDepth(5); // Default depth above platforms but below UI
             }
+            // An explicit depth wins over the video's layer
+            if (videoData.depth === undefined) {
+                this.placeOnLayer(video, videoData);
+            }
             video.setAlpha(0.25, 0.25, 1, 1);
             
             // Configure video properties
@@ -644,7 +852,15 @@ export default class JsonMapBase extends Phaser.Scene {
         }
     }
     
-    createConstraintsFromJSON(constraints) {
+    createConstraintsFromJSON(constraints, prefabInstances = []) {
+        // Prefab constraints point at the instance's remapped platform ids
+        const prefabs = this.mapData.prefabs || {};
+        prefabInstances.forEach(instance => {
+            if (prefabs[instance.prefab]) {
+                constraints = [...(constraints || []), ...expandPrefabInstance(prefabs[instance.prefab], instance).constraints];
+            }
+        });
+        
         if (!constraints || constraints.length === 0) return;
         
         // Initialize constraints array if not exists
@@ -761,6 +977,9 @@ export default class JsonMapBase extends Phaser.Scene {
         
         // Check worm segments if id starts with 'worm'
         if (id.startsWith('worm') && this.worm) {
+            if (id === 'worm_head' || id === 'worm_tail') {
+                return id === 'worm_head' ? this.worm.getHead() : this.worm.getTail();
+            }
             const segmentIndex = parseInt(id.replace('worm_segment_', ''));
             if (!isNaN(segmentIndex) && this.worm.segments && this.worm.segments[segmentIndex]) {
                 return this.worm.segments[segmentIndex];
@@ -838,31 +1057,7 @@ export default class JsonMapBase extends Phaser.Scene {
         const wormX = wormStart.x;
         const wormY = wormStart.y;
         
-        // Check URL for debug parameter
-        const urlParams = new URLSearchParams(window.location.search);
-        const debugEnabled = urlParams.get('debug') === '1';
-        
-        this.worm = new DoubleWorm(this, wormX, wormY, {
-            baseRadius: 15,
-            segmentSizes: [0.75, 1, 1, 0.95, 0.9, 0.8, 0.8, 0.8, 0.8, 0.8, 0.8, 0.8],
-            showDebug: debugEnabled,
-            // Trail configuration
-            trailEnabled: true,
-            trailMaxLength: 60,
-            trailHeadColor: 0xff6b6b,
-            trailTailColor: 0x74b9ff
-        });
-
-        // Set Matter.js debug rendering based on worm's showDebug config
-        this.matter.world.drawDebug = this.worm.config.showDebug;
-        
-        // Add trail graphics to minimap ignore list if they exist
-        if (this.worm.headTrailGraphics) {
-            this.minimapIgnoreList.push(this.worm.headTrailGraphics);
-        }
-        if (this.worm.tailTrailGraphics) {
-            this.minimapIgnoreList.push(this.worm.tailTrailGraphics);
-        }
+        this.createWorm(wormX, wormY);
 
         // Initial impulse is now handled automatically in WormBase
         
@@ -879,6 +1074,13 @@ export default class JsonMapBase extends Phaser.Scene {
         this.collectedGoals = this.goalManager.collectedGoals;
         this.goal = this.goals[0]; // For single goal backward compatibility
         
+        // Checkpoints turn deaths into respawns instead of restarts
+        this.checkpointManager = new CheckpointManager(this);
+        this.checkpointManager.initializeCheckpoints(entitiesData);
+        
+        this.portalManager = new PortalManager(this);
+        this.portalManager.initializePortals(entitiesData);
+        
         // Set up camera
         this.cameras.main.setBounds(0, 0, this.levelWidth, this.levelHeight);
         this.handleResize();
@@ -891,6 +1093,33 @@ export default class JsonMapBase extends Phaser.Scene {
         this.setupSpecialPlatformCollisions();
     }
     
+    createWorm(x, y) {
+        // Check URL for debug parameter
+        const urlParams = new URLSearchParams(window.location.search);
+        const debugEnabled = urlParams.get('debug') === '1';
+        
+        this.worm = new DoubleWorm(this, x, y, {
+            ...LevelWormConfig,
+            showDebug: debugEnabled,
+            inputSource: this.replayInputSource,
+            // Trail configuration
+            trailEnabled: true,
+            trailMaxLength: 60,
+            trailHeadColor: 0xff6b6b,
+            trailTailColor: 0x74b9ff
+        });
+
+        // Set Matter.js debug rendering based on worm's showDebug config
+        this.matter.world.drawDebug = this.worm.config.showDebug;
+        
+        // Add trail graphics to minimap ignore list if they exist
+        const trailGraphics = [this.worm.headTrailGraphics, this.worm.tailTrailGraphics].filter(Boolean);
+        this.minimapIgnoreList.push(...trailGraphics);
+        if (this.minimap) {
+            this.minimap.ignore(trailGraphics);
+        }
+    }
+    
     // Import grid, boundary walls, UI, controls, and other methods from TextBaseScene
     // (For brevity, I'll include key methods - the full implementation would include all methods)
     
@@ -1083,6 +1312,11 @@ export default class JsonMapBase extends Phaser.Scene {
             this.stopwatch.setBestTime(bestTime);
         }
         
+        // Split on every goal and checkpoint, compared against the best run's splits
+        this.stopwatch.setBestSplits(this.stateManager.getBestSplits(this.mapKey));
+        this.events.on('goal-collected', this.recordSplit, this);
+        this.events.on('checkpoint-reached', this.recordSplit, this);
+        
         // Launch the UI scene with initial data
         this.scene.launch('GameUIScene', {
             gameScene: this,
@@ -1095,6 +1329,13 @@ export default class JsonMapBase extends Phaser.Scene {
         this.uiScene = this.scene.manager.getScene('GameUIScene');
     }
     
+    // Splits use the simulation clock, so a replay of the run reproduces them
+    recordSplit({ id }) {
+        if (this.stopwatch) {
+            this.stopwatch.split(id, this.simulationFrame * FIXED_TIMESTEP);
+        }
+    }
+    
     createMiniMap(levelHeight) {
         // Calculate mini-map position (upper-right corner)
         const screenWidth = this.scale.width;
@@ -1264,6 +1505,11 @@ export default class JsonMapBase extends Phaser.Scene {
         const tail = this.worm.getTail();
         if (!head || !tail) return;
         
+        if (this.applyCameraTeleport()) {
+            // Predictions from before the portal point the wrong way now
+            this.predictiveCameraConfig.history = [];
+        }
+        
         // Calculate midpoint (base position)
         const midX = (head.position.x + tail.position.x) / 2;
         const midY = (head.position.y + tail.position.y) / 2;
@@ -1342,6 +1588,24 @@ export default class JsonMapBase extends Phaser.Scene {
         }
     }
     
+    /**
+     * Jump the camera by the distance a portal moved the worm, so the view
+     * cuts to the exit framed the same way instead of panning across the level
+     * @returns {boolean} True if there was a teleport to catch up with
+     */
+    applyCameraTeleport() {
+        if (!this.cameraTeleportOffset) return false;
+        
+        const { x, y } = this.cameraTeleportOffset;
+        this.cameraTeleportOffset = null;
+        
+        this.cameraTarget.x += x;
+        this.cameraTarget.y += y;
+        this.cameras.main.scrollX += x;
+        this.cameras.main.scrollY += y;
+        return true;
+    }
+    
     updateViewportIndicator() {
         if (!this.viewportIndicator || !this.minimap || !this.miniMapConfig.visible) return;
         
@@ -1381,9 +1645,10 @@ export default class JsonMapBase extends Phaser.Scene {
             return;
         }
         
-        // Update worm if it exists (from BaseLevelScene)
-        if (this.worm && typeof this.worm.update === 'function') {
-            this.worm.update(delta);
+        // Advance the simulation; this may end the level (victory or restart)
+        this.stepSimulation(delta);
+        if (this.victoryAchieved || this.isDying) {
+            return;
         }
         
         // Update stopwatch
@@ -1391,18 +1656,8 @@ export default class JsonMapBase extends Phaser.Scene {
             this.stopwatch.update();
         }
         
-        // Update ghost system
+        // Update ghost playback
         if (this.ghostSystem && this.stopwatch) {
-            // Record frame
-            if (this.worm && this.worm.segments) {
-                let inputState = null;
-                if (this.worm.inputManager && this.worm.inputManager.getInputState) {
-                    inputState = this.worm.inputManager.getInputState(delta);
-                }
-                this.ghostSystem.recordFrame(this.worm.segments, this.stopwatch.elapsedTime, inputState);
-            }
-            
-            // Update playback
             this.ghostSystem.updatePlayback(this.stopwatch.elapsedTime);
         }
         
@@ -1445,13 +1700,8 @@ export default class JsonMapBase extends Phaser.Scene {
             this.optionButtonWasPressed = false;
         }
         
-        // Update special platforms and dynamic platforms
+        // Sync visuals with physics bodies for dynamic platforms
         this.platforms.forEach(platform => {
-            if (platform.isSpecial && platform.instance && platform.instance.update) {
-                platform.instance.update(time, delta);
-            }
-            
-            // Sync visual with physics body for dynamic platforms
             if (platform.body && !platform.body.isStatic && platform.visual) {
                 platform.visual.x = platform.body.position.x;
                 platform.visual.y = platform.body.position.y;
@@ -1465,6 +1715,10 @@ export default class JsonMapBase extends Phaser.Scene {
             this.renderConstraints();
         }
         
+        if (this.ropeManager) {
+            this.ropeManager.drawRopes();
+        }
+        
         // Check for M key to toggle mini-map
         if (Phaser.Input.Keyboard.JustDown(this.mKey)) {
             this.toggleMiniMap();
@@ -1503,6 +1757,8 @@ export default class JsonMapBase extends Phaser.Scene {
             if (this.predictiveCameraConfig.enabled) {
                 this.updatePredictiveCamera(delta);
             } else {
+                this.applyCameraTeleport();
+                
                 // Simple midpoint following
                 const head = this.worm.getHead();
                 const tail = this.worm.getTail();
@@ -1525,8 +1781,80 @@ export default class JsonMapBase extends Phaser.Scene {
             }
         }
         
+        // Update exposed properties for backward compatibility
+        if (this.goalManager) {
+            this.collectedGoals = this.goalManager.collectedGoals;
+        }
+    }
+    
+    /**
+     * Run as many fixed simulation steps as the elapsed frame time covers
+     * 
+     * Rendering stays tied to the display rate while physics, worm input and
+     * win/lose checks advance in FIXED_TIMESTEP increments, so the same input
+     * sequence always produces the same run.
+     * @param {number} delta - Frame delta in milliseconds
+     */
+    stepSimulation(delta) {
+        this.stepAccumulator += delta;
+        
+        let steps = 0;
+        while (this.stepAccumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+            this.stepAccumulator -= FIXED_TIMESTEP;
+            steps++;
+            
+            if (!this.fixedUpdate(FIXED_TIMESTEP)) {
+                this.stepAccumulator = 0;
+                return;
+            }
+        }
+        
+        // Drop any backlog we could not catch up on (e.g. after a background tab)
+        if (steps === MAX_STEPS_PER_FRAME) {
+            this.stepAccumulator = Math.min(this.stepAccumulator, FIXED_TIMESTEP);
+        }
+    }
+    
+    /**
+     * Advance the level by exactly one fixed step
+     * 
+     * Mirrors LevelSimulation.step so browser runs and headless runs of the
+     * same recording agree.
+     * @param {number} delta - Fixed step length in milliseconds
+     * @returns {boolean} False once the step ended the level
+     */
+    fixedUpdate(delta) {
+        if (this.matter.world.enabled) {
+            this.matter.world.step(delta);
+        }
+        this.simulationFrame++;
+        const simulationTime = this.simulationFrame * delta;
+        
+        // Update worm if it exists (from BaseLevelScene)
+        if (this.worm && typeof this.worm.update === 'function') {
+            this.worm.update(delta);
+        }
+        
+        // Record the input this step consumed, not a fresh poll
+        if (this.ghostSystem && !this.replayInputSource && this.worm && this.worm.lastInputState) {
+            this.ghostSystem.recordStep(this.worm.segments, this.worm.lastInputState, this.simulationFrame, delta);
+        }
+        
+        // Update special platforms on simulation time
+        this.platforms.forEach(platform => {
+            if (platform.isSpecial && platform.instance && platform.instance.update) {
+                platform.instance.update(simulationTime, delta);
+            }
+        });
+        
+        if (this.victoryAchieved || this.isDying) {
+            return false;
+        }
+        
         // Check if worm has fallen off the map
-        this.checkWormFallOff();
+        if (this.checkWormFallOff()) {
+            return true;
+        }
         
         // Check goal collection using the shared manager
         if (this.goalManager && this.worm && this.worm.segments) {
@@ -1538,12 +1866,39 @@ export default class JsonMapBase extends Phaser.Scene {
             if (allCollected) {
                 // All goals collected - victory!
                 this.victory();
-                return;
+                return false;
             }
+        }
+        
+        if (this.checkpointManager && this.worm && this.worm.segments) {
+            const checkpoint = this.checkpointManager.checkCheckpointCollisions(
+                this.worm.segments,
+                this.worm.segmentRadii
+            );
             
-            // Update exposed properties for backward compatibility
-            this.collectedGoals = this.goalManager.collectedGoals;
+            if (checkpoint) {
+                if (this.ghostSystem && !this.replayInputSource) {
+                    this.ghostSystem.recordCheckpoint(checkpoint.index, this.simulationFrame, delta);
+                }
+                this.events.emit('checkpoint-reached', { id: checkpoint.id, index: checkpoint.index, time: simulationTime });
+            }
         }
+        
+        if (this.portalManager && this.worm) {
+            const teleport = this.portalManager.checkPortals(this.worm);
+            if (teleport) {
+                // The camera catches up on the next frame (see applyCameraTeleport)
+                const pending = this.cameraTeleportOffset || { x: 0, y: 0 };
+                this.cameraTeleportOffset = { x: pending.x + teleport.offset.x, y: pending.y + teleport.offset.y };
+            }
+        }
+        
+        // Signal changes take effect on the next step's platform update
+        if (this.signalSystem) {
+            this.signalSystem.update(simulationTime);
+        }
+        
+        return true;
     }
     
     
@@ -1652,10 +2007,11 @@ export default class JsonMapBase extends Phaser.Scene {
     
     saveBestTime(time) {
         // Update best time and mark as completed through state manager
-        const isNewBest = this.stateManager.updateBestTime(this.mapKey, time);
+        const isNewBest = this.stateManager.updateBestTime(this.mapKey, time, this.stopwatch.splits);
         
         if (isNewBest) {
             this.stopwatch.setBestTime(time);
+            this.stopwatch.setBestSplits(this.stopwatch.splits);
         }
         
         // Mark map as completed
@@ -1729,6 +2085,9 @@ export default class JsonMapBase extends Phaser.Scene {
             segmentCount: recordingData.segmentCount,
             compression: recordingData.compression,
             encoding: recordingData.encoding,
+            fixedStep: recordingData.fixedStep,
+            checkpointSplits: recordingData.checkpointSplits,
+            deaths: recordingData.deaths,
             data: recordingData.data,
             screenshot: screenshot
         };
@@ -1815,6 +2174,9 @@ export default class JsonMapBase extends Phaser.Scene {
             segmentCount: recordingData.segmentCount,
             compression: recordingData.compression,
             encoding: recordingData.encoding,
+            fixedStep: recordingData.fixedStep,
+            checkpointSplits: recordingData.checkpointSplits,
+            deaths: recordingData.deaths,
             screenshot: screenshot,
             recordingData: recordingData.data, // The actual frame data
             mapData: {
@@ -1909,8 +2271,72 @@ export default class JsonMapBase extends Phaser.Scene {
         this.input.enabled = true;
         console.log('🎮 Input re-enabled');
         
-        // Now handle the restart
-        await this.handleRestart(reason);
+        // Come back at the last checkpoint, or restart the level without one
+        if (!this.respawnAtCheckpoint(reason)) {
+            await this.handleRestart(reason);
+        }
+    }
+    
+    /**
+     * Replace the worm at the active checkpoint. The level, stopwatch and
+     * recording keep running.
+     * @param {string} reason - Why the worm died
+     * @returns {boolean} False when no checkpoint has been reached
+     */
+    respawnAtCheckpoint(reason) {
+        const respawnPoint = this.checkpointManager && this.checkpointManager.getRespawnPoint();
+        if (!respawnPoint || this.victoryAchieved) {
+            return false;
+        }
+        
+        console.log(`🚩 Respawning at checkpoint after ${reason}`);
+        
+        // The recording carries on past this death, so note where it happened
+        if (this.ghostSystem && !this.replayInputSource) {
+            const { segments } = this.worm;
+            const position = {
+                x: segments.reduce((sum, segment) => sum + segment.position.x, 0) / segments.length,
+                y: segments.reduce((sum, segment) => sum + segment.position.y, 0) / segments.length
+            };
+            this.ghostSystem.recordDeath(reason, position, this.simulationFrame, FIXED_TIMESTEP);
+        }
+        
+        this.worm.destroy();
+        this.createWorm(respawnPoint.x, respawnPoint.y);
+        
+        // Platforms that latch on a death (blackholes) reset for the new worm
+        this.platforms.forEach(platform => {
+            if (platform.instance && platform.instance.onWormRespawn) {
+                platform.instance.onWormRespawn();
+            }
+        });
+        
+        // Ropes tied to the worm are tied to the new one
+        if (this.ropeManager) {
+            this.ropeManager.onWormRespawn();
+        }
+        
+        // Undo the death freeze
+        if (this.matter && this.matter.world) {
+            this.matter.world.resume();
+        }
+        this.input.enabled = true;
+        if (this.backgroundMusic && !this.backgroundMusic.isPlaying) {
+            this.backgroundMusic.play();
+        }
+        
+        // Death effects may have moved, zoomed or faded the camera
+        const camera = this.cameras.main;
+        camera.resetFX();
+        camera.zoomEffect.reset();
+        camera.setZoom(1);
+        this.cameraTarget.setPosition(respawnPoint.x, respawnPoint.y);
+        this.handleResize();
+        camera.centerOn(respawnPoint.x, respawnPoint.y);
+        camera.fadeIn(250);
+        
+        this.isDying = false;
+        return true;
     }
     
     async handleRestart(reason = 'unknown') {
@@ -1938,7 +2364,7 @@ export default class JsonMapBase extends Phaser.Scene {
     
     checkWormFallOff() {
         if (!this.worm || !this.worm.segments || this.victoryAchieved) {
-            return;
+            return false;
         }
         
         // Check if any segment has fallen below the level
@@ -1947,10 +2373,13 @@ export default class JsonMapBase extends Phaser.Scene {
         for (let segment of this.worm.segments) {
             if (segment.position.y > fallThreshold) {
                 // Worm has fallen off the map
-                this.handleRestart('fell_off_map');
-                return;
+                if (!this.respawnAtCheckpoint('fell_off_map')) {
+                    this.handleRestart('fell_off_map');
+                }
+                return true;
             }
         }
+        return false;
     }
     
     async fadeOutWhoosh() {
@@ -9,7 +9,26 @@ import FirePlatform from '../entities/FirePlatform';
 import BlackholePlatform from '../entities/BlackholePlatform';
 import WaterPlatform from '../entities/WaterPlatform';
 import WaterfallPlatform from '../entities/WaterfallPlatform';
+import CrumblePlatform from '../entities/CrumblePlatform';
+import ConveyorPlatform from '../entities/ConveyorPlatform';
+import WindPlatform from '../entities/WindPlatform';
 import Sticker from '../entities/Sticker';
+import PlatformFactory from '../factories/PlatformFactory';
+import { MAP_SCHEMA_VERSION, validateMap, formatValidationIssues } from '../services/MapValidator';
+import { migrateMap } from '../services/MapMigrations';
+import EditorHistory from '../utils/EditorHistory';
+import PortalManager from '../utils/PortalManager';
+import RopeManager, { drawRopeCurve, getRopeLength, getRopeLinkCount, getRopeRestPoints } from '../utils/RopeManager';
+import { centerPolygon, getCustomPlatformPoints, isSimplePolygon, simplifyPolygon, smoothPolygon } from '../utils/PolygonShape';
+import { snapToIncrement, findOutlineSnap } from '../utils/SnapGuides';
+import { getWormReach } from '../config/worm';
+import { expandPrefabInstance, expandPrefabInstances, createPrefab, prefabKey, getPrefabLibrary, savePrefabToLibrary, removePrefabFromLibrary } from '../services/Prefabs';
+import { mapToSvg } from '../services/SvgMapExporter';
+import { saveMapRevision, fetchMapHistory, fetchMapRevision } from '../services/MapRevisions';
+import { diffMaps } from '../services/MapDiff';
+import RecordingDatabase from '../storage/RecordingDatabase';
+import { loadPlaytests, buildHeatmap } from '../services/PlaytestHeatmap';
+import { GAMEPLAY_LAYER, getMapLayers, getItemLayer, isGameplayLayer, isDecorativeLayer } from '../services/MapLayers';
 
 export default class MapEditor extends Phaser.Scene {
     constructor() {
@@ -49,7 +68,10 @@ export default class MapEditor extends Phaser.Scene {
                 DEFAULT_WORM_START: { x: 200, y: 900 },
                 DEFAULT_GOAL: { x: 1700, y: 200 },
                 WORM_SPRITE_RADIUS: 20,
-                GOAL_SPRITE_RADIUS: 25
+                GOAL_SPRITE_RADIUS: 25,
+                CHECKPOINT_SPRITE_RADIUS: 18,
+                PORTAL_SPRITE_RADIUS: 36,
+                PORTAL_COLOR: 0x6c5ce7
             },
             DEFAULTS: {
                 MAP_DIMENSIONS: { width: 1920, height: 1152 },
@@ -81,8 +103,52 @@ export default class MapEditor extends Phaser.Scene {
                 HOVER_COLOR: 0xffff88,
                 ROTATION_COLOR: 0xff4444,
                 ROTATION_STROKE_COLOR: 0xaa2222,
+                WAYPOINT_COLOR: 0xff9f43,
+                WAYPOINT_STROKE_COLOR: 0xc0661a,
+                PIVOT_COLOR: 0x26de81,
+                PIVOT_STROKE_COLOR: 0x1a9e5c,
                 DEPTH: 300
             },
+            SIGNALS: {
+                COLOR: 0xa29bfe,
+                DEPTH: 45
+            },
+            HEATMAP: {
+                DEPTH: 40, // Over the level, under signal labels and handles
+                ALPHA: 0.6,
+                DEATH_RADIUS: 8,
+                DEATH_COLORS: [0xff4757, 0xffa502, 0x1e90ff, 0x2ed573, 0xa29bfe, 0xff6b81, 0xeccc68, 0x70a1ff]
+            },
+            SNAP: {
+                ANGLE_STEP: 5, // Degrees; the default for the rotation handle
+                OBJECT_DISTANCE: 10, // Screen pixels from another platform's corner or edge
+                COLOR: 0xff00ff
+            },
+            MEASURE: {
+                COLOR: 0xffffff,
+                BRIDGE_COLOR: 0x2ed573, // Shorter than the worm
+                STRETCH_COLOR: 0xffa502, // Within the worm's reach
+                FAR_COLOR: 0xff4757
+            },
+            ROPES: {
+                SLACK: 1.2, // New ropes are this much longer than the distance between their ends
+                MIN_LENGTH: 24,
+                DRAFT_COLOR: 0xffd32a,
+                HIT_DISTANCE: 10
+            },
+            PREFABS: {
+                COLOR: 0x9b59b6,
+                DEPTH: 5 // Above platforms, below constraints
+            },
+            POLYGON: {
+                CLOSE_DISTANCE: 12, // Screen pixels around the first or last point that finish the shape
+                FREEFORM_SPACING: 12, // Distance between points sampled from a freeform stroke
+                FREEFORM_TOLERANCE: 4, // Simplification applied when a stroke ends
+                SIMPLIFY_TOLERANCE: 3,
+                MAX_VERTICES: 128,
+                COLOR: 0x00ffff,
+                ERROR_COLOR: 0xff4444
+            },
             TIMING: {
                 AUTO_SAVE_DELAY: 100,
                 DOUBLE_CLICK_THRESHOLD: 400,
@@ -97,9 +163,18 @@ export default class MapEditor extends Phaser.Scene {
         this.selectedPlatform = null;
         this.selectedSticker = null;
         this.selectedConstraint = null;
+        this.groupSelection = []; // Platforms, stickers and constraints selected together
+        this.groupDrag = null;
+        this.boxSelectStart = null;
+        this.boxSelectGraphics = null;
         this.platforms = [];
         this.stickers = [];
         this.constraints = [];
+        this.prefabInstances = []; // { data, container, outline } per placed prefab
+        this.selectedPrefabInstance = null;
+        this.polygonDraft = null; // World points of a custom shape being drawn
+        this.polygonStroke = null; // Current press with the custom tool: a click or a freeform stroke
+        this.polygonPreviewGraphics = null;
         this.entities = {
             wormStart: { ...this.CONFIG.ENTITIES.DEFAULT_WORM_START },
             goal: { ...this.CONFIG.ENTITIES.DEFAULT_GOAL }
@@ -111,6 +186,31 @@ export default class MapEditor extends Phaser.Scene {
         this.autoSaveTimer = null;
         this.eventListeners = []; // Track all event listeners for cleanup
         
+        // Undo/redo
+        this.history = new EditorHistory();
+        this.pendingChangeState = null; // Editor state when the current drag started
+        
+        // Server saves (see MapRevisions)
+        this.serverFilename = null;
+        this.serverRevision = null; // Revision of the file the editor's changes start from
+        this.serverConflict = null; // The server's version after a save was refused
+        
+        // Playtest heatmap overlay (see PlaytestHeatmap)
+        this.playtestHeatmap = null;
+        this.heatmapMode = 'off';
+        this.heatmapDeathReason = null;
+        this.heatmapGraphics = null;
+        
+        // Snapping and the measure tool
+        this.snapGuideGraphics = null;
+        this.measurement = null; // { start, end, done } in world coordinates
+        this.measureGraphics = null;
+        this.measureLabel = null;
+        
+        // Layer ids hidden or locked in the editor; not saved with the map
+        this.hiddenLayers = new Set();
+        this.lockedLayers = new Set();
+        
         // Constraint creation state
         this.constraintCreationMode = false;
         this.constraintFirstBody = null;
@@ -133,7 +233,8 @@ export default class MapEditor extends Phaser.Scene {
             constraintStiffness: 0.8,
             constraintDamping: 0.2,
             constraintLength: null, // null means auto-calculate
-            constraintRender: true
+            constraintRender: true,
+            prefab: "" // Key of the prefab the prefab tool places
         };
     }
     
@@ -144,6 +245,7 @@ export default class MapEditor extends Phaser.Scene {
         };
         
         this.mapData = {
+            formatVersion: MAP_SCHEMA_VERSION,
             metadata: {
                 name: "New Map",
                 difficulty: 1,
@@ -220,6 +322,12 @@ export default class MapEditor extends Phaser.Scene {
             });
         }
         
+        // Prefab instances are drawn as one unit; the game expands them at load time
+        (this.mapData.prefabInstances || []).forEach(instanceData => {
+            this.addPrefabInstanceToScene(instanceData);
+        });
+        this.notifyPrefabsChanged();
+        
         // Create entities
         this.createEntitySprites();
         
@@ -237,10 +345,23 @@ export default class MapEditor extends Phaser.Scene {
             // Force a graphics update after all constraints are loaded
             this.updateConstraintGraphics();
         }
+        this.drawRopes();
+        this.notifyRopesChanged();
+        
+        // Signal zones and wired targets
+        this.signalGraphics = this.add.graphics();
+        this.signalGraphics.setDepth(this.CONFIG.SIGNALS.DEPTH);
+        this.signalLabels = [];
+        this.drawSignalOverlay();
+        this.notifySignalsChanged();
+        this.notifyLayersChanged();
         
         // Setup input
         this.setupInput();
         
+        // Pick up the undo history from before a reload
+        this.restoreHistory();
+        
         // Keep default topOnly = true so we only interact with the topmost object
         
         // Combined click handler for selection and double-click creation
@@ -254,9 +375,19 @@ export default class MapEditor extends Phaser.Scene {
             
             if (this.isTestMode) return;
             
+            // A rubber-band selection ends here, not as a click
+            if (this.finishBoxSelect(pointer)) return;
+            
             const now = Date.now();
             const worldX = pointer.worldX;
             const worldY = pointer.worldY;
+            const shiftKey = pointer.event && pointer.event.shiftKey;
+            
+            // The measure tool only measures
+            if (this.getSelectedTool() === 'measure') {
+                this.handleMeasureClick(pointer);
+                return;
+            }
             
             // Handle constraint tool separately
             if (this.getSelectedTool() === 'constraint') {
@@ -264,6 +395,9 @@ export default class MapEditor extends Phaser.Scene {
                 return;
             }
             
+            // The custom tool turns clicks and strokes into shape outlines
+            if (this.handlePolygonToolRelease(pointer)) return;
+            
             // Check if this is a double-click
             if (now - lastClickTime < this.CONFIG.TIMING.DOUBLE_CLICK_THRESHOLD) {
                 // Double-click detected - try to create item
@@ -274,6 +408,19 @@ export default class MapEditor extends Phaser.Scene {
                 // Check if clicking on constraint first
                 const clickedConstraint = this.findConstraintAtPoint(worldX, worldY);
                 
+                // Shift-click adds to or removes from the group selection
+                const clickedItem = clickedConstraint ||
+                    this.stickers.find(s => s.containsPoint(worldX, worldY)) ||
+                    this.findPlatformAt(worldX, worldY);
+                if (shiftKey) {
+                    if (clickedItem) {
+                        this.toggleGroupSelection(clickedItem);
+                    }
+                    lastClickTime = now;
+                    return;
+                }
+                this.clearGroupSelection();
+                
                 if (clickedConstraint) {
                     this.selectConstraint(clickedConstraint);
                 } else {
@@ -282,30 +429,16 @@ export default class MapEditor extends Phaser.Scene {
                         s.containsPoint(worldX, worldY)
                     );
                     
+                    // Prefab instances sit above the platforms they may overlap
+                    const clickedInstance = this.findPrefabInstanceAt(worldX, worldY);
+                    
                     if (clickedSticker) {
                         this.selectSticker(clickedSticker);
+                    } else if (clickedInstance) {
+                        this.selectPrefabInstance(clickedInstance);
                     } else {
                         // Check if clicking on platform graphics
-                        const clickedPlatform = this.platforms.find(p => {
-                            if (!p.graphics) return false;
-                            
-                            // Graphics objects don't have getBounds, check using data
-                            if (p.graphics.type === 'Graphics') {
-                                const { x, y, width, height, type, radius } = p.data;
-                                if (type === 'rectangle') {
-                                    return worldX >= x - width/2 && worldX <= x + width/2 &&
-                                           worldY >= y - height/2 && worldY <= y + height/2;
-                                } else if (type === 'circle') {
-                                    const dx = worldX - x;
-                                    const dy = worldY - y;
-                                    return (dx * dx + dy * dy) <= (radius * radius);
-                                }
-                                return false;
-                            } else {
-                                // Regular shapes have getBounds
-                                return p.graphics.getBounds().contains(worldX, worldY);
-                            }
-                        });
+                        const clickedPlatform = this.findPlatformAt(worldX, worldY);
                         
                         if (clickedPlatform) {
                             this.selectPlatform(clickedPlatform);
@@ -313,6 +446,7 @@ export default class MapEditor extends Phaser.Scene {
                             this.selectPlatform(null);
                             this.selectSticker(null);
                             this.selectConstraint(null);
+                            this.selectPrefabInstance(null);
                         }
                     }
                 }
@@ -347,6 +481,38 @@ export default class MapEditor extends Phaser.Scene {
         // this.setupGUI(); // Replaced with React PropertyPanel
     }
     
+    findPlatformAt(worldX, worldY) {
+        return this.platforms.find(p => {
+            if (!p.graphics || !this.isLayerEditable(p.data)) return false;
+            
+            // Custom shapes are hit-tested against their outline
+            if (p.data.type === 'custom') {
+                return this.isPointInCustomPlatform(p.data, worldX, worldY);
+            }
+            
+            // Graphics objects don't have getBounds, check using data
+            if (p.graphics.type === 'Graphics') {
+                const { x, y, width, height, type, radius } = p.data;
+                if (type === 'rectangle') {
+                    return worldX >= x - width/2 && worldX <= x + width/2 &&
+                           worldY >= y - height/2 && worldY <= y + height/2;
+                } else if (type === 'circle') {
+                    const dx = worldX - x;
+                    const dy = worldY - y;
+                    return (dx * dx + dy * dy) <= (radius * radius);
+                }
+                return false;
+            } else {
+                // Regular shapes have getBounds
+                return p.graphics.getBounds().contains(worldX, worldY);
+            }
+        });
+    }
+    
+    isPointInCustomPlatform(platformData, x, y) {
+        return Phaser.Geom.Polygon.Contains(new Phaser.Geom.Polygon(getCustomPlatformPoints(platformData)), x, y);
+    }
+    
     createCameraInfoDisplay() {
         // Create camera info text display
         // this.cameraInfoText = this.add.text(10, 10, '', {
@@ -399,6 +565,8 @@ export default class MapEditor extends Phaser.Scene {
             };
             this.platforms = []; // Will be rebuilt from mapData.platforms
             this.constraints = []; // Will be rebuilt from mapData.constraints
+            this.serverFilename = window.serverMapFilename || null;
+            this.serverRevision = window.serverMapRevision || null;
             
             // Ensure mapData has constraints array
             if (!this.mapData.constraints) {
@@ -424,6 +592,21 @@ export default class MapEditor extends Phaser.Scene {
         return true; // Default fallback
     }
     
+    // Grid size, rotation step and platform snapping from React PropertyPanel
+    getSnapSettings() {
+        const settings = typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.snapSettings;
+        return {
+            gridSize: this.CONFIG.GRID.SNAP_SIZE,
+            angleStep: this.CONFIG.SNAP.ANGLE_STEP,
+            platforms: true,
+            ...settings
+        };
+    }
+    
+    getGridSnapSize() {
+        return this.getGridSnapEnabled() ? this.getSnapSettings().gridSize : 0;
+    }
+    
     getToolSettings() {
         // Read tool settings from React PropertyPanel
         if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.toolSettings) {
@@ -451,18 +634,211 @@ export default class MapEditor extends Phaser.Scene {
         // Set new timer
         this.autoSaveTimer = setTimeout(() => {
             this.saveEditingSession();
+            // Wiring tags follow platforms that were moved or deleted
+            this.drawSignalOverlay();
         }, this.CONFIG.TIMING.AUTO_SAVE_DELAY);
     }
     
     saveEditingSession() {
-        // Auto-save removed - use explicit save to API instead
-        // Map data is saved via the Save button which calls the API
+        // Map data is saved via the Save button which calls the API;
+        // only the undo history is kept with the browser session
+        try {
+            sessionStorage.setItem(this.getHistoryStorageKey(), JSON.stringify({
+                state: this.captureEditorState(),
+                history: this.history.toJSON()
+            }));
+        } catch (error) {
+            console.warn('Failed to save undo history:', error);
+        }
     }
     
     saveMapsToStorage() {
         // Maps are now saved to server via API
     }
     
+    getHistoryStorageKey() {
+        // One history per map; the editor route includes the map filename
+        return `mapEditorHistory:${window.location.pathname}`;
+    }
+    
+    restoreHistory() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(this.getHistoryStorageKey()));
+            
+            // Only valid if the map is still in the state the history ends in
+            if (saved && saved.state === this.captureEditorState()) {
+                this.history.load(saved.history);
+                console.log(`Restored undo history (${this.history.undoStack.length} steps)`);
+            }
+        } catch (error) {
+            console.warn('Failed to restore undo history:', error);
+        }
+    }
+    
+    // Everything undo/redo covers, as JSON
+    captureEditorState() {
+        return JSON.stringify({
+            entities: this.entities,
+            platforms: this.platforms.map(p => p.data),
+            stickers: this.stickers.map(s => s.toJSON()),
+            constraints: this.constraints.map(c => c.data),
+            prefabs: this.mapData.prefabs,
+            prefabInstances: this.mapData.prefabInstances,
+            layers: this.mapData.layers,
+            ropes: this.mapData.ropes,
+            signals: this.mapData.signals
+        });
+    }
+    
+    /**
+     * Add a change to the undo history
+     * @param {string} label - e.g. 'Delete platform'
+     * @param {string} before - captureEditorState() from before the change
+     * @param {string} [mergeKey] - Merge with the previous command if it has the same key
+     */
+    recordHistory(label, before, mergeKey = null) {
+        if (this.history.push(label, before, this.captureEditorState(), mergeKey)) {
+            this.autoSave();
+        }
+    }
+    
+    // Drags change the map over many frames; record them as one command
+    beginChange() {
+        if (!this.pendingChangeState) {
+            this.pendingChangeState = this.captureEditorState();
+        }
+    }
+    
+    commitChange(label) {
+        if (!this.pendingChangeState) return;
+        
+        const before = this.pendingChangeState;
+        this.pendingChangeState = null;
+        this.recordHistory(label, before);
+    }
+    
+    describeDrag(gameObject) {
+        if (this.findGroupItem(gameObject)) return `Move ${this.groupSelection.length} items`;
+        if (gameObject.handleType === 'rotation') return 'Rotate platform';
+        if (gameObject.handleType) return 'Resize platform';
+        if (gameObject.waypointPlatform) return 'Move waypoint';
+        if (gameObject.pivotPlatform) return 'Move pivot';
+        if (gameObject.vertexPlatform) return 'Move vertex';
+        if (gameObject.constraintPoint) return 'Move constraint point';
+        if (gameObject.platformData) return 'Move platform';
+        if (gameObject.stickerInstance) return 'Move sticker';
+        if (gameObject.prefabInstance) return 'Move prefab';
+        if (gameObject === this.wormSprite) return 'Move worm start';
+        if (gameObject === this.goalSprite) return 'Move goal';
+        if (this.portalSprites.includes(gameObject)) return 'Move portal';
+        return 'Move checkpoint';
+    }
+    
+    undo() {
+        if (this.isTestMode) return;
+        
+        const command = this.history.undo();
+        if (!command) {
+            this.showFeedback('Nothing to undo');
+            return;
+        }
+        
+        this.restoreEditorState(command.before);
+        this.showFeedback(`Undo: ${command.label}`);
+        this.autoSave();
+    }
+    
+    redo() {
+        if (this.isTestMode) return;
+        
+        const command = this.history.redo();
+        if (!command) {
+            this.showFeedback('Nothing to redo');
+            return;
+        }
+        
+        this.restoreEditorState(command.after);
+        this.showFeedback(`Redo: ${command.label}`);
+        this.autoSave();
+    }
+    
+    // Rebuild platforms, stickers, constraints and entities from a captured state
+    restoreEditorState(stateJson) {
+        const state = JSON.parse(stateJson);
+        const selectedId = this.selectedPlatform?.data.id;
+        
+        // Platform first: selectConstraint(null) drops selectedPlatform without clearing its handles
+        this.clearGroupSelection();
+        this.selectPlatform(null);
+        this.selectSticker(null);
+        this.selectConstraint(null);
+        this.selectPrefabInstance(null);
+        
+        // Layers first, so the items below are drawn on them
+        if (state.layers) {
+            this.mapData.layers = state.layers;
+        } else {
+            delete this.mapData.layers;
+        }
+        this.notifyLayersChanged();
+        
+        this.platforms.forEach(platform => {
+            this.clearHandles(platform);
+            if (platform.graphics) {
+                platform.graphics.destroy();
+            }
+        });
+        this.platforms = [];
+        state.platforms.forEach(platformData => this.addPlatformToScene(platformData));
+        this.mapData.platforms = this.platforms.map(p => p.data);
+        
+        this.stickers.forEach(sticker => sticker.destroy());
+        this.stickers = [];
+        state.stickers.forEach(stickerData => this.addStickerToScene(stickerData));
+        this.mapData.stickers = this.stickers.map(s => s.toJSON());
+        
+        this.prefabInstances.forEach(instance => instance.container.destroy());
+        this.prefabInstances = [];
+        this.mapData.prefabs = state.prefabs;
+        (state.prefabInstances || []).forEach(instanceData => this.addPrefabInstanceToScene(instanceData));
+        this.updatePrefabMapData();
+        this.notifyPrefabsChanged();
+        
+        this.entities = state.entities;
+        this.mapData.entities = this.entities;
+        this.updateEntityPositions();
+        this.updateReferenceWormPosition();
+        
+        // Constraints look up their bodies, so they go after platforms and entities
+        this.constraints = [];
+        state.constraints.forEach(constraintData => this.addConstraintToScene(constraintData));
+        this.mapData.constraints = this.constraints.map(c => c.data);
+        this.updateConstraintGraphics();
+        
+        if (state.ropes) {
+            this.mapData.ropes = state.ropes;
+        } else {
+            delete this.mapData.ropes;
+        }
+        this.ropeDraft = null;
+        this.drawRopes();
+        this.notifyRopesChanged();
+        
+        if (state.signals) {
+            this.mapData.signals = state.signals;
+        } else {
+            delete this.mapData.signals;
+        }
+        this.drawSignalOverlay();
+        this.notifySignalsChanged();
+        
+        // Keep the platform being edited selected if it still exists
+        const selected = this.platforms.find(p => p.data.id === selectedId);
+        if (selected) {
+            this.selectPlatform(selected);
+        }
+    }
+    
     createGrid(width, height) {
         const graphics = this.add.graphics();
         graphics.lineStyle(1, 0x444444, 0.5);
@@ -576,6 +952,8 @@ export default class MapEditor extends Phaser.Scene {
         this.ensureEntitiesExist();
         this.createWormSprite();
         this.createGoalSprite();
+        this.createCheckpointSprites();
+        this.createPortalSprites();
         this.setupEntityDragging();
         this.createReferenceWorm();
     }
@@ -614,6 +992,369 @@ export default class MapEditor extends Phaser.Scene {
         this.goalSprite.setDepth(50);
     }
     
+    // Rebuilt whenever checkpoints are added, removed or loaded
+    createCheckpointSprites() {
+        if (this.checkpointSprites) {
+            this.checkpointSprites.forEach(sprite => {
+                sprite.label.destroy();
+                sprite.destroy();
+            });
+        }
+        
+        const checkpoints = this.entities.checkpoints || [];
+        this.checkpointSprites = checkpoints.map(({ x, y }, index) => {
+            const sprite = this.add.circle(x, y, this.CONFIG.ENTITIES.CHECKPOINT_SPRITE_RADIUS, 0x00cec9, 0.7);
+            sprite.setStrokeStyle(3, 0x00a8a3);
+            sprite.setInteractive();
+            sprite.setDepth(50);
+            sprite.setVisible(!this.isTestMode);
+            sprite.checkpointIndex = index;
+            
+            sprite.label = this.add.text(x, y, `C${index + 1}`, {
+                fontSize: '16px',
+                color: '#ffffff',
+                fontStyle: 'bold'
+            }).setOrigin(0.5).setDepth(51).setVisible(!this.isTestMode);
+            
+            this.input.setDraggable(sprite);
+            return sprite;
+        });
+    }
+    
+    addCheckpoint(x, y) {
+        const before = this.captureEditorState();
+        const snappedPos = this.applyGridSnap(x, y);
+        this.entities.checkpoints = [
+            ...(this.entities.checkpoints || []),
+            { x: Math.round(snappedPos.x), y: Math.round(snappedPos.y) }
+        ];
+        this.createCheckpointSprites();
+        this.recordHistory('Add checkpoint', before);
+    }
+    
+    removeCheckpoint(sprite) {
+        const before = this.captureEditorState();
+        this.entities.checkpoints = this.entities.checkpoints.filter((_, index) => index !== sprite.checkpointIndex);
+        if (this.entities.checkpoints.length === 0) {
+            delete this.entities.checkpoints;
+        }
+        this.createCheckpointSprites();
+        this.recordHistory('Remove checkpoint', before);
+    }
+    
+    // Rebuilt whenever portals are added, removed, relinked or loaded
+    createPortalSprites() {
+        if (this.portalSprites) {
+            this.portalSprites.forEach(sprite => {
+                sprite.label.destroy();
+                sprite.destroy();
+            });
+        }
+        if (!this.portalLinkGraphics) {
+            this.portalLinkGraphics = this.add.graphics();
+            this.portalLinkGraphics.setDepth(49);
+        }
+        
+        const { PORTAL_SPRITE_RADIUS, PORTAL_COLOR } = this.CONFIG.ENTITIES;
+        const portals = this.entities.portals || [];
+        this.portalSprites = portals.map(({ x, y }, index) => {
+            const sprite = this.add.circle(x, y, PORTAL_SPRITE_RADIUS, PORTAL_COLOR, 0.4);
+            sprite.setStrokeStyle(4, PORTAL_COLOR);
+            sprite.setInteractive();
+            sprite.setDepth(50);
+            sprite.setVisible(!this.isTestMode);
+            sprite.portalIndex = index;
+            
+            sprite.label = this.add.text(x, y, `P${index + 1}`, {
+                fontSize: '16px',
+                color: '#ffffff',
+                fontStyle: 'bold'
+            }).setOrigin(0.5).setDepth(51).setVisible(!this.isTestMode);
+            
+            this.input.setDraggable(sprite);
+            return sprite;
+        });
+        
+        this.drawPortalLinks();
+        this.notifyPortalsChanged();
+    }
+    
+    // Mouth direction of each portal and a line to the portal it leads to
+    drawPortalLinks() {
+        const graphics = this.portalLinkGraphics;
+        if (!graphics) return;
+        graphics.clear();
+        graphics.setVisible(!this.isTestMode);
+        
+        const { PORTAL_SPRITE_RADIUS, PORTAL_COLOR } = this.CONFIG.ENTITIES;
+        const portals = this.entities.portals || [];
+        portals.forEach(portal => {
+            const angle = portal.angle || 0;
+            const reach = PORTAL_SPRITE_RADIUS + 16;
+            graphics.lineStyle(4, PORTAL_COLOR, 1);
+            graphics.lineBetween(
+                portal.x + Math.sin(angle) * PORTAL_SPRITE_RADIUS, portal.y - Math.cos(angle) * PORTAL_SPRITE_RADIUS,
+                portal.x + Math.sin(angle) * reach, portal.y - Math.cos(angle) * reach
+            );
+            
+            const target = portals.find(other => other.id === portal.target && other !== portal);
+            if (target) {
+                graphics.lineStyle(2, PORTAL_COLOR, 0.4);
+                graphics.lineBetween(portal.x, portal.y, target.x, target.y);
+            }
+        });
+    }
+    
+    /**
+     * Place a portal. It is linked both ways to the last portal still
+     * waiting for a partner, so placing two portals makes a pair.
+     */
+    addPortal(x, y) {
+        const before = this.captureEditorState();
+        const snappedPos = this.applyGridSnap(x, y);
+        const portals = this.entities.portals || [];
+        
+        let count = portals.length;
+        while (portals.some(portal => portal.id === `portal_${count}`)) count++;
+        const portal = { id: `portal_${count}`, x: Math.round(snappedPos.x), y: Math.round(snappedPos.y) };
+        
+        const partner = [...portals].reverse().find(other =>
+            !other.target && !portals.some(candidate => candidate.target === other.id)
+        );
+        if (partner) {
+            partner.target = portal.id;
+            portal.target = partner.id;
+        }
+        
+        this.entities.portals = [...portals, portal];
+        this.createPortalSprites();
+        this.recordHistory('Add portal', before);
+    }
+    
+    // Portals that led to the removed one become exits only
+    removePortal(sprite) {
+        const before = this.captureEditorState();
+        const removed = this.entities.portals[sprite.portalIndex];
+        this.entities.portals = this.entities.portals.filter((_, index) => index !== sprite.portalIndex);
+        this.entities.portals.forEach(portal => {
+            if (portal.target === removed.id) {
+                delete portal.target;
+            }
+        });
+        if (this.entities.portals.length === 0) {
+            delete this.entities.portals;
+        }
+        this.createPortalSprites();
+        this.recordHistory('Remove portal', before);
+    }
+    
+    /**
+     * Change a portal's facing or exit (called by the React property panel)
+     * @param {number} index - Index in entities.portals
+     * @param {{angle?: number, target?: string|null}} changes - A null target makes it an exit only
+     */
+    updatePortal(index, changes) {
+        const portal = this.entities.portals?.[index];
+        if (!portal) return;
+        
+        const before = this.captureEditorState();
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null || value === undefined || (key === 'angle' && value === 0)) {
+                delete portal[key];
+            } else {
+                portal[key] = value;
+            }
+        });
+        this.createPortalSprites();
+        this.recordHistory('Edit portal', before, `portal-${index}`);
+    }
+    
+    notifyPortalsChanged() {
+        if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.onPortalsChange) {
+            window.editorCallbacks.onPortalsChange((this.entities.portals || []).map(portal => ({ ...portal })));
+        }
+    }
+    
+    /**
+     * Where a rope end is in the editor: on its platform, on the worm's
+     * start, or at its world point
+     * @returns {{x: number, y: number}|null|undefined} Null for a free end, undefined if its platform is missing
+     */
+    getRopeEndPosition(bodyId, point) {
+        if (typeof bodyId !== 'string') {
+            return point ? { x: point.x, y: point.y } : null;
+        }
+        const origin = bodyId.startsWith('worm')
+            ? this.entities.wormStart
+            : this.platforms.find(platform => platform.data.id === bodyId)?.data;
+        if (!origin) return undefined;
+        return { x: origin.x + (point?.x || 0), y: origin.y + (point?.y || 0) };
+    }
+    
+    // A rope's ends and links where they start out in the game
+    getRopePoints(rope) {
+        const start = this.getRopeEndPosition(rope.bodyA, rope.pointA);
+        const end = this.getRopeEndPosition(rope.bodyB, rope.pointB);
+        if (!start || end === undefined) return null;
+        
+        const length = getRopeLength(start, end, rope.length);
+        const links = getRopeRestPoints(start, end, length, getRopeLinkCount(length));
+        return end ? [start, ...links, end] : [start, ...links];
+    }
+    
+    // Redrawn whenever ropes change or the bodies they are tied to move
+    drawRopes() {
+        if (!this.ropeGraphics) {
+            this.ropeGraphics = this.add.graphics();
+            this.ropeGraphics.setDepth(50); // With constraints
+        }
+        const graphics = this.ropeGraphics;
+        graphics.clear();
+        graphics.setVisible(!this.isTestMode);
+        
+        (this.mapData.ropes || []).forEach(rope => {
+            const points = this.getRopePoints(rope);
+            if (points) {
+                drawRopeCurve(graphics, rope, points, 0.9);
+            }
+        });
+        
+        // The first end of a rope still being placed
+        if (this.ropeDraft) {
+            const position = this.getRopeEndPosition(this.ropeDraft.body, this.ropeDraft.point);
+            if (position) {
+                graphics.lineStyle(3, this.CONFIG.ROPES.DRAFT_COLOR, 1);
+                graphics.strokeCircle(position.x, position.y, 10);
+            }
+        }
+    }
+    
+    // Index of the rope drawn under a point, or -1
+    findRopeAt(x, y) {
+        const { HIT_DISTANCE } = this.CONFIG.ROPES;
+        return (this.mapData.ropes || []).findIndex(rope => {
+            const points = this.getRopePoints(rope) || [];
+            return points.some((point, i) => i > 0 &&
+                this.distanceToLineSegment(x, y, points[i - 1].x, points[i - 1].y, point.x, point.y) < HIT_DISTANCE);
+        });
+    }
+    
+    // A rope end at a point: tied to the platform or worm start there, otherwise to the world
+    getRopeAnchorAt(x, y) {
+        const body = this.findBodyAtPoint(x, y);
+        if (body && body.type === 'platform' && !this.isDecoration(body.platform.data)) {
+            return { body: body.id, point: { x: x - body.platform.data.x, y: y - body.platform.data.y } };
+        }
+        if (body && body.type === 'worm') {
+            return { body: 'worm_head', point: { x: 0, y: 0 } };
+        }
+        return { point: { x, y } };
+    }
+    
+    /**
+     * Rope tool: the first double-click ties one end, the second the other.
+     * With Shift held the second end hangs free, as long as the distance
+     * to it. Double-clicking a rope removes it.
+     */
+    handleRopeDoubleClick(x, y, freeEnd) {
+        const snappedPos = this.applyGridSnap(x, y);
+        const end = this.getRopeAnchorAt(Math.round(snappedPos.x), Math.round(snappedPos.y));
+        
+        if (!this.ropeDraft) {
+            const ropeIndex = this.findRopeAt(x, y);
+            if (ropeIndex >= 0) {
+                this.removeRope(ropeIndex);
+                return;
+            }
+            
+            this.ropeDraft = end;
+            this.drawRopes();
+            this.showFeedback('Double-click where the other end is tied (Shift: hangs free)');
+            return;
+        }
+        
+        const first = this.ropeDraft;
+        this.ropeDraft = null;
+        const start = this.getRopeEndPosition(first.body, first.point);
+        const finish = this.getRopeEndPosition(end.body, end.point);
+        const distance = Phaser.Math.Distance.Between(start.x, start.y, finish.x, finish.y);
+        if (distance < this.CONFIG.ROPES.MIN_LENGTH) {
+            this.drawRopes();
+            this.showFeedback('Rope cancelled');
+            return;
+        }
+        
+        const before = this.captureEditorState();
+        const ropes = this.mapData.ropes || [];
+        let count = ropes.length;
+        while (ropes.some(rope => rope.id === `rope_${count}`)) count++;
+        
+        const rope = { id: `rope_${count}` };
+        if (first.body) rope.bodyA = first.body;
+        rope.pointA = first.point;
+        if (!freeEnd) {
+            if (end.body) rope.bodyB = end.body;
+            rope.pointB = end.point;
+        }
+        rope.length = Math.round(freeEnd ? distance : distance * this.CONFIG.ROPES.SLACK);
+        
+        this.mapData.ropes = [...ropes, rope];
+        this.drawRopes();
+        this.notifyRopesChanged();
+        this.recordHistory('Add rope', before);
+    }
+    
+    removeRope(index) {
+        const before = this.captureEditorState();
+        this.mapData.ropes = this.mapData.ropes.filter((_, i) => i !== index);
+        if (this.mapData.ropes.length === 0) {
+            delete this.mapData.ropes;
+        }
+        this.drawRopes();
+        this.notifyRopesChanged();
+        this.recordHistory('Remove rope', before);
+    }
+    
+    /**
+     * Change a rope's length, style or color (called by the React property panel)
+     * @param {number} index - Index in ropes
+     * @param {{length?: number, style?: string, color?: string|null}} changes - Null removes a setting
+     */
+    updateRope(index, changes) {
+        const rope = this.mapData.ropes?.[index];
+        if (!rope) return;
+        
+        const before = this.captureEditorState();
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null || value === undefined || (key === 'style' && value === 'rope')) {
+                delete rope[key];
+            } else {
+                rope[key] = value;
+            }
+        });
+        this.drawRopes();
+        this.notifyRopesChanged();
+        this.recordHistory('Edit rope', before, `rope-${index}`);
+    }
+    
+    notifyRopesChanged() {
+        if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.onRopesChange) {
+            window.editorCallbacks.onRopesChange((this.mapData.ropes || []).map(rope => ({ ...rope })));
+        }
+    }
+    
+    // Rope ends in test mode are tied to the test platforms and worm
+    findTestBodyById(id) {
+        if (id === 'worm_head' || id === 'worm_tail') {
+            return id === 'worm_head' ? this.testWorm.getHead() : this.testWorm.getTail();
+        }
+        if (id.startsWith('worm_segment_')) {
+            return this.testWorm.segments[parseInt(id.replace('worm_segment_', ''))] || null;
+        }
+        const platform = this.testPlatforms.find(testPlatform => testPlatform.data.id === id);
+        return platform ? platform.instance.body : null;
+    }
+    
     setupEntityDragging() {
         this.input.setDraggable([this.wormSprite, this.goalSprite]);
         
@@ -632,13 +1373,69 @@ export default class MapEditor extends Phaser.Scene {
     }
     
     applyGridSnap(x, y) {
-        if (this.getGridSnapEnabled()) {
-            return {
-                x: Math.round(x / this.CONFIG.GRID.SNAP_SIZE) * this.CONFIG.GRID.SNAP_SIZE,
-                y: Math.round(y / this.CONFIG.GRID.SNAP_SIZE) * this.CONFIG.GRID.SNAP_SIZE
-            };
+        const gridSize = this.getGridSnapSize();
+        return { x: snapToIncrement(x, gridSize), y: snapToIncrement(y, gridSize) };
+    }
+    
+    /**
+     * Snap a point to the grid, or onto a nearby corner or edge of a platform
+     * @param {number} x
+     * @param {number} y
+     * @param {Array} [exclude] - Platforms not to snap to
+     * @returns {{x: number, y: number}}
+     */
+    snapPoint(x, y, exclude = []) {
+        const snap = this.findPlatformSnap([{ x, y }], exclude);
+        this.drawSnapGuide(snap);
+        return snap ? { x: snap.x, y: snap.y } : this.applyGridSnap(x, y);
+    }
+    
+    // Where a dragged platform goes: lined up with a nearby platform, else on the grid
+    snapPlatformPosition(platform, x, y) {
+        const outline = this.getPlatformOutline({ ...platform.data, x, y });
+        const snap = this.findPlatformSnap(outline, [platform, ...this.groupSelection]);
+        this.drawSnapGuide(snap);
+        return snap ? { x: x + snap.dx, y: y + snap.dy } : this.applyGridSnap(x, y);
+    }
+    
+    findPlatformSnap(points, exclude) {
+        if (!this.getSnapSettings().platforms) return null;
+        
+        const targets = this.platforms
+            .filter(platform => !exclude.includes(platform) && !this.isLayerHidden(platform.data))
+            .map(platform => ({
+                points: this.getPlatformOutline(platform.data),
+                corners: platform.data.type !== 'circle'
+            }));
+        return findOutlineSnap(points, targets, this.CONFIG.SNAP.OBJECT_DISTANCE / this.cameras.main.zoom);
+    }
+    
+    // A square on the corner or a ring on the edge point that was snapped to
+    drawSnapGuide(snap) {
+        if (!snap) {
+            this.clearSnapGuide();
+            return;
+        }
+        if (!this.snapGuideGraphics) {
+            this.snapGuideGraphics = this.add.graphics();
+            this.snapGuideGraphics.setDepth(this.CONFIG.HANDLES.DEPTH);
+        }
+        
+        const size = 6 / this.cameras.main.zoom;
+        const graphics = this.snapGuideGraphics;
+        graphics.clear();
+        graphics.lineStyle(2 / this.cameras.main.zoom, this.CONFIG.SNAP.COLOR, 1);
+        if (snap.kind === 'corner') {
+            graphics.strokeRect(snap.x - size, snap.y - size, size * 2, size * 2);
+        } else {
+            graphics.strokeCircle(snap.x, snap.y, size);
+        }
+    }
+    
+    clearSnapGuide() {
+        if (this.snapGuideGraphics) {
+            this.snapGuideGraphics.clear();
         }
-        return { x, y };
     }
     
     updateEntityPosition(gameObject, x, y) {
@@ -651,14 +1448,23 @@ export default class MapEditor extends Phaser.Scene {
                 this.wormText.setPosition(x, y);
             }
             this.updateReferenceWormPosition();
+            this.drawRopes();
         } else if (gameObject === this.goalSprite) {
             this.entities.goal = { x, y };
+        } else if (this.checkpointSprites.includes(gameObject)) {
+            this.entities.checkpoints[gameObject.checkpointIndex] = { x, y };
+            gameObject.label.setPosition(x, y);
+        } else if (this.portalSprites.includes(gameObject)) {
+            Object.assign(this.entities.portals[gameObject.portalIndex], { x, y });
+            gameObject.label.setPosition(x, y);
+            this.drawPortalLinks();
         }
         this.autoSave();
     }
     
     isEntitySprite(gameObject) {
-        return gameObject === this.wormSprite || gameObject === this.goalSprite;
+        return gameObject === this.wormSprite || gameObject === this.goalSprite ||
+            this.checkpointSprites.includes(gameObject) || this.portalSprites.includes(gameObject);
     }
     
     finalizeEntityPosition(gameObject) {
@@ -676,6 +1482,14 @@ export default class MapEditor extends Phaser.Scene {
             this.updateReferenceWormPosition();
         } else if (gameObject === this.goalSprite) {
             this.entities.goal = { x: roundedX, y: roundedY };
+        } else if (this.checkpointSprites.includes(gameObject)) {
+            this.entities.checkpoints[gameObject.checkpointIndex] = { x: roundedX, y: roundedY };
+            gameObject.label.setPosition(roundedX, roundedY);
+        } else if (this.portalSprites.includes(gameObject)) {
+            Object.assign(this.entities.portals[gameObject.portalIndex], { x: roundedX, y: roundedY });
+            gameObject.label.setPosition(roundedX, roundedY);
+            this.drawPortalLinks();
+            this.notifyPortalsChanged();
         }
         this.autoSave();
     }
@@ -757,6 +1571,9 @@ export default class MapEditor extends Phaser.Scene {
         this.input.on('dragstart', (pointer, gameObject) => {
             if (this.isTestMode) return;
             
+            // The whole drag becomes one undo step, recorded on dragend
+            this.beginChange();
+            
             // Check if dragging a resize handle
             if (gameObject.handleType) {
                 this.isResizing = true;
@@ -764,11 +1581,19 @@ export default class MapEditor extends Phaser.Scene {
                 return;
             }
             
+            // Dragging part of the group moves the whole group
+            const groupItem = this.findGroupItem(gameObject);
+            if (groupItem) {
+                this.startGroupDrag(gameObject);
+            }
+            
             // For platforms, bring to front and disable browser drag ghost
             if (gameObject.platformData) {
                 gameObject.setDepth(1000);
                 this.children.bringToTop(gameObject);
-                this.selectPlatform(this.platforms.find(p => p.graphics === gameObject));
+                if (!groupItem) {
+                    this.selectPlatform(this.platforms.find(p => p.graphics === gameObject));
+                }
                 
                 // Prevent browser drag ghost image
                 if (pointer.event && pointer.event.preventDefault) {
@@ -777,9 +1602,13 @@ export default class MapEditor extends Phaser.Scene {
             }
             
             // Handle sticker selection on drag start
-            if (gameObject.stickerInstance) {
+            if (gameObject.stickerInstance && !groupItem) {
                 this.selectSticker(gameObject.stickerInstance);
             }
+            
+            if (gameObject.prefabInstance) {
+                this.selectPrefabInstance(gameObject.prefabInstance);
+            }
         });
         
         this.input.on('drag', (pointer, gameObject, dragX, dragY) => {
@@ -797,7 +1626,10 @@ export default class MapEditor extends Phaser.Scene {
             
             // Handle platform movement - much simpler now!
             if (gameObject.platformData && !gameObject.handleType) {
-                const snappedPos = this.applyGridSnap(dragX, dragY);
+                const platform = this.platforms.find(p => p.graphics === gameObject);
+                const snappedPos = platform
+                    ? this.snapPlatformPosition(platform, dragX, dragY)
+                    : this.applyGridSnap(dragX, dragY);
                 
                 // Direct manipulation - just set position
                 gameObject.x = snappedPos.x;
@@ -807,7 +1639,6 @@ export default class MapEditor extends Phaser.Scene {
                 gameObject.setDepth(1000);
                 
                 // Update platform data
-                const platform = this.platforms.find(p => p.graphics === gameObject);
                 if (platform) {
                     platform.data.x = snappedPos.x;
                     platform.data.y = snappedPos.y;
@@ -837,6 +1668,20 @@ export default class MapEditor extends Phaser.Scene {
                 }
                 this.autoSave();
             }
+            
+            // Prefab instances move as one unit
+            if (gameObject.prefabInstance) {
+                const snappedPos = this.applyGridSnap(dragX, dragY);
+                gameObject.x = snappedPos.x;
+                gameObject.y = snappedPos.y;
+                gameObject.prefabInstance.data.x = snappedPos.x;
+                gameObject.prefabInstance.data.y = snappedPos.y;
+            }
+            
+            // The rest of the group follows the dragged item
+            if (this.groupDrag && (gameObject.platformData || gameObject.stickerInstance)) {
+                this.updateGroupDrag(gameObject);
+            }
         });
         
         this.input.on('dragend', (pointer, gameObject) => {
@@ -874,7 +1719,7 @@ export default class MapEditor extends Phaser.Scene {
                     gameObject.platformData.y = platform.data.y;
                     
                     // Reset depth after dragging
-                    gameObject.setDepth(0);
+                    this.applyLayerState(gameObject, platform.data, 0);
                     
                     // Update handle positions to maintain rotation after move
                     this.updateHandlePositions(platform);
@@ -884,7 +1729,20 @@ export default class MapEditor extends Phaser.Scene {
                 // Update map data after sticker drag
                 this.mapData.stickers = this.stickers.map(s => s.toJSON());
                 this.autoSave();
+            } else if (gameObject.prefabInstance) {
+                const { data } = gameObject.prefabInstance;
+                data.x = Math.round(data.x);
+                data.y = Math.round(data.y);
+                gameObject.setPosition(data.x, data.y);
+                this.updatePrefabMapData();
+                this.notifyPrefabInstanceSelected();
             }
+            
+            this.endGroupDrag();
+            this.clearSnapGuide();
+            
+            // Entity, waypoint and constraint handle listeners have run by now
+            this.commitChange(this.describeDrag(gameObject));
         });
     }
     
@@ -908,10 +1766,9 @@ export default class MapEditor extends Phaser.Scene {
         }
         
         // Apply grid snapping to the relative position
-        if (this.getGridSnapEnabled()) {
-            relativeX = Math.round(relativeX / this.CONFIG.GRID.SNAP_SIZE) * this.CONFIG.GRID.SNAP_SIZE;
-            relativeY = Math.round(relativeY / this.CONFIG.GRID.SNAP_SIZE) * this.CONFIG.GRID.SNAP_SIZE;
-        }
+        const gridSize = this.getGridSnapSize();
+        relativeX = snapToIncrement(relativeX, gridSize);
+        relativeY = snapToIncrement(relativeY, gridSize);
         
         if (data.type === 'rectangle' || data.type === 'trapezoid') {
             this.resizeRectangleFromHandle(data, original, handle.handleType, relativeX, relativeY);
@@ -987,8 +1844,8 @@ export default class MapEditor extends Phaser.Scene {
         let newCenterY = (newTop + newBottom) / 2;
         
         // Apply grid snapping to dimensions and position if enabled
-        const snapSize = this.CONFIG.GRID.SNAP_SIZE;
-        if (this.getGridSnapEnabled()) {
+        const snapSize = this.getGridSnapSize();
+        if (snapSize > 0) {
             newWidth = Math.round(newWidth / snapSize) * snapSize;
             newHeight = Math.round(newHeight / snapSize) * snapSize;
             newCenterX = Math.round(newCenterX / snapSize) * snapSize;
@@ -1051,10 +1908,11 @@ export default class MapEditor extends Phaser.Scene {
         // Convert to rotation (add 90 degrees so "up" is 0 rotation)
         let rotation = angle + Math.PI / 2;
         
-        // Snap to 5-degree increments
-        const snapAngleDegrees = 5;
-        const snapAngleRadians = snapAngleDegrees * Math.PI / 180;
-        rotation = Math.round(rotation / snapAngleRadians) * snapAngleRadians;
+        // Snap to the rotation step, in degrees; Shift rotates freely
+        const { angleStep } = this.getSnapSettings();
+        if (!this.input.activePointer.event?.shiftKey) {
+            rotation = snapToIncrement(rotation, angleStep * Math.PI / 180);
+        }
         
         // Update platform data (use 'angle' to match platform instance config)
         platform.data.angle = rotation;
@@ -1099,6 +1957,7 @@ export default class MapEditor extends Phaser.Scene {
                     }
                     this.input.setDraggable(platform.graphics);
                     platform.graphics.platformData = { ...platform.data };
+                    this.applyLayerState(platform.graphics, platform.data, 0);
                 }
                 
                 // Destroy old graphics
@@ -1117,10 +1976,14 @@ export default class MapEditor extends Phaser.Scene {
                 platform.graphics.setInteractive();
                 this.input.setDraggable(platform.graphics);
                 platform.graphics.platformData = { ...platform.data };
+                this.applyLayerState(platform.graphics, platform.data, 0);
             }
             
             // Destroy old graphics
             oldGraphics.destroy();
+        } else if (type === 'custom') {
+            // Outline edits redraw in place (see createVertexHandles), so only rotation changes here
+            platform.graphics.setAngle(angle * 180 / Math.PI);
         }
         
         // Reapply selection highlighting if needed
@@ -1248,6 +2111,10 @@ export default class MapEditor extends Phaser.Scene {
                 resizeHandleCount++;
             }
         });
+        
+        if (type === 'custom') {
+            this.updateVertexHandlePositions(platform);
+        }
     }
     
     updateHandles(platform) {
@@ -1261,7 +2128,15 @@ export default class MapEditor extends Phaser.Scene {
         this.input.keyboard.on('keydown-C', () => this.selectedTool = 'circle');
         this.input.keyboard.on('keydown-P', () => this.selectedTool = 'polygon');
         this.input.keyboard.on('keydown-T', () => this.selectedTool = 'trapezoid');
-        this.input.keyboard.on('keydown-V', () => this.selectedTool = 'custom');
+        this.input.keyboard.on('keydown-V', (event) => {
+            // V again finishes the shape being drawn; Ctrl+V is paste
+            if (this.polygonDraft && !event.ctrlKey && !event.metaKey) {
+                this.finishPolygonDraft();
+                return;
+            }
+            this.selectedTool = 'custom';
+        });
+        this.input.keyboard.on('keydown-ENTER', () => this.finishPolygonDraft());
         this.input.keyboard.on('keydown-L', () => this.selectedTool = 'constraint');
         this.input.keyboard.on('keydown-TAB', async () => {
             // In server mode, TAB switches to play mode
@@ -1276,8 +2151,14 @@ export default class MapEditor extends Phaser.Scene {
                 this.toggleTestMode();
             }
         });
-        this.input.keyboard.on('keydown-DELETE', () => {
-            if (this.selectedConstraint) {
+        this.input.keyboard.on('keydown-DELETE', (event) => {
+            if (this.isTypingInField(event)) return;
+            
+            if (this.groupSelection.length > 0) {
+                this.deleteSelection();
+            } else if (this.selectedPrefabInstance) {
+                this.deletePrefabInstance(this.selectedPrefabInstance);
+            } else if (this.selectedConstraint) {
                 this.deleteSelectedConstraint();
             } else if (this.selectedPlatform) {
                 this.deleteSelectedPlatform();
@@ -1285,10 +2166,34 @@ export default class MapEditor extends Phaser.Scene {
                 this.deleteSelectedSticker();
             }
         });
-        this.input.keyboard.on('keydown-BACKSPACE', () => this.deleteSelectedPlatform());
+        this.input.keyboard.on('keydown-BACKSPACE', (event) => {
+            if (this.isTypingInField(event)) return;
+            
+            if (this.polygonDraft) {
+                this.removeLastPolygonDraftPoint();
+            } else if (this.groupSelection.length > 0) {
+                this.deleteSelection();
+            } else if (this.selectedPrefabInstance) {
+                this.deletePrefabInstance(this.selectedPrefabInstance);
+            } else {
+                this.deleteSelectedPlatform();
+            }
+        });
         
         // ESC key handling
         this.input.keyboard.on('keydown-ESC', () => {
+            // Drop the shape being drawn
+            if (this.polygonDraft) {
+                this.cancelPolygonDraft();
+                this.showFeedback('Shape cancelled');
+                return;
+            }
+            
+            if (this.measurement) {
+                this.clearMeasurement();
+                return;
+            }
+            
             // Cancel constraint creation mode if active
             if (this.constraintCreationMode) {
                 this.constraintCreationMode = false;
@@ -1303,18 +2208,35 @@ export default class MapEditor extends Phaser.Scene {
             
             // In editor mode, ESC should undo last action if available
             // For now, just deselect
+            this.clearGroupSelection();
             this.selectPlatform(null);
             this.selectSticker(null);
             this.selectConstraint(null);
+            this.selectPrefabInstance(null);
         });
         
-        // Copy/paste support
+        // Copy/paste and undo/redo support; fields keep their own text editing
         this.input.keyboard.on('keydown', (event) => {
+            if (this.isTypingInField(event)) return;
+            
             if ((event.ctrlKey || event.metaKey)) {
                 if (event.key === 'c' || event.key === 'C') {
                     this.copySelected();
                 } else if (event.key === 'v' || event.key === 'V') {
                     this.paste();
+                } else if (event.key === 'z' || event.key === 'Z') {
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                } else if (event.key === 'y' || event.key === 'Y') {
+                    event.preventDefault();
+                    this.redo();
+                } else if (event.key === 'd' || event.key === 'D') {
+                    event.preventDefault();
+                    this.duplicateSelection();
                 }
             }
         });
@@ -1350,6 +2272,20 @@ export default class MapEditor extends Phaser.Scene {
         
         // Setup drag events for platforms
         this.setupPlatformDragging();
+        
+        // Shift-click and rubber-band selection
+        this.setupBoxSelection();
+        
+        // Click-to-place and freeform drawing for custom shapes
+        this.setupPolygonTool();
+        
+        this.setupMeasureTool();
+    }
+    
+    // Keys typed into a property panel field are for the field, not the map
+    isTypingInField(event) {
+        const target = event && event.target;
+        return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
     }
     
     createItemAtPointer(pointer) {
@@ -1357,6 +2293,27 @@ export default class MapEditor extends Phaser.Scene {
         
         const worldX = pointer.worldX;
         const worldY = pointer.worldY;
+        const selectedTool = this.getSelectedTool();
+        
+        // Double-clicking a checkpoint with the checkpoint tool removes it
+        const clickedCheckpoint = this.findCheckpointSpriteAt(worldX, worldY);
+        if (selectedTool === 'checkpoint' && clickedCheckpoint) {
+            this.removeCheckpoint(clickedCheckpoint);
+            return;
+        }
+        
+        // Likewise for portals with the portal tool
+        const clickedPortal = this.findPortalSpriteAt(worldX, worldY);
+        if (selectedTool === 'portal' && clickedPortal) {
+            this.removePortal(clickedPortal);
+            return;
+        }
+        
+        // Ropes can be tied to the worm start, so they come before the entity check
+        if (selectedTool === 'rope') {
+            this.handleRopeDoubleClick(worldX, worldY, pointer.event && pointer.event.shiftKey);
+            return;
+        }
         
         // Don't create on top of entities
         if (this.isClickOnEntity(worldX, worldY)) {
@@ -1364,22 +2321,29 @@ export default class MapEditor extends Phaser.Scene {
         }
         
         // Create item based on selected tool
-        const selectedTool = this.getSelectedTool();
-        if (selectedTool === 'sticker') {
+        if (selectedTool === 'checkpoint') {
+            this.addCheckpoint(worldX, worldY);
+        } else if (selectedTool === 'portal') {
+            this.addPortal(worldX, worldY);
+        } else if (selectedTool === 'prefab') {
+            this.placePrefab(this.getToolSettings().prefab, worldX, worldY);
+        } else if (selectedTool === 'sticker') {
             // Create sticker at pointer location
             let stickerData = this.createDefaultSticker(worldX, worldY);
             
             if (stickerData) {
+                const before = this.captureEditorState();
                 this.addStickerToScene(stickerData);
-                this.autoSave();
+                this.recordHistory('Add sticker', before);
             }
         } else {
             // Create platform at pointer location with default size
             let platformData = this.createDefaultPlatform(worldX, worldY);
             
             if (platformData) {
+                const before = this.captureEditorState();
                 this.addPlatformToScene(platformData);
-                this.autoSave();
+                this.recordHistory('Add platform', before);
             }
         }
     }
@@ -1395,7 +2359,9 @@ export default class MapEditor extends Phaser.Scene {
         console.log(`Creating platform data: toolSettings.platformType=${toolSettings.platformType}, toolSettings.platformColor=${toolSettings.platformColor}`);
         
         const baseData = this.createBasePlatformData(selectedTool, snappedPos.x, snappedPos.y, toolSettings);
-        return { ...baseData, ...size };
+        const platformData = { ...baseData, ...size };
+        this.setDefaultPropertiesForType(platformData, selectedTool);
+        return platformData;
     }
     
     getPlatformSize(selectedTool, toolSettings) {
@@ -1431,7 +2397,19 @@ export default class MapEditor extends Phaser.Scene {
         };
         
         // Add motion if enabled
-        if (toolSettings.motionEnabled) {
+        if (toolSettings.motionEnabled && toolSettings.motionType === 'waypoints') {
+            // Start with a two-point back-and-forth path; more points are added in the panel
+            data.motion = {
+                type: 'waypoints',
+                mode: 'pingpong',
+                speed: toolSettings.motionSpeed,
+                easing: 'Sine.easeInOut',
+                waypoints: [
+                    { x: 0, y: 0 },
+                    { x: toolSettings.motionDistance, y: 0 }
+                ]
+            };
+        } else if (toolSettings.motionEnabled) {
             data.motion = {
                 type: toolSettings.motionType,
                 distance: toolSettings.motionDistance,
@@ -1469,6 +2447,7 @@ export default class MapEditor extends Phaser.Scene {
         
         sticker.container.setInteractive();
         this.input.setDraggable(sticker.container);
+        this.applyLayerState(sticker.container, sticker.data, sticker.config.depth);
         
         // Add to stickers array
         this.stickers.push(sticker);
@@ -1480,6 +2459,11 @@ export default class MapEditor extends Phaser.Scene {
     }
     
     selectSticker(sticker) {
+        if (sticker) {
+            this.clearGroupSelection();
+            this.selectPrefabInstance(null);
+        }
+        
         // Deselect previous sticker
         if (this.selectedSticker) {
             this.selectedSticker.setHighlight(false);
@@ -1499,6 +2483,8 @@ export default class MapEditor extends Phaser.Scene {
     
     deleteSelectedSticker() {
         if (this.selectedSticker) {
+            const before = this.captureEditorState();
+            
             // Remove from stickers array
             const index = this.stickers.indexOf(this.selectedSticker);
             if (index > -1) {
@@ -1512,13 +2498,18 @@ export default class MapEditor extends Phaser.Scene {
             this.mapData.stickers = this.stickers.map(s => s.toJSON());
             
             this.selectedSticker = null;
-            this.autoSave();
+            this.recordHistory('Delete sticker', before);
         }
     }
     
     
     
     addPlatformToScene(platformData) {
+        // The editor moves custom shapes by x/y, so outlines in world coordinates get a position
+        if (platformData.type === 'custom' && platformData.x === undefined) {
+            Object.assign(platformData, centerPolygon(getCustomPlatformPoints(platformData)), { angle: 0 });
+        }
+        
         // In edit mode, just create simple graphics - no physics
         const graphics = this.createSimplePlatformVisual(platformData);
         
@@ -1535,6 +2526,7 @@ export default class MapEditor extends Phaser.Scene {
         
         // Store platform data on the graphics object
         graphics.platformData = { ...platformData };
+        this.applyLayerState(graphics, platformData, 0);
         
         // Create platform object
         const platform = {
@@ -1551,10 +2543,15 @@ export default class MapEditor extends Phaser.Scene {
     }
     
     createPlatformInstance(platformData) {
-        const { type, platformType = 'standard', x, y, width, height, radius, color = '#666666', angle = 0, motion } = platformData;
+        const { type, platformType = 'standard', x, y, width, height, radius, color = '#666666', angle = 0, motion, hinge, conveyorSpeed, conveyorDirection, windForce, windFalloff, windTurbulence, windOnTime, windOffTime, windOffset } = platformData;
         
         console.log(`Creating platform instance: type=${type}, platformType=${platformType}, color=${color}`);
         
+        // Custom outlines need the game's compound body; special, moving and hinged ones are boxes, as in the game
+        if (type === 'custom' && platformType === 'standard' && !motion && !hinge) {
+            return this.createCustomPlatformInstance(platformData);
+        }
+        
         // Convert color to hex number
         const colorValue = color.startsWith('#') ? parseInt(color.replace('#', '0x')) : 0x666666;
         
@@ -1574,7 +2571,16 @@ export default class MapEditor extends Phaser.Scene {
             shape: type === 'circle' ? 'circle' : 'rectangle',
             strokeColor: 0x333333,
             strokeWidth: 2,
-            motion: motion // Pass motion config through
+            motion: motion, // Pass motion config through
+            hinge,
+            conveyorSpeed,
+            conveyorDirection,
+            windForce,
+            windFalloff,
+            windTurbulence,
+            windOnTime,
+            windOffTime,
+            windOffset
         };
         
         // Only set custom color for standard platforms - special platforms use their built-in colors
@@ -1598,11 +2604,32 @@ export default class MapEditor extends Phaser.Scene {
                 return new WaterPlatform(this, x, y, platformWidth, platformHeight, config);
             case 'waterfall':
                 return new WaterfallPlatform(this, x, y, platformWidth, platformHeight, config);
+            case 'crumble':
+                return new CrumblePlatform(this, x, y, platformWidth, platformHeight, config);
+            case 'conveyor':
+                return new ConveyorPlatform(this, x, y, platformWidth, platformHeight, config);
+            case 'wind':
+                return new WindPlatform(this, x, y, platformWidth, platformHeight, config);
             default:
                 return new PlatformBase(this, x, y, platformWidth, platformHeight, config);
         }
     }
     
+    createCustomPlatformInstance(platformData) {
+        const { body, visual } = new PlatformFactory(this).createCustomPlatform({
+            ...platformData,
+            matter: { ...platformData.physics }
+        });
+        visual.setStrokeStyle(2, 0x333333);
+        
+        return {
+            destroy: () => {
+                this.matter.world.remove(body);
+                visual.destroy();
+            }
+        };
+    }
+    
     createSimplePlatformVisual(platformData) {
         const { type, x, y, width, height, radius, color = '#666666', angle = 0, platformType = 'standard', chamfer } = platformData;
         
@@ -1623,7 +2650,10 @@ export default class MapEditor extends Phaser.Scene {
                 fire: 0xf44336,
                 blackhole: 0x1a1a1a,
                 water: 0x2980b9,
-                waterfall: 0x3498db
+                waterfall: 0x3498db,
+                crumble: 0xa1887f,
+                conveyor: 0x455a64,
+                wind: 0xb2ebf2
             };
             fillColor = specialColors[platformType] || parseInt(color.replace('#', '0x'));
         }
@@ -1685,7 +2715,16 @@ export default class MapEditor extends Phaser.Scene {
                 graphics.setStrokeStyle(2, 0x333333);
                 graphics.setDepth(0);
                 break;
-                
+            
+            case 'custom':
+                // Vertices are relative to x/y, which is also the pivot for rotation
+                graphics = this.add.polygon(x, y, platformData.vertices, fillColor);
+                graphics.setDisplayOrigin(0, 0);
+                graphics.setStrokeStyle(2, 0x333333);
+                graphics.setInteractive(new Phaser.Geom.Polygon(platformData.vertices), Phaser.Geom.Polygon.Contains);
+                graphics.setDepth(0);
+                break;
+            
             default:
                 console.warn(`Unknown platform type: ${type}`);
                 return null;
@@ -1700,7 +2739,7 @@ export default class MapEditor extends Phaser.Scene {
         if (graphics) {
             graphics.setDepth(0);
             // Ensure origin is centered for proper rotation (containers already have centered origin)
-            if (type !== 'rectangle' || !chamfer) {
+            if (type !== 'custom' && (type !== 'rectangle' || !chamfer)) {
                 graphics.setOrigin(0.5, 0.5);
             }
         }
@@ -1710,6 +2749,28 @@ export default class MapEditor extends Phaser.Scene {
         return graphics;
     }
     
+    // World outline of any platform shape, used when it becomes a custom shape
+    getPlatformOutline(platformData) {
+        const { type, x, y, width, height, radius, angle = 0 } = platformData;
+        let points;
+        if (type === 'custom') {
+            return getCustomPlatformPoints(platformData);
+        } else if (type === 'circle') {
+            points = this.generatePolygonVertices(0, 0, radius, 24);
+        } else if (type === 'polygon') {
+            points = this.generatePolygonVertices(0, 0, radius, platformData.sides || 6);
+        } else if (type === 'trapezoid') {
+            points = this.generateTrapezoidVertices(0, 0, width, height, platformData.slope || 0.3);
+        } else {
+            points = this.generateTrapezoidVertices(0, 0, width, height, 0);
+        }
+        
+        return points.map(point => {
+            const rotated = this.rotatePoint(point.x, point.y, angle);
+            return { x: x + rotated.x, y: y + rotated.y };
+        });
+    }
+    
     generatePolygonVertices(centerX, centerY, radius, sides) {
         const vertices = [];
         for (let i = 0; i < sides; i++) {
@@ -1736,6 +2797,12 @@ export default class MapEditor extends Phaser.Scene {
     }
     
     selectPlatform(platform) {
+        // Picking a single item ends a group selection
+        if (platform) {
+            this.clearGroupSelection();
+            this.selectPrefabInstance(null);
+        }
+        
         // Deselect previous platform
         if (this.selectedPlatform) {
             this.clearPlatformHighlight(this.selectedPlatform);
@@ -1888,6 +2955,48 @@ export default class MapEditor extends Phaser.Scene {
                 delete platformData.radius;
                 delete platformData.sides;
                 break;
+            
+            case 'custom':
+                // The outline lives in vertices (see updatePlatformProperty for conversions)
+                delete platformData.width;
+                delete platformData.height;
+                delete platformData.radius;
+                delete platformData.sides;
+                delete platformData.slope;
+                break;
+        }
+        if (type !== 'custom') {
+            delete platformData.vertices;
+        }
+        
+        // Crumble timing lives on the platform itself, like switchId and doorId
+        if (platformData.platformType === 'crumble') {
+            platformData.crumbleDelay = platformData.crumbleDelay ?? 800;
+            platformData.respawnDelay = platformData.respawnDelay ?? 3000;
+        } else {
+            delete platformData.crumbleDelay;
+            delete platformData.respawnDelay;
+        }
+        
+        if (platformData.platformType === 'conveyor') {
+            platformData.conveyorSpeed = platformData.conveyorSpeed ?? 120;
+            platformData.conveyorDirection = platformData.conveyorDirection ?? 'right';
+        } else {
+            delete platformData.conveyorSpeed;
+            delete platformData.conveyorDirection;
+        }
+        
+        if (platformData.platformType === 'wind') {
+            platformData.windForce = platformData.windForce ?? { x: 0, y: -1.5 };
+            platformData.windFalloff = platformData.windFalloff ?? 0;
+            platformData.windTurbulence = platformData.windTurbulence ?? 0;
+        } else {
+            delete platformData.windForce;
+            delete platformData.windFalloff;
+            delete platformData.windTurbulence;
+            delete platformData.windOnTime;
+            delete platformData.windOffTime;
+            delete platformData.windOffset;
         }
         
         // Preserve essential properties
@@ -1897,11 +3006,36 @@ export default class MapEditor extends Phaser.Scene {
         platformData.physics = currentPhysics;
     }
     
+    // Switch a platform's type, taking on the type's color and settings
+    applyPlatformType(platformData, type) {
+        platformData.platformType = type;
+        
+        // Update color in data to match the platform type
+        if (type !== 'standard') {
+            const specialColors = {
+                ice: '#b3e5fc',
+                bouncy: '#ff69b4',
+                electric: '#ffff00',
+                fire: '#f44336',
+                crumble: '#a1887f',
+                conveyor: '#455a64',
+                wind: '#b2ebf2'
+            };
+            if (specialColors[type]) {
+                platformData.color = specialColors[type];
+            }
+        }
+        
+        // Add or drop the settings that belong to the platform type
+        this.setDefaultPropertiesForType(platformData, platformData.type);
+    }
+    
     updatePlatformProperty(property, value) {
         if (!this.selectedPlatform) return;
         
         const platform = this.selectedPlatform;
         const oldValue = platform.data[property];
+        const before = this.captureEditorState();
         
         console.log(`updatePlatformProperty called: ${property} = ${value} (was ${oldValue})`);
         console.log('Current platform data before update:', JSON.stringify(platform.data, null, 2));
@@ -1924,20 +3058,7 @@ export default class MapEditor extends Phaser.Scene {
             console.log('Handling platformType change from', platform.data.platformType, 'to', value);
             
             // Update the platform type (affects color and physics, not shape)
-            platform.data.platformType = value;
-            
-            // Update color in data to match the platform type
-            if (value !== 'standard') {
-                const specialColors = {
-                    ice: '#b3e5fc',
-                    bouncy: '#ff69b4',
-                    electric: '#ffff00',
-                    fire: '#f44336'
-                };
-                if (specialColors[value]) {
-                    platform.data.color = specialColors[value];
-                }
-            }
+            this.applyPlatformType(platform.data, value);
             
             console.log('Platform data after platformType change:', JSON.stringify(platform.data, null, 2));
             
@@ -1956,6 +3077,11 @@ export default class MapEditor extends Phaser.Scene {
         else if (property === 'shape') {
             console.log('Handling shape change from', platform.data.type, 'to', value);
             
+            // A custom shape starts from the current outline
+            if (value === 'custom' && platform.data.type !== 'custom') {
+                Object.assign(platform.data, centerPolygon(this.getPlatformOutline(platform.data)), { angle: 0 });
+            }
+            
             // Update the actual type property
             platform.data.type = value;
             
@@ -2034,6 +3160,27 @@ export default class MapEditor extends Phaser.Scene {
             this.updateMotionIndicators(platform);
         }
         
+        // Handle hinge property; null removes the hinge
+        else if (property === 'hinge') {
+            if (!value) {
+                delete platform.data.hinge;
+            }
+            this.updateMotionIndicators(platform);
+            this.notifyPlatformChanged(platform);
+        }
+        
+        // Handle layer change
+        else if (property === 'layer') {
+            this.setItemLayer(platform.data, value);
+            this.applyLayerState(platform.graphics, platform.data, 0);
+            
+            if (!this.isLayerEditable(platform.data)) {
+                this.selectPlatform(null);
+            } else if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.onPlatformSelect) {
+                window.editorCallbacks.onPlatformSelect({ ...platform });
+            }
+        }
+        
         // Handle physics properties (store for test mode)
         else if (property === 'friction' || property === 'frictionStatic' || property === 'restitution') {
             // Just update the data - physics will be applied in test mode
@@ -2054,6 +3201,9 @@ export default class MapEditor extends Phaser.Scene {
         }
         
         console.log(`Updated platform ${property}: ${oldValue} -> ${value}`);
+        
+        // Slider drags arrive as a stream of updates; merge them into one step
+        this.recordHistory(`Edit platform ${property}`, before, `${platform.data.id}:${property}`);
     }
     
     // Test method to verify React-Phaser communication
@@ -2112,6 +3262,8 @@ export default class MapEditor extends Phaser.Scene {
             this.createRectangleHandles(platform);
         } else if (data.type === 'circle') {
             this.createCircleHandles(platform);
+        } else if (data.type === 'custom') {
+            this.createVertexHandles(platform);
         }
         
         // Add rotation handle for all platform types
@@ -2207,6 +3359,161 @@ export default class MapEditor extends Phaser.Scene {
         });
     }
     
+    // A dot on each corner of a custom shape, and a smaller one mid-edge that adds a corner
+    createVertexHandles(platform) {
+        const { SIZE, COLOR, STROKE_COLOR, DEPTH } = this.CONFIG.HANDLES;
+        const { vertices } = platform.data;
+        
+        vertices.forEach((vertex, index) => {
+            const handle = this.add.circle(0, 0, SIZE / 2, COLOR);
+            handle.setStrokeStyle(2, STROKE_COLOR);
+            handle.setInteractive({ draggable: true });
+            handle.setDepth(DEPTH);
+            handle.vertexIndex = index;
+            handle.vertexPlatform = platform;
+            this.setupVertexHandleDrag(handle);
+            platform.handles.push(handle);
+        });
+        
+        vertices.forEach((vertex, index) => {
+            const handle = this.add.circle(0, 0, SIZE / 4, COLOR, 0.5);
+            handle.setInteractive();
+            handle.setDepth(DEPTH);
+            handle.midpointIndex = index;
+            handle.on('pointerdown', () => {
+                this.justFinishedResizing = true; // Keep the platform selected
+                this.insertVertex(platform, index);
+            });
+            platform.handles.push(handle);
+        });
+        
+        this.updateVertexHandlePositions(platform);
+    }
+    
+    updateVertexHandlePositions(platform) {
+        const points = getCustomPlatformPoints(platform.data);
+        platform.handles.forEach(handle => {
+            if (handle.vertexPlatform) {
+                const point = points[handle.vertexIndex];
+                handle.setPosition(point.x, point.y);
+            } else if (handle.midpointIndex !== undefined) {
+                const point = points[handle.midpointIndex];
+                const next = points[(handle.midpointIndex + 1) % points.length];
+                handle.setPosition((point.x + next.x) / 2, (point.y + next.y) / 2);
+            }
+        });
+    }
+    
+    setupVertexHandleDrag(handle) {
+        handle.on('pointerover', () => handle.setFillStyle(this.CONFIG.HANDLES.HOVER_COLOR));
+        handle.on('pointerout', () => handle.setFillStyle(this.CONFIG.HANDLES.COLOR));
+        
+        // Shift-click removes a vertex; a shape keeps at least three
+        handle.on('pointerdown', (pointer) => {
+            if (pointer.event && pointer.event.shiftKey) {
+                this.justFinishedResizing = true; // Keep the platform selected
+                this.removeVertex(handle.vertexPlatform, handle.vertexIndex);
+            }
+        });
+        
+        handle.on('drag', (pointer, dragX, dragY) => {
+            const platform = handle.vertexPlatform;
+            const { x, y, angle = 0, vertices } = platform.data;
+            const snappedPos = this.snapPoint(dragX, dragY, [platform]);
+            
+            // Vertices are stored relative to the platform position, before rotation
+            const local = this.rotatePoint(snappedPos.x - x, snappedPos.y - y, -angle);
+            vertices[handle.vertexIndex] = { x: Math.round(local.x), y: Math.round(local.y) };
+            
+            // Redraw in place; the platform is rebuilt around its new centroid on release
+            platform.graphics.setTo(vertices);
+            platform.graphics.input.hitArea.setTo(vertices);
+            platform.graphics.setStrokeStyle(4, isSimplePolygon(vertices) ? 0x00ff00 : this.CONFIG.POLYGON.ERROR_COLOR);
+            this.updateVertexHandlePositions(platform);
+        });
+        
+        handle.on('dragend', () => {
+            this.justFinishedResizing = true; // Prevent deselecting on release
+            this.clearSnapGuide();
+            this.setCustomPlatformVertices(handle.vertexPlatform, handle.vertexPlatform.data.vertices);
+        });
+    }
+    
+    insertVertex(platform, index) {
+        const vertices = [...platform.data.vertices];
+        if (vertices.length >= this.CONFIG.POLYGON.MAX_VERTICES) {
+            this.showFeedback(`Shapes are limited to ${this.CONFIG.POLYGON.MAX_VERTICES} vertices`);
+            return;
+        }
+        
+        const before = this.captureEditorState();
+        const point = vertices[index];
+        const next = vertices[(index + 1) % vertices.length];
+        vertices.splice(index + 1, 0, { x: Math.round((point.x + next.x) / 2), y: Math.round((point.y + next.y) / 2) });
+        this.setCustomPlatformVertices(platform, vertices);
+        this.recordHistory('Add vertex', before);
+    }
+    
+    removeVertex(platform, index) {
+        const { vertices } = platform.data;
+        if (vertices.length <= 3) return;
+        
+        const before = this.captureEditorState();
+        this.setCustomPlatformVertices(platform, vertices.filter((_, i) => i !== index));
+        this.recordHistory('Remove vertex', before);
+    }
+    
+    /**
+     * Replace a custom shape's outline and rebuild it. The position moves to
+     * the new centroid, where the game puts the body's center of mass.
+     * @param {Object} platform
+     * @param {Array<{x: number, y: number}>} vertices - Relative to the current position, before rotation
+     */
+    setCustomPlatformVertices(platform, vertices) {
+        const { x, y, angle = 0 } = platform.data;
+        const centered = centerPolygon(vertices);
+        const offset = this.rotatePoint(centered.x, centered.y, angle);
+        
+        platform.data.x = Math.round(x + offset.x);
+        platform.data.y = Math.round(y + offset.y);
+        platform.data.vertices = centered.vertices;
+        
+        if (!isSimplePolygon(centered.vertices)) {
+            this.showFeedback('Edges cross - the game will fill in the gaps');
+        }
+        this.recreateEntirePlatform(platform);
+    }
+    
+    /**
+     * Smooth or simplify the selected custom shape
+     * @param {'smooth'|'simplify'} command
+     */
+    runShapeCommand(command) {
+        const platform = this.selectedPlatform;
+        if (!platform || platform.data.type !== 'custom') return;
+        
+        const { vertices } = platform.data;
+        const { MAX_VERTICES, SIMPLIFY_TOLERANCE } = this.CONFIG.POLYGON;
+        let result;
+        if (command === 'smooth') {
+            // Every pass doubles the vertex count
+            if (vertices.length * 2 > MAX_VERTICES) {
+                this.showFeedback(`Shapes are limited to ${MAX_VERTICES} vertices`);
+                return;
+            }
+            result = smoothPolygon(vertices);
+        } else if (command === 'simplify') {
+            result = simplifyPolygon(vertices, SIMPLIFY_TOLERANCE);
+        } else {
+            return;
+        }
+        
+        const before = this.captureEditorState();
+        this.setCustomPlatformVertices(platform, result);
+        this.recordHistory(command === 'smooth' ? 'Smooth shape' : 'Simplify shape', before);
+        console.log(`✏️ ${command}: ${vertices.length} -> ${platform.data.vertices.length} vertices`);
+    }
+    
     createRotationHandle(platform) {
         const { type, radius, width, height, angle = 0 } = platform.data;
         const rotationDistance = this.getRotationHandleDistance(type, radius, height);
@@ -2284,13 +3591,24 @@ export default class MapEditor extends Phaser.Scene {
             platform.motionIndicators = [];
         }
         
+        platform.motionIndicators = [];
+        
+        // A hinge replaces motion in the game, so it replaces its indicators too
+        if (platform.data.hinge) {
+            this.createHingeIndicators(platform);
+            return;
+        }
+        
         // Only create indicators if motion is enabled
         if (!platform.data.motion) return;
         
         const { type, distance, speed } = platform.data.motion;
         const { x, y } = platform.data;
         
-        platform.motionIndicators = [];
+        if (type === 'waypoints') {
+            this.createWaypointIndicators(platform);
+            return;
+        }
         
         // Create motion range indicators
         if (type === 'horizontal') {
@@ -2340,6 +3658,234 @@ export default class MapEditor extends Phaser.Scene {
         }
     }
     
+    createWaypointIndicators(platform) {
+        const { x, y } = platform.data;
+        const { waypoints = [], mode = 'loop', speed = 100 } = platform.data.motion;
+        const { SIZE, WAYPOINT_COLOR, WAYPOINT_STROKE_COLOR, DEPTH } = this.CONFIG.HANDLES;
+        
+        // Path line, redrawn in place while a waypoint is dragged
+        platform.waypointPathGraphics = this.add.graphics();
+        platform.waypointPathGraphics.setDepth(DEPTH - 1);
+        platform.motionIndicators.push(platform.waypointPathGraphics);
+        this.drawWaypointPath(platform);
+        
+        // One draggable handle per waypoint, numbered in travel order
+        waypoints.forEach((waypoint, index) => {
+            const handle = this.add.circle(x + waypoint.x, y + waypoint.y, SIZE / 2, WAYPOINT_COLOR);
+            handle.setStrokeStyle(2, WAYPOINT_STROKE_COLOR);
+            handle.setInteractive({ draggable: true });
+            handle.setDepth(DEPTH);
+            handle.waypointIndex = index;
+            handle.waypointPlatform = platform;
+            
+            handle.label = this.add.text(handle.x, handle.y - SIZE, `${index + 1}`, {
+                fontSize: '12px',
+                fill: '#ff9f43'
+            });
+            handle.label.setOrigin(0.5);
+            handle.label.setDepth(DEPTH);
+            
+            this.setupWaypointHandleDrag(handle);
+            platform.motionIndicators.push(handle, handle.label);
+        });
+        
+        const infoText = this.add.text(x, y - 30, `${mode} · ${speed}px/s`, {
+            fontSize: '12px',
+            fill: '#888888'
+        });
+        infoText.setOrigin(0.5);
+        infoText.setDepth(DEPTH);
+        platform.motionIndicators.push(infoText);
+    }
+    
+    drawWaypointPath(platform) {
+        const graphics = platform.waypointPathGraphics;
+        const { x, y } = platform.data;
+        const { waypoints = [], mode = 'loop' } = platform.data.motion;
+        
+        graphics.clear();
+        if (waypoints.length < 2) return;
+        
+        graphics.lineStyle(2, this.CONFIG.HANDLES.WAYPOINT_COLOR, 0.6);
+        graphics.beginPath();
+        graphics.moveTo(x + waypoints[0].x, y + waypoints[0].y);
+        waypoints.slice(1).forEach(waypoint => graphics.lineTo(x + waypoint.x, y + waypoint.y));
+        if (mode === 'loop') {
+            graphics.closePath();
+        }
+        graphics.strokePath();
+        
+        // Arrow at the end of each segment shows the direction of travel
+        graphics.fillStyle(this.CONFIG.HANDLES.WAYPOINT_COLOR, 0.8);
+        const segmentCount = mode === 'loop' ? waypoints.length : waypoints.length - 1;
+        for (let i = 0; i < segmentCount; i++) {
+            const from = waypoints[i];
+            const to = waypoints[(i + 1) % waypoints.length];
+            const angle = Math.atan2(to.y - from.y, to.x - from.x);
+            const tipX = x + (from.x + to.x) / 2;
+            const tipY = y + (from.y + to.y) / 2;
+            graphics.fillTriangle(
+                tipX + Math.cos(angle) * 8, tipY + Math.sin(angle) * 8,
+                tipX + Math.cos(angle + 2.5) * 6, tipY + Math.sin(angle + 2.5) * 6,
+                tipX + Math.cos(angle - 2.5) * 6, tipY + Math.sin(angle - 2.5) * 6
+            );
+        }
+    }
+    
+    setupWaypointHandleDrag(handle) {
+        handle.on('pointerover', () => handle.setFillStyle(this.CONFIG.HANDLES.HOVER_COLOR));
+        handle.on('pointerout', () => handle.setFillStyle(this.CONFIG.HANDLES.WAYPOINT_COLOR));
+        
+        // Shift-click removes a waypoint; a path keeps at least two
+        handle.on('pointerdown', (pointer) => {
+            if (pointer.event && pointer.event.shiftKey) {
+                this.justFinishedResizing = true; // Keep the platform selected
+                this.removeWaypoint(handle.waypointPlatform, handle.waypointIndex);
+            }
+        });
+        
+        handle.on('drag', (pointer, dragX, dragY) => {
+            const snappedPos = this.applyGridSnap(dragX, dragY);
+            const platform = handle.waypointPlatform;
+            const waypoint = platform.data.motion.waypoints[handle.waypointIndex];
+            
+            // Waypoints are stored relative to the platform position
+            waypoint.x = Math.round(snappedPos.x - platform.data.x);
+            waypoint.y = Math.round(snappedPos.y - platform.data.y);
+            
+            handle.setPosition(snappedPos.x, snappedPos.y);
+            handle.label.setPosition(snappedPos.x, snappedPos.y - this.CONFIG.HANDLES.SIZE);
+            this.drawWaypointPath(platform);
+        });
+        
+        handle.on('dragend', () => {
+            this.justFinishedResizing = true; // Prevent deselecting on release
+            this.notifyPlatformChanged(handle.waypointPlatform);
+            this.autoSave();
+        });
+    }
+    
+    createHingeIndicators(platform) {
+        const { x, y, hinge } = platform.data;
+        const pivot = hinge.pivot || { x: 0, y: 0 };
+        const { SIZE, PIVOT_COLOR, PIVOT_STROKE_COLOR, DEPTH } = this.CONFIG.HANDLES;
+        
+        // Arm and swing range, redrawn in place while the pivot is dragged
+        platform.hingeGraphics = this.add.graphics();
+        platform.hingeGraphics.setDepth(DEPTH - 1);
+        platform.motionIndicators.push(platform.hingeGraphics);
+        this.drawHingeRange(platform);
+        
+        const handle = this.add.circle(x + (pivot.x || 0), y + (pivot.y || 0), SIZE / 2, PIVOT_COLOR);
+        handle.setStrokeStyle(2, PIVOT_STROKE_COLOR);
+        handle.setInteractive({ draggable: true });
+        handle.setDepth(DEPTH);
+        handle.pivotPlatform = platform;
+        this.setupPivotHandleDrag(handle);
+        platform.motionIndicators.push(handle);
+        
+        const { motor } = hinge;
+        const toDegrees = radians => Math.round(radians * 180 / Math.PI);
+        let info = 'swings freely';
+        if (motor && motor.type === 'constant') {
+            info = `motor ${toDegrees(motor.speed || 0)}°/s`;
+        } else if (motor && motor.type === 'oscillate') {
+            info = `motor ±${toDegrees(motor.amplitude || 0)}° · ${motor.period || 2000}ms`;
+        } else if (typeof hinge.minAngle === 'number' || typeof hinge.maxAngle === 'number') {
+            info = `swings ${toDegrees(hinge.minAngle ?? -Math.PI)}° to ${toDegrees(hinge.maxAngle ?? Math.PI)}°`;
+        }
+        
+        platform.hingeInfoText = this.add.text(handle.x, handle.y - SIZE * 1.5, info, {
+            fontSize: '12px',
+            fill: '#888888'
+        });
+        platform.hingeInfoText.setOrigin(0.5);
+        platform.hingeInfoText.setDepth(DEPTH);
+        platform.motionIndicators.push(platform.hingeInfoText);
+    }
+    
+    // Line from the pivot to the platform's center and the arc it can sweep
+    drawHingeRange(platform) {
+        const graphics = platform.hingeGraphics;
+        const { x, y, angle = 0, hinge } = platform.data;
+        const pivot = hinge.pivot || { x: 0, y: 0 };
+        const pivotX = x + (pivot.x || 0);
+        const pivotY = y + (pivot.y || 0);
+        const color = this.CONFIG.HANDLES.PIVOT_COLOR;
+        
+        // A pivot at the center has no arm; measure the sweep along the platform instead
+        const armLength = Math.hypot(pivot.x || 0, pivot.y || 0);
+        const radius = Math.max(armLength, 48);
+        const armAngle = armLength > 1 ? Math.atan2(-(pivot.y || 0), -(pivot.x || 0)) : angle;
+        
+        let min = Math.max(hinge.minAngle ?? -Math.PI, -Math.PI);
+        let max = Math.min(hinge.maxAngle ?? Math.PI, Math.PI);
+        if (hinge.motor && hinge.motor.type === 'oscillate') {
+            const amplitude = Math.abs(hinge.motor.amplitude || 0);
+            min = Math.max(min, -amplitude);
+            max = Math.min(max, amplitude);
+        }
+        
+        graphics.clear();
+        graphics.lineStyle(2, color, 0.6);
+        graphics.lineBetween(pivotX, pivotY, x, y);
+        
+        graphics.lineStyle(2, color, 0.35);
+        graphics.beginPath();
+        if (max - min >= Math.PI * 2) {
+            graphics.arc(pivotX, pivotY, radius, 0, Math.PI * 2);
+        } else {
+            graphics.moveTo(pivotX, pivotY);
+            graphics.arc(pivotX, pivotY, radius, armAngle + min, armAngle + max);
+            graphics.closePath();
+        }
+        graphics.strokePath();
+    }
+    
+    setupPivotHandleDrag(handle) {
+        handle.on('pointerover', () => handle.setFillStyle(this.CONFIG.HANDLES.HOVER_COLOR));
+        handle.on('pointerout', () => handle.setFillStyle(this.CONFIG.HANDLES.PIVOT_COLOR));
+        
+        handle.on('drag', (pointer, dragX, dragY) => {
+            const snappedPos = this.applyGridSnap(dragX, dragY);
+            const platform = handle.pivotPlatform;
+            
+            // The pivot is stored relative to the platform position
+            platform.data.hinge.pivot = {
+                x: Math.round(snappedPos.x - platform.data.x),
+                y: Math.round(snappedPos.y - platform.data.y)
+            };
+            
+            handle.setPosition(snappedPos.x, snappedPos.y);
+            platform.hingeInfoText.setPosition(snappedPos.x, snappedPos.y - this.CONFIG.HANDLES.SIZE * 1.5);
+            this.drawHingeRange(platform);
+        });
+        
+        handle.on('dragend', () => {
+            this.justFinishedResizing = true; // Prevent deselecting on release
+            this.notifyPlatformChanged(handle.pivotPlatform);
+            this.autoSave();
+        });
+    }
+    
+    removeWaypoint(platform, index) {
+        const { waypoints } = platform.data.motion;
+        if (waypoints.length <= 2) return;
+        
+        const before = this.captureEditorState();
+        waypoints.splice(index, 1);
+        this.updateMotionIndicators(platform);
+        this.notifyPlatformChanged(platform);
+        this.recordHistory('Remove waypoint', before);
+    }
+    
+    // Let the React property panel re-read platform data changed on the canvas
+    notifyPlatformChanged(platform) {
+        if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.onPlatformSelect) {
+            window.editorCallbacks.onPlatformSelect({ ...platform });
+        }
+    }
+    
     createMotionArrow(x, y, direction) {
         const arrow = this.add.graphics();
         arrow.fillStyle(0x6666ff, 0.8);
@@ -2384,6 +3930,8 @@ export default class MapEditor extends Phaser.Scene {
     
     deleteSelectedPlatform() {
         if (this.selectedPlatform) {
+            const before = this.captureEditorState();
+            
             // Clear resize handles first
             this.clearHandles(this.selectedPlatform);
             
@@ -2402,47 +3950,1146 @@ export default class MapEditor extends Phaser.Scene {
             this.mapData.platforms = this.platforms.map(p => p.data);
             
             this.selectedPlatform = null;
-            this.autoSave();
+            this.recordHistory('Delete platform', before);
+        }
+    }
+    
+    copySelectedPlatform() {
+        if (this.selectedPlatform) {
+            // Deep copy the platform data
+            this.copiedPlatformData = JSON.parse(JSON.stringify(this.selectedPlatform.data));
+            this.pasteOffsetCount = 0; // Reset paste offset counter
+            console.log('Copied platform:', this.copiedPlatformData);
+        }
+    }
+    
+    pastePlatform() {
+        if (!this.copiedPlatformData) {
+            console.log('No platform data to paste');
+            return;
+        }
+        
+        // Create new platform data with offset position
+        const newPlatformData = JSON.parse(JSON.stringify(this.copiedPlatformData));
+        
+        // Generate new ID
+        newPlatformData.id = Date.now();
+        
+        // Increment paste offset for multiple pastes
+        this.pasteOffsetCount = (this.pasteOffsetCount || 0) + 1;
+        
+        // Offset from the original copied position with increasing offset for each paste
+        const offsetAmount = this.CONFIG.GRID.SNAP_SIZE * this.pasteOffsetCount;
+        newPlatformData.x = this.copiedPlatformData.x + offsetAmount;
+        newPlatformData.y = this.copiedPlatformData.y + offsetAmount;
+        
+        // Add the new platform
+        const before = this.captureEditorState();
+        const newPlatform = this.addPlatformToScene(newPlatformData);
+        
+        // Select the new platform
+        this.selectPlatform(newPlatform);
+        
+        this.recordHistory('Paste platform', before);
+        console.log('Pasted platform at:', newPlatformData.x, newPlatformData.y);
+    }
+    
+    // Group selection: shift-click or drag a box on empty space to select several
+    // platforms, stickers and constraints, then move, rotate, align or edit them together
+    
+    getCurrentSelection() {
+        if (this.groupSelection.length > 0) {
+            return [...this.groupSelection];
+        }
+        const single = this.selectedPlatform || this.selectedSticker || this.selectedConstraint;
+        return single ? [single] : [];
+    }
+    
+    isInGroupSelection(item) {
+        return this.groupSelection.includes(item);
+    }
+    
+    // The group member a platform graphic or sticker container belongs to
+    findGroupItem(gameObject) {
+        return this.groupSelection.find(item => item.graphics === gameObject || item.container === gameObject);
+    }
+    
+    toggleGroupSelection(item) {
+        const items = this.getCurrentSelection();
+        const index = items.indexOf(item);
+        if (index >= 0) {
+            items.splice(index, 1);
+        } else {
+            items.push(item);
+        }
+        this.setGroupSelection(items);
+    }
+    
+    setGroupSelection(items) {
+        this.clearGroupSelection();
+        
+        // Platform first: selectConstraint(null) drops selectedPlatform without clearing its handles
+        this.selectPlatform(null);
+        this.selectSticker(null);
+        this.selectConstraint(null);
+        this.selectPrefabInstance(null);
+        
+        if (items.length === 1) {
+            this.selectItem(items[0]);
+            return;
+        }
+        
+        this.groupSelection = items;
+        items.forEach(item => this.setGroupHighlight(item, true));
+        this.updateConstraintGraphics();
+        this.notifySelectionChanged();
+    }
+    
+    clearGroupSelection() {
+        if (this.groupSelection.length === 0) return;
+        
+        this.groupSelection.forEach(item => this.setGroupHighlight(item, false));
+        this.groupSelection = [];
+        this.updateConstraintGraphics();
+        this.notifySelectionChanged();
+    }
+    
+    selectItem(item) {
+        if (this.platforms.includes(item)) {
+            this.selectPlatform(item);
+        } else if (this.stickers.includes(item)) {
+            this.selectSticker(item);
+        } else if (this.constraints.includes(item)) {
+            this.selectConstraint(item);
+        }
+    }
+    
+    // Constraints are highlighted by updateConstraintGraphics
+    setGroupHighlight(item, enabled) {
+        if (this.platforms.includes(item)) {
+            if (enabled) {
+                this.highlightSelectedPlatform(item);
+            } else {
+                this.clearPlatformHighlight(item);
+            }
+        } else if (this.stickers.includes(item)) {
+            item.setHighlight(false);
+            if (enabled) {
+                item.setHighlight(true);
+            }
+        }
+    }
+    
+    getGroupPlatforms() {
+        return this.groupSelection.filter(item => this.platforms.includes(item));
+    }
+    
+    getGroupStickers() {
+        return this.groupSelection.filter(item => this.stickers.includes(item));
+    }
+    
+    getGroupConstraints() {
+        return this.groupSelection.filter(item => this.constraints.includes(item));
+    }
+    
+    // Tell the React panel what is selected and which fields the platforms share
+    notifySelectionChanged() {
+        if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.onSelectionChange) {
+            window.editorCallbacks.onSelectionChange(this.getSelectionSummary());
+        }
+    }
+    
+    getSelectionSummary() {
+        if (this.groupSelection.length === 0) return null;
+        
+        const platformData = this.getGroupPlatforms().map(p => p.data);
+        const stickerData = this.getGroupStickers().map(s => s.data);
+        
+        // A field is shared when every selected platform has the same value; null means mixed
+        const shared = (read, items = platformData) => {
+            const values = new Set(items.map(read));
+            return values.size === 1 ? [...values][0] : null;
+        };
+        
+        return {
+            count: this.groupSelection.length,
+            platforms: platformData.length,
+            stickers: stickerData.length,
+            constraints: this.getGroupConstraints().length,
+            layer: shared(data => data.layer || GAMEPLAY_LAYER, [...platformData, ...stickerData]),
+            common: platformData.length === 0 ? null : {
+                platformType: shared(data => data.platformType || 'standard'),
+                color: shared(data => data.color),
+                friction: shared(data => data.physics?.friction),
+                frictionStatic: shared(data => data.physics?.frictionStatic),
+                restitution: shared(data => data.physics?.restitution)
+            }
+        };
+    }
+    
+    /**
+     * Set a field on every selected platform
+     * @param {string} property - 'platformType', 'color', 'friction', 'frictionStatic', 'restitution'
+     *   or 'layer' (which stickers have too)
+     */
+    updateSelectionProperty(property, value) {
+        if (property === 'layer') {
+            this.moveSelectionToLayer(value);
+            return;
+        }
+        
+        const platforms = this.getGroupPlatforms();
+        if (platforms.length === 0) return;
+        
+        const before = this.captureEditorState();
+        
+        platforms.forEach(platform => {
+            if (property === 'platformType' || property === 'color') {
+                if (property === 'platformType') {
+                    this.applyPlatformType(platform.data, value);
+                } else {
+                    platform.data.color = value;
+                }
+                
+                // Recreating replaces the platform object, so swap it in the group
+                const newPlatform = this.recreateEntirePlatform(platform);
+                this.groupSelection[this.groupSelection.indexOf(platform)] = newPlatform;
+                this.highlightSelectedPlatform(newPlatform);
+            } else {
+                platform.data.physics = platform.data.physics || {};
+                platform.data.physics[property] = value;
+            }
+        });
+        
+        this.notifySelectionChanged();
+        this.recordHistory(`Edit ${property} of ${platforms.length} platforms`, before, `group:${property}`);
+    }
+    
+    // Unrotated bounds of a platform or sticker, for box select, align and distribute
+    getItemBounds(item) {
+        if (this.stickers.includes(item)) {
+            return item.getBounds();
+        }
+        
+        const { x, y, type, width = 0, height = 0, radius = 0 } = item.data;
+        if (type === 'custom') {
+            return Phaser.Geom.Polygon.GetAABB(new Phaser.Geom.Polygon(getCustomPlatformPoints(item.data)));
+        }
+        if (type === 'circle' || type === 'polygon') {
+            return new Phaser.Geom.Rectangle(x - radius, y - radius, radius * 2, radius * 2);
+        }
+        return new Phaser.Geom.Rectangle(x - width / 2, y - height / 2, width, height);
+    }
+    
+    getItemPosition(item) {
+        return this.stickers.includes(item) ? { x: item.x, y: item.y } : { x: item.data.x, y: item.data.y };
+    }
+    
+    setItemPosition(item, x, y) {
+        if (this.stickers.includes(item)) {
+            item.setPosition(x, y);
+            return;
+        }
+        
+        item.data.x = x;
+        item.data.y = y;
+        if (item.graphics) {
+            item.graphics.x = x;
+            item.graphics.y = y;
+            item.graphics.platformData.x = x;
+            item.graphics.platformData.y = y;
+        }
+    }
+    
+    // Platforms and stickers in the group; constraints follow their bodies
+    getGroupMovables() {
+        return this.groupSelection.filter(item => !this.constraints.includes(item));
+    }
+    
+    getGroupBounds(items) {
+        return items
+            .map(item => this.getItemBounds(item))
+            .reduce((bounds, rect) => Phaser.Geom.Rectangle.Union(bounds, rect));
+    }
+    
+    // Called from dragstart when the dragged object belongs to the group
+    startGroupDrag(gameObject) {
+        this.groupDrag = {
+            startX: gameObject.x,
+            startY: gameObject.y,
+            starts: this.getGroupMovables().map(item => ({ item, ...this.getItemPosition(item) }))
+        };
+    }
+    
+    updateGroupDrag(gameObject) {
+        if (!this.groupDrag) return;
+        
+        const dx = gameObject.x - this.groupDrag.startX;
+        const dy = gameObject.y - this.groupDrag.startY;
+        this.groupDrag.starts.forEach(({ item, x, y }) => {
+            this.setItemPosition(item, x + dx, y + dy);
+        });
+        this.updateConstraintGraphics();
+    }
+    
+    endGroupDrag() {
+        if (!this.groupDrag) return;
+        
+        this.groupDrag.starts.forEach(({ item }) => {
+            const { x, y } = this.getItemPosition(item);
+            this.setItemPosition(item, Math.round(x), Math.round(y));
+            this.setGroupHighlight(item, true);
+        });
+        this.groupDrag = null;
+        this.mapData.platforms = this.platforms.map(p => p.data);
+        this.mapData.stickers = this.stickers.map(s => s.toJSON());
+        this.updateConstraintGraphics();
+    }
+    
+    /**
+     * Rotate the selected platforms and stickers around the group center
+     * @param {number} degrees - Clockwise
+     */
+    rotateSelection(degrees) {
+        const items = this.getGroupMovables();
+        if (items.length === 0) return;
+        
+        const before = this.captureEditorState();
+        const center = Phaser.Geom.Rectangle.GetCenter(this.getGroupBounds(items));
+        const radians = Phaser.Math.DegToRad(degrees);
+        
+        items.forEach(item => {
+            const position = this.getItemPosition(item);
+            const offset = this.rotatePoint(position.x - center.x, position.y - center.y, radians);
+            this.setItemPosition(item, Math.round(center.x + offset.x), Math.round(center.y + offset.y));
+            
+            if (this.platforms.includes(item)) {
+                item.data.angle = (item.data.angle || 0) + radians;
+                const newPlatform = this.recreateEntirePlatform(item);
+                this.groupSelection[this.groupSelection.indexOf(item)] = newPlatform;
+            }
+        });
+        
+        this.groupSelection.forEach(item => this.setGroupHighlight(item, true));
+        this.updateConstraintGraphics();
+        this.recordHistory(`Rotate ${items.length} items`, before);
+    }
+    
+    /**
+     * Line up the selected platforms and stickers
+     * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     */
+    alignSelection(edge) {
+        const items = this.getGroupMovables();
+        if (items.length < 2) return;
+        
+        const before = this.captureEditorState();
+        const group = this.getGroupBounds(items);
+        
+        items.forEach(item => {
+            const bounds = this.getItemBounds(item);
+            const { x, y } = this.getItemPosition(item);
+            let dx = 0;
+            let dy = 0;
+            
+            switch (edge) {
+                case 'left': dx = group.left - bounds.left; break;
+                case 'center': dx = group.centerX - bounds.centerX; break;
+                case 'right': dx = group.right - bounds.right; break;
+                case 'top': dy = group.top - bounds.top; break;
+                case 'middle': dy = group.centerY - bounds.centerY; break;
+                case 'bottom': dy = group.bottom - bounds.bottom; break;
+            }
+            this.setItemPosition(item, Math.round(x + dx), Math.round(y + dy));
+            this.setGroupHighlight(item, true);
+        });
+        
+        this.updateConstraintGraphics();
+        this.recordHistory(`Align ${edge}`, before);
+    }
+    
+    /**
+     * Space the selected platforms and stickers evenly, keeping the outermost two in place
+     * @param {string} axis - 'horizontal' or 'vertical'
+     */
+    distributeSelection(axis) {
+        const items = this.getGroupMovables();
+        if (items.length < 3) {
+            this.showFeedback('Select at least 3 items to distribute');
+            return;
+        }
+        
+        const before = this.captureEditorState();
+        const key = axis === 'horizontal' ? 'x' : 'y';
+        const sorted = [...items].sort((a, b) => this.getItemPosition(a)[key] - this.getItemPosition(b)[key]);
+        const first = this.getItemPosition(sorted[0])[key];
+        const step = (this.getItemPosition(sorted[sorted.length - 1])[key] - first) / (sorted.length - 1);
+        
+        sorted.forEach((item, index) => {
+            const position = this.getItemPosition(item);
+            position[key] = Math.round(first + step * index);
+            this.setItemPosition(item, position.x, position.y);
+            this.setGroupHighlight(item, true);
+        });
+        
+        this.updateConstraintGraphics();
+        this.recordHistory(`Distribute ${axis}ly`, before);
+    }
+    
+    // Copy the selection one grid step down and right, and select the copies
+    duplicateSelection() {
+        const items = this.getCurrentSelection();
+        if (items.length === 0) return;
+        
+        const before = this.captureEditorState();
+        const offset = this.CONFIG.GRID.SNAP_SIZE * 2;
+        const stamp = Date.now();
+        const copies = [];
+        const idMap = {};
+        
+        items.forEach((item, index) => {
+            if (this.platforms.includes(item)) {
+                const data = JSON.parse(JSON.stringify(item.data));
+                data.id = `platform_${stamp}_${index}`;
+                data.x += offset;
+                data.y += offset;
+                idMap[item.data.id] = data.id;
+                copies.push(this.addPlatformToScene(data));
+            } else if (this.stickers.includes(item)) {
+                const data = JSON.parse(JSON.stringify(item.toJSON()));
+                data.id = `sticker_${stamp}_${index}`;
+                data.x += offset;
+                data.y += offset;
+                copies.push(this.addStickerToScene(data));
+            }
+        });
+        
+        // Constraints go last so they can attach to the copied platforms
+        items.filter(item => this.constraints.includes(item)).forEach((constraint, index) => {
+            const data = JSON.parse(JSON.stringify(constraint.data));
+            data.id = `constraint_${stamp}_${index}`;
+            data.bodyA = idMap[data.bodyA] || data.bodyA;
+            data.bodyB = idMap[data.bodyB] || data.bodyB;
+            this.addConstraintToScene(data);
+            copies.push(this.constraints[this.constraints.length - 1]);
+        });
+        
+        this.setGroupSelection(copies);
+        this.recordHistory(`Duplicate ${items.length} items`, before);
+        this.showFeedback(`Duplicated ${items.length} item${items.length === 1 ? '' : 's'}`);
+    }
+    
+    // Delete the group, including constraints attached to deleted platforms
+    deleteSelection() {
+        if (this.groupSelection.length === 0) return;
+        
+        const before = this.captureEditorState();
+        const count = this.removeGroupItems();
+        this.recordHistory(`Delete ${count} items`, before);
+    }
+    
+    // Remove the selected items from the map, with constraints attached to removed platforms
+    removeGroupItems() {
+        const platforms = this.getGroupPlatforms();
+        const stickers = this.getGroupStickers();
+        const constraints = this.getGroupConstraints();
+        this.clearGroupSelection();
+        
+        platforms.forEach(platform => {
+            this.clearHandles(platform);
+            if (platform.graphics) {
+                platform.graphics.destroy();
+            }
+        });
+        this.platforms = this.platforms.filter(p => !platforms.includes(p));
+        this.mapData.platforms = this.platforms.map(p => p.data);
+        
+        stickers.forEach(sticker => sticker.destroy());
+        this.stickers = this.stickers.filter(s => !stickers.includes(s));
+        this.mapData.stickers = this.stickers.map(s => s.toJSON());
+        
+        this.constraints = this.constraints.filter(constraint =>
+            !constraints.includes(constraint) &&
+            !platforms.includes(constraint.bodyA) &&
+            !platforms.includes(constraint.bodyB)
+        );
+        this.mapData.constraints = this.constraints.map(c => c.data);
+        this.updateConstraintGraphics();
+        
+        return platforms.length + stickers.length + constraints.length;
+    }
+    
+    // Menu and keyboard entry point for group commands
+    runSelectionCommand(command, arg) {
+        switch (command) {
+            case 'align':
+                this.alignSelection(arg);
+                break;
+            case 'distribute':
+                this.distributeSelection(arg);
+                break;
+            case 'rotate':
+                this.rotateSelection(arg);
+                break;
+            case 'duplicate':
+                this.duplicateSelection();
+                break;
+            case 'delete':
+                this.deleteSelection();
+                break;
+            case 'savePrefab':
+                this.saveSelectionAsPrefab(arg);
+                break;
+            case 'savePrefabToLibrary':
+                this.saveSelectionAsPrefab(arg, true);
+                break;
+        }
+    }
+    
+    // Rubber-band selection starts on a left-button press over empty space
+    setupBoxSelection() {
+        this.input.on('pointerdown', (pointer, gameObjects) => {
+            if (this.isTestMode || !pointer.leftButtonDown() || gameObjects.length > 0) return;
+            // Dragging with the custom tool draws a freeform shape instead
+            if (['constraint', 'custom', 'measure'].includes(this.getSelectedTool())) return;
+            
+            this.boxSelectStart = { x: pointer.worldX, y: pointer.worldY };
+        });
+        
+        this.input.on('pointermove', (pointer) => {
+            if (!this.boxSelectStart || !pointer.isDown) return;
+            
+            const rect = this.getBoxSelectRect(pointer);
+            if (!this.boxSelectGraphics) {
+                // Ignore tiny movements so clicks and double-clicks still work
+                if (rect.width < 8 && rect.height < 8) return;
+                this.boxSelectGraphics = this.add.graphics();
+                this.boxSelectGraphics.setDepth(this.CONFIG.HANDLES.DEPTH);
+            }
+            
+            this.boxSelectGraphics.clear();
+            this.boxSelectGraphics.fillStyle(0x00ffff, 0.1);
+            this.boxSelectGraphics.lineStyle(1, 0x00ffff, 0.8);
+            this.boxSelectGraphics.fillRectShape(rect);
+            this.boxSelectGraphics.strokeRectShape(rect);
+        });
+    }
+    
+    // Custom tool: click to place vertices, or drag on empty space to draw freehand
+    setupPolygonTool() {
+        this.input.on('pointerdown', (pointer, gameObjects) => {
+            if (this.isTestMode || !pointer.leftButtonDown() || this.getSelectedTool() !== 'custom') return;
+            
+            // Clicking a platform selects it, unless a shape is being drawn
+            if (gameObjects.length > 0 && !this.polygonDraft) return;
+            
+            const start = { x: pointer.worldX, y: pointer.worldY };
+            this.polygonStroke = { points: [start], freeform: false };
+        });
+        
+        this.input.on('pointermove', (pointer) => {
+            if (this.isTestMode) return;
+            if (this.getSelectedTool() !== 'custom') {
+                this.cancelPolygonDraft();
+                return;
+            }
+            
+            const stroke = this.polygonStroke;
+            if (stroke && pointer.isDown && !this.polygonDraft) {
+                const last = stroke.points[stroke.points.length - 1];
+                const distance = Phaser.Math.Distance.Between(last.x, last.y, pointer.worldX, pointer.worldY);
+                
+                // Ignore tiny movements so clicks still place points
+                if (stroke.freeform ? distance >= this.CONFIG.POLYGON.FREEFORM_SPACING : distance >= 8) {
+                    stroke.freeform = true;
+                    stroke.points.push({ x: pointer.worldX, y: pointer.worldY });
+                }
+            }
+            this.drawPolygonPreview(pointer);
+        });
+    }
+    
+    /**
+     * Finish a click or stroke of the custom tool on pointerup
+     * @returns {boolean} True if the release was used, so it isn't also a selection click
+     */
+    handlePolygonToolRelease(pointer) {
+        const stroke = this.polygonStroke;
+        this.polygonStroke = null;
+        if (this.getSelectedTool() !== 'custom') {
+            this.cancelPolygonDraft();
+            return false;
+        }
+        if (!stroke) return false;
+        
+        if (stroke.freeform) {
+            this.finishFreeformStroke(stroke.points);
+            return true;
+        }
+        
+        const draft = this.polygonDraft || [];
+        const point = this.snapPoint(pointer.worldX, pointer.worldY);
+        this.clearSnapGuide();
+        const last = draft[draft.length - 1];
+        
+        // Clicking the first or last point closes the shape
+        const closeDistance = this.CONFIG.POLYGON.CLOSE_DISTANCE / this.cameras.main.zoom;
+        const closes = draft.length >= 3 && [draft[0], last].some(end => (
+            Phaser.Math.Distance.Between(end.x, end.y, pointer.worldX, pointer.worldY) <= closeDistance
+        ));
+        if (closes) {
+            this.finishPolygonDraft();
+        } else if (draft.length >= this.CONFIG.POLYGON.MAX_VERTICES) {
+            this.showFeedback(`Shapes are limited to ${this.CONFIG.POLYGON.MAX_VERTICES} vertices`);
+        } else if (!last || last.x !== point.x || last.y !== point.y) {
+            this.polygonDraft = [...draft, point];
+            this.drawPolygonPreview(pointer);
+        }
+        return true;
+    }
+    
+    // Turn the placed points into a platform; a draft whose edges cross is kept for fixing
+    finishPolygonDraft() {
+        const draft = this.polygonDraft;
+        if (!draft) return;
+        
+        if (draft.length < 3) {
+            this.showFeedback('A shape needs at least 3 points');
+            return;
+        }
+        if (!isSimplePolygon(draft)) {
+            this.showFeedback('Edges cross - BACKSPACE removes the last point');
+            return;
+        }
+        
+        this.cancelPolygonDraft();
+        this.createCustomPlatformFromOutline(draft);
+    }
+    
+    finishFreeformStroke(points) {
+        const { FREEFORM_TOLERANCE, MAX_VERTICES } = this.CONFIG.POLYGON;
+        this.clearPolygonPreview();
+        
+        // Long strokes are simplified harder until they fit
+        let tolerance = FREEFORM_TOLERANCE;
+        let outline = simplifyPolygon(points, tolerance);
+        while (outline.length > MAX_VERTICES) {
+            tolerance *= 2;
+            outline = simplifyPolygon(points, tolerance);
+        }
+        
+        if (!isSimplePolygon(outline)) {
+            this.showFeedback('Freehand shapes must not cross themselves');
+            return;
+        }
+        this.createCustomPlatformFromOutline(outline);
+    }
+    
+    createCustomPlatformFromOutline(points) {
+        const platformData = {
+            ...this.createBasePlatformData('custom', 0, 0, this.getToolSettings()),
+            ...centerPolygon(points)
+        };
+        this.setDefaultPropertiesForType(platformData, 'custom');
+        
+        const before = this.captureEditorState();
+        const platform = this.addPlatformToScene(platformData);
+        this.recordHistory('Draw shape', before);
+        this.selectPlatform(platform);
+        console.log(`✏️ Drew a custom shape with ${platformData.vertices.length} vertices`);
+    }
+    
+    removeLastPolygonDraftPoint() {
+        this.polygonDraft = this.polygonDraft.slice(0, -1);
+        if (this.polygonDraft.length === 0) {
+            this.cancelPolygonDraft();
+        } else {
+            this.drawPolygonPreview(this.input.activePointer);
+        }
+    }
+    
+    cancelPolygonDraft() {
+        this.polygonDraft = null;
+        this.polygonStroke = null;
+        this.clearPolygonPreview();
+    }
+    
+    clearPolygonPreview() {
+        if (this.polygonPreviewGraphics) {
+            this.polygonPreviewGraphics.destroy();
+            this.polygonPreviewGraphics = null;
+        }
+    }
+    
+    // Placed points and the edge to the pointer, or the freehand stroke so far
+    drawPolygonPreview(pointer) {
+        const draft = this.polygonDraft || [];
+        const stroke = this.polygonStroke && this.polygonStroke.freeform ? this.polygonStroke.points : [];
+        if (draft.length === 0 && stroke.length === 0) {
+            this.clearPolygonPreview();
+            return;
+        }
+        if (!this.polygonPreviewGraphics) {
+            this.polygonPreviewGraphics = this.add.graphics();
+            this.polygonPreviewGraphics.setDepth(this.CONFIG.HANDLES.DEPTH);
+        }
+        
+        const { COLOR, ERROR_COLOR, CLOSE_DISTANCE } = this.CONFIG.POLYGON;
+        const graphics = this.polygonPreviewGraphics;
+        const points = stroke.length > 0 ? stroke : [...draft, { x: pointer.worldX, y: pointer.worldY }];
+        const color = points.length < 3 || isSimplePolygon(points) ? COLOR : ERROR_COLOR;
+        
+        graphics.clear();
+        graphics.fillStyle(color, 0.15);
+        graphics.lineStyle(2, color, 0.9);
+        if (points.length >= 3) {
+            graphics.fillPoints(points, true);
+        }
+        graphics.strokePoints(points, points.length >= 3);
+        
+        // The first point is drawn larger: clicking it closes the shape
+        const zoom = this.cameras.main.zoom;
+        draft.forEach((point, index) => {
+            graphics.fillStyle(index === 0 ? 0xffffff : color, 1);
+            graphics.fillCircle(point.x, point.y, (index === 0 ? CLOSE_DISTANCE / 2 : 3) / zoom);
+        });
+    }
+    
+    // Measure tool: click two points to see how far apart they are and whether the worm can cross
+    setupMeasureTool() {
+        this.input.on('pointermove', (pointer) => {
+            if (this.isTestMode) return;
+            if (this.getSelectedTool() !== 'measure') {
+                this.clearMeasurement();
+                if (!pointer.isDown) this.clearSnapGuide();
+                return;
+            }
+            if (pointer.isDown) return;
+            
+            // Shows what the next click would snap to
+            const point = this.snapPoint(pointer.worldX, pointer.worldY);
+            if (this.measurement && !this.measurement.done) {
+                this.measurement.end = point;
+                this.drawMeasurement();
+            }
+        });
+    }
+    
+    // The first click starts a measurement, the second ends it, a third starts over
+    handleMeasureClick(pointer) {
+        const point = this.snapPoint(pointer.worldX, pointer.worldY);
+        if (!this.measurement || this.measurement.done) {
+            this.measurement = { start: point, end: point, done: false };
+        } else {
+            this.measurement.end = point;
+            this.measurement.done = true;
+        }
+        this.drawMeasurement();
+    }
+    
+    // The line and its horizontal and vertical legs, and the worm's length and reach around the start
+    drawMeasurement() {
+        const { COLOR, BRIDGE_COLOR, STRETCH_COLOR, FAR_COLOR } = this.CONFIG.MEASURE;
+        const { start, end } = this.measurement;
+        const { length, reach } = getWormReach();
+        const zoom = this.cameras.main.zoom;
+        const distance = Phaser.Math.Distance.Between(start.x, start.y, end.x, end.y);
+        
+        let color = FAR_COLOR;
+        let verdict = 'beyond reach, needs a jump or swing';
+        if (distance <= length) {
+            color = BRIDGE_COLOR;
+            verdict = 'the worm can lie across';
+        } else if (distance <= reach) {
+            color = STRETCH_COLOR;
+            verdict = 'within reach with a stretch';
+        }
+        
+        if (!this.measureGraphics) {
+            this.measureGraphics = this.add.graphics();
+            this.measureGraphics.setDepth(this.CONFIG.HANDLES.DEPTH);
+            this.measureLabel = this.add.text(0, 0, '', {
+                fontSize: '14px',
+                color: '#ffffff',
+                backgroundColor: 'rgba(0,0,0,0.8)',
+                padding: { x: 6, y: 4 }
+            }).setOrigin(0.5, 1).setDepth(this.CONFIG.HANDLES.DEPTH + 1);
+        }
+        
+        const graphics = this.measureGraphics;
+        graphics.clear();
+        graphics.lineStyle(1 / zoom, BRIDGE_COLOR, 0.5);
+        graphics.strokeCircle(start.x, start.y, length);
+        graphics.lineStyle(1 / zoom, STRETCH_COLOR, 0.5);
+        graphics.strokeCircle(start.x, start.y, reach);
+        graphics.lineStyle(1 / zoom, COLOR, 0.4);
+        graphics.lineBetween(start.x, start.y, end.x, start.y);
+        graphics.lineBetween(end.x, start.y, end.x, end.y);
+        graphics.lineStyle(2 / zoom, color, 1);
+        graphics.lineBetween(start.x, start.y, end.x, end.y);
+        graphics.fillStyle(color, 1);
+        graphics.fillCircle(start.x, start.y, 4 / zoom);
+        graphics.fillCircle(end.x, end.y, 4 / zoom);
+        
+        const dx = Math.round(Math.abs(end.x - start.x));
+        const dy = Math.round(Math.abs(end.y - start.y));
+        this.measureLabel
+            .setText(`${Math.round(distance)}px (${dx} × ${dy}): ${verdict}\nWorm ${length}px long, reaches ${reach}px`)
+            .setPosition((start.x + end.x) / 2, (start.y + end.y) / 2 - 8 / zoom)
+            .setScale(1 / zoom);
+    }
+    
+    clearMeasurement() {
+        this.measurement = null;
+        if (this.measureGraphics) {
+            this.measureGraphics.destroy();
+            this.measureLabel.destroy();
+            this.measureGraphics = null;
+            this.measureLabel = null;
+        }
+    }
+    
+    getBoxSelectRect(pointer) {
+        const { x, y } = this.boxSelectStart;
+        return new Phaser.Geom.Rectangle(
+            Math.min(x, pointer.worldX),
+            Math.min(y, pointer.worldY),
+            Math.abs(pointer.worldX - x),
+            Math.abs(pointer.worldY - y)
+        );
+    }
+    
+    /**
+     * Finish a rubber-band selection on pointerup
+     * @returns {boolean} True if a box was drawn, so the release isn't also a click
+     */
+    finishBoxSelect(pointer) {
+        if (!this.boxSelectStart) return false;
+        
+        const rect = this.boxSelectGraphics ? this.getBoxSelectRect(pointer) : null;
+        this.boxSelectStart = null;
+        if (!rect) return false;
+        
+        this.boxSelectGraphics.destroy();
+        this.boxSelectGraphics = null;
+        
+        const inBox = (point) => point && Phaser.Geom.Rectangle.Contains(rect, point.x, point.y);
+        const hits = [
+            ...this.platforms.filter(p => this.isLayerEditable(p.data) && Phaser.Geom.Rectangle.Overlaps(rect, this.getItemBounds(p))),
+            ...this.stickers.filter(s => this.isLayerEditable(s.data) && Phaser.Geom.Rectangle.Overlaps(rect, this.getItemBounds(s))),
+            ...this.constraints.filter(c =>
+                inBox(this.getConstraintPointPosition(c, 'A')) && inBox(this.getConstraintPointPosition(c, 'B'))
+            )
+        ];
+        
+        // Shift adds to the current selection
+        const shiftKey = pointer.event && pointer.event.shiftKey;
+        const items = shiftKey ? this.getCurrentSelection() : [];
+        hits.forEach(item => {
+            if (!items.includes(item)) items.push(item);
+        });
+        this.setGroupSelection(items);
+        return true;
+    }
+    
+    addPrefabInstanceToScene(instanceData) {
+        const prefab = this.mapData.prefabs?.[instanceData.prefab];
+        const container = this.add.container(instanceData.x, instanceData.y);
+        container.setDepth(this.CONFIG.PREFABS.DEPTH);
+        
+        // Expand around the container origin so the parts draw in local space
+        const parts = prefab
+            ? expandPrefabInstance(prefab, { id: instanceData.id, x: 0, y: 0 })
+            : { platforms: [], constraints: [], stickers: [] };
+        
+        parts.platforms.forEach(platformData => {
+            const visual = this.createSimplePlatformVisual(platformData);
+            if (visual) {
+                // Only the instance as a whole takes input
+                if (visual.input) {
+                    visual.removeInteractive();
+                }
+                container.add(visual);
+            }
+        });
+        
+        const lines = this.add.graphics();
+        lines.lineStyle(2, this.CONFIG.PREFABS.COLOR, 0.8);
+        parts.constraints.forEach(constraint => {
+            const [start, end] = ['A', 'B'].map(end => {
+                const body = parts.platforms.find(p => p.id === constraint[`body${end}`]);
+                const point = constraint[`point${end}`] || { x: 0, y: 0 };
+                return body ? { x: body.x + point.x, y: body.y + point.y } : point;
+            });
+            lines.lineBetween(start.x, start.y, end.x, end.y);
+        });
+        container.add(lines);
+        
+        parts.stickers.forEach(sticker => {
+            container.add(this.add.text(sticker.x, sticker.y, sticker.text, {
+                fontSize: `${sticker.config?.fontSize || 18}px`,
+                color: sticker.config?.color || '#ffffff'
+            }).setOrigin(0.5));
+        });
+        
+        const bounds = this.getPrefabPartsBounds(parts);
+        const outline = this.add.graphics();
+        container.add(outline);
+        container.add(this.add.text(bounds.x, bounds.y - 4, `🧩 ${prefab ? prefab.name : `Missing prefab "${instanceData.prefab}"`}`, {
+            fontSize: '14px',
+            color: '#ffffff',
+            backgroundColor: 'rgba(0,0,0,0.6)'
+        }).setOrigin(0, 1));
+        
+        // Containers take their hit area in local space
+        container.setInteractive(bounds, Phaser.Geom.Rectangle.Contains);
+        this.input.setDraggable(container);
+        
+        const instance = { data: instanceData, container, outline, bounds };
+        container.prefabInstance = instance;
+        this.drawPrefabOutline(instance, false);
+        
+        this.prefabInstances.push(instance);
+        return instance;
+    }
+    
+    getPrefabPartsBounds(parts) {
+        const rects = [
+            ...parts.platforms.map(data => this.getItemBounds({ data })),
+            ...parts.stickers.map(sticker => new Phaser.Geom.Rectangle(sticker.x - 32, sticker.y - 12, 64, 24))
+        ];
+        if (rects.length === 0) {
+            return new Phaser.Geom.Rectangle(-32, -32, 64, 64);
+        }
+        return rects.reduce((union, rect) => Phaser.Geom.Rectangle.Union(union, rect));
+    }
+    
+    drawPrefabOutline(instance, selected) {
+        const { outline, bounds } = instance;
+        outline.clear();
+        outline.lineStyle(selected ? 3 : 2, selected ? 0xffff00 : this.CONFIG.PREFABS.COLOR, selected ? 1 : 0.8);
+        outline.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    }
+    
+    findPrefabInstanceAt(worldX, worldY) {
+        // Last placed is drawn on top
+        return [...this.prefabInstances].reverse().find(({ container, bounds }) =>
+            bounds.contains(worldX - container.x, worldY - container.y)
+        );
+    }
+    
+    selectPrefabInstance(instance) {
+        if (this.selectedPrefabInstance === instance) return;
+        
+        if (this.selectedPrefabInstance) {
+            this.drawPrefabOutline(this.selectedPrefabInstance, false);
+        }
+        
+        if (instance) {
+            this.clearGroupSelection();
+            this.selectPlatform(null);
+            this.selectSticker(null);
+            this.selectConstraint(null);
+            this.drawPrefabOutline(instance, true);
         }
+        this.selectedPrefabInstance = instance;
+        this.notifyPrefabInstanceSelected();
     }
     
-    copySelectedPlatform() {
-        if (this.selectedPlatform) {
-            // Deep copy the platform data
-            this.copiedPlatformData = JSON.parse(JSON.stringify(this.selectedPlatform.data));
-            this.pasteOffsetCount = 0; // Reset paste offset counter
-            console.log('Copied platform:', this.copiedPlatformData);
+    notifyPrefabInstanceSelected() {
+        if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.onPrefabInstanceSelect) {
+            const instance = this.selectedPrefabInstance;
+            const prefab = instance && this.mapData.prefabs?.[instance.data.prefab];
+            window.editorCallbacks.onPrefabInstanceSelect(instance ? { ...instance.data, name: prefab?.name || instance.data.prefab } : null);
         }
     }
     
-    pastePlatform() {
-        if (!this.copiedPlatformData) {
-            console.log('No platform data to paste');
+    // Keep prefab fields out of maps that don't use them
+    updatePrefabMapData() {
+        this.mapData.prefabInstances = this.prefabInstances.map(instance => instance.data);
+        if (this.mapData.prefabInstances.length === 0) {
+            delete this.mapData.prefabInstances;
+        }
+        if (this.mapData.prefabs && Object.keys(this.mapData.prefabs).length === 0) {
+            delete this.mapData.prefabs;
+        }
+    }
+    
+    // Prefabs in this map and in the shared library, for the React panel
+    getPrefabList() {
+        const mapPrefabs = this.mapData.prefabs || {};
+        const library = getPrefabLibrary();
+        const keys = [...new Set([...Object.keys(mapPrefabs), ...Object.keys(library)])].sort();
+        
+        return keys.map(key => ({
+            key,
+            name: (mapPrefabs[key] || library[key]).name || key,
+            inMap: key in mapPrefabs,
+            inLibrary: key in library,
+            instances: this.prefabInstances.filter(instance => instance.data.prefab === key).length
+        }));
+    }
+    
+    notifyPrefabsChanged() {
+        if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.onPrefabsChange) {
+            window.editorCallbacks.onPrefabsChange(this.getPrefabList());
+        }
+    }
+    
+    createPrefabInstanceId(key) {
+        const used = new Set([
+            ...this.prefabInstances.map(instance => instance.data.id),
+            ...this.platforms.map(platform => platform.data.id)
+        ]);
+        let n = 1;
+        while (used.has(`${key}_${n}`)) n++;
+        return `${key}_${n}`;
+    }
+    
+    /**
+     * Turn the group selection into a prefab and replace it with an instance
+     * @param {string} name - Display name; the prefab key is derived from it
+     * @param {boolean} addToLibrary - Also keep it in the shared library
+     */
+    saveSelectionAsPrefab(name, addToLibrary = false) {
+        const platforms = this.getGroupPlatforms();
+        const stickers = this.getGroupStickers();
+        if (!name || !name.trim() || platforms.length + stickers.length === 0) {
+            this.showFeedback('Name the prefab and select platforms or stickers');
             return;
         }
         
-        // Create new platform data with offset position
-        const newPlatformData = JSON.parse(JSON.stringify(this.copiedPlatformData));
+        // Constraints between selected platforms come along even if not selected
+        const selectedConstraints = this.getGroupConstraints();
+        const constraints = this.constraints.filter(constraint =>
+            selectedConstraints.includes(constraint) ||
+            [constraint.bodyA, constraint.bodyB].every(body => !body || platforms.includes(body))
+        );
         
-        // Generate new ID
-        newPlatformData.id = Date.now();
+        const bounds = this.getGroupBounds([...platforms, ...stickers]);
+        const origin = { x: Math.round(bounds.centerX), y: Math.round(bounds.centerY) };
+        const key = prefabKey(name);
+        const { prefab, skippedConstraints } = createPrefab(name.trim(), {
+            platforms: platforms.map(p => p.data),
+            constraints: constraints.map(c => c.data),
+            stickers: stickers.map(s => s.toJSON())
+        }, origin);
+        
+        const before = this.captureEditorState();
+        this.mapData.prefabs = { ...this.mapData.prefabs, [key]: prefab };
+        if (addToLibrary) {
+            savePrefabToLibrary(key, prefab);
+        }
+        
+        // The instance takes the place of the items, so the level plays the same
+        this.removeGroupItems();
+        const instance = this.addPrefabInstanceToScene({ id: this.createPrefabInstanceId(key), prefab: key, ...origin });
+        this.updatePrefabMapData();
+        this.selectPrefabInstance(instance);
+        this.notifyPrefabsChanged();
+        this.recordHistory(`Save prefab ${prefab.name}`, before);
+        
+        const skipped = skippedConstraints > 0 ? ` (${skippedConstraints} constraint${skippedConstraints === 1 ? '' : 's'} to outside items left out)` : '';
+        this.showFeedback(`Saved prefab "${prefab.name}"${skipped}`);
+    }
+    
+    placePrefab(key, x, y) {
+        const prefab = this.mapData.prefabs?.[key] || getPrefabLibrary()[key];
+        if (!prefab) {
+            this.showFeedback('Pick a prefab to place');
+            return;
+        }
         
-        // Increment paste offset for multiple pastes
-        this.pasteOffsetCount = (this.pasteOffsetCount || 0) + 1;
+        const before = this.captureEditorState();
         
-        // Offset from the original copied position with increasing offset for each paste
-        const offsetAmount = this.CONFIG.GRID.SNAP_SIZE * this.pasteOffsetCount;
-        newPlatformData.x = this.copiedPlatformData.x + offsetAmount;
-        newPlatformData.y = this.copiedPlatformData.y + offsetAmount;
+        // Library prefabs are copied in so the map doesn't depend on this browser
+        if (!this.mapData.prefabs?.[key]) {
+            this.mapData.prefabs = { ...this.mapData.prefabs, [key]: prefab };
+        }
         
-        // Add the new platform
-        const newPlatform = this.addPlatformToScene(newPlatformData);
+        const position = this.applyGridSnap(x, y);
+        const instance = this.addPrefabInstanceToScene({ id: this.createPrefabInstanceId(key), prefab: key, ...position });
+        this.updatePrefabMapData();
+        this.selectPrefabInstance(instance);
+        this.notifyPrefabsChanged();
+        this.recordHistory(`Place ${prefab.name}`, before);
+    }
+    
+    removePrefabInstance(instance) {
+        if (this.selectedPrefabInstance === instance) {
+            this.selectPrefabInstance(null);
+        }
+        instance.container.destroy();
+        this.prefabInstances = this.prefabInstances.filter(i => i !== instance);
+        this.updatePrefabMapData();
+        this.notifyPrefabsChanged();
+    }
+    
+    deletePrefabInstance(instance) {
+        const before = this.captureEditorState();
+        this.removePrefabInstance(instance);
+        this.recordHistory('Delete prefab instance', before);
+    }
+    
+    // Replace an instance with its parts as ordinary, editable items
+    unpackPrefabInstance(instance) {
+        const prefab = this.mapData.prefabs?.[instance.data.prefab];
+        if (!prefab) return;
         
-        // Select the new platform
-        this.selectPlatform(newPlatform);
+        const before = this.captureEditorState();
+        const parts = expandPrefabInstance(prefab, instance.data);
+        this.removePrefabInstance(instance);
         
-        this.autoSave();
-        console.log('Pasted platform at:', newPlatformData.x, newPlatformData.y);
+        const items = [
+            ...parts.platforms.map(platformData => this.addPlatformToScene(platformData)),
+            ...parts.stickers.map(stickerData => this.addStickerToScene(stickerData))
+        ];
+        parts.constraints.forEach(constraintData => {
+            this.addConstraintToScene(constraintData);
+            items.push(this.constraints[this.constraints.length - 1]);
+        });
+        this.mapData.constraints = this.constraints.map(c => c.data);
+        
+        this.setGroupSelection(items.filter(Boolean));
+        this.recordHistory(`Unpack ${prefab.name}`, before);
+    }
+    
+    // PropertyPanel entry point for prefab commands
+    runPrefabCommand(command, arg) {
+        switch (command) {
+            case 'unpack':
+                if (this.selectedPrefabInstance) {
+                    this.unpackPrefabInstance(this.selectedPrefabInstance);
+                }
+                break;
+            case 'delete':
+                if (this.selectedPrefabInstance) {
+                    this.deletePrefabInstance(this.selectedPrefabInstance);
+                }
+                break;
+            case 'addToLibrary':
+                if (this.mapData.prefabs?.[arg]) {
+                    savePrefabToLibrary(arg, this.mapData.prefabs[arg]);
+                }
+                break;
+            case 'removeFromLibrary':
+                removePrefabFromLibrary(arg);
+                break;
+            case 'removeFromMap': {
+                // Only unused prefabs; instances can't be built without their definition
+                if (this.prefabInstances.some(instance => instance.data.prefab === arg)) {
+                    this.showFeedback('Delete its instances first');
+                    return;
+                }
+                const before = this.captureEditorState();
+                const { [arg]: removed, ...rest } = this.mapData.prefabs || {};
+                this.mapData.prefabs = rest;
+                this.updatePrefabMapData();
+                this.recordHistory(`Remove prefab ${removed?.name || arg}`, before);
+                break;
+            }
+        }
+        this.notifyPrefabsChanged();
     }
     
     toggleTestMode() {
@@ -2487,9 +5134,16 @@ export default class MapEditor extends Phaser.Scene {
     }
     
     enterTestMode() {
+        this.cancelPolygonDraft();
+        this.clearMeasurement();
+        this.clearSnapGuide();
         this.prepareMapDataForTesting();
         this.createTestWorm();
         this.initializeTestPlatforms();
+        this.testPortals = new PortalManager(this);
+        this.testPortals.initializePortals(this.entities);
+        this.testRopes = new RopeManager(this);
+        this.testRopes.initializeRopes(this.mapData.ropes || [], id => this.findTestBodyById(id));
         this.setupTestModePhysics();
         this.setupTestModeCamera();
         this.hideEditorVisuals();
@@ -2517,11 +5171,15 @@ export default class MapEditor extends Phaser.Scene {
         // Create platform instances with physics for test mode
         this.testPlatforms = [];
         
-        this.platforms.forEach(platform => {
-            const instance = this.createPlatformInstance(platform.data);
+        // Decoration has no body; its editor graphics stay on screen instead
+        const prefabPlatforms = expandPrefabInstances(this.mapData).platforms;
+        [...this.platforms.map(p => p.data), ...prefabPlatforms].forEach(platformData => {
+            if (this.isDecoration(platformData)) return;
+            
+            const instance = this.createPlatformInstance(platformData);
             if (instance) {
                 this.testPlatforms.push({
-                    data: platform.data,
+                    data: platformData,
                     instance: instance
                 });
             }
@@ -2538,17 +5196,31 @@ export default class MapEditor extends Phaser.Scene {
     hideEditorVisuals() {
         this.wormSprite.setVisible(false);
         this.goalSprite.setVisible(false);
+        this.checkpointSprites.forEach(sprite => {
+            sprite.setVisible(false);
+            sprite.label.setVisible(false);
+        });
+        this.portalSprites.forEach(sprite => {
+            sprite.setVisible(false);
+            sprite.label.setVisible(false);
+        });
+        this.portalLinkGraphics.setVisible(false);
+        if (this.ropeGraphics) {
+            this.ropeGraphics.setVisible(false);
+        }
         
         // Hide platform graphics
         this.platforms.forEach(platform => {
             if (platform.graphics) {
-                platform.graphics.setVisible(false);
+                platform.graphics.setVisible(this.isDecoration(platform.data) && !this.isLayerHidden(platform.data));
             }
             // Hide handles too
             if (platform.handles) {
                 platform.handles.forEach(handle => handle.setVisible(false));
             }
         });
+        
+        this.prefabInstances.forEach(instance => instance.container.setVisible(false));
     }
     
     showTestModeIndicator() {
@@ -2577,6 +5249,16 @@ export default class MapEditor extends Phaser.Scene {
             this.testPlatforms = [];
         }
         
+        if (this.testPortals) {
+            this.testPortals.destroy();
+            this.testPortals = null;
+        }
+        
+        if (this.testRopes) {
+            this.testRopes.destroy();
+            this.testRopes = null;
+        }
+        
         // Remove mouse constraint
         if (this.mouseConstraint) {
             this.matter.world.removeConstraint(this.mouseConstraint);
@@ -2589,11 +5271,23 @@ export default class MapEditor extends Phaser.Scene {
         // Show entity sprites
         this.wormSprite.setVisible(true);
         this.goalSprite.setVisible(true);
+        this.checkpointSprites.forEach(sprite => {
+            sprite.setVisible(true);
+            sprite.label.setVisible(true);
+        });
+        this.portalSprites.forEach(sprite => {
+            sprite.setVisible(true);
+            sprite.label.setVisible(true);
+        });
+        this.portalLinkGraphics.setVisible(true);
+        if (this.ropeGraphics) {
+            this.ropeGraphics.setVisible(true);
+        }
         
         // Show all editor platform graphics when returning to editor mode
         this.platforms.forEach(platform => {
             if (platform.graphics) {
-                platform.graphics.setVisible(true);
+                platform.graphics.setVisible(!this.isLayerHidden(platform.data));
             }
             // Show handles for selected platform
             if (platform === this.selectedPlatform && platform.handles) {
@@ -2601,6 +5295,8 @@ export default class MapEditor extends Phaser.Scene {
             }
         });
         
+        this.prefabInstances.forEach(instance => instance.container.setVisible(true));
+        
         // Remove test mode indicator
         if (this.testModeText) {
             this.testModeText.destroy();
@@ -2768,7 +5464,7 @@ export default class MapEditor extends Phaser.Scene {
     }
     
     createSpecialPlatformForTest(platformData) {
-        const { type, platformType, x, y, width, height, radius, physics = {}, color, angle = 0 } = platformData;
+        const { type, platformType, x, y, width, height, radius, physics = {}, color, angle = 0, hinge, crumbleDelay, respawnDelay, conveyorSpeed, conveyorDirection, windForce, windFalloff, windTurbulence, windOnTime, windOffTime, windOffset } = platformData;
         
         // Adjust coordinates for top-left origin (like regular physics bodies)
         let centerX, centerY;
@@ -2792,6 +5488,17 @@ export default class MapEditor extends Phaser.Scene {
             color: parseInt((color || '#ff6b6b').replace('#', '0x')),
             shape: type, // Pass the shape type (rectangle, circle, etc.)
             angle: angle, // Pass angle to special platforms
+            hinge,
+            crumbleDelay,
+            respawnDelay,
+            conveyorSpeed,
+            conveyorDirection,
+            windForce,
+            windFalloff,
+            windTurbulence,
+            windOnTime,
+            windOffTime,
+            windOffset,
             ...physics,
         };
         
@@ -2835,6 +5542,15 @@ export default class MapEditor extends Phaser.Scene {
             case 'waterfall':
                 return new WaterfallPlatform(this, centerX, centerY, platformWidth, platformHeight, config);
                 
+            case 'crumble':
+                return new CrumblePlatform(this, centerX, centerY, platformWidth, platformHeight, config);
+                
+            case 'conveyor':
+                return new ConveyorPlatform(this, centerX, centerY, platformWidth, platformHeight, config);
+                
+            case 'wind':
+                return new WindPlatform(this, centerX, centerY, platformWidth, platformHeight, config);
+                
             default:
                 console.warn(`Unknown special platform type: ${platformType}`);
                 return null;
@@ -2944,6 +5660,10 @@ export default class MapEditor extends Phaser.Scene {
         this.mapData.stickers = this.stickers.map(s => s.toJSON());
         this.mapData.metadata.modified = new Date().toISOString();
         
+        if (!this.validateBeforeSave('saved')) {
+            return;
+        }
+        
         // Save to named maps library
         this.savedMaps[this.mapData.metadata.name] = JSON.stringify(this.mapData);
         this.saveMapsToStorage();
@@ -2961,7 +5681,7 @@ export default class MapEditor extends Phaser.Scene {
         }
         
         try {
-            const loadedData = JSON.parse(this.savedMaps[mapName]);
+            const loadedData = migrateMap(JSON.parse(this.savedMaps[mapName])).mapData;
             
             // Clear existing platforms
             this.clearAllPlatforms();
@@ -2981,6 +5701,7 @@ export default class MapEditor extends Phaser.Scene {
             
             // Update GUI
             this.updateGUIFromMapData();
+            this.history.clear();
             
             alert(`Map "${mapName}" loaded successfully!`);
         } catch (e) {
@@ -3016,6 +5737,7 @@ export default class MapEditor extends Phaser.Scene {
             
             this.updateEntityPositions();
             this.updateGUIFromMapData();
+            this.history.clear();
             this.autoSave();
         }
     }
@@ -3042,6 +5764,8 @@ export default class MapEditor extends Phaser.Scene {
     updateEntityPositions() {
         this.updateWormPosition();
         this.updateGoalPosition();
+        this.createCheckpointSprites();
+        this.createPortalSprites();
     }
     
     updateWormPosition() {
@@ -3063,6 +5787,10 @@ export default class MapEditor extends Phaser.Scene {
         this.mapData.stickers = this.stickers.map(s => s.toJSON());
         this.mapData.constraints = this.constraints.map(c => c.data);
         
+        if (!this.validateBeforeSave('exported')) {
+            return;
+        }
+        
         const dataStr = JSON.stringify(this.mapData, null, 2);
         const dataBlob = new Blob([dataStr], { type: 'application/json' });
         const url = URL.createObjectURL(dataBlob);
@@ -3076,6 +5804,40 @@ export default class MapEditor extends Phaser.Scene {
         URL.revokeObjectURL(url);
     }
     
+    /**
+     * Download the map in the SVG map format (see SvgMapExporter), e.g. to
+     * keep working on it in Inkscape
+     */
+    exportSVG() {
+        this.mapData.entities = this.entities;
+        this.mapData.platforms = this.platforms.map(p => p.data);
+        this.mapData.stickers = this.stickers.map(s => s.toJSON());
+        this.mapData.constraints = this.constraints.map(c => c.data);
+        
+        if (!this.validateBeforeSave('exported')) {
+            return;
+        }
+        
+        const { svg, skipped } = mapToSvg(this.mapData);
+        const dataBlob = new Blob([svg], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(dataBlob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.mapData.metadata.name.replace(/[^a-z0-9]/gi, '_')}.svg`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        if (skipped.length > 0) {
+            console.warn(`🖼️ SVG export left out: ${skipped.join(', ')}`);
+            this.showFeedback(`Exported SVG without ${skipped.join(', ')}`);
+        } else {
+            this.showFeedback('Exported SVG');
+        }
+    }
+    
     async copyJSONToClipboard() {
         this.mapData.entities = this.entities;
         this.mapData.platforms = this.platforms.map(p => p.data);
@@ -3114,11 +5876,16 @@ export default class MapEditor extends Phaser.Scene {
                 const reader = new FileReader();
                 reader.onload = (e) => {
                     try {
-                        const mapData = JSON.parse(e.target.result);
+                        // Upgrade older formats, then validate against the level schema
+                        const { mapData } = migrateMap(JSON.parse(e.target.result));
                         
-                        // Validate map data structure
-                        if (!mapData.metadata || !mapData.dimensions || !mapData.entities || !mapData.platforms) {
-                            throw new Error('Invalid map format');
+                        const { valid, errors, warnings } = validateMap(mapData);
+                        if (!valid) {
+                            alert(`Failed to import map. ${errors.length} problem(s) found:\n\n${formatValidationIssues(errors)}`);
+                            return;
+                        }
+                        if (warnings.length > 0) {
+                            console.warn(`Imported map has warnings:\n${formatValidationIssues(warnings)}`);
                         }
                         
                         // Clear existing and load imported map
@@ -3134,6 +5901,7 @@ export default class MapEditor extends Phaser.Scene {
                         
                         this.updateEntityPositions();
                         this.updateGUIFromMapData();
+                        this.history.clear();
                         
                         alert(`Map "${mapData.metadata.name}" imported successfully!`);
                     } catch (error) {
@@ -3169,11 +5937,13 @@ export default class MapEditor extends Phaser.Scene {
         
         // Different actions based on whether we're running in server mode
         const mapActions = this.isRunningInServerMode() ? {
-            'Save': () => this.saveToServer()
+            'Save': () => this.saveToServer(),
+            'Export SVG': () => this.exportSVG()
         } : {
             'New Map': () => this.newMap(),
             'Save to Library': () => this.saveMapToLibrary(),
             'Export JSON': () => this.exportJSON(),
+            'Export SVG': () => this.exportSVG(),
             'Copy JSON to Clipboard': () => this.copyJSONToClipboard(),
             'Import JSON': () => this.importJSON()
         };
@@ -3274,7 +6044,7 @@ TOOLS (or use keyboard):
 • Circle (C) - Round platforms  
 • Polygon (P) - Multi-sided shapes
 • Trapezoid (T) - Sloped platforms
-• Custom (V) - Click to draw vertices
+• Custom (V) - Click to place vertices or drag to draw freehand
 
 TESTING:
 • Press TAB to test your level
@@ -3294,7 +6064,7 @@ R - Rectangle tool
 C - Circle tool  
 P - Polygon tool
 T - Trapezoid tool
-V - Custom polygon tool
+V - Custom shape tool (V or ENTER finishes the shape)
 
 ACTIONS:
 TAB - Toggle test mode
@@ -3309,7 +6079,16 @@ Zoom slider - Use GUI panel
 EDITING:
 Click & drag - Create new platform
 Click platform - Select for editing
-Drag entities - Move worm start (W) or goal (★)`);
+Drag entities - Move worm start (W), goal (★), checkpoints (C1, C2...) or portals (P1, P2...)
+Checkpoint tool - Double-click to add, double-click a checkpoint to remove
+Portal tool - Double-click twice to add a linked pair, double-click a portal to remove
+
+CUSTOM SHAPES:
+Click to place vertices, click the first point to close
+Drag on empty space to draw a freehand outline
+BACKSPACE removes the last point, ESC cancels
+Drag vertex dots to reshape, click a midpoint dot to add a vertex
+Shift-click a vertex to remove it`);
             },
             'Show Advanced Tips': () => {
                 alert(`Advanced Editor Tips:
@@ -3354,15 +6133,154 @@ TESTING TIPS:
     }
     
     isRunningInServerMode() {
-        return typeof window !== 'undefined' && window.serverMapData && window.saveCurrentMap;
+        return typeof window !== 'undefined' && window.serverMapData && window.serverMapFilename;
+    }
+    
+    /**
+     * Check the current map against the level schema before it leaves the editor
+     * @param {string} action - Past-tense verb for the alert, e.g. 'saved'
+     * @returns {boolean} True when the map may be saved
+     */
+    validateBeforeSave(action) {
+        const { valid, errors, warnings } = validateMap(this.mapData);
+        if (warnings.length > 0) {
+            console.warn(`Map has warnings:\n${formatValidationIssues(warnings)}`);
+        }
+        if (!valid) {
+            alert(`Map was not ${action}. Fix these problems first:\n\n${formatValidationIssues(errors)}`);
+        }
+        return valid;
+    }
+    
+    /**
+     * Save through /api/maps/{filename}. The server only writes the map if
+     * the file is still at the revision the editor loaded or last saved;
+     * otherwise nothing is written and the result describes the conflict.
+     * @param {Object} [options]
+     * @param {boolean} [options.overwrite=false] - Replace the version that caused the last conflict
+     * @returns {Promise<Object>} `state` is 'saved', 'invalid', 'conflict' or 'error'
+     */
+    async saveToServer({ overwrite = false } = {}) {
+        this.mapData.entities = this.entities;
+        this.mapData.platforms = this.platforms.map(p => p.data);
+        this.mapData.stickers = this.stickers.map(s => s.toJSON());
+        this.mapData.constraints = this.constraints.map(c => c.data);
+        this.mapData.metadata.modified = new Date().toISOString();
+        
+        // Broken maps never leave the editor
+        const { valid, errors, warnings } = validateMap(this.mapData);
+        if (warnings.length > 0) {
+            console.warn(`Map has warnings:\n${formatValidationIssues(warnings)}`);
+        }
+        if (!valid) {
+            this.showFeedback('Map has errors and was not saved');
+            return { state: 'invalid', error: 'Map has errors and was not saved', errors: errors.map(e => e.message) };
+        }
+        
+        if (!this.serverFilename) {
+            console.warn('Server save not available');
+            return { state: 'error', error: 'Server save not available' };
+        }
+        
+        const revision = overwrite && this.serverConflict ? this.serverConflict.revision : this.serverRevision;
+        let result;
+        try {
+            result = await saveMapRevision(this.serverFilename, this.mapData, revision);
+        } catch (error) {
+            console.error('💾 Failed to save map:', error);
+            return { state: 'error', error: 'Failed to save map' };
+        }
+        
+        if (result.success) {
+            this.serverRevision = result.revision;
+            this.serverConflict = null;
+            console.log(`💾 Saved ${this.serverFilename} as revision ${result.revision}`);
+            this.showFeedback('Saved');
+            return { state: 'saved', revision: result.revision, warnings: result.warnings };
+        }
+        
+        if (result.conflict) {
+            this.serverConflict = { revision: result.revision, modified: result.modified, mapData: result.mapData };
+            const changes = diffMaps(result.mapData, this.mapData);
+            console.warn(`💾 ${this.serverFilename} changed on the server (revision ${result.revision}); not saved. ` +
+                `${changes.length} difference(s) from your version:`, changes);
+            this.showFeedback('Not saved: the map was changed on the server');
+            return {
+                state: 'conflict',
+                error: `${result.error}. Nothing was saved.`,
+                conflict: { revision: result.revision, modified: result.modified, changes }
+            };
+        }
+        
+        return {
+            state: result.errors ? 'invalid' : 'error',
+            error: result.error || 'Failed to save map',
+            errors: result.errors?.map(e => e.message)
+        };
     }
     
-    saveToServer() {
-        if (typeof window !== 'undefined' && window.saveCurrentMap) {
-            window.saveCurrentMap();
-        } else {
-            console.warn('Server save function not available');
-        }
+    /**
+     * Drop the editor's unsaved changes and continue from the version that
+     * caused the last save conflict
+     */
+    loadServerVersion() {
+        if (!this.serverConflict) return;
+        
+        const { revision, mapData } = this.serverConflict;
+        this.applyMapVersion(mapData, `Load revision ${revision}`);
+        this.serverRevision = revision;
+        this.serverConflict = null;
+        this.showFeedback(`Loaded revision ${revision}`);
+    }
+    
+    /**
+     * Saved revisions of this map, newest first
+     * @returns {Promise<{current: string|null, revisions: Array<{revision: string, savedAt: string}>}>}
+     */
+    async getRevisionHistory() {
+        return fetchMapHistory(this.serverFilename);
+    }
+    
+    /**
+     * What the editor's map changes compared with a saved revision
+     * @param {string} revision
+     * @returns {Promise<Array>} Changes as listed by diffMaps
+     */
+    async diffRevision(revision) {
+        const saved = await fetchMapRevision(this.serverFilename, revision);
+        this.mapData.entities = this.entities;
+        this.mapData.platforms = this.platforms.map(p => p.data);
+        this.mapData.stickers = this.stickers.map(s => s.toJSON());
+        this.mapData.constraints = this.constraints.map(c => c.data);
+        return diffMaps(saved.mapData, this.mapData);
+    }
+    
+    /**
+     * Bring back a saved revision as an ordinary (undoable) edit. Saving
+     * afterwards writes it as the newest revision.
+     * @param {string} revision
+     */
+    async restoreRevision(revision) {
+        const saved = await fetchMapRevision(this.serverFilename, revision);
+        this.applyMapVersion(saved.mapData, `Restore revision ${revision}`);
+        this.showFeedback(`Restored revision ${revision}`);
+    }
+    
+    // Replace the level's contents with another version of the map; name, size and metadata stay
+    applyMapVersion(mapData, label) {
+        const before = this.captureEditorState();
+        this.restoreEditorState(JSON.stringify({
+            entities: mapData.entities,
+            platforms: mapData.platforms || [],
+            stickers: mapData.stickers || [],
+            constraints: mapData.constraints || [],
+            prefabs: mapData.prefabs,
+            prefabInstances: mapData.prefabInstances,
+            layers: mapData.layers,
+            ropes: mapData.ropes,
+            signals: mapData.signals
+        }));
+        this.recordHistory(label, before);
     }
     
     updateMapDropdown() {
@@ -3376,6 +6294,329 @@ TESTING TIPS:
             // Refresh GUI controllers to reflect loaded data
             // this.gui.updateDisplay(); // Replaced with React PropertyPanel
         }
+        
+        this.drawSignalOverlay();
+        this.notifySignalsChanged();
+    }
+    
+    /**
+     * Overlay where playtesters went, died or spent their time, from the
+     * attempts recorded in this browser
+     * @param {'off'|'visits'|'time'|'deaths'} mode
+     * @param {Object} [options]
+     * @param {string|null} [options.deathReason] - Only show deaths with this reason
+     * @param {boolean} [options.reload=false] - Read the recordings again
+     * @returns {Promise<Object|null>} Attempt and death counts for the property panel; null when off
+     */
+    async showPlaytestHeatmap(mode, { deathReason = null, reload = false } = {}) {
+        this.heatmapMode = mode;
+        this.heatmapDeathReason = deathReason;
+        
+        if (mode !== 'off' && (!this.playtestHeatmap || reload)) {
+            const mapKey = this.serverFilename || this.mapData.metadata.name;
+            this.recordingDb = this.recordingDb || new RecordingDatabase();
+            const attempts = await loadPlaytests(this.recordingDb, mapKey);
+            this.playtestHeatmap = buildHeatmap(attempts, this.mapData.dimensions);
+            console.log(`🔥 Heatmap built from ${attempts.length} playtests of ${mapKey}`);
+        }
+        
+        this.drawPlaytestHeatmap();
+        return this.getPlaytestHeatmapSummary();
+    }
+    
+    // What the property panel shows for the heatmap; null while it's off
+    getPlaytestHeatmapSummary() {
+        if (this.heatmapMode === 'off' || !this.playtestHeatmap) return null;
+        
+        const { attempts, successes, deathReasons } = this.playtestHeatmap;
+        return {
+            attempts,
+            successes,
+            deathReasons: Object.entries(deathReasons)
+                .sort(([, a], [, b]) => b - a)
+                .map(([reason, count]) => ({
+                    reason,
+                    count,
+                    color: `#${this.getDeathReasonColor(reason).toString(16).padStart(6, '0')}`
+                }))
+        };
+    }
+    
+    // Colors follow the reasons' alphabetical order so they stay put between reloads
+    getDeathReasonColor(reason) {
+        const { DEATH_COLORS } = this.CONFIG.HEATMAP;
+        const reasons = Object.keys(this.playtestHeatmap?.deathReasons || {}).sort();
+        return DEATH_COLORS[Math.max(reasons.indexOf(reason), 0) % DEATH_COLORS.length];
+    }
+    
+    drawPlaytestHeatmap() {
+        if (!this.heatmapGraphics) {
+            this.heatmapGraphics = this.add.graphics();
+            this.heatmapGraphics.setDepth(this.CONFIG.HEATMAP.DEPTH);
+        }
+        
+        const graphics = this.heatmapGraphics;
+        const heatmap = this.playtestHeatmap;
+        graphics.clear();
+        if (!heatmap || this.heatmapMode === 'off') return;
+        
+        const { ALPHA, DEATH_RADIUS } = this.CONFIG.HEATMAP;
+        
+        if (this.heatmapMode === 'deaths') {
+            heatmap.deaths
+                .filter(death => !this.heatmapDeathReason || death.reason === this.heatmapDeathReason)
+                .forEach(death => {
+                    graphics.fillStyle(this.getDeathReasonColor(death.reason), 0.85);
+                    graphics.fillCircle(death.x, death.y, DEATH_RADIUS);
+                    graphics.lineStyle(1, 0x000000, 0.8);
+                    graphics.strokeCircle(death.x, death.y, DEATH_RADIUS);
+                });
+            return;
+        }
+        
+        // Visits are a share of all attempts; time is relative to the slowest cell
+        const values = this.heatmapMode === 'time' ? heatmap.time : heatmap.visits;
+        const max = this.heatmapMode === 'time' ? Math.max(...values) : heatmap.attempts;
+        if (max === 0) return;
+        
+        const { cellSize, columns } = heatmap;
+        values.forEach((value, index) => {
+            if (value === 0) return;
+            
+            // Blue where few players went or stayed, through to red for the most
+            const level = Math.min(value / max, 1);
+            const color = Phaser.Display.Color.HSVToRGB(0.66 * (1 - level), 1, 1).color;
+            graphics.fillStyle(color, ALPHA * (0.3 + 0.7 * level));
+            graphics.fillRect((index % columns) * cellSize, Math.floor(index / columns) * cellSize, cellSize, cellSize);
+        });
+    }
+    
+    /**
+     * Replace the map's signal wiring (called by the React property panel)
+     * @param {Object} signals - `{ nodes, targets }` as stored in the map JSON
+     */
+    updateSignals(signals) {
+        const before = this.captureEditorState();
+        if (signals && (signals.nodes?.length || signals.targets?.length)) {
+            this.mapData.signals = signals;
+        } else {
+            delete this.mapData.signals;
+        }
+        
+        this.recordHistory('Edit signals', before, 'signals');
+    }
+    
+    // Ids the property panel offers when wiring signals
+    getSignalEndpoints() {
+        // Prefab parts can be wired by their expanded ids
+        const prefabParts = expandPrefabInstances(this.mapData);
+        const platforms = [...this.platforms.map(p => p.data), ...prefabParts.platforms];
+        const switchIds = platforms
+            .filter(data => data.platformType === 'switch')
+            .map(data => data.switchId || 'default');
+        
+        return {
+            platforms: platforms.map(data => ({ id: data.id, platformType: data.platformType || 'standard' })),
+            stickers: [...this.stickers.map(s => s.data.id), ...prefabParts.stickers.map(sticker => sticker.id)],
+            switchIds: [...new Set(switchIds)],
+            goalCount: this.entities.goals?.length || 1
+        };
+    }
+    
+    notifySignalsChanged() {
+        if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.onSignalsChange) {
+            window.editorCallbacks.onSignalsChange(this.mapData.signals || null);
+        }
+    }
+    
+    // The map's layers (see MapLayers)
+    getLayers() {
+        return getMapLayers(this.mapData);
+    }
+    
+    isDecoration(itemData) {
+        return isDecorativeLayer(getItemLayer(this.getLayers(), itemData));
+    }
+    
+    isLayerHidden(itemData) {
+        return this.hiddenLayers.has(getItemLayer(this.getLayers(), itemData).id);
+    }
+    
+    // Items on hidden or locked layers can't be selected or dragged
+    isLayerEditable(itemData) {
+        const { id } = getItemLayer(this.getLayers(), itemData);
+        return !this.hiddenLayers.has(id) && !this.lockedLayers.has(id);
+    }
+    
+    // Gameplay is the default, so items on it don't name a layer
+    setItemLayer(itemData, layerId) {
+        if (layerId === GAMEPLAY_LAYER) {
+            delete itemData.layer;
+        } else {
+            itemData.layer = layerId;
+        }
+    }
+    
+    /**
+     * Draw an item's graphics the way its layer is: at the layer's depth
+     * (items on gameplay keep theirs), hidden with the layer, and without
+     * input while the layer is hidden or locked. The editor doesn't scroll
+     * layers at their parallax; everything is shown at its map position.
+     * @param {Phaser.GameObjects.GameObject} gameObject
+     * @param {Object} itemData - Platform or sticker data
+     * @param {number} gameplayDepth - Depth of the item on the gameplay layer
+     */
+    applyLayerState(gameObject, itemData, gameplayDepth) {
+        const layer = getItemLayer(this.getLayers(), itemData);
+        gameObject.setDepth(isGameplayLayer(layer) ? gameplayDepth : layer.depth || 0);
+        gameObject.setVisible(!this.hiddenLayers.has(layer.id));
+        if (gameObject.input) {
+            gameObject.input.enabled = this.isLayerEditable(itemData);
+        }
+    }
+    
+    applyItemLayerState(item) {
+        if (this.stickers.includes(item)) {
+            this.applyLayerState(item.container, item.data, item.config.depth);
+        } else if (item.graphics) {
+            this.applyLayerState(item.graphics, item.data, 0);
+        }
+    }
+    
+    /**
+     * Replace the map's layers (called by the React property panel). Items
+     * on a layer that no longer exists move to gameplay.
+     * @param {Array<Object>} layers - As stored in the map JSON
+     * @param {string} [label] - Undo label; consecutive 'Edit layers' changes merge
+     */
+    updateLayers(layers, label = 'Edit layers') {
+        const before = this.captureEditorState();
+        this.mapData.layers = layers;
+        
+        const ids = new Set(layers.map(layer => layer.id));
+        [...this.platforms.map(p => p.data), ...this.stickers.map(s => s.data)].forEach(data => {
+            if (data.layer && !ids.has(data.layer)) {
+                delete data.layer;
+            }
+        });
+        [this.hiddenLayers, this.lockedLayers].forEach(flags => {
+            flags.forEach(id => {
+                if (!ids.has(id)) {
+                    flags.delete(id);
+                }
+            });
+        });
+        this.mapData.platforms = this.platforms.map(p => p.data);
+        this.mapData.stickers = this.stickers.map(s => s.toJSON());
+        
+        [...this.platforms, ...this.stickers].forEach(item => this.applyItemLayerState(item));
+        this.notifyLayersChanged();
+        this.recordHistory(label, before, label === 'Edit layers' ? 'layers' : null);
+    }
+    
+    /**
+     * Hide or lock a layer in the editor. This isn't saved and doesn't
+     * change the level; test mode still plays hidden layers.
+     * @param {'hidden'|'locked'} flag
+     * @param {string} layerId
+     * @param {boolean} enabled
+     */
+    setLayerFlag(flag, layerId, enabled) {
+        const flags = flag === 'hidden' ? this.hiddenLayers : this.lockedLayers;
+        if (enabled) {
+            flags.add(layerId);
+        } else {
+            flags.delete(layerId);
+        }
+        
+        // Items that can't be edited any more drop out of the selection
+        if (this.selectedPlatform && !this.isLayerEditable(this.selectedPlatform.data)) {
+            this.selectPlatform(null);
+        }
+        if (this.selectedSticker && !this.isLayerEditable(this.selectedSticker.data)) {
+            this.selectSticker(null);
+        }
+        if ([...this.getGroupPlatforms(), ...this.getGroupStickers()].some(item => !this.isLayerEditable(item.data))) {
+            this.clearGroupSelection();
+        }
+        
+        [...this.platforms, ...this.stickers].forEach(item => this.applyItemLayerState(item));
+        this.notifyLayersChanged();
+    }
+    
+    /**
+     * Put the selected platforms and stickers on a layer
+     * @param {string} layerId
+     */
+    moveSelectionToLayer(layerId) {
+        const items = [...this.getGroupPlatforms(), ...this.getGroupStickers()];
+        if (items.length === 0) return;
+        
+        const before = this.captureEditorState();
+        items.forEach(item => {
+            this.setItemLayer(item.data, layerId);
+            this.applyItemLayerState(item);
+        });
+        this.mapData.platforms = this.platforms.map(p => p.data);
+        this.mapData.stickers = this.stickers.map(s => s.toJSON());
+        
+        if (!this.isLayerEditable({ layer: layerId })) {
+            this.clearGroupSelection();
+        }
+        this.notifySelectionChanged();
+        this.recordHistory(`Move ${items.length} items to layer`, before);
+    }
+    
+    notifyLayersChanged() {
+        if (typeof window !== 'undefined' && window.editorCallbacks && window.editorCallbacks.onLayersChange) {
+            window.editorCallbacks.onLayersChange({
+                layers: this.getLayers(),
+                hidden: [...this.hiddenLayers],
+                locked: [...this.lockedLayers]
+            });
+        }
+    }
+    
+    drawSignalOverlay() {
+        if (!this.signalGraphics) return;
+        
+        const { COLOR } = this.CONFIG.SIGNALS;
+        const { nodes = [], targets = [] } = this.mapData.signals || {};
+        
+        this.signalGraphics.clear();
+        this.signalLabels.forEach(label => label.destroy());
+        this.signalLabels = [];
+        
+        const addLabel = (x, y, text) => {
+            const label = this.add.text(x, y, text, { fontSize: '12px', fill: '#a29bfe' });
+            label.setOrigin(0.5);
+            label.setDepth(this.CONFIG.SIGNALS.DEPTH);
+            this.signalLabels.push(label);
+        };
+        
+        // Trigger zones are centered on x/y like platforms
+        nodes.filter(node => node.type === 'zone').forEach(zone => {
+            const left = zone.x - zone.width / 2;
+            const top = zone.y - zone.height / 2;
+            this.signalGraphics.fillStyle(COLOR, 0.12);
+            this.signalGraphics.fillRect(left, top, zone.width, zone.height);
+            this.signalGraphics.lineStyle(2, COLOR, 0.8);
+            this.signalGraphics.strokeRect(left, top, zone.width, zone.height);
+            addLabel(zone.x, top - 10, `⚡ ${zone.id}`);
+        });
+        
+        // Tag each wired platform with what drives it
+        const tags = new Map();
+        targets.forEach(target => {
+            const platform = this.platforms.find(p => p.data.id === target.platform);
+            if (!platform) return;
+            const tag = `${target.invert ? '!' : ''}${target.signal} → ${target.action}`;
+            tags.set(platform, [...(tags.get(platform) || []), tag]);
+        });
+        tags.forEach((lines, platform) => {
+            const { x, y } = platform.data;
+            addLabel(x, y - (platform.data.height || platform.data.radius * 2 || 40) / 2 - 14, lines.join('\n'));
+        });
     }
     
     updateGUIForSelectedPlatform() {
@@ -3476,10 +6717,21 @@ TESTING TIPS:
             // Update all platforms during test mode (now using unified system)
             this.platforms.forEach(platform => {
                 if (platform.instance && platform.instance.update) {
-                    platform.instance.update(delta);
+                    platform.instance.update(time, delta);
                 }
             });
             
+            // Cut to the exit rather than panning there
+            const teleport = this.testPortals && this.testPortals.checkPortals(this.testWorm);
+            if (teleport) {
+                this.cameras.main.scrollX += teleport.offset.x;
+                this.cameras.main.scrollY += teleport.offset.y;
+            }
+            
+            if (this.testRopes) {
+                this.testRopes.drawRopes();
+            }
+            
             // Update camera target to follow worm center
             if (this.cameraTarget && this.testWorm.segments) {
                 const head = this.testWorm.getHead();
@@ -3575,8 +6827,10 @@ TESTING TIPS:
                 return this.isPointInCircle(x, y, platformX, platformY, data.radius);
                 
             case 'polygon':
-            case 'custom':
                 return this.isPointInCircle(x, y, platformX, platformY, data.radius || 50);
+                
+            case 'custom':
+                return this.isPointInCustomPlatform(data, x, y);
             
             default:
                 return false;
@@ -3596,7 +6850,8 @@ TESTING TIPS:
     }
     
     isClickOnEntity(x, y) {
-        return this.isClickOnWorm(x, y) || this.isClickOnGoal(x, y);
+        return this.isClickOnWorm(x, y) || this.isClickOnGoal(x, y) ||
+            !!this.findCheckpointSpriteAt(x, y) || !!this.findPortalSpriteAt(x, y);
     }
     
     isClickOnWorm(x, y) {
@@ -3613,6 +6868,18 @@ TESTING TIPS:
         return distance <= this.CONFIG.ENTITIES.GOAL_SPRITE_RADIUS;
     }
     
+    findCheckpointSpriteAt(x, y) {
+        return (this.checkpointSprites || []).find(sprite => sprite.visible &&
+            Phaser.Math.Distance.Between(sprite.x, sprite.y, x, y) <= this.CONFIG.ENTITIES.CHECKPOINT_SPRITE_RADIUS
+        );
+    }
+    
+    findPortalSpriteAt(x, y) {
+        return (this.portalSprites || []).find(sprite => sprite.visible &&
+            Phaser.Math.Distance.Between(sprite.x, sprite.y, x, y) <= this.CONFIG.ENTITIES.PORTAL_SPRITE_RADIUS
+        );
+    }
+    
     // Camera and input helper methods
     handleWheelInput(pointer, deltaX, deltaY) {
         const camera = this.cameras.main;
@@ -3806,6 +7073,7 @@ TESTING TIPS:
         // Check platforms
         const platform = this.platforms.find(p => {
             if (!p.graphics) return false;
+            if (p.data.type === 'custom') return this.isPointInCustomPlatform(p.data, x, y);
             return p.graphics.getBounds().contains(x, y);
         });
         
@@ -3872,8 +7140,9 @@ TESTING TIPS:
             }
         };
         
+        const before = this.captureEditorState();
         this.addConstraintToScene(constraintData);
-        this.autoSave();
+        this.recordHistory('Add constraint', before);
         
         this.showConstraintFeedback(`Constraint created between ${bodyA.id} and ${bodyB.id}`);
     }
@@ -3920,8 +7189,9 @@ TESTING TIPS:
             }
         };
         
+        const before = this.captureEditorState();
         this.addConstraintToScene(constraintData);
-        this.autoSave();
+        this.recordHistory('Paste constraint', before);
         
         this.showConstraintFeedback(`Constraint pasted between ${bodyA.id} and ${bodyB.id}`);
     }
@@ -4024,7 +7294,7 @@ TESTING TIPS:
             }
             
             if (posA && posB) {
-                const isSelected = constraint === this.selectedConstraint;
+                const isSelected = constraint === this.selectedConstraint || this.isInGroupSelection(constraint);
                 const strokeColor = isSelected ? 0x00ffff : parseInt(constraint.data.render.strokeStyle.replace('#', '0x'));
                 const lineWidth = isSelected ? (constraint.data.render.lineWidth || 2) + 2 : (constraint.data.render.lineWidth || 2);
                 
@@ -4052,6 +7322,9 @@ TESTING TIPS:
         });
         
         this.constraintGraphics.strokePath();
+        
+        // Ropes are tied to the same bodies
+        this.drawRopes();
     }
     
     drawSpring(posA, posB) {
@@ -4146,6 +7419,11 @@ TESTING TIPS:
     }
     
     selectConstraint(constraint) {
+        if (constraint) {
+            this.clearGroupSelection();
+            this.selectPrefabInstance(null);
+        }
+        
         // Clear previous constraint handles
         if (this.selectedConstraint && this.selectedConstraint !== constraint) {
             this.clearConstraintHandles(this.selectedConstraint);
@@ -4362,10 +7640,12 @@ TESTING TIPS:
         
         const index = this.constraints.indexOf(this.selectedConstraint);
         if (index > -1) {
+            const before = this.captureEditorState();
+            this.clearConstraintHandles(this.selectedConstraint);
             this.constraints.splice(index, 1);
             this.selectedConstraint = null;
             this.updateConstraintGraphics();
-            this.autoSave();
+            this.recordHistory('Delete constraint', before);
         }
     }
     
@@ -4388,6 +7668,7 @@ TESTING TIPS:
     updateConstraintProperty(constraint, property, value) {
         if (!constraint || !constraint.data) return;
         
+        const before = this.captureEditorState();
         constraint.data[property] = value;
         
         // Special handling for render properties
@@ -4397,7 +7678,7 @@ TESTING TIPS:
         }
         
         this.updateConstraintGraphics();
-        this.autoSave();
+        this.recordHistory(`Edit constraint ${property}`, before, `${constraint.data.id}:${property}`);
     }
     
     // Copy/Paste functionality
@@ -4435,6 +7716,7 @@ TESTING TIPS:
         const worldX = pointer.worldX;
         const worldY = pointer.worldY;
         const snappedPos = this.applyGridSnap(worldX, worldY);
+        const before = this.captureEditorState();
         
         switch (this.clipboard.type) {
             case 'platform':
@@ -4464,7 +7746,7 @@ TESTING TIPS:
                 break;
         }
         
-        this.autoSave();
+        this.recordHistory(`Paste ${this.clipboard.type}`, before);
     }
     
     showFeedback(message) {
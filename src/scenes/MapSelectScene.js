@@ -7,6 +7,7 @@ import Random from '../utils/Random';
 import { getMenuAudio } from '../audio/MenuAudio';
 import ScrollingBackground from '../utils/ScrollingBackground';
 import { trackMapSelect } from '../utils/analytics';
+import { loadImportedLevelPacks, importLevelPack, exportCategoryPack, downloadLevelPack, pickLevelPackFile } from '../services/LevelPack';
 
 export default class MapSelectScene extends Phaser.Scene {
     constructor() {
@@ -128,7 +129,8 @@ export default class MapSelectScene extends Phaser.Scene {
         // Initialize menu audio from registry
         this.menuAudio = getMenuAudio(this);
         
-        // Load categories
+        // Load categories, including level packs imported earlier
+        await loadImportedLevelPacks();
         this.categories = getCategories();
         
         // Responsive design detection
@@ -369,6 +371,10 @@ export default class MapSelectScene extends Phaser.Scene {
             backButton.setBackgroundColor('rgba(52, 73, 94, 0.3)');
         });
         
+        // Level pack buttons (top right)
+        const importButton = this.createPackButton(this.scale.width - 20, 20, 'Import Pack', () => this.importPack());
+        this.createPackButton(importButton.x - importButton.width - 10, 20, 'Export Pack', () => this.exportPack());
+        
         // Reset progress button (top right)
         // const resetButton = this.add.text(this.scale.width - 20, 20, 'Reset Progress', {
         //     fontSize: '16px',
@@ -390,6 +396,73 @@ export default class MapSelectScene extends Phaser.Scene {
         // });
     }
     
+    createPackButton(x, y, label, onClick) {
+        const button = this.add.text(x, y, label, {
+            fontSize: '16px',
+            color: '#95a5a6',
+            backgroundColor: 'rgba(52, 73, 94, 0.3)',
+            padding: { x: 10, y: 5 }
+        }).setOrigin(1, 0).setInteractive();
+        
+        button.on('pointerup', () => {
+            if (!this.isTransitioning) {
+                this.playMenuSound('select');
+                onClick();
+            }
+        });
+        button.on('pointerover', () => button.setBackgroundColor('rgba(52, 73, 94, 0.5)'));
+        button.on('pointerout', () => button.setBackgroundColor('rgba(52, 73, 94, 0.3)'));
+        
+        return button;
+    }
+    
+    async importPack() {
+        const text = await pickLevelPackFile();
+        if (!text) return;
+        
+        try {
+            const pack = await importLevelPack(text);
+            
+            // Reopen on the imported category
+            const index = getCategories().findIndex(category => category.name === pack.category.name);
+            this.registry.set('selectedCategoryIndex', Math.max(0, index));
+            this.scene.restart();
+        } catch (error) {
+            console.error('📦 Level pack import failed:', error);
+            this.showMessage(error.message, '#e74c3c');
+        }
+    }
+    
+    async exportPack() {
+        if (!this.currentCategory) return;
+        
+        try {
+            this.showMessage(`Exporting ${this.currentCategory.displayName}...`, '#95a5a6');
+            downloadLevelPack(await exportCategoryPack(this.currentCategory.name));
+        } catch (error) {
+            console.error('📦 Level pack export failed:', error);
+            this.showMessage(error.message, '#e74c3c');
+        }
+    }
+    
+    showMessage(message, color) {
+        const text = this.add.text(this.scale.width / 2, 70, message, {
+            fontSize: '16px',
+            color: color,
+            backgroundColor: 'rgba(0,0,0,0.7)',
+            padding: { x: 10, y: 5 },
+            wordWrap: { width: this.scale.width * 0.8 }
+        }).setOrigin(0.5, 0).setDepth(200);
+        
+        this.tweens.add({
+            targets: text,
+            alpha: 0,
+            delay: 3000,
+            duration: 500,
+            onComplete: () => text.destroy()
+        });
+    }
+    
     selectCategory(index, preserveCurrentMapIndex = false) {
         if (index < 0 || index >= this.categories.length) return;
         
@@ -1,5 +1,7 @@
 import JsonMapBase from './JsonMapBase';
 import SvgPathParser from '../utils/SvgPathParser';
+import { centerPolygon } from '../utils/PolygonShape';
+import { PLATFORM_TYPES } from '../services/MapValidator';
 
 /**
  * SVG Map Scene - Loads and parses SVG files as game maps
@@ -51,6 +53,7 @@ export default class SvgMapScene extends JsonMapBase {
     
     /**
      * Parse SVG text into mapData format compatible with JsonMapBase
+     * @returns {Object|null} The new mapData, or null if the SVG did not parse
      */
     parseSvgToMapData(svgText) {
         // Parse SVG string to DOM
@@ -61,7 +64,7 @@ export default class SvgMapScene extends JsonMapBase {
         const parseError = this.svgDoc.querySelector('parsererror');
         if (parseError) {
             console.error('SVG Parse Error:', parseError.textContent);
-            return;
+            return null;
         }
         
         const svg = this.svgDoc.documentElement;
@@ -88,6 +91,24 @@ export default class SvgMapScene extends JsonMapBase {
         };
         
         console.log('Parsed SVG map data:', this.mapData);
+        return this.mapData;
+    }
+    
+    /**
+     * Map data from the new SVG text of this level (see JsonMapBase.watchMapFile)
+     */
+    parseMapFile(content) {
+        // reloadMap compares against the level being played, so keep it until then
+        const playing = this.mapData;
+        const mapData = this.parseSvgToMapData(content);
+        this.mapData = playing;
+        if (!mapData) {
+            throw new Error('SVG did not parse');
+        }
+        
+        // A restart parses svgContent again
+        this.svgContent = content;
+        return mapData;
     }
     
     /**
@@ -115,18 +136,22 @@ export default class SvgMapScene extends JsonMapBase {
             const title = svg.querySelector('title');
             mapName = title?.textContent?.trim() || 'Untitled SVG Map';
         }
+        if (!mapDescription) {
+            const desc = svg.querySelector('desc');
+            mapDescription = desc?.textContent?.trim();
+        }
 
         return {
             name: mapName,
             description: mapDescription,
-            difficulty: 1,
+            difficulty: parseInt(svg.getAttribute('data-difficulty')) || 1,
             category: 'svg',
             modified: new Date().toISOString()
         };
     }
     
     /**
-     * Extract entities (worm start, goals) from SVG
+     * Extract entities (worm start, goals, checkpoints, portals) from SVG
      */
     extractEntities(svg) {
         const entities = {};
@@ -170,6 +195,34 @@ export default class SvgMapScene extends JsonMapBase {
             console.warn('No goal found in SVG, using default position');
         }
         
+        // Checkpoints are optional, in document order
+        const checkpoints = svg.querySelectorAll('.checkpoint');
+        if (checkpoints.length > 0) {
+            entities.checkpoints = Array.from(checkpoints).map(checkpoint => {
+                const pos = this.getElementPosition(checkpoint);
+                return { x: pos.x, y: pos.y };
+            });
+        }
+        
+        // Portals: data-angle is the way the mouth faces in degrees, data-target the exit's id
+        const portals = svg.querySelectorAll('.portal');
+        if (portals.length > 0) {
+            entities.portals = Array.from(portals).map((portal, index) => {
+                const pos = this.getElementPosition(portal);
+                const data = {
+                    id: portal.getAttribute('id') || `portal_${index}`,
+                    x: pos.x,
+                    y: pos.y,
+                    angle: (parseFloat(portal.getAttribute('data-angle')) || 0) * Math.PI / 180
+                };
+                const target = portal.getAttribute('data-target');
+                if (target) {
+                    data.target = target;
+                }
+                return data;
+            });
+        }
+        
         return entities;
     }
     
@@ -249,10 +302,6 @@ export default class SvgMapScene extends JsonMapBase {
         }
         
         if (platform) {
-            // Store the original position before transformation
-            platform.originalX = platform.x;
-            platform.originalY = platform.y;
-            
             // Add common properties (including transform handling)
             this.addCommonPlatformProperties(platform, element);
         }
@@ -278,9 +327,7 @@ export default class SvgMapScene extends JsonMapBase {
             x: centerX,
             y: centerY,
             width: width,
-            height: height,
-            // Store original SVG rectangle data for transform calculations
-            svgRect: { x, y, width, height }
+            height: height
         };
         
         // Handle rounded corners (rx/ry) as chamfer
@@ -296,14 +343,6 @@ export default class SvgMapScene extends JsonMapBase {
             platform.chamfer = {
                 radius: radius
             };
-            
-            // Also add to physics for JsonMapBase compatibility
-            if (!platform.physics) {
-                platform.physics = {};
-            }
-            platform.physics.chamfer = {
-                radius: radius
-            };
         }
         
         return platform;
@@ -358,20 +397,54 @@ export default class SvgMapScene extends JsonMapBase {
             return null;
         }
         
-        // Calculate center
-        const center = this.calculateCentroid(points);
-        
-        // Convert to vertices relative to center
-        const vertices = points.map(p => ({
-            x: p.x - center.x,
-            y: p.y - center.y
-        }));
+        // Regular polygons and trapezoids exported from the editor keep their shape type
+        const shape = element.dataset.shape;
+        if (shape === 'polygon') {
+            return this.parseRegularPolygon(points);
+        }
+        if (shape === 'trapezoid' && points.length === 4) {
+            return this.parseTrapezoid(points);
+        }
         
         return {
             type: 'custom',
-            x: center.x,
-            y: center.y,
-            vertices: vertices
+            ...centerPolygon(points)
+        };
+    }
+    
+    /**
+     * Rebuild a polygon platform from its unrotated outline (first corner at angle 0)
+     */
+    parseRegularPolygon(points) {
+        const round = value => Math.round(value * 1000) / 1000;
+        const x = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const y = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+        
+        return {
+            type: 'polygon',
+            x: round(x),
+            y: round(y),
+            radius: round(Math.hypot(points[0].x - x, points[0].y - y)),
+            sides: points.length
+        };
+    }
+    
+    /**
+     * Rebuild a trapezoid platform from its unrotated corners
+     * (top left, top right, bottom right, bottom left, as PlatformFactory draws them)
+     */
+    parseTrapezoid(points) {
+        const round = value => Math.round(value * 1000) / 1000;
+        const [topLeft, , bottomRight, bottomLeft] = points;
+        const height = bottomLeft.y - topLeft.y;
+        
+        return {
+            type: 'trapezoid',
+            x: round((bottomLeft.x + bottomRight.x) / 2),
+            y: round((topLeft.y + bottomLeft.y) / 2),
+            width: round(bottomRight.x - bottomLeft.x),
+            height: round(height),
+            slope: round((topLeft.x - bottomLeft.x) / (height / 2))
         };
     }
     
@@ -405,20 +478,9 @@ export default class SvgMapScene extends JsonMapBase {
             // Simplify polygon to remove redundant points
             const simplified = SvgPathParser.simplifyPolygon(points);
             
-            // Calculate center
-            const center = this.calculateCentroid(simplified);
-            
-            // Convert to vertices relative to center
-            const vertices = simplified.map(p => ({
-                x: p.x - center.x,
-                y: p.y - center.y
-            }));
-            
             return {
                 type: 'custom',
-                x: center.x,
-                y: center.y,
-                vertices: vertices
+                ...centerPolygon(simplified)
             };
         } else if (collisionMode === 'hull') {
             // Convex hull mode - sample then create hull
@@ -426,17 +488,9 @@ export default class SvgMapScene extends JsonMapBase {
             // For now, just use the points as-is
             // TODO: Implement convex hull algorithm
             
-            const center = this.calculateCentroid(points);
-            const vertices = points.map(p => ({
-                x: p.x - center.x,
-                y: p.y - center.y
-            }));
-            
             return {
                 type: 'custom',
-                x: center.x,
-                y: center.y,
-                vertices: vertices
+                ...centerPolygon(points)
             };
         }
         
@@ -477,6 +531,15 @@ export default class SvgMapScene extends JsonMapBase {
             }
         }
         
+        // Parse pivot, limits and motor from data-hinge
+        if (element.dataset.hinge) {
+            try {
+                platform.hinge = JSON.parse(element.dataset.hinge);
+            } catch (e) {
+                console.error('Invalid hinge JSON:', element.dataset.hinge);
+            }
+        }
+        
         // Parse platform-specific config from data-config
         if (element.dataset.config) {
             try {
@@ -526,6 +589,42 @@ export default class SvgMapScene extends JsonMapBase {
             }
         }
         
+        // Parse crumble-specific attributes
+        if (platform.platformType === 'crumble') {
+            if (element.dataset.crumbleDelay) {
+                platform.crumbleDelay = parseFloat(element.dataset.crumbleDelay);
+            }
+            if (element.dataset.respawnDelay) {
+                platform.respawnDelay = parseFloat(element.dataset.respawnDelay);
+            }
+        }
+        
+        // Parse conveyor-specific attributes
+        if (platform.platformType === 'conveyor') {
+            if (element.dataset.conveyorSpeed) {
+                platform.conveyorSpeed = parseFloat(element.dataset.conveyorSpeed);
+            }
+            if (element.dataset.conveyorDirection) {
+                platform.conveyorDirection = element.dataset.conveyorDirection;
+            }
+        }
+        
+        // Parse wind-specific attributes
+        if (platform.platformType === 'wind') {
+            if (element.dataset.windForce) {
+                try {
+                    platform.windForce = JSON.parse(element.dataset.windForce);
+                } catch (e) {
+                    console.error('Invalid wind force JSON:', element.dataset.windForce);
+                }
+            }
+            ['windFalloff', 'windTurbulence', 'windOnTime', 'windOffTime', 'windOffset'].forEach(key => {
+                if (element.dataset[key]) {
+                    platform[key] = parseFloat(element.dataset[key]);
+                }
+            });
+        }
+        
         // Handle transforms
         const transform = element.getAttribute('transform');
         if (transform) {
@@ -554,18 +653,10 @@ export default class SvgMapScene extends JsonMapBase {
                 platform.x = newX;
                 platform.y = newY;
                 
-                // Set the rotation angle
+                // Set the rotation angle; custom shape vertices stay unrotated,
+                // the angle turns them around x/y
                 platform.angle = rotation.angle;
                 
-                // If platform has vertices (custom shape), they're already relative to center
-                // so we just rotate them
-                if (platform.vertices) {
-                    platform.vertices = platform.vertices.map(v => ({
-                        x: v.x * cos - v.y * sin,
-                        y: v.x * sin + v.y * cos
-                    }));
-                }
-                
                 console.log(`Rotated platform: center=(${centerX}, ${centerY}), angle=${rotation.angle * 180/Math.PI}°, new pos=(${newX}, ${newY})`);
             }
         }
@@ -575,6 +666,20 @@ export default class SvgMapScene extends JsonMapBase {
         if (id) {
             platform.id = id;
         }
+        
+        // Any other JSON platform properties, as written by the editor's SVG export
+        if (element.dataset.props) {
+            try {
+                const props = JSON.parse(element.dataset.props);
+                Object.keys(props).forEach(key => {
+                    if (platform[key] === undefined) {
+                        platform[key] = props[key];
+                    }
+                });
+            } catch (e) {
+                console.error('Invalid props JSON:', element.dataset.props);
+            }
+        }
     }
     
     /**
@@ -610,19 +715,8 @@ export default class SvgMapScene extends JsonMapBase {
      */
     detectPlatformType(classes) {
         // Check for special platform types
-        const platformTypes = [
-            'ice', 'bouncy', 'electric', 'fire', 
-            'blackhole', 'water', 'waterfall',
-            'switch', 'door'
-        ];
-        
-        for (const type of platformTypes) {
-            if (classes.has(type)) {
-                return type;
-            }
-        }
-        
-        return 'standard';
+        const specialType = PLATFORM_TYPES.find(type => type !== 'standard' && classes.has(type));
+        return specialType || 'standard';
     }
     
     /**
@@ -670,15 +764,28 @@ export default class SvgMapScene extends JsonMapBase {
                 // SVG y is at text baseline, but Sticker expects center
                 // Approximate: baseline is roughly 0.8 * fontSize from top
                 // So center would be baseline - (fontSize * 0.3)
-                const adjustedY = y - fontSize * 0.3;
+                const adjustedY = Math.round((y - fontSize * 0.3) * 100) / 100;
                 
-                stickers.push({
+                const sticker = {
                     id: element.id || `sticker_${index}`,
                     x: adjustedX,
                     y: adjustedY,
-                    text: text,
-                    fontSize: fontSize
-                });
+                    text: text
+                };
+                
+                // Stickers exported from the editor carry their full config
+                if (element.dataset.config) {
+                    try {
+                        sticker.config = JSON.parse(element.dataset.config);
+                    } catch (e) {
+                        console.error('Invalid sticker config JSON:', element.dataset.config);
+                    }
+                }
+                if (!sticker.config) {
+                    sticker.fontSize = fontSize;
+                }
+                
+                stickers.push(sticker);
             }
         });
         
@@ -751,21 +858,6 @@ export default class SvgMapScene extends JsonMapBase {
         return points;
     }
     
-    /**
-     * Calculate centroid of polygon points
-     */
-    calculateCentroid(points) {
-        let cx = 0, cy = 0;
-        points.forEach(p => {
-            cx += p.x;
-            cy += p.y;
-        });
-        return {
-            x: cx / points.length,
-            y: cy / points.length
-        };
-    }
-    
     /**
      * Extract rotation angle and center from transform string
      */
@@ -1,5 +1,7 @@
 // Central registry for all map data
 // Uses Vite's import.meta.glob to dynamically import all map JSON files at build time
+import { migrateMap } from '../../services/MapMigrations';
+import { mapKeyForFile, onMapFileChanged } from '../../services/MapHotReload';
 
 // Use Vite's glob import to get all map JSON files at build time
 // This creates a single bundle with all maps included
@@ -79,6 +81,9 @@ for (const path in mapModules) {
     const categoryFolder = pathParts[pathParts.length - 2]; // e.g., '010-tutorial'
     const filename = pathParts[pathParts.length - 1].replace('.json', ''); // e.g., '001-Left'
     
+    // Upgrade maps saved in older formats so every consumer sees the current shape
+    const mapData = migrateMap(mapModules[path]).mapData;
+    
     // Parse category info
     const categoryMatch = categoryFolder.match(/^(\d+)-(.+)$/);
     if (categoryMatch) {
@@ -91,7 +96,7 @@ for (const path in mapModules) {
         const mapKey = mapMatch ? mapMatch[2] : filename;
         
         // Store in flat registry with simplified key
-        STATIC_MAP_REGISTRY[mapKey] = mapModules[path];
+        STATIC_MAP_REGISTRY[mapKey] = mapData;
         
         // Build category structure
         if (!CATEGORY_REGISTRY[categoryName]) {
@@ -108,12 +113,12 @@ for (const path in mapModules) {
             key: mapKey,
             order: mapOrder,
             filename: filename,
-            mapData: mapModules[path]
+            mapData: mapData
         });
     } else {
         // Fallback for non-categorized maps
         const mapKey = filename;
-        STATIC_MAP_REGISTRY[mapKey] = mapModules[path];
+        STATIC_MAP_REGISTRY[mapKey] = mapData;
     }
 }
 
@@ -215,6 +220,28 @@ Object.values(CATEGORY_REGISTRY).forEach(category => {
     });
 });
 
+// Dev server: pick up level files edited on disk, so a level started again
+// after leaving it has the change too (the running level reloads itself)
+onMapFileChanged((path, content) => {
+    const mapKey = mapKeyForFile(path);
+    const current = STATIC_MAP_REGISTRY[mapKey];
+    if (!current) return;
+    
+    try {
+        const mapData = current.type === 'svg'
+            ? { ...current, svgContent: content }
+            : migrateMap(JSON.parse(content)).mapData;
+        STATIC_MAP_REGISTRY[mapKey] = mapData;
+        Object.values(CATEGORY_REGISTRY).forEach(category => {
+            category.maps
+                .filter(map => map.key === mapKey)
+                .forEach(map => { map.mapData = mapData; });
+        });
+    } catch (error) {
+        console.warn(`Failed to refresh map ${mapKey} from ${path}:`, error);
+    }
+});
+
 // Get all categories sorted by order
 export function getCategories() {
     const categories = Object.values(CATEGORY_REGISTRY).sort((a, b) => a.order - b.order);
@@ -224,8 +251,10 @@ export function getCategories() {
         name: cat.name,
         displayName: cat.displayName,
         order: cat.order,
+        imported: !!cat.imported,
         getMaps: () => cat.maps.map(m => ({
             key: m.key,
+            order: m.order,
             title: m.mapData.metadata?.name || m.key,
             difficulty: m.mapData.metadata?.difficulty || 1,
             description: m.mapData.metadata?.description || '',
@@ -241,6 +270,7 @@ export function getCategoryMaps(categoryName) {
     
     return category.maps.map(m => ({
         key: m.key,
+        order: m.order,
         title: m.mapData.metadata?.name || m.key,
         difficulty: m.mapData.metadata?.difficulty || 1,
         description: m.mapData.metadata?.description || '',
@@ -331,5 +361,45 @@ export function loadMapDataSync(mapKey) {
     return STATIC_MAP_REGISTRY[cleanMapKey] || null;
 }
 
+// Register a level pack imported at runtime (see services/LevelPack).
+// Its category joins the built-in ones; re-registering a pack replaces it.
+export function registerLevelPack(pack) {
+    const { name, displayName, order } = pack.category;
+    
+    const existing = CATEGORY_REGISTRY[name];
+    if (existing && !existing.imported) {
+        throw new Error(`Category "${name}" already exists in the game`);
+    }
+    
+    // Map keys are global, so a pack can't shadow maps from anywhere else
+    pack.maps.forEach(({ key }) => {
+        const ownKey = existing && existing.maps.some(map => map.key === key);
+        if (STATIC_MAP_REGISTRY[key] && !ownKey) {
+            throw new Error(`Map "${key}" already exists in the game`);
+        }
+    });
+    
+    unregisterLevelPack(name);
+    
+    const maps = pack.maps.map(({ key, order: mapOrder, mapData }) => {
+        STATIC_MAP_REGISTRY[key] = mapData;
+        return { key, order: mapOrder, filename: key, isSvg: mapData.type === 'svg', mapData };
+    });
+    maps.sort((a, b) => a.order - b.order);
+    
+    CATEGORY_REGISTRY[name] = { name, displayName, order, imported: true, maps };
+}
+
+// Remove an imported level pack; built-in categories are left alone
+export function unregisterLevelPack(name) {
+    const category = CATEGORY_REGISTRY[name];
+    if (!category || !category.imported) return;
+    
+    category.maps.forEach(map => {
+        delete STATIC_MAP_REGISTRY[map.key];
+    });
+    delete CATEGORY_REGISTRY[name];
+}
+
 // Export the registry for direct access if needed
 export { STATIC_MAP_REGISTRY };
@@ -146,12 +146,24 @@ export default class GameStateManager {
     }
     
     /**
-     * Update the best time for a map
+     * Get the splits of the best run for a map
+     * @returns {Array} { id, time } per goal/checkpoint, empty when none saved
      */
-    updateBestTime(mapKey, time) {
+    getBestSplits(mapKey) {
+        return this.getMapProgress(mapKey).bestSplits || [];
+    }
+    
+    /**
+     * Update the best time for a map, keeping that run's splits with it
+     */
+    updateBestTime(mapKey, time, splits = null) {
         const currentBest = this.getBestTime(mapKey);
         if (!currentBest || time < currentBest) {
-            this.updateMapProgress(mapKey, { bestTime: time });
+            const updates = { bestTime: time };
+            if (splits) {
+                updates.bestSplits = splits;
+            }
+            this.updateMapProgress(mapKey, updates);
             return true; // New best time
         }
         return false; // Not a new best
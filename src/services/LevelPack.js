@@ -0,0 +1,318 @@
+import { validateMap, MapValidationError } from './MapValidator';
+import { migrateMap } from './MapMigrations';
+import { getCategories, getCategoryMaps, registerLevelPack, unregisterLevelPack } from '../scenes/maps/MapDataRegistry';
+import LevelPackDatabase from '../storage/LevelPackDatabase';
+
+/**
+ * LevelPack - A level category bundled into a single JSON file
+ *
+ * A pack holds the category, its maps in play order (JSON maps as-is, SVG
+ * maps as their source text) and the videos those maps reference, inlined
+ * as data URLs so the pack works without the exporting game's public/ folder:
+ *
+ *   {
+ *     "format": "floppy-worm-level-pack",
+ *     "version": 1,
+ *     "category": { "name": "community", "displayName": "Community", "order": 900 },
+ *     "maps": [{ "key": "Zigzag", "order": 1, "mapData": { ... } }],
+ *     "assets": { "vids/head-cw.mp4": "data:video/mp4;base64,..." }
+ *   }
+ *
+ * Imported packs are kept in IndexedDB and registered with MapDataRegistry,
+ * so their category shows up next to the built-in ones in every build.
+ */
+export const LEVEL_PACK_FORMAT = 'floppy-worm-level-pack';
+export const LEVEL_PACK_VERSION = 1;
+export const LEVEL_PACK_EXTENSION = '.fwpack.json';
+
+// Imported categories sort after the built-in ones unless the pack says otherwise
+const DEFAULT_PACK_ORDER = 900;
+
+/**
+ * Thrown when a file is not a usable level pack
+ */
+export class LevelPackError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LevelPackError';
+    }
+}
+
+let packDatabase = null;
+let loadPromise = null;
+
+function getPackDatabase() {
+    if (!packDatabase) {
+        packDatabase = new LevelPackDatabase();
+    }
+    return packDatabase;
+}
+
+function getVideoUrls(mapData) {
+    return (mapData.videos || []).map(video => video.url).filter(Boolean);
+}
+
+async function fetchAsDataUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new LevelPackError(`Could not fetch "${url}" for the pack (HTTP ${response.status})`);
+    }
+
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Point a map's videos at the pack's inlined copies
+function withPackAssets(mapData, assets) {
+    if (!mapData.videos || mapData.videos.length === 0) {
+        return mapData;
+    }
+    return {
+        ...mapData,
+        videos: mapData.videos.map(video => (
+            assets[video.url] ? { ...video, url: assets[video.url] } : video
+        ))
+    };
+}
+
+function registerPack(pack) {
+    registerLevelPack({
+        ...pack,
+        maps: pack.maps.map(map => ({ ...map, mapData: withPackAssets(map.mapData, pack.assets) }))
+    });
+}
+
+/**
+ * Build a pack from a category and its maps, inlining referenced videos
+ * @param {{name: string, displayName?: string, order?: number}} category
+ * @param {Array<{key: string, order?: number, mapData: Object}>} maps - In play order
+ * @returns {Promise<Object>} The pack
+ */
+export async function createLevelPack(category, maps) {
+    const packMaps = maps.map(({ key, order, mapData }, index) => {
+        // SVG maps travel as their source; the build URL means nothing elsewhere
+        const { svgPath, ...data } = mapData;
+        return { key, order: order ?? index, mapData: data };
+    });
+
+    const assets = {};
+    const urls = new Set(packMaps.flatMap(map => getVideoUrls(map.mapData)));
+    for (const url of urls) {
+        if (!url.startsWith('data:')) {
+            assets[url] = await fetchAsDataUrl(url);
+        }
+    }
+
+    return {
+        format: LEVEL_PACK_FORMAT,
+        version: LEVEL_PACK_VERSION,
+        exportedAt: new Date().toISOString(),
+        category: {
+            name: category.name,
+            displayName: category.displayName || category.name,
+            order: category.order ?? DEFAULT_PACK_ORDER
+        },
+        maps: packMaps,
+        assets
+    };
+}
+
+/**
+ * Parse and check a pack. JSON maps are migrated to the current format and
+ * validated, so a broken pack is rejected before anything is stored.
+ * @param {string} text - Pack file contents
+ * @returns {Object} The pack, with migrated maps
+ * @throws {LevelPackError|MapValidationError}
+ */
+export function parseLevelPack(text) {
+    let pack;
+    try {
+        pack = JSON.parse(text);
+    } catch (error) {
+        throw new LevelPackError(`Not a level pack: ${error.message}`);
+    }
+
+    if (pack?.format !== LEVEL_PACK_FORMAT) {
+        throw new LevelPackError(`Not a level pack: "format" must be "${LEVEL_PACK_FORMAT}"`);
+    }
+    if (typeof pack.version !== 'number' || pack.version > LEVEL_PACK_VERSION) {
+        throw new LevelPackError(`Level pack version ${pack.version} is not supported by this version of the game`);
+    }
+    if (typeof pack.category?.name !== 'string' || !pack.category.name) {
+        throw new LevelPackError('Level pack needs a category name');
+    }
+    if (!Array.isArray(pack.maps) || pack.maps.length === 0) {
+        throw new LevelPackError('Level pack has no maps');
+    }
+
+    const keys = new Set();
+    const maps = pack.maps.map((entry, index) => {
+        if (typeof entry?.key !== 'string' || !entry.key || !entry.mapData) {
+            throw new LevelPackError(`maps[${index}] needs a key and mapData`);
+        }
+        if (keys.has(entry.key)) {
+            throw new LevelPackError(`Map "${entry.key}" appears twice in the pack`);
+        }
+        keys.add(entry.key);
+
+        let { mapData } = migrateMap(entry.mapData);
+        if (mapData.type === 'svg') {
+            if (typeof mapData.svgContent !== 'string') {
+                throw new LevelPackError(`SVG map "${entry.key}" has no svgContent`);
+            }
+        } else {
+            const { valid, errors } = validateMap(mapData);
+            if (!valid) {
+                throw new MapValidationError(entry.key, errors);
+            }
+        }
+
+        return { key: entry.key, order: Number.isFinite(entry.order) ? entry.order : index, mapData };
+    });
+
+    return {
+        ...pack,
+        category: {
+            name: pack.category.name,
+            displayName: pack.category.displayName || pack.category.name,
+            order: Number.isFinite(pack.category.order) ? pack.category.order : DEFAULT_PACK_ORDER
+        },
+        maps,
+        assets: pack.assets || {}
+    };
+}
+
+/**
+ * Register every pack stored in IndexedDB with MapDataRegistry. Safe to call
+ * repeatedly; the database is only read once.
+ * @returns {Promise<Array>} The packs that were registered
+ */
+export function loadImportedLevelPacks() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve([]);
+    }
+
+    if (!loadPromise) {
+        loadPromise = getPackDatabase().getAllPacks()
+            .then(packs => packs.filter(pack => {
+                try {
+                    registerPack(pack);
+                    return true;
+                } catch (error) {
+                    console.warn(`📦 Skipping level pack "${pack.id}":`, error.message);
+                    return false;
+                }
+            }))
+            .catch(error => {
+                console.warn('📦 Failed to load imported level packs:', error);
+                return [];
+            });
+    }
+    return loadPromise;
+}
+
+/**
+ * Import a pack file: check it, make it playable and store it
+ * @param {string} text - Pack file contents
+ * @returns {Promise<Object>} The imported pack
+ */
+export async function importLevelPack(text) {
+    const pack = parseLevelPack(text);
+    const previous = getCategories().find(category => category.imported && category.name === pack.category.name);
+
+    // Registering first rejects packs that clash with existing maps
+    registerPack(pack);
+    try {
+        await getPackDatabase().savePack(pack);
+    } catch (error) {
+        // A pack that wasn't stored would vanish on reload, so don't offer it now;
+        // a re-import puts back the stored version it was replacing
+        if (previous) {
+            const { name, displayName, order } = previous;
+            registerLevelPack({ category: { name, displayName, order }, maps: previous.getMaps() });
+        } else {
+            unregisterLevelPack(pack.category.name);
+        }
+        throw error;
+    }
+
+    console.log(`📦 Imported level pack "${pack.category.name}" with ${pack.maps.length} maps`);
+    return pack;
+}
+
+/**
+ * List the packs stored in IndexedDB, without registering them
+ * @returns {Promise<Array>}
+ */
+export async function getImportedLevelPacks() {
+    return getPackDatabase().getAllPacks();
+}
+
+/**
+ * Remove an imported pack
+ * @param {string} categoryName
+ */
+export async function removeLevelPack(categoryName) {
+    unregisterLevelPack(categoryName);
+    await getPackDatabase().deletePack(categoryName);
+}
+
+/**
+ * Bundle a registered category (built-in or imported) into a pack
+ * @param {string} categoryName
+ * @returns {Promise<Object>} The pack
+ */
+export async function exportCategoryPack(categoryName) {
+    const category = getCategories().find(cat => cat.name === categoryName);
+    if (!category) {
+        throw new LevelPackError(`No category named "${categoryName}"`);
+    }
+
+    // Imported packs are re-exported as stored, with their original asset URLs
+    if (category.imported) {
+        const packs = await getPackDatabase().getAllPacks();
+        const stored = packs.find(pack => pack.id === categoryName);
+        if (stored) {
+            const { id, importedAt, ...pack } = stored;
+            return { ...pack, exportedAt: new Date().toISOString() };
+        }
+    }
+
+    return createLevelPack(category, getCategoryMaps(categoryName));
+}
+
+/**
+ * Save a pack as a file through the browser
+ * @param {Object} pack
+ */
+export function downloadLevelPack(pack) {
+    const blob = new Blob([JSON.stringify(pack)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${pack.category.name}${LEVEL_PACK_EXTENSION}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Ask the player for a pack file
+ * @returns {Promise<string|null>} File contents, or null if nothing was picked
+ */
+export function pickLevelPackFile() {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = `${LEVEL_PACK_EXTENSION},.json,application/json`;
+        input.onchange = async () => {
+            const file = input.files && input.files[0];
+            resolve(file ? await file.text() : null);
+        };
+        input.click();
+    });
+}
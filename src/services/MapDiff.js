@@ -0,0 +1,99 @@
+/**
+ * MapDiff - What changed between two versions of a map
+ *
+ * Lists are matched by item id (by position for items without one), so
+ * moving a platform shows up as one changed platform rather than a removed
+ * and an added one. Key order doesn't matter.
+ */
+
+// Map lists whose items carry ids
+const LIST_SECTIONS = ['platforms', 'stickers', 'constraints', 'prefabInstances', 'videos', 'layers'];
+
+// Keyed objects compared entry by entry
+const OBJECT_SECTIONS = ['metadata', 'dimensions', 'entities', 'prefabs'];
+
+// Written on every save, so never worth reporting
+const IGNORED_METADATA = new Set(['modified']);
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function isEqual(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+function changedFields(before, after) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].filter(key => !isEqual(before?.[key], after?.[key]));
+}
+
+function byId(items = []) {
+    return new Map(items.map((item, index) => [String(item?.id ?? `#${index}`), item]));
+}
+
+function diffList(section, before, after, changes) {
+    const beforeItems = byId(before);
+    const afterItems = byId(after);
+
+    beforeItems.forEach((item, id) => {
+        if (!afterItems.has(id)) {
+            changes.push({ section, id, type: 'removed' });
+        }
+    });
+    afterItems.forEach((item, id) => {
+        if (!beforeItems.has(id)) {
+            changes.push({ section, id, type: 'added' });
+        } else {
+            const fields = changedFields(beforeItems.get(id), item);
+            if (fields.length > 0) {
+                changes.push({ section, id, type: 'changed', fields });
+            }
+        }
+    });
+}
+
+function diffObject(section, before = {}, after = {}, changes) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    keys.forEach(key => {
+        if (section === 'metadata' && IGNORED_METADATA.has(key)) return;
+
+        const had = before?.[key] !== undefined;
+        const has = after?.[key] !== undefined;
+        if (had && !has) {
+            changes.push({ section, id: key, type: 'removed' });
+        } else if (!had && has) {
+            changes.push({ section, id: key, type: 'added' });
+        } else if (!isEqual(before[key], after[key])) {
+            const nested = before[key] && typeof before[key] === 'object' && !Array.isArray(before[key]);
+            changes.push({ section, id: key, type: 'changed', ...(nested && { fields: changedFields(before[key], after[key]) }) });
+        }
+    });
+}
+
+/**
+ * Compare two maps
+ * @param {Object} before - e.g. a saved revision
+ * @param {Object} after - e.g. the map in the editor
+ * @returns {Array<{section: string, id: string, type: 'added'|'removed'|'changed', fields?: string[]}>}
+ */
+export function diffMaps(before, after) {
+    const changes = [];
+
+    OBJECT_SECTIONS.forEach(section => diffObject(section, before[section], after[section], changes));
+    LIST_SECTIONS.forEach(section => diffList(section, before[section], after[section], changes));
+    if (!isEqual(before.signals, after.signals)) {
+        changes.push({ section: 'signals', id: 'signals', type: 'changed' });
+    }
+
+    return changes;
+}
@@ -0,0 +1,38 @@
+/**
+ * MapHotReload - Level files edited on disk while the game is running
+ *
+ * On the dev server the map hot reload plugin in vite.config.ts sends the
+ * new contents of any JSON or SVG file under levels/ as a custom HMR event,
+ * instead of letting Vite reload the page. JsonMapBase rebuilds the level
+ * being played and MapDataRegistry refreshes its copy, so a level can be
+ * tuned in a text editor or Inkscape without leaving it. Builds have no
+ * dev server and never receive the event.
+ */
+export const MAP_FILE_CHANGED = 'floppy-worm:map-file-changed';
+
+/**
+ * Registry key of a level file, e.g. "levels/010-tutorial/001-Left.json" -> "Left".
+ * Also accepts keys and filenames, so a scene's mapKey can be compared directly.
+ * @param {string} path
+ * @returns {string}
+ */
+export function mapKeyForFile(path) {
+    const filename = path.split('/').pop().replace(/\.(json|svg)$/i, '');
+    const match = filename.match(/^(\d+)-(.+)$/);
+    return match ? match[2] : filename;
+}
+
+/**
+ * Call `callback(path, content)` whenever a level file changes on disk.
+ * `path` is relative to the project root, e.g. "levels/010-tutorial/001-Left.json".
+ * @param {(path: string, content: string) => void} callback
+ * @returns {Function} Stops watching
+ */
+export function onMapFileChanged(callback) {
+    if (!import.meta.hot) return () => {};
+
+    const hot = import.meta.hot;
+    const listener = ({ path, content }) => callback(path, content);
+    hot.on(MAP_FILE_CHANGED, listener);
+    return () => hot.off(MAP_FILE_CHANGED, listener);
+}
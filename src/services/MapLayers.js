@@ -0,0 +1,77 @@
+/**
+ * MapLayers - Named drawing layers of a level
+ *
+ * `layers` in a map lists its layers. Platforms, stickers and videos name
+ * theirs in `layer`; without one they are on `gameplay`.
+ *
+ *   gameplay     Drawn the way maps always were: stickers behind platforms,
+ *                videos in front. Every map has it.
+ *   other layers Everything on them is drawn at the layer's `depth`, in
+ *                file order.
+ *
+ * A layer with `collides: false` is decoration: its platforms are drawn but
+ * have no body, so only those layers may scroll at their own `parallax`.
+ * Maps without `layers` get DEFAULT_LAYERS.
+ */
+export const GAMEPLAY_LAYER = 'gameplay';
+
+// Between the level grid (-100) and gameplay stickers (-90); above the worm (0)
+export const DEFAULT_LAYERS = [
+    { id: 'background', name: 'Background art', depth: -95, parallax: 0.5, collides: false },
+    { id: GAMEPLAY_LAYER, name: 'Gameplay', depth: 0 },
+    { id: 'foreground', name: 'Foreground overlay', depth: 50, collides: false }
+];
+
+/**
+ * The map's layers
+ * @param {Object} mapData
+ * @returns {Array<{id: string, name?: string, depth?: number, parallax?: number, collides?: boolean}>}
+ */
+export function getMapLayers(mapData) {
+    return Array.isArray(mapData?.layers) && mapData.layers.length > 0 ? mapData.layers : DEFAULT_LAYERS;
+}
+
+/**
+ * The layer an item is drawn on; unknown layers fall back to gameplay
+ * @param {Array<Object>} layers - From getMapLayers
+ * @param {{layer?: string}} item - Platform, sticker or video data
+ * @returns {Object}
+ */
+export function getItemLayer(layers, item) {
+    return layers.find(layer => layer.id === (item.layer || GAMEPLAY_LAYER)) ||
+        layers.find(layer => layer.id === GAMEPLAY_LAYER) ||
+        DEFAULT_LAYERS[1];
+}
+
+export function isGameplayLayer(layer) {
+    return layer.id === GAMEPLAY_LAYER;
+}
+
+export function isDecorativeLayer(layer) {
+    return layer.collides === false;
+}
+
+/**
+ * Scroll factor of a layer. Only decoration scrolls at its own speed;
+ * anything the worm can touch has to stay where its body is.
+ * @param {Object} layer
+ * @returns {number}
+ */
+export function getLayerParallax(layer) {
+    return isDecorativeLayer(layer) && typeof layer.parallax === 'number' ? layer.parallax : 1;
+}
+
+/**
+ * Where to put an item so that, scrolling at `parallax`, it appears at its
+ * map position when the camera is centered on it
+ * @param {{x: number, y: number}} position - Map position
+ * @param {number} parallax
+ * @param {{width: number, height: number}} view - Camera size
+ * @returns {{x: number, y: number}}
+ */
+export function getParallaxPosition(position, parallax, view) {
+    return {
+        x: view.width / 2 + (position.x - view.width / 2) * parallax,
+        y: view.height / 2 + (position.y - view.height / 2) * parallax
+    };
+}
@@ -1,3 +1,5 @@
+import { assertValidMap } from './MapValidator';
+
 /**
  * Centralized map loading service to ensure consistent map loading
  * across all entry points (main game, test mode, editor, etc.)
@@ -7,6 +9,7 @@ export default class MapLoader {
      * Load map data from API or registry
      * @param {string} mapKey - The map identifier (filename without extension)
      * @returns {Promise<Object>} Map data object or SVG path info
+     * @throws {MapValidationError} When the map data does not match the schema
      */
     static async loadMapData(mapKey) {
         // Clean up the map key - remove extensions if present
@@ -47,6 +50,7 @@ export default class MapLoader {
         }
         
         // Try API endpoint first if available (server/dev mode)
+        let mapData = null;
         if (hasAPI) {
             try {
                 // Always use .json extension for API
@@ -57,7 +61,7 @@ export default class MapLoader {
                     const result = await response.json();
                     if (result.mapData) {
                         console.log(`Loaded map "${cleanMapKey}" from API`);
-                        return result.mapData;
+                        mapData = result.mapData;
                     }
                 }
             } catch (err) {
@@ -66,15 +70,21 @@ export default class MapLoader {
         }
         
         // Try loading from static registry (for built-in maps or when API unavailable)
-        try {
-            const { loadMapData } = await import('../scenes/maps/MapDataRegistry');
-            const mapData = loadMapData(cleanMapKey);
-            if (mapData) {
-                console.log(`Loaded map "${cleanMapKey}" from registry${!hasAPI ? ' (static build)' : ''}`);
-                return mapData;
+        if (!mapData) {
+            try {
+                const { loadMapData } = await import('../scenes/maps/MapDataRegistry');
+                mapData = loadMapData(cleanMapKey);
+                if (mapData) {
+                    console.log(`Loaded map "${cleanMapKey}" from registry${!hasAPI ? ' (static build)' : ''}`);
+                }
+            } catch (err) {
+                console.warn(`Failed to load map from registry:`, err);
             }
-        } catch (err) {
-            console.warn(`Failed to load map from registry:`, err);
+        }
+        
+        // Validate outside the fallbacks so a broken map is reported, not skipped
+        if (mapData) {
+            return assertValidMap(mapData, cleanMapKey);
         }
         
         throw new Error(`Failed to load map data for "${cleanMapKey}" from any source`);
@@ -0,0 +1,90 @@
+import { MAP_SCHEMA_VERSION, PLATFORM_SHAPES } from './MapValidator';
+
+/**
+ * MapMigrations - Upgrades older level JSON to the current format
+ *
+ * Every map carries a `formatVersion`. Maps written before versioning have
+ * none and are treated as version 1. Each migration below upgrades a map
+ * from the previous version to its `version`, so loading runs exactly the
+ * steps a map is missing, in order, and stamps the result with
+ * MAP_SCHEMA_VERSION.
+ *
+ * To change the format: bump MAP_SCHEMA_VERSION in MapValidator, update the
+ * schema, and append a migration here that rewrites older maps to match.
+ * Never edit a migration that has shipped.
+ */
+const LEGACY_FORMAT_VERSION = 1;
+
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Merge platform matter blocks into physics',
+        migrate(mapData) {
+            (mapData.platforms || []).forEach(platform => {
+                // One block for body properties; where both set a key, physics
+                // already won for standard platforms because it was applied last
+                if (platform.matter) {
+                    platform.physics = { ...platform.matter, ...platform.physics };
+                    delete platform.matter;
+                }
+
+                // A shape name in platformType was never a special platform;
+                // PlatformFactory fell back to a standard one
+                if (PLATFORM_SHAPES.includes(platform.platformType)) {
+                    platform.platformType = 'standard';
+                }
+            });
+        }
+    }
+];
+
+/**
+ * Get the format version a map was written with
+ * @param {Object} mapData
+ * @returns {number}
+ */
+export function getFormatVersion(mapData) {
+    return mapData?.formatVersion ?? LEGACY_FORMAT_VERSION;
+}
+
+/**
+ * Check whether a map is older than the current format
+ * @param {Object} mapData
+ * @returns {boolean}
+ */
+export function needsMigration(mapData) {
+    return mapData?.type !== 'svg' && getFormatVersion(mapData) < MAP_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade map data to the current format
+ *
+ * The input is never modified. Maps that are already current (or newer, or
+ * SVG maps) are returned as they are; validation reports newer versions.
+ *
+ * @param {Object} mapData - Parsed map JSON of any version
+ * @returns {{mapData: Object, fromVersion: number, applied: string[]}}
+ */
+export function migrateMap(mapData) {
+    const fromVersion = getFormatVersion(mapData);
+    if (!needsMigration(mapData)) {
+        return { mapData, fromVersion, applied: [] };
+    }
+
+    const migrated = JSON.parse(JSON.stringify(mapData));
+    const applied = [];
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => {
+            migration.migrate(migrated);
+            applied.push(migration.description);
+        });
+
+    // Keep formatVersion first so it is the first thing seen in the file
+    const { formatVersion, ...rest } = migrated;
+    return {
+        mapData: { formatVersion: MAP_SCHEMA_VERSION, ...rest },
+        fromVersion,
+        applied
+    };
+}
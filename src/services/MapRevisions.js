@@ -0,0 +1,69 @@
+/**
+ * MapRevisions - Saving maps through the server without overwriting each other
+ *
+ * GET /api/maps/{filename} returns the map's `revision`, a hash of the file.
+ * A save sends back the revision it started from; if the file has changed
+ * since, the server answers 409 with the current version instead of writing.
+ * Every saved version is kept and can be listed and fetched again through
+ * /api/maps/{filename}/history.
+ */
+
+function mapUrl(filename) {
+    return `/api/maps/${encodeURIComponent(filename)}`;
+}
+
+async function readJson(response) {
+    try {
+        return await response.json();
+    } catch (error) {
+        return { error: `Server responded ${response.status}` };
+    }
+}
+
+/**
+ * Save a map on the server
+ * @param {string} filename - Path under levels/, e.g. "010-tutorial/001-Left.json"
+ * @param {Object} mapData
+ * @param {string|null} revision - Revision the edits started from; null for a new file
+ * @returns {Promise<Object>} The server's response, with `conflict: true` and the
+ *     current `revision`, `modified` and `mapData` when someone else saved first
+ */
+export async function saveMapRevision(filename, mapData, revision) {
+    const formData = new FormData();
+    formData.append('mapData', JSON.stringify(mapData));
+    if (revision) {
+        formData.append('revision', revision);
+    }
+
+    const response = await fetch(mapUrl(filename), { method: 'POST', body: formData });
+    return readJson(response);
+}
+
+/**
+ * Saved revisions of a map, newest first
+ * @param {string} filename
+ * @returns {Promise<{current: string|null, revisions: Array<{revision: string, savedAt: string}>}>}
+ */
+export async function fetchMapHistory(filename) {
+    const response = await fetch(`${mapUrl(filename)}/history`);
+    const result = await readJson(response);
+    if (!response.ok) {
+        throw new Error(result.error || 'Failed to load map history');
+    }
+    return result;
+}
+
+/**
+ * One saved version of a map
+ * @param {string} filename
+ * @param {string} revision
+ * @returns {Promise<{revision: string, savedAt: string, mapData: Object}>}
+ */
+export async function fetchMapRevision(filename, revision) {
+    const response = await fetch(`${mapUrl(filename)}/history?revision=${encodeURIComponent(revision)}`);
+    const result = await readJson(response);
+    if (!response.ok) {
+        throw new Error(result.error || `Failed to load revision ${revision}`);
+    }
+    return result;
+}
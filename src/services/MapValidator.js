@@ -0,0 +1,914 @@
+import { prefabPartId } from './Prefabs';
+import { isSimplePolygon } from '../utils/PolygonShape';
+import { GAMEPLAY_LAYER, getMapLayers, getItemLayer, isDecorativeLayer } from './MapLayers';
+
+/**
+ * MapValidator - Schema and validation for the JSON level format
+ *
+ * The schema below is the single description of what a level file may
+ * contain. `validateMap` walks a map against it and reports every problem
+ * with the path where it was found, e.g.
+ *
+ *   platforms[4].motion.speed must be a number
+ *
+ * Errors mean the map cannot be built and must not be saved. Warnings are
+ * for data the game tolerates (it falls back to a default) but that is
+ * almost certainly a mistake, such as an unknown platformType.
+ *
+ * Maps record the version they were written with in `formatVersion`.
+ * Older maps are upgraded by MapMigrations before they are validated, so
+ * the schema only describes the current version.
+ */
+export const MAP_SCHEMA_VERSION = 2;
+
+export const PLATFORM_SHAPES = ['rectangle', 'circle', 'polygon', 'trapezoid', 'custom'];
+
+export const PLATFORM_TYPES = [
+    'standard', 'ice', 'bouncy', 'electric', 'fire',
+    'blackhole', 'water', 'waterfall', 'switch', 'door', 'crumble', 'conveyor', 'wind'
+];
+
+export const MOTION_TYPES = ['horizontal', 'vertical', 'waypoints'];
+
+export const WAYPOINT_MODES = ['loop', 'pingpong', 'once'];
+
+// How a hinge motor drives its platform (see Hinge)
+export const HINGE_MOTOR_TYPES = ['constant', 'oscillate'];
+
+// How a rope is built and drawn (see RopeManager)
+export const ROPE_STYLES = ['rope', 'chain'];
+
+// The way a conveyor's top surface runs
+export const CONVEYOR_DIRECTIONS = ['right', 'left'];
+
+// Signal nodes: sources read the level, gates combine other nodes
+export const SIGNAL_SOURCES = ['switch', 'goal', 'zone'];
+export const SIGNAL_GATES = ['and', 'or', 'not', 'delay', 'latch'];
+export const SIGNAL_ACTIONS = ['motion', 'enable', 'platformType', 'open', 'reverse', 'sticker'];
+
+// Phaser tween ease names understood by WaypointPath
+const EASE_NAME = /^(Linear|Power0|(Quad|Cubic|Quart|Quint|Sine|Expo|Circ|Elastic|Back|Bounce)(\.ease(In|Out|InOut))?)$/;
+
+const number = { type: 'number' };
+const positive = { type: 'number', min: 0, exclusive: true };
+const nonNegative = { type: 'number', min: 0 };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const point = { type: 'object', required: ['x', 'y'], properties: { x: number, y: number } };
+
+// Matter body properties of a platform
+const bodyOptions = {
+    type: 'object',
+    properties: {
+        friction: nonNegative,
+        frictionStatic: nonNegative,
+        frictionAir: nonNegative,
+        restitution: nonNegative,
+        density: positive,
+        isStatic: boolean,
+        isSensor: boolean,
+        attractionStrength: number,
+        attractionRadius: nonNegative,
+        rotationSpeed: number
+    }
+};
+
+// Size fields each shape needs before PlatformFactory can build it
+const SHAPE_REQUIREMENTS = {
+    rectangle: ['width', 'height'],
+    circle: ['radius'],
+    polygon: ['radius', 'sides'],
+    trapezoid: ['width', 'height'],
+    custom: ['vertices']
+};
+
+const PLATFORM_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        id: { type: ['string', 'number'] },
+        type: { type: 'string', enum: PLATFORM_SHAPES },
+        platformType: { type: 'string', known: PLATFORM_TYPES },
+        x: number,
+        y: number,
+        width: positive,
+        height: positive,
+        radius: positive,
+        sides: { type: 'number', integer: true, min: 3 },
+        slope: number,
+        vertices: { type: 'array', minItems: 3, items: point },
+        angle: number,
+        rotation: number,
+        color: string,
+        physics: bodyOptions,
+        chamfer: {
+            type: 'object',
+            properties: {
+                radius: { type: ['number', 'array'], items: nonNegative }
+            }
+        },
+        motion: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { type: 'string', enum: MOTION_TYPES },
+                distance: nonNegative,
+                speed: nonNegative,
+                mode: { type: 'string', enum: WAYPOINT_MODES },
+                easing: string,
+                pause: nonNegative,
+                waypoints: {
+                    type: 'array',
+                    minItems: 2,
+                    items: {
+                        type: 'object',
+                        required: ['x', 'y'],
+                        properties: {
+                            x: number,
+                            y: number,
+                            angle: number,
+                            easing: string,
+                            pause: nonNegative,
+                            duration: nonNegative
+                        }
+                    }
+                }
+            }
+        },
+        hinge: {
+            type: 'object',
+            properties: {
+                pivot: point,
+                minAngle: number,
+                maxAngle: number,
+                damping: nonNegative,
+                motor: {
+                    type: 'object',
+                    required: ['type'],
+                    properties: {
+                        type: { type: 'string', enum: HINGE_MOTOR_TYPES },
+                        speed: number,
+                        amplitude: number,
+                        period: positive
+                    }
+                }
+            }
+        },
+        switchId: string,
+        doorId: string,
+        flowDirection: string,
+        fallSpeed: number,
+        crumbleDelay: nonNegative,
+        respawnDelay: nonNegative,
+        conveyorSpeed: nonNegative,
+        conveyorDirection: { type: 'string', enum: CONVEYOR_DIRECTIONS },
+        windForce: point,
+        windFalloff: nonNegative,
+        windTurbulence: nonNegative,
+        windOnTime: nonNegative,
+        windOffTime: nonNegative,
+        windOffset: number,
+        layer: string
+    }
+};
+
+const STICKER_SCHEMA = {
+    type: 'object',
+    required: ['x', 'y', 'text'],
+    properties: {
+        id: string,
+        x: number,
+        y: number,
+        text: string,
+        config: { type: 'object' },
+        layer: string
+    }
+};
+
+const CONSTRAINT_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: string,
+        bodyA: string,
+        bodyB: string,
+        pointA: point,
+        pointB: point,
+        length: nonNegative,
+        stiffness: nonNegative,
+        damping: nonNegative,
+        angularStiffness: nonNegative,
+        render: { type: 'object' }
+    }
+};
+
+// Ends use the constraint format: a point is relative to its body, or a
+// world point without one. Without bodyB or pointB the rope hangs free.
+const ROPE_SCHEMA = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: string,
+        bodyA: string,
+        bodyB: string,
+        pointA: point,
+        pointB: point,
+        length: positive,
+        style: { type: 'string', enum: ROPE_STYLES },
+        color: string
+    }
+};
+
+const VIDEO_SCHEMA = {
+    type: 'object',
+    required: ['x', 'y', 'url'],
+    properties: {
+        x: number,
+        y: number,
+        url: string,
+        text: string,
+        width: positive,
+        height: positive,
+        depth: number,
+        alpha: number,
+        loop: boolean,
+        autoplay: boolean,
+        layer: string
+    }
+};
+
+const LAYER_SCHEMA = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: string,
+        name: string,
+        depth: number,
+        parallax: nonNegative,
+        collides: boolean
+    }
+};
+
+// Prefab parts use the platform, constraint and sticker formats, with
+// positions relative to the instance
+const PREFAB_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: string,
+        platforms: { type: 'array', items: PLATFORM_SCHEMA },
+        constraints: { type: 'array', items: CONSTRAINT_SCHEMA },
+        stickers: { type: 'array', items: STICKER_SCHEMA }
+    }
+};
+
+const PREFAB_INSTANCE_SCHEMA = {
+    type: 'object',
+    required: ['id', 'prefab', 'x', 'y'],
+    properties: {
+        id: string,
+        prefab: string,
+        x: number,
+        y: number
+    }
+};
+
+const PORTAL_SCHEMA = {
+    type: 'object',
+    required: ['id', 'x', 'y'],
+    properties: {
+        id: string,
+        x: number,
+        y: number,
+        angle: number,
+        target: string
+    }
+};
+
+const SIGNAL_NODE_SCHEMA = {
+    type: 'object',
+    required: ['id', 'type'],
+    properties: {
+        id: string,
+        type: { type: 'string', enum: [...SIGNAL_SOURCES, ...SIGNAL_GATES] },
+        switchId: string,
+        goal: { type: 'number', integer: true, min: 0 },
+        x: number,
+        y: number,
+        width: positive,
+        height: positive,
+        inputs: { type: 'array', items: string },
+        reset: string,
+        delay: nonNegative
+    }
+};
+
+const SIGNAL_TARGET_SCHEMA = {
+    type: 'object',
+    required: ['signal', 'action'],
+    properties: {
+        signal: string,
+        action: { type: 'string', enum: SIGNAL_ACTIONS },
+        platform: { type: ['string', 'number'] },
+        sticker: string,
+        value: { type: 'string', enum: PLATFORM_TYPES },
+        invert: boolean
+    }
+};
+
+export const MAP_SCHEMA = {
+    type: 'object',
+    required: ['metadata', 'dimensions', 'entities', 'platforms'],
+    properties: {
+        formatVersion: { type: 'number', integer: true, min: 1 },
+        metadata: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: string,
+                description: string,
+                difficulty: number,
+                category: string,
+                order: number,
+                modified: string
+            }
+        },
+        dimensions: {
+            type: 'object',
+            required: ['width', 'height'],
+            properties: {
+                width: positive,
+                height: positive
+            }
+        },
+        entities: {
+            type: 'object',
+            required: ['wormStart'],
+            properties: {
+                wormStart: point,
+                goal: point,
+                goals: { type: 'array', items: point },
+                checkpoints: { type: 'array', items: point },
+                portals: { type: 'array', items: PORTAL_SCHEMA }
+            }
+        },
+        platforms: { type: 'array', items: PLATFORM_SCHEMA },
+        stickers: { type: 'array', items: STICKER_SCHEMA },
+        constraints: { type: 'array', items: CONSTRAINT_SCHEMA },
+        ropes: { type: 'array', items: ROPE_SCHEMA },
+        videos: { type: 'array', items: VIDEO_SCHEMA },
+        layers: { type: 'array', items: LAYER_SCHEMA },
+        prefabs: { type: 'object', values: PREFAB_SCHEMA },
+        prefabInstances: { type: 'array', items: PREFAB_INSTANCE_SCHEMA },
+        signals: {
+            type: 'object',
+            properties: {
+                nodes: { type: 'array', items: SIGNAL_NODE_SCHEMA },
+                targets: { type: 'array', items: SIGNAL_TARGET_SCHEMA }
+            }
+        }
+    }
+};
+
+/**
+ * Thrown when map data fails validation
+ */
+export class MapValidationError extends Error {
+    /**
+     * @param {string} source - What was being validated (map key, filename)
+     * @param {Array<{path: string, message: string}>} errors
+     */
+    constructor(source, errors) {
+        super(`Invalid map "${source}":\n${formatValidationIssues(errors)}`);
+        this.name = 'MapValidationError';
+        this.errors = errors;
+    }
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+    return typeof value;
+}
+
+function isPointList(value) {
+    return Array.isArray(value) && value.length >= 3 &&
+        value.every(point => typeOf(point?.x) === 'number' && typeOf(point?.y) === 'number');
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function describeTypes(types) {
+    const names = types.map(type => (type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`));
+    return names.join(' or ');
+}
+
+function checkValue(value, schema, path, report) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    if (!types.includes(actual)) {
+        report.error(path, `must be ${describeTypes(types)}`);
+        return;
+    }
+
+    if (actual === 'number') {
+        if (schema.integer && !Number.isInteger(value)) {
+            report.error(path, 'must be a whole number');
+        }
+        if (schema.min !== undefined) {
+            if (schema.exclusive && value <= schema.min) {
+                report.error(path, `must be greater than ${schema.min}`);
+            } else if (value < schema.min) {
+                report.error(path, `must be at least ${schema.min}`);
+            }
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        report.error(path, `must be one of ${schema.enum.join(', ')} (got "${value}")`);
+    }
+    if (schema.known && !schema.known.includes(value)) {
+        report.warning(path, `is not a known value (got "${value}", expected one of ${schema.known.join(', ')})`);
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report.error(path, `must have at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => checkValue(item, schema.items, joinPath(path, index), report));
+        }
+    }
+
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                report.error(joinPath(path, key), 'is required');
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                checkValue(value[key], propertySchema, joinPath(path, key), report);
+            }
+        });
+        if (schema.values) {
+            Object.entries(value).forEach(([key, item]) => checkValue(item, schema.values, joinPath(path, key), report));
+        }
+    }
+}
+
+// Rules that depend on more than one field
+function checkPlatforms(platforms, report, basePath = 'platforms') {
+    const ids = new Map();
+
+    platforms.forEach((platform, index) => {
+        if (typeOf(platform) !== 'object') return;
+        const path = joinPath(basePath, index);
+
+        (SHAPE_REQUIREMENTS[platform.type] || []).forEach(key => {
+            if (platform[key] === undefined) {
+                report.error(joinPath(path, key), `is required for ${platform.type} platforms`);
+            }
+        });
+        if (platform.type !== 'custom') {
+            ['x', 'y'].forEach(key => {
+                if (platform[key] === undefined) {
+                    report.error(joinPath(path, key), 'is required');
+                }
+            });
+        } else if (isPointList(platform.vertices) && !isSimplePolygon(platform.vertices)) {
+            // Matter can't split a self-crossing outline into convex parts
+            report.warning(joinPath(path, 'vertices'), 'cross each other, so the game uses their convex hull');
+        }
+
+        if (typeOf(platform.motion) === 'object') {
+            checkMotion(platform.motion, joinPath(path, 'motion'), report);
+        }
+
+        if (typeOf(platform.hinge) === 'object') {
+            checkHinge(platform.hinge, joinPath(path, 'hinge'), report);
+            if (platform.motion) {
+                report.warning(joinPath(path, 'motion'), 'is ignored on hinged platforms');
+            }
+        }
+
+        if (platform.matter !== undefined) {
+            report.warning(joinPath(path, 'matter'), 'is deprecated; put body properties in physics');
+        }
+
+        if (platform.id !== undefined) {
+            if (ids.has(platform.id)) {
+                report.warning(joinPath(path, 'id'), `duplicates ${basePath}[${ids.get(platform.id)}].id "${platform.id}"`);
+            } else {
+                ids.set(platform.id, index);
+            }
+        }
+    });
+
+    return ids;
+}
+
+function checkMotion(motion, path, report) {
+    const needed = motion.type === 'waypoints' ? ['waypoints'] : ['distance', 'speed'];
+    needed.forEach(key => {
+        if (motion[key] === undefined) {
+            report.error(joinPath(path, key), `is required for ${motion.type} motion`);
+        }
+    });
+
+    const easings = [{ path: joinPath(path, 'easing'), value: motion.easing }];
+    if (Array.isArray(motion.waypoints)) {
+        motion.waypoints.forEach((waypoint, index) => {
+            easings.push({ path: joinPath(joinPath(joinPath(path, 'waypoints'), index), 'easing'), value: waypoint?.easing });
+        });
+    }
+    easings
+        .filter(({ value }) => typeof value === 'string' && !EASE_NAME.test(value))
+        .forEach(({ path: easingPath, value }) => {
+            report.warning(easingPath, `is not a known easing (got "${value}"); Linear is used instead`);
+        });
+}
+
+function checkHinge(hinge, path, report) {
+    const { minAngle, maxAngle, damping, motor } = hinge;
+
+    if (typeof minAngle === 'number' && typeof maxAngle === 'number' && minAngle > maxAngle) {
+        report.error(joinPath(path, 'minAngle'), `must not be more than maxAngle (${maxAngle})`);
+    }
+    if (typeof damping === 'number' && damping > 1) {
+        report.warning(joinPath(path, 'damping'), `is more than 1 (got ${damping}); 1 is used`);
+    }
+    if (typeOf(motor) === 'object') {
+        const needed = { constant: ['speed'], oscillate: ['amplitude', 'period'] }[motor.type] || [];
+        needed.forEach(key => {
+            if (motor[key] === undefined) {
+                report.error(joinPath(joinPath(path, 'motor'), key), `is required for ${motor.type} motors`);
+            }
+        });
+    }
+}
+
+function checkConstraints(constraints, platformIds, report, basePath = 'constraints') {
+    constraints.forEach((constraint, index) => {
+        if (typeOf(constraint) !== 'object') return;
+        const path = joinPath(basePath, index);
+
+        if (constraint.bodyA === undefined && constraint.bodyB === undefined) {
+            report.error(path, 'must attach to at least one body (bodyA or bodyB)');
+        }
+        ['bodyA', 'bodyB'].forEach(key => {
+            const id = constraint[key];
+            if (typeof id === 'string' && !id.startsWith('worm') && !platformIds.has(id)) {
+                report.warning(joinPath(path, key), `references unknown platform "${id}"`);
+            }
+        });
+    });
+}
+
+function checkRopes(ropes, platformIds, report) {
+    const ids = new Map();
+    ropes.forEach((rope, index) => {
+        if (typeOf(rope) !== 'object') return;
+        const path = joinPath('ropes', index);
+
+        if (typeof rope.id === 'string') {
+            if (ids.has(rope.id)) {
+                report.error(joinPath(path, 'id'), `duplicates ropes[${ids.get(rope.id)}].id "${rope.id}"`);
+            } else {
+                ids.set(rope.id, index);
+            }
+        }
+        if (rope.bodyA === undefined && rope.pointA === undefined) {
+            report.error(path, 'must be tied at end A (bodyA or pointA)');
+        }
+        ['bodyA', 'bodyB'].forEach(key => {
+            const id = rope[key];
+            if (typeof id === 'string' && !id.startsWith('worm') && !platformIds.has(id)) {
+                report.warning(joinPath(path, key), `references unknown platform "${id}"; the rope is left out`);
+            }
+        });
+    });
+}
+
+// Check prefab contents and instances. Expanded part ids are added to
+// platformIds so constraints and signals can target them.
+function checkPrefabs(mapData, platformIds, report) {
+    const prefabs = typeOf(mapData.prefabs) === 'object' ? mapData.prefabs : {};
+    const localIds = new Map();
+
+    Object.entries(prefabs).forEach(([key, prefab]) => {
+        if (typeOf(prefab) !== 'object') return;
+        const path = joinPath('prefabs', key);
+        const ids = Array.isArray(prefab.platforms)
+            ? checkPlatforms(prefab.platforms, report, joinPath(path, 'platforms'))
+            : new Map();
+        if (Array.isArray(prefab.constraints)) {
+            checkConstraints(prefab.constraints, ids, report, joinPath(path, 'constraints'));
+        }
+        localIds.set(key, ids);
+    });
+
+    const instances = Array.isArray(mapData.prefabInstances) ? mapData.prefabInstances : [];
+    const instanceIds = new Map();
+
+    instances.forEach((instance, index) => {
+        if (typeOf(instance) !== 'object') return;
+        const path = joinPath('prefabInstances', index);
+
+        if (typeof instance.prefab === 'string' && !localIds.has(instance.prefab)) {
+            report.error(joinPath(path, 'prefab'), `references unknown prefab "${instance.prefab}"`);
+        }
+        if (typeof instance.id !== 'string') return;
+
+        // Part ids are derived from the instance id, so it must be unique
+        if (instanceIds.has(instance.id)) {
+            report.error(joinPath(path, 'id'), `duplicates prefabInstances[${instanceIds.get(instance.id)}].id "${instance.id}"`);
+            return;
+        }
+        instanceIds.set(instance.id, index);
+
+        (localIds.get(instance.prefab) || new Map()).forEach((_, localId) => {
+            platformIds.set(prefabPartId(instance.id, localId), index);
+        });
+    });
+}
+
+// Fields each signal node type needs, and how many inputs it takes
+const SIGNAL_NODE_REQUIREMENTS = {
+    switch: { fields: ['switchId'], inputs: 0 },
+    goal: { fields: ['goal'], inputs: 0 },
+    zone: { fields: ['x', 'y', 'width', 'height'], inputs: 0 },
+    and: { fields: [], inputs: 'many' },
+    or: { fields: [], inputs: 'many' },
+    not: { fields: [], inputs: 1 },
+    delay: { fields: ['delay'], inputs: 1 },
+    latch: { fields: [], inputs: 1 }
+};
+
+// Fields each target action needs
+const SIGNAL_ACTION_REQUIREMENTS = {
+    motion: ['platform'],
+    enable: ['platform'],
+    platformType: ['platform', 'value'],
+    open: ['platform'],
+    reverse: ['platform'],
+    sticker: ['sticker']
+};
+
+function checkSignals(signals, mapData, platformIds, report) {
+    const nodes = Array.isArray(signals.nodes) ? signals.nodes : [];
+    const targets = Array.isArray(signals.targets) ? signals.targets : [];
+    const nodeIndex = new Map();
+
+    nodes.forEach((node, index) => {
+        if (typeOf(node) !== 'object' || typeof node.id !== 'string') return;
+        const path = joinPath(joinPath('signals.nodes', index), 'id');
+        if (nodeIndex.has(node.id)) {
+            report.error(path, `duplicates signals.nodes[${nodeIndex.get(node.id)}].id "${node.id}"`);
+        } else {
+            nodeIndex.set(node.id, index);
+        }
+    });
+
+    const goalCount = mapData.entities?.goals?.length || (mapData.entities?.goal ? 1 : 0);
+
+    nodes.forEach((node, index) => {
+        if (typeOf(node) !== 'object') return;
+        const path = joinPath('signals.nodes', index);
+        const requirements = SIGNAL_NODE_REQUIREMENTS[node.type];
+        if (!requirements) return;
+
+        requirements.fields.forEach(key => {
+            if (node[key] === undefined) {
+                report.error(joinPath(path, key), `is required for ${node.type} nodes`);
+            }
+        });
+
+        const inputs = Array.isArray(node.inputs) ? node.inputs : [];
+        if (requirements.inputs === 0 && inputs.length > 0) {
+            report.warning(joinPath(path, 'inputs'), `is ignored for ${node.type} nodes`);
+        } else if (requirements.inputs === 1 && inputs.length !== 1) {
+            report.error(joinPath(path, 'inputs'), `must have exactly 1 item for ${node.type} nodes`);
+        } else if (requirements.inputs === 'many' && inputs.length === 0) {
+            report.error(joinPath(path, 'inputs'), `must have at least 1 item for ${node.type} nodes`);
+        }
+
+        inputs.forEach((input, inputIndex) => {
+            if (typeof input === 'string' && !nodeIndex.has(input)) {
+                report.error(joinPath(joinPath(path, 'inputs'), inputIndex), `references unknown signal "${input}"`);
+            }
+        });
+        if (typeof node.reset === 'string' && !nodeIndex.has(node.reset)) {
+            report.error(joinPath(path, 'reset'), `references unknown signal "${node.reset}"`);
+        }
+
+        if (node.type === 'goal' && Number.isInteger(node.goal) && node.goal >= goalCount) {
+            report.warning(joinPath(path, 'goal'), `is out of range (the map has ${goalCount} goal(s))`);
+        }
+    });
+
+    // Nodes are evaluated in dependency order, so wiring must not loop
+    const visiting = new Set();
+    const done = new Set();
+    const visit = id => {
+        if (done.has(id) || !nodeIndex.has(id)) return false;
+        if (visiting.has(id)) return true;
+        visiting.add(id);
+        const node = nodes[nodeIndex.get(id)];
+        const upstream = [...(Array.isArray(node.inputs) ? node.inputs : []), node.reset];
+        const loops = upstream.some(input => typeof input === 'string' && visit(input));
+        visiting.delete(id);
+        done.add(id);
+        return loops;
+    };
+    nodeIndex.forEach((index, id) => {
+        if (!done.has(id) && visit(id)) {
+            report.error(joinPath(joinPath('signals.nodes', index), 'inputs'), `forms a loop through "${id}"`);
+        }
+    });
+
+    const stickerIds = new Set((Array.isArray(mapData.stickers) ? mapData.stickers : []).map(sticker => sticker?.id));
+
+    targets.forEach((target, index) => {
+        if (typeOf(target) !== 'object') return;
+        const path = joinPath('signals.targets', index);
+
+        if (typeof target.signal === 'string' && !nodeIndex.has(target.signal)) {
+            report.error(joinPath(path, 'signal'), `references unknown signal "${target.signal}"`);
+        }
+        (SIGNAL_ACTION_REQUIREMENTS[target.action] || []).forEach(key => {
+            if (target[key] === undefined) {
+                report.error(joinPath(path, key), `is required for ${target.action} targets`);
+            }
+        });
+        if (target.platform !== undefined && !platformIds.has(target.platform)) {
+            report.warning(joinPath(path, 'platform'), `references unknown platform "${target.platform}"`);
+        }
+        if (typeof target.sticker === 'string' && !stickerIds.has(target.sticker)) {
+            report.warning(joinPath(path, 'sticker'), `references unknown sticker "${target.sticker}"`);
+        }
+    });
+}
+
+// Portal ids and the exits they lead to (see PortalManager)
+function checkPortals(portals, report) {
+    const ids = new Map();
+    portals.forEach((portal, index) => {
+        if (typeOf(portal) !== 'object' || typeof portal.id !== 'string') return;
+        if (ids.has(portal.id)) {
+            report.error(joinPath(joinPath('entities.portals', index), 'id'), `duplicates entities.portals[${ids.get(portal.id)}].id "${portal.id}"`);
+        } else {
+            ids.set(portal.id, index);
+        }
+    });
+
+    portals.forEach((portal, index) => {
+        if (typeOf(portal) !== 'object' || typeof portal.target !== 'string') return;
+        const path = joinPath(joinPath('entities.portals', index), 'target');
+
+        if (portal.target === portal.id) {
+            report.warning(path, 'is the portal itself; it is an exit only');
+        } else if (!ids.has(portal.target)) {
+            report.warning(path, `references unknown portal "${portal.target}"; it is an exit only`);
+        }
+    });
+}
+
+// Layer definitions, and items their layer changes (see MapLayers)
+function checkLayers(mapData, report) {
+    const definedLayers = Array.isArray(mapData.layers) ? mapData.layers : [];
+    const ids = new Map();
+
+    definedLayers.forEach((layer, index) => {
+        if (typeOf(layer) !== 'object' || typeof layer.id !== 'string') return;
+        const path = joinPath('layers', index);
+
+        if (ids.has(layer.id)) {
+            report.error(joinPath(path, 'id'), `duplicates layers[${ids.get(layer.id)}].id "${layer.id}"`);
+        } else {
+            ids.set(layer.id, index);
+        }
+        if (layer.id === GAMEPLAY_LAYER && isDecorativeLayer(layer)) {
+            report.error(joinPath(path, 'collides'), `can't be false on the ${GAMEPLAY_LAYER} layer`);
+        } else if (layer.parallax !== undefined && layer.parallax !== 1 && !isDecorativeLayer(layer)) {
+            report.warning(joinPath(path, 'parallax'), 'is ignored unless the layer has collides: false');
+        }
+    });
+    if (definedLayers.length > 0 && !ids.has(GAMEPLAY_LAYER)) {
+        report.error('layers', `must include a "${GAMEPLAY_LAYER}" layer`);
+    }
+
+    const layers = getMapLayers(mapData).filter(layer => typeOf(layer) === 'object');
+    const known = new Set(layers.map(layer => layer.id));
+    ['platforms', 'stickers', 'videos'].forEach(section => {
+        (Array.isArray(mapData[section]) ? mapData[section] : []).forEach((item, index) => {
+            if (typeOf(item) !== 'object' || typeof item.layer !== 'string') return;
+            const path = joinPath(joinPath(section, index), 'layer');
+
+            if (!known.has(item.layer)) {
+                report.warning(path, `references unknown layer "${item.layer}"; it is drawn on ${GAMEPLAY_LAYER}`);
+            } else if (section === 'platforms' && isDecorativeLayer(getItemLayer(layers, item)) &&
+                ((item.platformType && item.platformType !== 'standard') || item.motion || item.hinge)) {
+                report.warning(path, `is decoration, so the platform is drawn as a plain shape without its ${item.hinge ? 'hinge' : item.motion ? 'motion' : 'platformType'}`);
+            }
+        });
+    });
+
+    const decorationIds = new Set((Array.isArray(mapData.platforms) ? mapData.platforms : [])
+        .filter(item => typeOf(item) === 'object' && isDecorativeLayer(getItemLayer(layers, item)))
+        .map(item => item.id));
+    ['constraints', 'ropes'].forEach(section => {
+        (Array.isArray(mapData[section]) ? mapData[section] : []).forEach((item, index) => {
+            if (typeOf(item) !== 'object') return;
+            ['bodyA', 'bodyB'].forEach(key => {
+                if (decorationIds.has(item[key])) {
+                    report.warning(joinPath(joinPath(section, index), key), `is decoration "${item[key]}", which has no body`);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Validate map data against the level schema
+ * @param {Object} mapData - Parsed map JSON
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+export function validateMap(mapData) {
+    const errors = [];
+    const warnings = [];
+    const issue = (path, text) => ({ path, message: path ? `${path} ${text}` : `Map ${text}` });
+    const report = {
+        error: (path, text) => errors.push(issue(path, text)),
+        warning: (path, text) => warnings.push(issue(path, text))
+    };
+
+    // SVG maps are converted at load time and have their own format
+    if (mapData?.type === 'svg') {
+        return { valid: true, errors, warnings };
+    }
+
+    checkValue(mapData, MAP_SCHEMA, '', report);
+
+    if (typeOf(mapData) === 'object') {
+        if (mapData.formatVersion > MAP_SCHEMA_VERSION) {
+            report.error('formatVersion', `${mapData.formatVersion} is newer than this game supports (${MAP_SCHEMA_VERSION})`);
+        }
+
+        const entities = mapData.entities;
+        if (typeOf(entities) === 'object' && entities.goal === undefined && !entities.goals?.length) {
+            report.error('entities.goal', 'is required (or a non-empty entities.goals)');
+        }
+        if (typeOf(entities) === 'object' && Array.isArray(entities.portals)) {
+            checkPortals(entities.portals, report);
+        }
+
+        const platformIds = Array.isArray(mapData.platforms) ? checkPlatforms(mapData.platforms, report) : new Map();
+        checkPrefabs(mapData, platformIds, report);
+        if (Array.isArray(mapData.constraints)) {
+            checkConstraints(mapData.constraints, platformIds, report);
+        }
+        if (Array.isArray(mapData.ropes)) {
+            checkRopes(mapData.ropes, platformIds, report);
+        }
+        if (typeOf(mapData.signals) === 'object') {
+            checkSignals(mapData.signals, mapData, platformIds, report);
+        }
+        checkLayers(mapData, report);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Turn validation issues into readable lines
+ * @param {Array<{message: string}>} issues
+ * @param {number} limit - Show at most this many, then summarize the rest
+ * @returns {string}
+ */
+export function formatValidationIssues(issues, limit = 10) {
+    const lines = issues.slice(0, limit).map(issue => `• ${issue.message}`);
+    if (issues.length > limit) {
+        lines.push(`…and ${issues.length - limit} more`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Validate map data and throw if it has errors; warnings are logged
+ * @param {Object} mapData - Parsed map JSON
+ * @param {string} source - Map key or filename for messages
+ * @returns {Object} The same map data
+ */
+export function assertValidMap(mapData, source) {
+    const { valid, errors, warnings } = validateMap(mapData);
+    if (warnings.length > 0) {
+        console.warn(`⚠️ Map "${source}" has ${warnings.length} warning(s):\n${formatValidationIssues(warnings)}`);
+    }
+    if (!valid) {
+        throw new MapValidationError(source, errors);
+    }
+    return mapData;
+}
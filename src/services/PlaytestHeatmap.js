@@ -0,0 +1,118 @@
+import { readRecordingFrames } from '../components/ghost/RecordingFormat';
+import { mapKeyForFile } from './MapHotReload';
+
+/**
+ * PlaytestHeatmap - Where players go, die and get stuck in a level
+ *
+ * Built from the attempts RecordingDatabase keeps in this browser. The level
+ * is split into square cells, and for each cell we add up:
+ *
+ *   visits  how many attempts passed through it
+ *   time    how long worms spent in it, over all attempts
+ *
+ * Deaths keep their position and reason: the one that ended a failed
+ * attempt (its last frame) and any the worm came back from at a checkpoint
+ * (`deaths` in the recording). Positions are the middle of the worm.
+ */
+export const HEATMAP_CELL_SIZE = 48;
+
+// Longer gaps between frames are pauses, not time spent in the level
+const MAX_FRAME_GAP = 250;
+
+function wormCenter(segments) {
+    return {
+        x: segments.reduce((sum, segment) => sum + segment.x, 0) / segments.length,
+        y: segments.reduce((sum, segment) => sum + segment.y, 0) / segments.length
+    };
+}
+
+/**
+ * True if a recording was made on the map. The game records under the map
+ * key and test mode under the filename, so both are compared as keys.
+ * @param {Object} recording
+ * @param {string} mapKey - Key or filename
+ * @returns {boolean}
+ */
+export function isRecordingOfMap(recording, mapKey) {
+    return mapKeyForFile(recording.mapKey || '') === mapKeyForFile(mapKey);
+}
+
+/**
+ * Decode the stored attempts at a map. Recordings that can't be read are skipped.
+ * @param {import('../storage/RecordingDatabase').default} database
+ * @param {string} mapKey - Key or filename
+ * @returns {Promise<Array<{frames: Array, success: boolean, deathReason: string|null, deaths: Array}>>}
+ */
+export async function loadPlaytests(database, mapKey) {
+    const recordings = (await database.getAllRecordings()).filter(recording => isRecordingOfMap(recording, mapKey));
+
+    const attempts = [];
+    for (const recording of recordings) {
+        if (!recording.data && !recording.recordingData) continue;
+        try {
+            attempts.push({
+                frames: await readRecordingFrames(recording),
+                success: !!recording.success,
+                deathReason: recording.deathReason || null,
+                deaths: recording.deaths || []
+            });
+        } catch (error) {
+            console.warn(`🔥 Skipping unreadable recording ${recording.id}:`, error);
+        }
+    }
+    return attempts;
+}
+
+/**
+ * Add up attempts into a heatmap
+ * @param {Array} attempts - From loadPlaytests
+ * @param {{width: number, height: number}} dimensions - Level size
+ * @param {number} [cellSize]
+ * @returns {{cellSize: number, columns: number, rows: number, attempts: number, successes: number,
+ *     visits: number[], time: number[], deaths: Array<{x: number, y: number, reason: string}>,
+ *     deathReasons: Object<string, number>}} `visits` and `time` hold one value per cell, row by row
+ */
+export function buildHeatmap(attempts, dimensions, cellSize = HEATMAP_CELL_SIZE) {
+    const columns = Math.max(1, Math.ceil(dimensions.width / cellSize));
+    const rows = Math.max(1, Math.ceil(dimensions.height / cellSize));
+    const visits = new Array(columns * rows).fill(0);
+    const time = new Array(columns * rows).fill(0);
+    const deaths = [];
+    let successes = 0;
+
+    const cellAt = ({ x, y }) => {
+        const column = Math.floor(x / cellSize);
+        const row = Math.floor(y / cellSize);
+        return column < 0 || row < 0 || column >= columns || row >= rows ? -1 : row * columns + column;
+    };
+
+    attempts.forEach(({ frames, success, deathReason, deaths: respawnDeaths = [] }) => {
+        if (success) successes++;
+
+        const visited = new Set();
+        frames.forEach((frame, index) => {
+            const cell = cellAt(wormCenter(frame.segments));
+            if (cell === -1) return;
+
+            visited.add(cell);
+            const next = frames[index + 1];
+            if (next) {
+                time[cell] += Math.min(Math.max(next.timestamp - frame.timestamp, 0), MAX_FRAME_GAP);
+            }
+        });
+        visited.forEach(cell => visits[cell]++);
+
+        respawnDeaths.forEach(({ x, y, reason }) => deaths.push({ x, y, reason: reason || 'unknown' }));
+        if (!success && frames.length > 0) {
+            const { x, y } = wormCenter(frames[frames.length - 1].segments);
+            deaths.push({ x: Math.round(x), y: Math.round(y), reason: deathReason || 'unknown' });
+        }
+    });
+
+    const deathReasons = {};
+    deaths.forEach(({ reason }) => {
+        deathReasons[reason] = (deathReasons[reason] || 0) + 1;
+    });
+
+    return { cellSize, columns, rows, attempts: attempts.length, successes, visits, time, deaths, deathReasons };
+}
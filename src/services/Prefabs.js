@@ -0,0 +1,243 @@
+/**
+ * Prefabs - Reusable groups of platforms, constraints and stickers
+ *
+ * A map keeps the prefabs it uses in `prefabs`, keyed by name, and places
+ * them with `prefabInstances`:
+ *
+ *   "prefabs": {
+ *     "pendulum": {
+ *       "name": "Pendulum",
+ *       "platforms": [{ "id": "platform_1", "type": "rectangle", "x": 0, "y": 96, ... }],
+ *       "constraints": [{ "id": "constraint_1", "bodyA": "platform_1", "pointB": { "x": 0, "y": 0 } }],
+ *       "stickers": []
+ *     }
+ *   },
+ *   "prefabInstances": [{ "id": "pendulum_1", "prefab": "pendulum", "x": 800, "y": 400 }]
+ *
+ * Prefab coordinates are relative to the instance position. At load time an
+ * instance expands into ordinary platforms, constraints and stickers whose
+ * ids are prefixed with the instance id ("pendulum_1/platform_1"), so two
+ * instances never clash and signals can target their parts.
+ *
+ * Prefabs can also be kept in a shared library in localStorage. Placing one
+ * from the library copies it into the map, so maps stay self-contained.
+ */
+export const PREFAB_ID_SEPARATOR = '/';
+
+const LIBRARY_STORAGE_KEY = 'floppyworm_prefab_library';
+
+/**
+ * Id of a prefab part once its instance is expanded
+ * @param {string} instanceId
+ * @param {string} localId - Id inside the prefab
+ * @returns {string}
+ */
+export function prefabPartId(instanceId, localId) {
+    return `${instanceId}${PREFAB_ID_SEPARATOR}${localId}`;
+}
+
+/**
+ * Turn a display name into a prefab key, e.g. "Red Door" -> "red_door"
+ * @param {string} name
+ * @returns {string}
+ */
+export function prefabKey(name) {
+    return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'prefab';
+}
+
+// A switch and door sharing an id inside the prefab are a local pair; give
+// each instance its own id so one instance's switch doesn't open every door
+function getLocalSwitchIds(platforms) {
+    const switches = new Set();
+    const doors = new Set();
+    platforms.forEach(platform => {
+        if (platform.platformType === 'switch' && platform.switchId) {
+            switches.add(platform.switchId);
+        } else if (platform.platformType === 'door' && (platform.doorId || platform.switchId)) {
+            doors.add(platform.doorId || platform.switchId);
+        }
+    });
+    return new Set([...switches].filter(id => doors.has(id)));
+}
+
+// Custom outlines without a position list world coordinates (see PolygonShape)
+function hasWorldVertices(platform) {
+    return Array.isArray(platform.vertices) && platform.x === undefined;
+}
+
+function offsetPoint(point, dx, dy) {
+    return { ...point, x: (point?.x || 0) + dx, y: (point?.y || 0) + dy };
+}
+
+/**
+ * Expand one instance into map data
+ * @param {Object} prefab - Prefab definition
+ * @param {{id: string, x: number, y: number}} instance
+ * @returns {{platforms: Array, constraints: Array, stickers: Array}}
+ */
+export function expandPrefabInstance(prefab, instance) {
+    const { id: instanceId, x = 0, y = 0 } = instance;
+    const platforms = prefab.platforms || [];
+    const localIds = new Set(platforms.map(platform => platform.id).filter(id => id !== undefined));
+    const localSwitchIds = getLocalSwitchIds(platforms);
+    const remap = id => (localIds.has(id) ? prefabPartId(instanceId, id) : id);
+    const remapSwitch = id => (localSwitchIds.has(id) ? prefabPartId(instanceId, id) : id);
+
+    const expandedPlatforms = platforms.map((platform, index) => {
+        const data = JSON.parse(JSON.stringify(platform));
+        data.id = prefabPartId(instanceId, platform.id ?? `platform_${index}`);
+        if (hasWorldVertices(platform)) {
+            data.vertices = platform.vertices.map(vertex => offsetPoint(vertex, x, y));
+        } else {
+            data.x = (platform.x || 0) + x;
+            data.y = (platform.y || 0) + y;
+        }
+        if (platform.switchId) data.switchId = remapSwitch(platform.switchId);
+        if (platform.doorId) data.doorId = remapSwitch(platform.doorId);
+        return data;
+    });
+
+    const expandedConstraints = (prefab.constraints || []).map((constraint, index) => {
+        const data = JSON.parse(JSON.stringify(constraint));
+        data.id = prefabPartId(instanceId, constraint.id ?? `constraint_${index}`);
+        ['A', 'B'].forEach(end => {
+            const body = constraint[`body${end}`];
+            if (body) {
+                data[`body${end}`] = remap(body);
+            } else if (constraint[`point${end}`]) {
+                // Without a body the point is a world anchor, so it moves with the instance
+                data[`point${end}`] = offsetPoint(constraint[`point${end}`], x, y);
+            }
+        });
+        return data;
+    });
+
+    const expandedStickers = (prefab.stickers || []).map((sticker, index) => ({
+        ...JSON.parse(JSON.stringify(sticker)),
+        id: prefabPartId(instanceId, sticker.id ?? `sticker_${index}`),
+        x: (sticker.x || 0) + x,
+        y: (sticker.y || 0) + y
+    }));
+
+    return { platforms: expandedPlatforms, constraints: expandedConstraints, stickers: expandedStickers };
+}
+
+/**
+ * Expand every prefab instance in a map. Instances of unknown prefabs are
+ * skipped with a warning.
+ * @param {Object} mapData
+ * @returns {{platforms: Array, constraints: Array, stickers: Array}}
+ */
+export function expandPrefabInstances(mapData) {
+    const result = { platforms: [], constraints: [], stickers: [] };
+    const prefabs = mapData.prefabs || {};
+
+    (mapData.prefabInstances || []).forEach(instance => {
+        const prefab = prefabs[instance.prefab];
+        if (!prefab) {
+            console.warn(`🧩 Prefab instance ${instance.id}: unknown prefab "${instance.prefab}"`);
+            return;
+        }
+        const parts = expandPrefabInstance(prefab, instance);
+        result.platforms.push(...parts.platforms);
+        result.constraints.push(...parts.constraints);
+        result.stickers.push(...parts.stickers);
+    });
+
+    return result;
+}
+
+/**
+ * Build a prefab from map data. Ids are shortened to prefab-local ones and
+ * positions made relative to `origin`. Constraints that reach outside the
+ * given platforms can't travel with the prefab and are left out.
+ * @param {string} name - Display name
+ * @param {{platforms: Array, constraints: Array, stickers: Array}} parts
+ * @param {{x: number, y: number}} origin - Becomes the instance position
+ * @returns {{prefab: Object, skippedConstraints: number}}
+ */
+export function createPrefab(name, { platforms = [], constraints = [], stickers = [] }, origin) {
+    const { x: ox, y: oy } = origin;
+    const idMap = new Map();
+
+    const prefabPlatforms = platforms.map((platform, index) => {
+        const data = JSON.parse(JSON.stringify(platform));
+        data.id = `platform_${index + 1}`;
+        if (hasWorldVertices(platform)) {
+            data.vertices = platform.vertices.map(vertex => offsetPoint(vertex, -ox, -oy));
+        } else {
+            data.x = Math.round(platform.x - ox);
+            data.y = Math.round(platform.y - oy);
+        }
+        idMap.set(platform.id, data.id);
+        return data;
+    });
+
+    const kept = constraints.filter(constraint => (
+        [constraint.bodyA, constraint.bodyB].every(body => !body || idMap.has(body))
+    ));
+    const prefabConstraints = kept.map((constraint, index) => {
+        const data = JSON.parse(JSON.stringify(constraint));
+        data.id = `constraint_${index + 1}`;
+        ['A', 'B'].forEach(end => {
+            const body = constraint[`body${end}`];
+            if (body) {
+                data[`body${end}`] = idMap.get(body);
+            } else if (constraint[`point${end}`]) {
+                data[`point${end}`] = offsetPoint(constraint[`point${end}`], -ox, -oy);
+            }
+        });
+        return data;
+    });
+
+    const prefabStickers = stickers.map((sticker, index) => ({
+        ...JSON.parse(JSON.stringify(sticker)),
+        id: `sticker_${index + 1}`,
+        x: Math.round(sticker.x - ox),
+        y: Math.round(sticker.y - oy)
+    }));
+
+    return {
+        prefab: {
+            name,
+            platforms: prefabPlatforms,
+            constraints: prefabConstraints,
+            stickers: prefabStickers
+        },
+        skippedConstraints: constraints.length - kept.length
+    };
+}
+
+/**
+ * Prefabs saved to the shared library
+ * @returns {Object} Prefabs keyed by name
+ */
+export function getPrefabLibrary() {
+    try {
+        return JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('🧩 Failed to read the prefab library:', error);
+        return {};
+    }
+}
+
+/**
+ * Add or replace a prefab in the shared library
+ * @param {string} key
+ * @param {Object} prefab
+ */
+export function savePrefabToLibrary(key, prefab) {
+    const library = getPrefabLibrary();
+    library[key] = prefab;
+    localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+    console.log(`🧩 Saved prefab "${key}" to the library`);
+}
+
+/**
+ * @param {string} key
+ */
+export function removePrefabFromLibrary(key) {
+    const library = getPrefabLibrary();
+    delete library[key];
+    localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+}
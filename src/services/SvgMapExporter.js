@@ -0,0 +1,284 @@
+import { expandPrefabInstances } from './Prefabs';
+import { getCustomPlatformPoints } from '../utils/PolygonShape';
+
+/**
+ * SvgMapExporter - Writes JSON maps in the SVG map format (docs/svg-map-format.md)
+ *
+ * The result opens in Inkscape and loads back through SvgMapScene with the
+ * same geometry and platform properties:
+ *
+ *   - rectangles, circles and custom outlines become <rect>, <circle> and
+ *     <polygon> elements; `angle` becomes a rotate() transform around x/y
+ *   - polygon and trapezoid platforms are drawn unrotated with `data-shape`
+ *     so the parser can rebuild them instead of reading a custom outline
+ *   - `physics`, `motion` and `hinge` go in data-physics / data-motion /
+ *     data-hinge, switch, door and crumble settings in their own data
+ *     attributes, and anything else the platform carries in data-props
+ *   - stickers keep their config in data-config
+ *   - portals keep their facing and exit in data-angle / data-target
+ *
+ * The SVG format has no constraints, ropes, signals or videos yet; those are
+ * left out and listed in `skipped`. Prefab instances are expanded into plain
+ * platforms and stickers.
+ */
+
+// Keys written as geometry or dedicated attributes; the rest go in data-props
+const PLATFORM_KEYS = new Set([
+    'id', 'type', 'platformType', 'x', 'y', 'width', 'height', 'radius', 'sides',
+    'slope', 'vertices', 'angle', 'rotation', 'color', 'chamfer', 'physics', 'motion', 'hinge',
+    'switchId', 'doorId', 'toggleMode', 'slideDirection', 'slideDistance',
+    'indicatorColorOff', 'indicatorColorOn', 'crumbleDelay', 'respawnDelay',
+    'conveyorSpeed', 'conveyorDirection', 'windForce', 'windFalloff', 'windTurbulence',
+    'windOnTime', 'windOffTime', 'windOffset'
+]);
+
+// Preview colors for Inkscape; platforms with their own color override these
+const STYLE = `
+    .platform { fill: #666666; stroke: #000000; stroke-width: 2; }
+    .worm-start { fill: #4CAF50; }
+    .goal { fill: #FFD700; }
+    .checkpoint { fill: #2196F3; }
+    .portal { fill: #6c5ce7; fill-opacity: 0.4; stroke: #6c5ce7; stroke-width: 4; }
+    .sticker { font-family: Arial; }
+`;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// JSON values read better in single quotes, as in the format docs
+function attribute(name, value) {
+    const text = escapeXml(value);
+    return text.includes('"')
+        ? `${name}='${text.replace(/'/g, '&apos;')}'`
+        : `${name}="${text}"`;
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+function formatPoints(points) {
+    return points.map(point => `${formatNumber(point.x)},${formatNumber(point.y)}`).join(' ');
+}
+
+function element(tag, attributes, content) {
+    const attrs = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${attribute(name, value)}`)
+        .join('');
+    return content === undefined
+        ? `<${tag}${attrs}/>`
+        : `<${tag}${attrs}>${escapeXml(content)}</${tag}>`;
+}
+
+function json(value) {
+    return value === undefined ? undefined : JSON.stringify(value);
+}
+
+function colorAttribute(color) {
+    return typeof color === 'number' ? `#${color.toString(16).padStart(6, '0')}` : color;
+}
+
+function rotateTransform(angle, x, y) {
+    return angle ? `rotate(${angle * 180 / Math.PI} ${formatNumber(x)} ${formatNumber(y)})` : undefined;
+}
+
+// Shape element and attributes for one platform, or null if it has no usable geometry
+function platformShape(platform) {
+    const { type, x = 0, y = 0, angle = 0 } = platform;
+
+    switch (type) {
+        case 'rectangle': {
+            const { width, height, chamfer } = platform;
+            return ['rect', {
+                x: formatNumber(x - width / 2),
+                y: formatNumber(y - height / 2),
+                width: formatNumber(width),
+                height: formatNumber(height),
+                rx: typeof chamfer?.radius === 'number' ? formatNumber(chamfer.radius) : undefined,
+                transform: rotateTransform(angle, x, y)
+            }];
+        }
+        case 'circle':
+            return ['circle', {
+                cx: formatNumber(x),
+                cy: formatNumber(y),
+                r: formatNumber(platform.radius),
+                transform: rotateTransform(angle, x, y)
+            }];
+        case 'polygon': {
+            const { sides, radius } = platform;
+            const points = Array.from({ length: sides }, (_, i) => ({
+                x: x + radius * Math.cos(2 * Math.PI * i / sides),
+                y: y + radius * Math.sin(2 * Math.PI * i / sides)
+            }));
+            return ['polygon', {
+                points: formatPoints(points),
+                'data-shape': 'polygon',
+                transform: rotateTransform(platform.rotation || angle, x, y)
+            }];
+        }
+        case 'trapezoid': {
+            const { width, height, slope = 0 } = platform;
+            const halfWidth = width / 2;
+            const halfHeight = height / 2;
+            const slopeOffset = slope * halfHeight;
+            // Same corner order as PlatformFactory, which the parser relies on
+            const points = [
+                { x: x - halfWidth + slopeOffset, y: y - halfHeight },
+                { x: x + halfWidth - slopeOffset, y: y - halfHeight },
+                { x: x + halfWidth, y: y + halfHeight },
+                { x: x - halfWidth, y: y + halfHeight }
+            ];
+            return ['polygon', {
+                points: formatPoints(points),
+                'data-shape': 'trapezoid',
+                transform: rotateTransform(angle, x, y)
+            }];
+        }
+        case 'custom': {
+            if (!Array.isArray(platform.vertices)) return null;
+            // Older outlines in world coordinates have no pivot to rotate around; bake the angle in
+            if (platform.x === undefined) {
+                return ['polygon', { points: formatPoints(getCustomPlatformPoints(platform)) }];
+            }
+            const points = platform.vertices.map(vertex => ({ x: x + vertex.x, y: y + vertex.y }));
+            return ['polygon', { points: formatPoints(points), transform: rotateTransform(angle, x, y) }];
+        }
+        default:
+            return null;
+    }
+}
+
+function platformElement(platform) {
+    const shape = platformShape(platform);
+    if (!shape) return null;
+
+    const [tag, geometry] = shape;
+    const platformType = platform.platformType || 'standard';
+    const extra = Object.fromEntries(
+        Object.entries(platform).filter(([key]) => !PLATFORM_KEYS.has(key))
+    );
+
+    return element(tag, {
+        id: platform.id,
+        class: platformType === 'standard' ? 'platform' : `platform ${platformType}`,
+        ...geometry,
+        fill: platform.color,
+        'data-physics': json(platform.physics),
+        'data-motion': json(platform.motion),
+        'data-hinge': json(platform.hinge),
+        'data-switch-id': platform.switchId,
+        'data-door-id': platform.doorId,
+        'data-toggle-mode': platform.toggleMode,
+        'data-slide-direction': platform.slideDirection,
+        'data-slide-distance': platform.slideDistance,
+        'data-indicator-color-off': colorAttribute(platform.indicatorColorOff),
+        'data-indicator-color-on': colorAttribute(platform.indicatorColorOn),
+        'data-crumble-delay': platform.crumbleDelay,
+        'data-respawn-delay': platform.respawnDelay,
+        'data-conveyor-speed': platform.conveyorSpeed,
+        'data-conveyor-direction': platform.conveyorDirection,
+        'data-wind-force': json(platform.windForce),
+        'data-wind-falloff': platform.windFalloff,
+        'data-wind-turbulence': platform.windTurbulence,
+        'data-wind-on-time': platform.windOnTime,
+        'data-wind-off-time': platform.windOffTime,
+        'data-wind-offset': platform.windOffset,
+        'data-props': Object.keys(extra).length > 0 ? json(extra) : undefined
+    });
+}
+
+function stickerElement(sticker) {
+    const config = sticker.config || {};
+    const fontSize = parseFloat(config.fontSize) || 18;
+    // SVG text sits on its baseline; SvgMapScene moves it back up to the center
+    return element('text', {
+        id: sticker.id,
+        class: 'sticker',
+        x: formatNumber(sticker.x),
+        y: formatNumber(sticker.y + fontSize * 0.3),
+        'text-anchor': 'middle',
+        'font-size': formatNumber(fontSize),
+        fill: config.color || '#888888',
+        'data-config': sticker.config ? json(sticker.config) : undefined
+    }, sticker.text);
+}
+
+function entityElements(entities = {}) {
+    const { wormStart, goal, goals, checkpoints = [], portals = [] } = entities;
+    const circle = (className, point, r) => element('circle', {
+        class: className, cx: formatNumber(point.x), cy: formatNumber(point.y), r
+    });
+
+    const elements = [];
+    if (wormStart) elements.push(circle('worm-start', wormStart, 20));
+    const allGoals = Array.isArray(goals) && goals.length > 0 ? goals : [goal].filter(Boolean);
+    allGoals.forEach(point => elements.push(circle('goal', point, 40)));
+    checkpoints.forEach(point => elements.push(circle('checkpoint', point, 20)));
+    portals.forEach(portal => elements.push(element('circle', {
+        id: portal.id,
+        class: 'portal',
+        cx: formatNumber(portal.x),
+        cy: formatNumber(portal.y),
+        r: 36,
+        'data-angle': portal.angle ? formatNumber(portal.angle * 180 / Math.PI) : undefined,
+        'data-target': portal.target
+    })));
+    return elements;
+}
+
+function layer(id, label, elements) {
+    const open = `  <g id="${id}" inkscape:groupmode="layer" inkscape:label="${label}"`;
+    if (elements.length === 0) return `${open}/>`;
+    return [`${open}>`, ...elements.map(line => `    ${line}`), '  </g>'].join('\n');
+}
+
+/**
+ * Write a map as an SVG document
+ * @param {Object} mapData - JSON map
+ * @returns {{svg: string, skipped: string[]}} The document, and what the SVG format could not hold
+ */
+export function mapToSvg(mapData) {
+    const { metadata = {}, dimensions = {}, entities, constraints = [], ropes = [], videos = [], signals } = mapData;
+    const { width = 1920, height = 1080 } = dimensions;
+    const expanded = expandPrefabInstances(mapData);
+    const platforms = [...(mapData.platforms || []), ...expanded.platforms];
+    const stickers = [...(mapData.stickers || []), ...expanded.stickers];
+
+    const skipped = [];
+    const platformElements = [];
+    platforms.forEach((platform, index) => {
+        const svg = platformElement(platform);
+        if (svg) {
+            platformElements.push(svg);
+        } else {
+            skipped.push(`platform ${platform.id ?? index} (${platform.type})`);
+        }
+    });
+    const constraintCount = constraints.length + expanded.constraints.length;
+    if (constraintCount > 0) skipped.push(`${constraintCount} constraints`);
+    if (ropes.length > 0) skipped.push(`${ropes.length} ropes`);
+    if (videos.length > 0) skipped.push(`${videos.length} videos`);
+    if (signals && Object.keys(signals).length > 0) skipped.push('signals');
+
+    const svg = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+            `viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" ${attribute('data-difficulty', metadata.difficulty ?? 1)}>`,
+        `  ${element('title', {}, metadata.name || 'Untitled Map')}`,
+        metadata.description ? `  ${element('desc', {}, metadata.description)}` : null,
+        `  <style>${STYLE}  </style>`,
+        layer('platforms', 'Platforms', platformElements),
+        layer('entities', 'Entities', entityElements(entities)),
+        layer('stickers', 'Stickers', stickers.map(stickerElement)),
+        '</svg>',
+        ''
+    ].filter(line => line !== null).join('\n');
+
+    return { svg, skipped };
+}
@@ -0,0 +1,105 @@
+/**
+ * LevelPackDatabase - Imported level packs, kept in IndexedDB
+ *
+ * Packs are stored whole, keyed by their category name, so importing a pack
+ * with the same category again replaces it.
+ */
+export default class LevelPackDatabase {
+    constructor() {
+        this.dbName = 'FloppyWormLevelPacks';
+        this.dbVersion = 1;
+        this.db = null;
+        this.initPromise = this.initDatabase();
+    }
+    
+    async initDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            
+            request.onerror = () => {
+                console.error('Failed to open level pack database:', request.error);
+                reject(request.error);
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                
+                if (!db.objectStoreNames.contains('packs')) {
+                    db.createObjectStore('packs', { keyPath: 'id' });
+                }
+            };
+        });
+    }
+    
+    async ensureDatabase() {
+        if (!this.db) {
+            await this.initPromise;
+        }
+        return this.db;
+    }
+    
+    async savePack(pack) {
+        const db = await this.ensureDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['packs'], 'readwrite');
+            const store = transaction.objectStore('packs');
+            const request = store.put({
+                ...pack,
+                id: pack.category.name,
+                importedAt: new Date().toISOString()
+            });
+            
+            request.onsuccess = () => {
+                console.log('📦 Level pack saved:', request.result);
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+    
+    async getAllPacks() {
+        const db = await this.ensureDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['packs'], 'readonly');
+            const store = transaction.objectStore('packs');
+            const request = store.getAll();
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+    
+    async deletePack(id) {
+        const db = await this.ensureDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['packs'], 'readwrite');
+            const store = transaction.objectStore('packs');
+            const request = store.delete(id);
+            
+            request.onsuccess = () => {
+                console.log('📦 Level pack deleted:', id);
+                resolve();
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+}
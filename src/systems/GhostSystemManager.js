@@ -88,14 +88,40 @@ export default class GhostSystemManager {
     }
     
     /**
-     * Record a frame of ghost data
+     * Record one fixed simulation step of ghost data
      * @param {Array} segments - Worm segments to record
-     * @param {number} elapsedTime - Current elapsed time
-     * @param {Object} inputState - Current input state
+     * @param {Object} inputState - Input state the worm consumed this step
+     * @param {number} stepIndex - 1-based simulation step number
+     * @param {number} stepMs - Fixed step length in milliseconds
      */
-    recordFrame(segments, elapsedTime, inputState) {
+    recordStep(segments, inputState, stepIndex, stepMs) {
         if (this.recorder && this.recorder.isRecording && segments) {
-            this.recorder.recordFrame(segments, elapsedTime, inputState);
+            this.recorder.recordStep(segments, inputState, stepIndex, stepMs);
+        }
+    }
+    
+    /**
+     * Record a checkpoint split in the current recording
+     * @param {number} index - Checkpoint index in the map
+     * @param {number} stepIndex - 1-based simulation step number
+     * @param {number} stepMs - Fixed step length in milliseconds
+     */
+    recordCheckpoint(index, stepIndex, stepMs) {
+        if (this.recorder) {
+            this.recorder.recordCheckpoint(index, stepIndex, stepMs);
+        }
+    }
+    
+    /**
+     * Record a death the worm respawned from in the current recording
+     * @param {string} reason
+     * @param {{x: number, y: number}} position - Middle of the worm
+     * @param {number} stepIndex - 1-based simulation step number
+     * @param {number} stepMs - Fixed step length in milliseconds
+     */
+    recordDeath(reason, position, stepIndex, stepMs) {
+        if (this.recorder) {
+            this.recorder.recordDeath(reason, position, stepIndex, stepMs);
         }
     }
     
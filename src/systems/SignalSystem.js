@@ -0,0 +1,276 @@
+import { SIGNAL_SOURCES } from '../services/MapValidator';
+
+/**
+ * SignalSystem - Wires switches, goals and zones to platforms and stickers
+ *
+ * Map JSON:
+ *   "signals": {
+ *     "nodes": [
+ *       { "id": "red", "type": "switch", "switchId": "red" },
+ *       { "id": "ledge", "type": "zone", "x": 400, "y": 300, "width": 200, "height": 100 },
+ *       { "id": "both", "type": "and", "inputs": ["red", "ledge"] },
+ *       { "id": "later", "type": "delay", "inputs": ["both"], "delay": 1000 },
+ *       { "id": "stay", "type": "latch", "inputs": ["later"] }
+ *     ],
+ *     "targets": [
+ *       { "signal": "stay", "action": "motion", "platform": "lift" },
+ *       { "signal": "red", "action": "platformType", "platform": "floor", "value": "ice" }
+ *     ]
+ *   }
+ *
+ * Every node is on or off. Sources read the level (a switch is on while
+ * activated, a goal once collected, a zone while any worm segment is inside
+ * it); gates combine other nodes. A target applies its action while its
+ * signal is on and reverts it while off, or the reverse with `invert`:
+ *
+ *   motion        - platform motion or hinge motor runs (paused while off)
+ *   enable        - platform is shown and solid (hidden and passable while off)
+ *   platformType  - platform becomes `value` (its own type while off)
+ *   open          - door is open (closed while off)
+ *   sticker       - sticker is shown (hidden while off)
+ *   reverse       - conveyor runs backwards (its own direction while off)
+ *
+ * Targets start in their off state. Nodes are evaluated once per fixed step
+ * on simulation time, so wired levels replay exactly.
+ */
+export default class SignalSystem {
+    /**
+     * @param {Object} host - Scene or LevelSimulation with platforms, stickers,
+     *   worm, goalManager and platformFactory
+     * @param {Object} signalsData - The map's `signals` block
+     */
+    constructor(host, signalsData = {}) {
+        this.host = host;
+        this.nodes = SignalSystem.orderNodes(signalsData.nodes || []).map(data => ({
+            data,
+            value: false,
+            // Delay state
+            lastInput: false,
+            pending: []
+        }));
+        this.values = new Map(this.nodes.map(node => [node.data.id, false]));
+
+        this.targets = (signalsData.targets || []).map(data => {
+            const platform = this.findPlatform(data.platform);
+            return {
+                data,
+                active: false,
+                originalType: platform?.data.platformType || 'standard'
+            };
+        });
+
+        this.targets.forEach(target => {
+            target.active = !!target.data.invert;
+            this.applyTarget(target);
+        });
+    }
+
+    /**
+     * Sort nodes so every node comes after its inputs. Nodes on a loop
+     * (rejected by the validator) are left at the end.
+     * @param {Array<Object>} nodes
+     * @returns {Array<Object>}
+     */
+    static orderNodes(nodes) {
+        const byId = new Map(nodes.map(node => [node.id, node]));
+        const ordered = [];
+        const visited = new Set();
+
+        const visit = (node, path) => {
+            if (visited.has(node.id) || path.has(node.id)) return;
+            path.add(node.id);
+            [...(node.inputs || []), node.reset]
+                .filter(id => byId.has(id))
+                .forEach(id => visit(byId.get(id), path));
+            path.delete(node.id);
+            visited.add(node.id);
+            ordered.push(node);
+        };
+
+        nodes.forEach(node => visit(node, new Set()));
+        return ordered;
+    }
+
+    /**
+     * Evaluate every node and apply targets whose signal changed
+     * @param {number} time - Simulation time in milliseconds
+     */
+    update(time) {
+        this.nodes.forEach(node => {
+            node.value = this.evaluate(node, time);
+            this.values.set(node.data.id, node.value);
+        });
+
+        this.targets.forEach(target => {
+            const active = (this.values.get(target.data.signal) || false) !== !!target.data.invert;
+            if (active !== target.active) {
+                target.active = active;
+                this.applyTarget(target);
+            }
+        });
+    }
+
+    /**
+     * Current value of a node
+     * @param {string} id
+     * @returns {boolean}
+     */
+    getValue(id) {
+        return this.values.get(id) || false;
+    }
+
+    evaluate(node, time) {
+        const { type, inputs = [] } = node.data;
+        const input = index => this.values.get(inputs[index]) || false;
+
+        if (SIGNAL_SOURCES.includes(type)) {
+            return this.readSource(node.data);
+        }
+
+        switch (type) {
+            case 'and':
+                return inputs.length > 0 && inputs.every((id, index) => input(index));
+            case 'or':
+                return inputs.some((id, index) => input(index));
+            case 'not':
+                return !input(0);
+            case 'delay': {
+                // Both edges arrive `delay` ms after the input changed
+                const value = input(0);
+                if (value !== node.lastInput) {
+                    node.lastInput = value;
+                    node.pending.push({ at: time + (node.data.delay || 0), value });
+                }
+                let output = node.value;
+                while (node.pending.length > 0 && node.pending[0].at <= time) {
+                    output = node.pending.shift().value;
+                }
+                return output;
+            }
+            case 'latch':
+                // Stays on once set, until the reset signal turns on
+                if (node.data.reset && this.values.get(node.data.reset)) {
+                    return false;
+                }
+                return node.value || input(0);
+            default:
+                return false;
+        }
+    }
+
+    readSource(data) {
+        const { platforms = [], worm, goalManager } = this.host;
+
+        switch (data.type) {
+            case 'switch':
+                return platforms.some(platform =>
+                    platform.instance?.switchId === data.switchId && platform.instance.isActivated
+                );
+            case 'goal':
+                return !!goalManager?.goals[data.goal]?.collected;
+            case 'zone': {
+                // x/y is the zone center, like platforms
+                const left = data.x - data.width / 2;
+                const top = data.y - data.height / 2;
+                return !!worm?.segments?.some(({ position }) =>
+                    position.x >= left && position.x <= left + data.width &&
+                    position.y >= top && position.y <= top + data.height
+                );
+            }
+            default:
+                return false;
+        }
+    }
+
+    findPlatform(id) {
+        if (id === undefined) return null;
+        return (this.host.platforms || []).find(platform => platform.id === id || platform.data?.id === id) || null;
+    }
+
+    applyTarget(target) {
+        const { action, platform: platformId, sticker: stickerId, value } = target.data;
+        const active = target.active;
+        const platform = this.findPlatform(platformId);
+
+        switch (action) {
+            case 'motion':
+                platform?.instance?.setMotionPaused?.(!active);
+                break;
+            case 'enable':
+                if (platform) this.setPlatformEnabled(platform, active);
+                break;
+            case 'platformType':
+                if (platform) this.setPlatformType(platform, active ? value : target.originalType);
+                break;
+            case 'open': {
+                const door = platform?.instance;
+                if (door?.open) {
+                    if (active) door.open(); else door.close();
+                }
+                break;
+            }
+            case 'reverse':
+                platform?.instance?.setReversed?.(active);
+                break;
+            case 'sticker': {
+                const sticker = (this.host.stickers || []).find(s => s.data?.id === stickerId);
+                sticker?.setVisible(active);
+                break;
+            }
+        }
+    }
+
+    setPlatformEnabled(platform, enabled) {
+        if (platform.instance) {
+            platform.instance.setEnabled(enabled);
+            return;
+        }
+
+        // Standard platforms are a bare body and visual
+        if (platform.enabled === enabled || (platform.enabled === undefined && enabled)) return;
+        platform.enabled = enabled;
+        platform.visual?.setVisible(enabled);
+        const filter = platform.body.collisionFilter;
+        if (enabled) {
+            filter.mask = platform.enabledCollisionMask;
+        } else {
+            platform.enabledCollisionMask = filter.mask;
+            filter.mask = 0;
+        }
+    }
+
+    /**
+     * Rebuild a platform as another platformType in place. Motion, pause
+     * and enabled state carry over; constraints attached to it and a
+     * swinging hinge's swing do not.
+     */
+    setPlatformType(platform, platformType) {
+        if ((platform.data.platformType || 'standard') === platformType) return;
+
+        const platforms = this.host.platforms;
+        const index = platforms.indexOf(platform);
+        const replacement = this.host.platformFactory.createFromJSON({ ...platform.data, platformType });
+        if (index === -1 || !replacement) return;
+
+        const old = platform.instance;
+        const wasEnabled = old ? old.enabled : platform.enabled !== false;
+        if (old) {
+            if (replacement.instance && (old.config.motion || old.hinge)) {
+                replacement.instance.motionPaused = old.motionPaused;
+                replacement.instance.motionPausedTime = old.motionPausedTime;
+                replacement.instance.lastUpdateTime = old.lastUpdateTime;
+            }
+            old.destroy();
+        } else {
+            const scene = this.host.platformFactory.scene;
+            scene.matter.world.remove(platform.body);
+            platform.visual?.destroy();
+        }
+
+        platforms[index] = replacement;
+        if (!wasEnabled) {
+            this.setPlatformEnabled(replacement, false);
+        }
+        console.log(`⚡ Platform ${platform.id} is now ${platformType}`);
+    }
+}
@@ -0,0 +1,129 @@
+import Phaser from 'phaser';
+
+const FLAG_COLOR = 0x00cec9;
+const FLAG_REACHED_COLOR = 0x55efc4;
+const POLE_HEIGHT = 60;
+const TOUCH_RADIUS = 30;
+
+/**
+ * Checkpoint flags and respawn points
+ * Used by JsonMapBase and LevelSimulation so both respawn the same way
+ */
+export default class CheckpointManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.checkpoints = [];
+        this.activeCheckpoint = null;
+    }
+
+    /**
+     * Initialize checkpoints from map data
+     * @param {Object} entitiesData - Map entities data containing checkpoints
+     */
+    initializeCheckpoints(entitiesData) {
+        this.checkpoints = (entitiesData.checkpoints || []).map((data, index) =>
+            this.createCheckpoint(data.x, data.y, index)
+        );
+        this.activeCheckpoint = null;
+    }
+
+    /**
+     * Create a checkpoint flag. x/y is where the worm respawns; the pole
+     * stands on that point.
+     */
+    createCheckpoint(x, y, index) {
+        const pole = this.scene.add.rectangle(x, y - POLE_HEIGHT / 2, 4, POLE_HEIGHT, 0xdfe6e9);
+        pole.setDepth(1);
+        const flag = this.scene.add.triangle(x + 2, y - POLE_HEIGHT, 0, 0, 0, 20, 28, 10, FLAG_COLOR);
+        flag.setOrigin(0, 0);
+        flag.setDepth(1);
+
+        return {
+            id: `checkpoint_${index}`,
+            index,
+            x,
+            y,
+            pole,
+            flag,
+            reached: false
+        };
+    }
+
+    /**
+     * Check worm segments against the checkpoints. Touching a checkpoint
+     * makes it the respawn point.
+     * @param {Array} segments - Worm segments to check
+     * @param {Array} segmentRadii - Radii of worm segments
+     * @returns {Object|null} The checkpoint if it was reached for the first time
+     */
+    checkCheckpointCollisions(segments, segmentRadii) {
+        if (!segments) return null;
+
+        for (const checkpoint of this.checkpoints) {
+            if (checkpoint === this.activeCheckpoint) continue;
+
+            const touching = segments.some((segment, i) => Phaser.Math.Distance.Between(
+                segment.position.x, segment.position.y,
+                checkpoint.x, checkpoint.y - POLE_HEIGHT / 2
+            ) < (segmentRadii[i] || 15) + TOUCH_RADIUS);
+
+            if (touching) {
+                const firstTime = !checkpoint.reached;
+                this.activate(checkpoint);
+                return firstTime ? checkpoint : null;
+            }
+        }
+
+        return null;
+    }
+
+    activate(checkpoint) {
+        if (this.activeCheckpoint) {
+            this.activeCheckpoint.flag.setFillStyle(FLAG_REACHED_COLOR, 0.6);
+        }
+        this.activeCheckpoint = checkpoint;
+
+        if (checkpoint.reached) {
+            checkpoint.flag.setFillStyle(FLAG_REACHED_COLOR, 1);
+            return;
+        }
+        checkpoint.reached = true;
+        checkpoint.flag.setFillStyle(FLAG_REACHED_COLOR, 1);
+
+        // Raise the flag
+        this.scene.tweens.add({
+            targets: checkpoint.flag,
+            scaleY: 1.4,
+            duration: 150,
+            yoyo: true,
+            ease: 'Power2'
+        });
+
+        if (this.scene.registry.get('splatSynthesizer')) {
+            this.scene.registry.get('splatSynthesizer').playGoalCollect(0.3);
+        }
+
+        console.log(`🚩 Checkpoint ${checkpoint.index + 1} reached`);
+    }
+
+    /**
+     * Where the worm comes back after a death
+     * @returns {{x: number, y: number}|null} Null when no checkpoint has been reached
+     */
+    getRespawnPoint() {
+        if (!this.activeCheckpoint) return null;
+        return { x: this.activeCheckpoint.x, y: this.activeCheckpoint.y };
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.checkpoints.forEach(checkpoint => {
+            checkpoint.pole.destroy();
+            checkpoint.flag.destroy();
+        });
+        this.checkpoints = [];
+        this.activeCheckpoint = null;
+    }
+}
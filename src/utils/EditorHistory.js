@@ -0,0 +1,99 @@
+// Enough for a long editing session without filling sessionStorage
+const HISTORY_LIMIT = 100;
+
+// Property edits to the same field closer together than this undo as one step,
+// so dragging a slider doesn't leave a command per frame
+const MERGE_WINDOW_MS = 1000;
+
+/**
+ * Undo/redo history for MapEditor
+ *
+ * Each command records the editor state before and after a change as JSON.
+ * Commands stay plain data, so the history can be saved with the editing
+ * session and restored after a reload.
+ */
+export default class EditorHistory {
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    /**
+     * Add a command. New changes clear the redo stack.
+     * @param {string} label - Shown when the command is undone or redone
+     * @param {string} before - Editor state before the change
+     * @param {string} after - Editor state after the change
+     * @param {string} [mergeKey] - Commands with the same key in quick succession are merged
+     * @returns {boolean} False if nothing changed
+     */
+    push(label, before, after, mergeKey = null) {
+        if (before === after) return false;
+        
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (mergeKey && last && last.mergeKey === mergeKey && now - last.time < MERGE_WINDOW_MS) {
+            last.after = after;
+            last.time = now;
+        } else {
+            this.undoStack.push({ label, before, after, mergeKey, time: now });
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+        
+        this.redoStack = [];
+        return true;
+    }
+    
+    /**
+     * @returns {Object|null} The command to revert, or null if there is nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        
+        this.redoStack.push(command);
+        return command;
+    }
+    
+    /**
+     * @returns {Object|null} The command to re-apply, or null if there is nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        
+        this.undoStack.push(command);
+        return command;
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    toJSON() {
+        return {
+            undo: this.undoStack,
+            redo: this.redoStack
+        };
+    }
+    
+    /**
+     * Restore stacks saved with toJSON()
+     * @param {Object} data
+     */
+    load(data) {
+        this.undoStack = Array.isArray(data?.undo) ? data.undo.slice(-this.limit) : [];
+        this.redoStack = Array.isArray(data?.redo) ? data.redo : [];
+    }
+}
@@ -1,3 +1,5 @@
+import Phaser from 'phaser';
+
 /**
  * Shared goal collection logic and effects
  * Used by both JsonMapBase and PlaybackScene to ensure consistent behavior
@@ -97,6 +99,7 @@ export default class GoalCollectionManager {
                     
                     // Emit event to update UI
                     this.scene.events.emit('ui-update-stars', this.collectedGoals.size);
+                    this.scene.events.emit('goal-collected', { id: goal.id });
                     
                     // Check if all goals are collected
                     if (this.collectedGoals.size === this.goals.length) {
@@ -0,0 +1,80 @@
+import { HINGE_MOTOR_TYPES } from '../services/MapValidator';
+
+/**
+ * Hinge - Turns a platform about a pivot
+ *
+ * Hinge config:
+ *   {
+ *     pivot: { x: 0, y: -200 },  // offset from the platform's center, in map axes
+ *     minAngle: -0.8,            // radians from the starting angle; leave both out to spin freely
+ *     maxAngle: 0.8,
+ *     damping: 0.02,             // share of the swing lost each step
+ *     motor: { type: 'constant', speed: 1.5 }                    // radians per second, clockwise
+ *         or { type: 'oscillate', amplitude: 0.6, period: 3000 } // radians either side, ms per cycle
+ *   }
+ *
+ * Without a motor the platform swings: gravity and the worm turn it. With
+ * one it is driven, so its angle is a pure function of time like a
+ * WaypointPath and replays exactly; limits clamp a driven angle too.
+ */
+export default class Hinge {
+    /**
+     * @param {Object} hinge - Hinge config
+     * @param {{x: number, y: number}} center - The platform's starting position
+     */
+    constructor(hinge, center) {
+        const { pivot = {}, minAngle, maxAngle, damping = 0.01, motor } = hinge;
+
+        this.pivot = {
+            x: center.x + (pivot.x || 0),
+            y: center.y + (pivot.y || 0)
+        };
+        this.minAngle = typeof minAngle === 'number' ? minAngle : -Infinity;
+        this.maxAngle = typeof maxAngle === 'number' ? maxAngle : Infinity;
+        this.damping = Math.min(1, Math.max(0, damping));
+
+        this.motor = null;
+        if (motor && HINGE_MOTOR_TYPES.includes(motor.type)) {
+            this.motor = motor.type === 'constant'
+                ? { type: 'constant', speed: motor.speed || 0 }
+                : { type: 'oscillate', amplitude: motor.amplitude || 0, period: Math.max(1, motor.period || 2000) };
+        }
+    }
+
+    /**
+     * Keep an angle inside the limits
+     * @param {number} angle - Radians from the starting angle
+     * @returns {number}
+     */
+    clampAngle(angle) {
+        return Math.min(this.maxAngle, Math.max(this.minAngle, angle));
+    }
+
+    /**
+     * Where the motor has turned the platform to
+     * @param {number} time - Motion clock in ms
+     * @returns {number} Radians from the starting angle
+     */
+    getMotorAngle(time) {
+        if (!this.motor) return 0;
+
+        const angle = this.motor.type === 'constant'
+            ? this.motor.speed * time / 1000
+            : this.motor.amplitude * Math.sin(2 * Math.PI * time / this.motor.period);
+        return this.clampAngle(angle);
+    }
+
+    /**
+     * Fastest the motor moves a point `reach` pixels from the pivot
+     * @param {number} reach - Distance from the pivot in pixels
+     * @returns {number} Pixels per second
+     */
+    getPeakSpeed(reach) {
+        if (!this.motor) return 0;
+
+        const angularSpeed = this.motor.type === 'constant'
+            ? Math.abs(this.motor.speed)
+            : Math.abs(this.motor.amplitude) * 2 * Math.PI * 1000 / this.motor.period;
+        return angularSpeed * reach;
+    }
+}
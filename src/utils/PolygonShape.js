@@ -0,0 +1,335 @@
+/**
+ * PolygonShape - Geometry for custom (vertex outline) platforms
+ *
+ * A custom platform stores its outline in `vertices`. When the platform has
+ * an `x`/`y` position the vertices are relative to it and `angle` rotates
+ * them around it; the editor always writes this form, with `x`/`y` at the
+ * centroid. Without a position the vertices are world coordinates, as in
+ * older hand-written maps.
+ *
+ * Matter bodies have to be convex, so concave outlines are split into convex
+ * parts that become one compound body. No Phaser here: the map validator
+ * runs these checks on the server too.
+ */
+
+const EPSILON = 1e-6;
+
+function cross(origin, a, b) {
+    return (a.x - origin.x) * (b.y - origin.y) - (a.y - origin.y) * (b.x - origin.x);
+}
+
+function distanceToSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared))
+        : 0;
+    return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+}
+
+// Drop repeated points, which would make zero-length edges
+function removeDuplicatePoints(points) {
+    return points.filter((point, index) => {
+        const next = points[(index + 1) % points.length];
+        return points.length === 1 || point.x !== next.x || point.y !== next.y;
+    });
+}
+
+// Drop points in the middle of a straight edge; they would give ears no area
+function removeCollinearPoints(points) {
+    let result = points;
+    let removed = true;
+    while (removed && result.length > 3) {
+        removed = false;
+        for (let i = 0; i < result.length; i++) {
+            const previous = result[(i + result.length - 1) % result.length];
+            const next = result[(i + 1) % result.length];
+            if (Math.abs(cross(previous, result[i], next)) < EPSILON) {
+                result = result.filter((_, index) => index !== i);
+                removed = true;
+                break;
+            }
+        }
+    }
+    return result;
+}
+
+function segmentsIntersect(a, b, c, d) {
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return true;
+    }
+
+    // Touching counts as crossing
+    const onSegment = (start, end, point) => (
+        Math.min(start.x, end.x) - EPSILON <= point.x && point.x <= Math.max(start.x, end.x) + EPSILON &&
+        Math.min(start.y, end.y) - EPSILON <= point.y && point.y <= Math.max(start.y, end.y) + EPSILON
+    );
+    return (Math.abs(d1) < EPSILON && onSegment(c, d, a)) ||
+        (Math.abs(d2) < EPSILON && onSegment(c, d, b)) ||
+        (Math.abs(d3) < EPSILON && onSegment(a, b, c)) ||
+        (Math.abs(d4) < EPSILON && onSegment(a, b, d));
+}
+
+/**
+ * Signed area; positive when the points run clockwise on screen (y down)
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {number}
+ */
+export function getPolygonArea(points) {
+    let area = 0;
+    points.forEach((point, index) => {
+        const next = points[(index + 1) % points.length];
+        area += point.x * next.y - next.x * point.y;
+    });
+    return area / 2;
+}
+
+/**
+ * Center of mass of the outline. Matter puts body.position here.
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{x: number, y: number}}
+ */
+export function getPolygonCentroid(points) {
+    const area = getPolygonArea(points);
+    if (Math.abs(area) < EPSILON) {
+        // No area to weigh; use the average vertex
+        return {
+            x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+            y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+        };
+    }
+
+    let x = 0;
+    let y = 0;
+    points.forEach((point, index) => {
+        const next = points[(index + 1) % points.length];
+        const factor = point.x * next.y - next.x * point.y;
+        x += (point.x + next.x) * factor;
+        y += (point.y + next.y) * factor;
+    });
+    return { x: x / (6 * area), y: y / (6 * area) };
+}
+
+/**
+ * True if the outline has at least three corners, encloses some area and
+ * no two edges cross or touch
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {boolean}
+ */
+export function isSimplePolygon(points) {
+    const outline = removeDuplicatePoints(points);
+    const count = outline.length;
+    if (count < 3 || Math.abs(getPolygonArea(outline)) < EPSILON) return false;
+
+    for (let i = 0; i < count; i++) {
+        for (let j = i + 1; j < count; j++) {
+            // Adjacent edges share a corner
+            if (j === i + 1 || (i === 0 && j === count - 1)) continue;
+            if (segmentsIntersect(outline[i], outline[(i + 1) % count], outline[j], outline[(j + 1) % count])) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+function isConvexPiece(points, indices) {
+    return indices.every((index, i) => {
+        const previous = points[indices[(i + indices.length - 1) % indices.length]];
+        const next = points[indices[(i + 1) % indices.length]];
+        return cross(previous, points[index], next) >= -EPSILON;
+    });
+}
+
+function isPointInTriangle(point, a, b, c) {
+    return cross(a, b, point) >= 0 && cross(b, c, point) >= 0 && cross(c, a, point) >= 0;
+}
+
+// Ear clipping; expects a simple outline with positive area
+function triangulate(points) {
+    const remaining = points.map((_, index) => index);
+    const triangles = [];
+
+    while (remaining.length > 3) {
+        const count = remaining.length;
+        const ear = remaining.findIndex((index, i) => {
+            const previous = remaining[(i + count - 1) % count];
+            const next = remaining[(i + 1) % count];
+            const [a, b, c] = [points[previous], points[index], points[next]];
+            if (cross(a, b, c) <= EPSILON) return false;
+            return !remaining.some(other => (
+                other !== previous && other !== index && other !== next && isPointInTriangle(points[other], a, b, c)
+            ));
+        });
+        if (ear === -1) return null;
+
+        triangles.push([remaining[(ear + count - 1) % count], remaining[ear], remaining[(ear + 1) % count]]);
+        remaining.splice(ear, 1);
+    }
+
+    triangles.push(remaining);
+    return triangles;
+}
+
+// Join two pieces along an edge they share (a→b in one, b→a in the other)
+function joinPieces(first, second) {
+    for (let i = 0; i < first.length; i++) {
+        const a = first[i];
+        const b = first[(i + 1) % first.length];
+        const j = second.indexOf(b);
+        if (j !== -1 && second[(j + 1) % second.length] === a) {
+            const fromB = [...first.slice(i + 1), ...first.slice(0, i + 1)];
+            const fromA = [...second.slice(j + 1), ...second.slice(0, j + 1)];
+            return [...fromB, ...fromA.slice(1, -1)];
+        }
+    }
+    return null;
+}
+
+// Hertel-Mehlhorn: merge triangles while the result stays convex
+function mergeConvexPieces(points, pieces) {
+    let merged = true;
+    while (merged) {
+        merged = false;
+        for (let i = 0; i < pieces.length && !merged; i++) {
+            for (let j = i + 1; j < pieces.length && !merged; j++) {
+                const joined = joinPieces(pieces[i], pieces[j]);
+                if (joined && isConvexPiece(points, joined)) {
+                    pieces[i] = joined;
+                    pieces.splice(j, 1);
+                    merged = true;
+                }
+            }
+        }
+    }
+    return pieces;
+}
+
+/**
+ * Split an outline into convex parts for a Matter compound body
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<Array<{x: number, y: number}>>|null} Null if the outline crosses itself
+ */
+export function decomposePolygon(points) {
+    let outline = removeCollinearPoints(removeDuplicatePoints(points));
+    if (!isSimplePolygon(outline)) return null;
+
+    if (getPolygonArea(outline) < 0) {
+        outline = [...outline].reverse();
+    }
+    const indices = outline.map((_, index) => index);
+    if (isConvexPiece(outline, indices)) {
+        return [outline];
+    }
+
+    const triangles = triangulate(outline);
+    if (!triangles) return null;
+    return mergeConvexPieces(outline, triangles).map(piece => piece.map(index => outline[index]));
+}
+
+/**
+ * Round off corners by cutting each one (Chaikin). Every pass doubles the
+ * number of vertices.
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} [iterations=1]
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function smoothPolygon(points, iterations = 1) {
+    let result = points;
+    for (let pass = 0; pass < iterations; pass++) {
+        result = result.flatMap((point, index) => {
+            const next = result[(index + 1) % result.length];
+            return [
+                { x: point.x * 0.75 + next.x * 0.25, y: point.y * 0.75 + next.y * 0.25 },
+                { x: point.x * 0.25 + next.x * 0.75, y: point.y * 0.25 + next.y * 0.75 }
+            ];
+        });
+    }
+    return result;
+}
+
+function simplifyPath(points, tolerance) {
+    if (points.length <= 2) return points;
+
+    const start = points[0];
+    const end = points[points.length - 1];
+    let farthest = 0;
+    let maxDistance = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const distance = distanceToSegment(points[i], start, end);
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            farthest = i;
+        }
+    }
+    if (maxDistance <= tolerance) return [start, end];
+
+    const before = simplifyPath(points.slice(0, farthest + 1), tolerance);
+    const after = simplifyPath(points.slice(farthest), tolerance);
+    return [...before.slice(0, -1), ...after];
+}
+
+/**
+ * Remove vertices that change the outline by less than `tolerance` pixels
+ * (Ramer-Douglas-Peucker)
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} [tolerance=2]
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function simplifyPolygon(points, tolerance = 2) {
+    if (points.length <= 3) return points;
+
+    // Split the ring at the vertex farthest from the first so both halves are open paths
+    let farthest = 0;
+    let maxDistance = 0;
+    points.forEach((point, index) => {
+        const distance = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            farthest = index;
+        }
+    });
+    if (farthest === 0) return points;
+
+    const first = simplifyPath(points.slice(0, farthest + 1), tolerance);
+    const second = simplifyPath([...points.slice(farthest), points[0]], tolerance);
+    const result = [...first.slice(0, -1), ...second.slice(0, -1)];
+    return result.length >= 3 ? result : points;
+}
+
+/**
+ * World-space outline of a custom platform, with its angle applied
+ * @param {Object} platformData
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getCustomPlatformPoints(platformData) {
+    const { vertices = [], x, y, angle = 0 } = platformData;
+    const hasPosition = x !== undefined && y !== undefined;
+    const pivot = hasPosition ? { x, y } : getPolygonCentroid(vertices);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return vertices.map(vertex => {
+        const dx = hasPosition ? vertex.x : vertex.x - pivot.x;
+        const dy = hasPosition ? vertex.y : vertex.y - pivot.y;
+        return { x: pivot.x + dx * cos - dy * sin, y: pivot.y + dx * sin + dy * cos };
+    });
+}
+
+/**
+ * Position and relative vertices for a world-space outline, in whole pixels
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{x: number, y: number, vertices: Array<{x: number, y: number}>}}
+ */
+export function centerPolygon(points) {
+    const centroid = getPolygonCentroid(points);
+    const x = Math.round(centroid.x);
+    const y = Math.round(centroid.y);
+    const vertices = points.map(point => ({ x: Math.round(point.x - x), y: Math.round(point.y - y) }));
+    return { x, y, vertices: removeDuplicatePoints(vertices) };
+}
@@ -0,0 +1,151 @@
+import Phaser from 'phaser';
+
+const PORTAL_RADIUS = 36;
+// Space between the exit's rim and the head, so it doesn't arrive touching the portal
+const EXIT_GAP = 4;
+// One color per linked pair so players can tell which portals go together
+const PAIR_COLORS = [0x6c5ce7, 0xe17055, 0x00b894, 0xfdcb6e, 0xe84393, 0x0984e3];
+
+/**
+ * Linked portals. The worm's head entering a portal sends the whole worm to
+ * the portal named by its `target`; a portal without one is an exit only.
+ * `angle` is the way the mouth faces in radians: 0 is up, turning clockwise
+ * like platforms.
+ * Used by JsonMapBase and LevelSimulation so both teleport the same way
+ */
+export default class PortalManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.portals = [];
+    }
+
+    /**
+     * Initialize portals from map data
+     * @param {Object} entitiesData - Map entities data containing portals
+     */
+    initializePortals(entitiesData) {
+        this.portals = (entitiesData.portals || []).map((data, index) => ({
+            id: data.id || `portal_${index}`,
+            index,
+            x: data.x,
+            y: data.y,
+            angle: data.angle || 0,
+            targetId: data.target || null,
+            target: null,
+            // False while the head is still in the portal it just came out of
+            armed: true,
+            graphics: null
+        }));
+
+        const colors = new Map();
+        this.portals.forEach(portal => {
+            portal.target = this.portals.find(other => other.id === portal.targetId && other !== portal) || null;
+
+            const pairKey = portal.target ? [portal.id, portal.target.id].sort().join('|') : portal.id;
+            if (!colors.has(pairKey)) {
+                colors.set(pairKey, PAIR_COLORS[colors.size % PAIR_COLORS.length]);
+            }
+            portal.graphics = this.createPortalGraphics(portal, colors.get(pairKey));
+        });
+    }
+
+    /**
+     * Draw a portal: a ring with a chevron on the side its mouth faces
+     */
+    createPortalGraphics(portal, color) {
+        const graphics = this.scene.add.graphics();
+        graphics.setPosition(portal.x, portal.y);
+        graphics.setRotation(portal.angle);
+        graphics.setDepth(1);
+
+        graphics.fillStyle(color, 0.3);
+        graphics.fillCircle(0, 0, PORTAL_RADIUS);
+        graphics.lineStyle(4, color, 1);
+        graphics.strokeCircle(0, 0, PORTAL_RADIUS);
+        graphics.lineStyle(2, 0xffffff, 0.6);
+        graphics.strokeCircle(0, 0, PORTAL_RADIUS * 0.6);
+
+        // Chevron on the mouth side, faded on exit-only portals
+        graphics.fillStyle(color, portal.target ? 1 : 0.5);
+        graphics.fillTriangle(-10, -PORTAL_RADIUS - 4, 10, -PORTAL_RADIUS - 4, 0, -PORTAL_RADIUS - 16);
+
+        return graphics;
+    }
+
+    /**
+     * Teleport the worm if its head has entered a linked portal
+     * @param {WormBase} worm
+     * @returns {{from: Object, to: Object, offset: {x: number, y: number}}|null} The teleport, if one happened
+     */
+    checkPortals(worm) {
+        const head = worm && worm.getHead();
+        if (!head) return null;
+
+        const headRadius = worm.segmentRadii[0] || 15;
+
+        for (const portal of this.portals) {
+            const inside = Phaser.Math.Distance.Between(
+                head.position.x, head.position.y,
+                portal.x, portal.y
+            ) < PORTAL_RADIUS + headRadius;
+
+            if (!portal.armed) {
+                portal.armed = !inside;
+                continue;
+            }
+
+            if (inside && portal.target) {
+                return this.teleport(worm, portal, portal.target);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Move the worm so its head comes out of `to`'s mouth, keeping its shape,
+     * with its velocity turned from going into `from` to coming out of `to`
+     */
+    teleport(worm, from, to) {
+        const head = worm.getHead();
+        const headRadius = worm.segmentRadii[0] || 15;
+        const distance = PORTAL_RADIUS + headRadius + EXIT_GAP;
+
+        const offset = {
+            x: to.x + Math.sin(to.angle) * distance - head.position.x,
+            y: to.y - Math.cos(to.angle) * distance - head.position.y
+        };
+        worm.teleport(offset, to.angle - from.angle + Math.PI);
+        to.armed = false;
+
+        [from, to].forEach(portal => {
+            this.scene.tweens.add({
+                targets: portal.graphics,
+                scale: 1.2,
+                duration: 120,
+                yoyo: true,
+                ease: 'Power2'
+            });
+        });
+
+        if (this.scene.registry.get('splatSynthesizer')) {
+            this.scene.registry.get('splatSynthesizer').playGoalCollect(0.2);
+        }
+
+        console.log(`🌀 Portal ${from.id} → ${to.id}`);
+
+        return { from, to, offset };
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.portals.forEach(portal => {
+            if (portal.graphics) {
+                portal.graphics.destroy();
+            }
+        });
+        this.portals = [];
+    }
+}
@@ -28,6 +28,21 @@ const Random = {
         this.initialSeed = seed;
     },
 
+    /**
+     * Derive the stable seed for a map from its key
+     * @param {string} mapKey - The map key
+     * @returns {number} Seed value (12345 if no key is given)
+     */
+    seedFromMapKey(mapKey) {
+        if (!mapKey) {
+            return 12345; // Fallback seed if no map key
+        }
+        // Generate a stable hash from the map key, starting with 42 as base seed
+        return mapKey.split('').reduce((acc, char, index) => {
+            return acc + (char.charCodeAt(0) * (index + 1));
+        }, 42);
+    },
+
     /**
      * Reset to the initial seed
      */
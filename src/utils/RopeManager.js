@@ -0,0 +1,351 @@
+import Phaser from 'phaser';
+import FirePlatform from '../entities/FirePlatform';
+
+// Distance between link centers; a rope gets as many links as fit its length
+const LINK_SPACING = 20;
+const MAX_LINKS = 80;
+// Length of a rope with a free end and no length of its own
+const DEFAULT_FREE_LENGTH = 200;
+
+// Physical and drawn feel of each rope style
+const STYLE_SETTINGS = {
+    rope: { radius: 5, density: 0.004, stiffness: 0.9, damping: 0.05, frictionAir: 0.02, color: 0x8d6e63, width: 6 },
+    chain: { radius: 6, density: 0.02, stiffness: 1, damping: 0.1, frictionAir: 0.01, color: 0x90a4ae, width: 4 }
+};
+
+/**
+ * Where a rope's links rest before physics takes over: a sag between two
+ * ends with the rope's length, or straight down from the first end when the
+ * other is free
+ * @param {{x: number, y: number}} start - World position of end A
+ * @param {{x: number, y: number}|null} end - World position of end B, or null
+ * @param {number} length - Rope length in pixels
+ * @param {number} count - Number of links
+ * @returns {Array<{x: number, y: number}>} Link positions from A to B
+ */
+export function getRopeRestPoints(start, end, length, count) {
+    const spacing = length / (end ? count + 1 : count);
+    if (!end) {
+        return Array.from({ length: count }, (_, i) => ({ x: start.x, y: start.y + spacing * (i + 1) }));
+    }
+
+    // A parabola with the rope's arc length is close enough to a catenary
+    const chord = Phaser.Math.Distance.Between(start.x, start.y, end.x, end.y);
+    const sag = Math.sqrt(Math.max(0, length * length - chord * chord) * 3 / 16);
+    return Array.from({ length: count }, (_, i) => {
+        const t = (i + 1) / (count + 1);
+        return {
+            x: start.x + (end.x - start.x) * t,
+            y: start.y + (end.y - start.y) * t + sag * 4 * t * (1 - t)
+        };
+    });
+}
+
+/**
+ * A rope's length: its own, or the distance between its ends
+ * @param {{x: number, y: number}} start - World position of end A
+ * @param {{x: number, y: number}|null} end - World position of end B, or null
+ * @param {number} [length] - The rope's `length`
+ * @returns {number}
+ */
+export function getRopeLength(start, end, length) {
+    if (length) return length;
+    return end ? Phaser.Math.Distance.Between(start.x, start.y, end.x, end.y) : DEFAULT_FREE_LENGTH;
+}
+
+/**
+ * Color a rope is drawn in
+ * @param {Object} rope - Rope data
+ * @returns {number}
+ */
+export function getRopeColor(rope) {
+    return rope.color
+        ? parseInt(rope.color.replace('#', '0x'))
+        : (STYLE_SETTINGS[rope.style] || STYLE_SETTINGS.rope).color;
+}
+
+/**
+ * Draw a rope as a smooth curve through its points
+ * @param {Phaser.GameObjects.Graphics} graphics
+ * @param {Object} rope - Rope data
+ * @param {Array<{x: number, y: number}>} points - End and link positions, in order
+ * @param {number} [alpha=1]
+ */
+export function drawRopeCurve(graphics, rope, points, alpha = 1) {
+    const style = STYLE_SETTINGS[rope.style] || STYLE_SETTINGS.rope;
+    const color = getRopeColor(rope);
+
+    // A single link burnt off on its own is just a knot
+    if (points.length < 2) {
+        points.forEach(point => {
+            graphics.fillStyle(color, alpha);
+            graphics.fillCircle(point.x, point.y, style.radius);
+        });
+        return;
+    }
+
+    const curve = new Phaser.Curves.Spline(points.map(point => new Phaser.Math.Vector2(point.x, point.y)));
+    graphics.lineStyle(style.width, color, alpha);
+    graphics.strokePoints(curve.getPoints(points.length * 4), false, false);
+
+    // Chains show their links
+    if (rope.style === 'chain') {
+        graphics.lineStyle(2, 0x546e7a, alpha);
+        points.forEach(point => graphics.strokeCircle(point.x, point.y, style.radius));
+    }
+}
+
+/**
+ * Number of links a rope of the given length is made of
+ * @param {number} length - Rope length in pixels
+ * @returns {number}
+ */
+export function getRopeLinkCount(length) {
+    return Phaser.Math.Clamp(Math.round(length / LINK_SPACING), 2, MAX_LINKS);
+}
+
+/**
+ * Ropes and chains: a line of small bodies joined end to end, hung between
+ * two anchors or from one. The worm can grab the links, and fire platforms
+ * burn through them.
+ * Used by JsonMapBase and LevelSimulation so both simulate ropes the same way
+ */
+export default class RopeManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.Matter = Phaser.Physics.Matter.Matter;
+        this.ropes = [];
+        this.graphics = null;
+        this.findBody = null;
+
+        this.handleCollisionStart = this.handleCollisionStart.bind(this);
+    }
+
+    /**
+     * Initialize ropes from map data
+     * @param {Array<Object>} ropesData - The map's `ropes`
+     * @param {Function} findBody - Resolves a platform or worm id to its body
+     */
+    initializeRopes(ropesData = [], findBody) {
+        this.findBody = findBody;
+        this.ropes = ropesData
+            .map((data, index) => this.createRope(data, index))
+            .filter(Boolean);
+
+        if (this.ropes.length > 0) {
+            this.scene.matter.world.on('collisionstart', this.handleCollisionStart);
+            this.graphics = this.scene.add.graphics();
+            this.graphics.setDepth(10); // With constraints: above platforms, below the worm
+        }
+    }
+
+    /**
+     * Resolve one end of a rope
+     * @returns {{body: Object|null, point: {x: number, y: number}}|null|undefined}
+     *   The end, null for a free end, or undefined if its body is missing
+     */
+    resolveEnd(bodyId, point) {
+        if (typeof bodyId === 'string') {
+            const body = this.findBody(bodyId);
+            return body ? { bodyId, body, point: { x: point?.x || 0, y: point?.y || 0 } } : undefined;
+        }
+        return point ? { body: null, point: { x: point.x, y: point.y } } : null;
+    }
+
+    getEndPosition(end) {
+        return end.body
+            ? { x: end.body.position.x + end.point.x, y: end.body.position.y + end.point.y }
+            : end.point;
+    }
+
+    createRope(data, index) {
+        const id = data.id || `rope_${index}`;
+        const endA = this.resolveEnd(data.bodyA, data.pointA);
+        const endB = this.resolveEnd(data.bodyB, data.pointB);
+        if (!endA || endB === undefined) {
+            console.warn(`Rope ${id}: anchor not found, skipping`);
+            return null;
+        }
+
+        const style = STYLE_SETTINGS[data.style] || STYLE_SETTINGS.rope;
+        const start = this.getEndPosition(endA);
+        const finish = endB && this.getEndPosition(endB);
+        const length = getRopeLength(start, finish, data.length);
+        const count = getRopeLinkCount(length);
+        const spacing = length / (endB ? count + 1 : count);
+
+        // Links of one rope pass through each other, so it can fold on itself
+        const group = this.Matter.Body.nextGroup(true);
+        const links = getRopeRestPoints(start, finish, length, count).map(position => {
+            const link = this.scene.matter.add.circle(position.x, position.y, style.radius, {
+                label: 'rope_link',
+                density: style.density,
+                friction: 0.9,
+                frictionAir: style.frictionAir,
+                collisionFilter: { group }
+            });
+            link.isGrabbable = true;
+            return link;
+        });
+
+        const joints = links.slice(1).map((link, i) => this.scene.matter.add.constraint(links[i], link, spacing, style.stiffness, {
+            damping: style.damping
+        }));
+
+        const rope = {
+            id,
+            data,
+            style,
+            links,
+            joints,
+            spacing,
+            ends: { a: endA, b: endB },
+            anchors: { a: null, b: null },
+            // Joints the fire has burnt, by index; the rope is drawn in pieces between them
+            cuts: new Set()
+        };
+        rope.anchors.a = this.attachEnd(rope, endA, links[0]);
+        if (endB) {
+            rope.anchors.b = this.attachEnd(rope, endB, links[links.length - 1]);
+        }
+
+        console.log(`🪢 Rope ${id}: ${links.length} links, ${Math.round(length)}px`);
+        return rope;
+    }
+
+    attachEnd(rope, end, link) {
+        if (end.body) {
+            return this.scene.matter.add.constraint(end.body, link, rope.spacing, rope.style.stiffness, {
+                pointA: { ...end.point },
+                damping: rope.style.damping
+            });
+        }
+        return this.scene.matter.add.worldConstraint(link, rope.spacing, rope.style.stiffness, {
+            pointA: { ...end.point },
+            damping: rope.style.damping
+        });
+    }
+
+    handleCollisionStart(event) {
+        event.pairs.forEach(({ bodyA, bodyB }) => {
+            const link = bodyA.label === 'rope_link' ? bodyA : (bodyB.label === 'rope_link' ? bodyB : null);
+            const other = link === bodyA ? bodyB : bodyA;
+            if (!link || !(other.platformInstance instanceof FirePlatform)) return;
+
+            const rope = this.ropes.find(candidate => candidate.links.includes(link));
+            if (rope) {
+                this.burnLink(rope, rope.links.indexOf(link));
+            }
+        });
+    }
+
+    /**
+     * Burn through a rope at a link; the rope parts on the link's upper side
+     * so the piece below falls away. The last link also comes off end B.
+     */
+    burnLink(rope, linkIndex) {
+        // Joint i is between links i and i+1; -1 is the anchor at end A
+        const jointIndex = linkIndex - 1;
+        if (rope.cuts.has(jointIndex)) return;
+        rope.cuts.add(jointIndex);
+
+        const constraint = jointIndex < 0 ? rope.anchors.a : rope.joints[jointIndex];
+        if (constraint) {
+            this.scene.matter.world.removeConstraint(constraint);
+            if (jointIndex < 0) {
+                rope.anchors.a = null;
+            }
+        }
+        if (linkIndex === rope.links.length - 1 && rope.anchors.b) {
+            this.scene.matter.world.removeConstraint(rope.anchors.b);
+            rope.anchors.b = null;
+        }
+
+        const link = rope.links[linkIndex];
+        const ember = this.scene.add.circle(link.position.x, link.position.y, rope.style.radius * 2, 0xff9800, 0.9);
+        ember.setDepth(11);
+        this.scene.tweens.add({
+            targets: ember,
+            scale: 3,
+            alpha: 0,
+            duration: 400,
+            onComplete: () => ember.destroy()
+        });
+
+        console.log(`🔥 Rope ${rope.id} burnt through at link ${linkIndex}`);
+    }
+
+    /**
+     * Re-attach ends tied to the worm after it is replaced at a checkpoint
+     */
+    onWormRespawn() {
+        this.ropes.forEach(rope => {
+            ['a', 'b'].forEach(key => {
+                const end = rope.ends[key];
+                if (!end || !end.bodyId || !end.bodyId.startsWith('worm') || !rope.anchors[key]) return;
+
+                this.scene.matter.world.removeConstraint(rope.anchors[key]);
+                end.body = this.findBody(end.bodyId);
+                const link = key === 'a' ? rope.links[0] : rope.links[rope.links.length - 1];
+                rope.anchors[key] = end.body ? this.attachEnd(rope, end, link) : null;
+            });
+        });
+    }
+
+    /**
+     * Draw every rope as a smooth curve through its links, in pieces where it
+     * has been burnt
+     */
+    drawRopes() {
+        if (!this.graphics) return;
+        this.graphics.clear();
+
+        this.ropes.forEach(rope => {
+            const pieces = [[]];
+            if (rope.anchors.a) {
+                pieces[0].push(this.getAnchorPosition(rope.anchors.a, rope.ends.a));
+            }
+            rope.links.forEach((link, i) => {
+                pieces[pieces.length - 1].push({ x: link.position.x, y: link.position.y });
+                if (rope.cuts.has(i)) {
+                    pieces.push([]);
+                }
+            });
+            if (rope.anchors.b) {
+                pieces[pieces.length - 1].push(this.getAnchorPosition(rope.anchors.b, rope.ends.b));
+            }
+
+            pieces.forEach(points => drawRopeCurve(this.graphics, rope.data, points));
+        });
+    }
+
+    // Where an anchor constraint holds its end of the rope
+    getAnchorPosition(constraint, end) {
+        if (!constraint.bodyA) {
+            return end.point;
+        }
+        return {
+            x: constraint.bodyA.position.x + constraint.pointA.x,
+            y: constraint.bodyA.position.y + constraint.pointA.y
+        };
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.scene.matter.world.off('collisionstart', this.handleCollisionStart);
+        this.ropes.forEach(rope => {
+            [...rope.joints, rope.anchors.a, rope.anchors.b]
+                .filter(Boolean)
+                .forEach(constraint => this.scene.matter.world.removeConstraint(constraint));
+            rope.links.forEach(link => this.scene.matter.world.remove(link));
+        });
+        this.ropes = [];
+
+        if (this.graphics) {
+            this.graphics.destroy();
+            this.graphics = null;
+        }
+    }
+}
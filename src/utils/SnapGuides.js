@@ -0,0 +1,73 @@
+/**
+ * SnapGuides - Snapping for the map editor
+ *
+ * Grid and angle increments, and snapping to other platforms: a point
+ * (or a moving outline) is pulled onto a nearby corner, or failing that
+ * onto the nearest point of a nearby edge. Targets are world outlines,
+ * as from MapEditor.getPlatformOutline.
+ */
+
+/**
+ * Round a value to a multiple of the increment; 0 leaves it as is
+ * @param {number} value
+ * @param {number} increment
+ * @returns {number}
+ */
+export function snapToIncrement(value, increment) {
+    return increment > 0 ? Math.round(value / increment) * increment : value;
+}
+
+function closestPointOnSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared))
+        : 0;
+    return { x: start.x + t * dx, y: start.y + t * dy };
+}
+
+/**
+ * Find the snap for a set of moving points. Corners win over edges, so
+ * platforms line up corner to corner when they can.
+ * @param {Array<{x: number, y: number}>} points - Corners of what is moving
+ * @param {Array<{points: Array<{x: number, y: number}>, corners: boolean}>} targets - Outlines to snap to;
+ *     `corners: false` for round shapes, whose outline points aren't real corners
+ * @param {number} distance - How close a point must be, in world pixels
+ * @returns {{dx: number, dy: number, x: number, y: number, kind: 'corner'|'edge'}|null} Offset to move by,
+ *     and the point snapped to
+ */
+export function findOutlineSnap(points, targets, distance) {
+    let corner = null;
+    let edge = null;
+
+    points.forEach(point => {
+        targets.forEach(target => {
+            target.points.forEach((start, index) => {
+                if (target.corners) {
+                    const gap = Math.hypot(start.x - point.x, start.y - point.y);
+                    if (gap <= distance && (!corner || gap < corner.gap)) {
+                        corner = { gap, point, target: start };
+                    }
+                }
+
+                const end = target.points[(index + 1) % target.points.length];
+                const closest = closestPointOnSegment(point, start, end);
+                const gap = Math.hypot(closest.x - point.x, closest.y - point.y);
+                if (gap <= distance && (!edge || gap < edge.gap)) {
+                    edge = { gap, point, target: closest };
+                }
+            });
+        });
+    });
+
+    const best = corner || edge;
+    if (!best) return null;
+    return {
+        dx: best.target.x - best.point.x,
+        dy: best.target.y - best.point.y,
+        x: best.target.x,
+        y: best.target.y,
+        kind: corner ? 'corner' : 'edge'
+    };
+}
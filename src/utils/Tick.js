@@ -109,6 +109,9 @@ class TickHelper {
      * @param {string} color - Optional line color (CSS color string)
      */
     push(chartName, value, color = '#4ecdc4') {
+        // No DOM to chart into (headless runs)
+        if (typeof document === 'undefined') return;
+        
         // Auto-initialize if not done yet
         if (!this.isInitialized) {
             this.init();
@@ -0,0 +1,172 @@
+import Phaser from 'phaser';
+import { WAYPOINT_MODES } from '../services/MapValidator';
+
+// Phaser tween ease names ('Sine.easeInOut') to Phaser.Math.Easing families
+const EASE_FAMILIES = {
+    Quad: 'Quadratic',
+    Cubic: 'Cubic',
+    Quart: 'Quartic',
+    Quint: 'Quintic',
+    Sine: 'Sine',
+    Expo: 'Expo',
+    Circ: 'Circular',
+    Elastic: 'Elastic',
+    Back: 'Back',
+    Bounce: 'Bounce'
+};
+
+const EASE_VARIANTS = {
+    easeIn: 'In',
+    easeOut: 'Out',
+    easeInOut: 'InOut'
+};
+
+/**
+ * Resolve a Phaser tween ease name to an easing function
+ * @param {string} name - e.g. 'Linear', 'Sine.easeInOut', 'Back.easeOut'
+ * @returns {Function|null} Easing function, or null if the name is unknown
+ */
+export function getEaseFunction(name = 'Linear') {
+    const Easing = Phaser.Math.Easing;
+    if (name === 'Linear' || name === 'Power0') {
+        return Easing.Linear;
+    }
+
+    const [family, variant = 'easeOut'] = name.split('.');
+    const functions = Easing[EASE_FAMILIES[family]];
+    return (functions && functions[EASE_VARIANTS[variant]]) || null;
+}
+
+/**
+ * WaypointPath - Time-based path through a list of waypoints
+ *
+ * Motion config:
+ *   {
+ *     type: 'waypoints',
+ *     waypoints: [{ x: 0, y: 0 }, { x: 0, y: -300, pause: 1000, easing: 'Sine.easeInOut', angle: 0.5 }],
+ *     speed: 120,        // pixels per second
+ *     mode: 'pingpong',  // 'loop' | 'pingpong' | 'once'
+ *     easing: 'Linear',  // default for every segment
+ *     pause: 0           // default ms to wait at every waypoint
+ *   }
+ *
+ * Waypoint x/y are offsets from the platform's position and `angle` is an
+ * offset (radians) from its angle. A waypoint's `easing` and `duration` (ms,
+ * instead of distance / speed) apply to the segment leaving it; its `pause`
+ * is spent there on arrival. Loops run from the last waypoint back to the
+ * first; ping-pong retraces the path with the same segment settings.
+ *
+ * The position is a pure function of time, so platforms driven by the fixed
+ * simulation clock replay exactly.
+ */
+export default class WaypointPath {
+    constructor(motion) {
+        const { waypoints = [], speed = 100, mode = 'loop', easing = 'Linear', pause = 0 } = motion;
+
+        this.mode = WAYPOINT_MODES.includes(mode) ? mode : 'loop';
+        this.points = waypoints.map(point => ({
+            x: point.x || 0,
+            y: point.y || 0,
+            angle: point.angle || 0
+        }));
+        this.rotates = this.points.some(point => point.angle !== 0);
+
+        // Settings for the segment leaving each waypoint
+        const segmentFor = index => {
+            const point = waypoints[index];
+            return {
+                ease: getEaseFunction(point.easing || easing) || Phaser.Math.Easing.Linear,
+                duration: point.duration,
+                pause: point.pause ?? pause
+            };
+        };
+
+        this.legs = [];
+        const count = this.points.length;
+        if (count < 2) {
+            this.totalDuration = 0;
+            return;
+        }
+
+        const addLeg = (from, to, settingsIndex) => {
+            const a = this.points[from];
+            const b = this.points[to];
+            const { ease, duration } = segmentFor(settingsIndex);
+            const distance = Math.hypot(b.x - a.x, b.y - a.y);
+            this.legs.push({
+                from: a,
+                to: b,
+                ease,
+                duration: duration ?? (speed > 0 ? (distance / speed) * 1000 : 0),
+                pause: segmentFor(to).pause
+            });
+        };
+
+        for (let i = 0; i < count - 1; i++) {
+            addLeg(i, i + 1, i);
+        }
+        if (this.mode === 'loop') {
+            addLeg(count - 1, 0, count - 1);
+        } else if (this.mode === 'pingpong') {
+            for (let i = count - 1; i > 0; i--) {
+                addLeg(i, i - 1, i - 1);
+            }
+        }
+
+        // Wait at the first waypoint before setting off each cycle
+        this.startPause = this.mode === 'once' ? segmentFor(0).pause : 0;
+        this.totalDuration = this.startPause + this.legs.reduce((sum, leg) => sum + leg.duration + leg.pause, 0);
+    }
+
+    /**
+     * Offset and rotation at a point in time
+     * @param {number} time - Milliseconds since the level started
+     * @returns {{x: number, y: number, angle: number}}
+     */
+    getState(time) {
+        if (this.legs.length === 0 || this.totalDuration <= 0) {
+            return { ...(this.points[0] || { x: 0, y: 0, angle: 0 }) };
+        }
+
+        let t;
+        if (this.mode === 'once') {
+            t = Math.min(Math.max(time, 0), this.totalDuration);
+        } else {
+            t = ((time % this.totalDuration) + this.totalDuration) % this.totalDuration;
+        }
+
+        t -= this.startPause;
+        if (t < 0) {
+            return { ...this.points[0] };
+        }
+
+        for (const leg of this.legs) {
+            if (t < leg.duration) {
+                const progress = leg.ease(t / leg.duration);
+                return {
+                    x: leg.from.x + (leg.to.x - leg.from.x) * progress,
+                    y: leg.from.y + (leg.to.y - leg.from.y) * progress,
+                    angle: leg.from.angle + (leg.to.angle - leg.from.angle) * progress
+                };
+            }
+            t -= leg.duration;
+            if (t < leg.pause) {
+                return { ...leg.to };
+            }
+            t -= leg.pause;
+        }
+
+        return { ...this.legs[this.legs.length - 1].to };
+    }
+
+    /**
+     * Fastest straight-line speed along the path, in pixels per second
+     */
+    getPeakSpeed() {
+        return this.legs.reduce((peak, leg) => {
+            if (leg.duration <= 0) return peak;
+            const distance = Math.hypot(leg.to.x - leg.from.x, leg.to.y - leg.from.y);
+            return Math.max(peak, (distance / leg.duration) * 1000);
+        }, 0);
+    }
+}
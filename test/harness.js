@@ -0,0 +1,41 @@
+/**
+ * Shared setup for the checks under test/
+ *
+ * Game sources import each other without file extensions and some touch
+ * browser globals on import, so they are loaded through the same Vite SSR
+ * loader as scripts/simulate-level.js rather than imported directly.
+ */
+import { after, before } from 'node:test';
+import { createSimulationLoader } from '../scripts/simulate-level.js';
+
+/**
+ * Start a loader for the current test file and close it afterwards
+ * @returns {(modulePath: string) => Promise<Object>} Loads a module by its path from the repo root
+ */
+export function useGameModules() {
+    let loader;
+    before(async () => {
+        loader = await createSimulationLoader();
+    });
+    after(() => loader.close());
+
+    return modulePath => loader.load(modulePath);
+}
+
+/**
+ * Run `callback` with the game's debug chatter and warnings kept out of the test report
+ * @template T
+ * @param {() => T} callback
+ * @returns {T}
+ */
+export function quietly(callback) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return callback();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
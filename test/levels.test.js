@@ -0,0 +1,32 @@
+/**
+ * Scripted level runs
+ *
+ * Each file in test/levels/ is an input script for scripts/simulate-level.js
+ * that also names the map it plays, the frame limit and the outcome it must
+ * reach. The runner is invoked exactly as from the command line, so a run
+ * fails when its `--expect` does.
+ */
+import { test } from 'node:test';
+import { execFile } from 'node:child_process';
+import { readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixtureDir = path.join(root, 'test/levels');
+const run = promisify(execFile);
+
+readdirSync(fixtureDir).filter(file => file.endsWith('.json')).sort().forEach(file => {
+    const fixture = path.join(fixtureDir, file);
+    const { description, map, frames, expect } = JSON.parse(readFileSync(fixture, 'utf8'));
+
+    test(`${file}: ${description}`, async () => {
+        await run(process.execPath, [
+            'scripts/simulate-level.js', map,
+            '--inputs', fixture,
+            '--frames', String(frames),
+            '--expect', expect
+        ], { cwd: root });
+    });
+});
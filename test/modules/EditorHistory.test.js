@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+test('undo and redo walk the commands back and forth', async () => {
+    const { default: EditorHistory } = await load('/src/utils/EditorHistory.js');
+    const history = new EditorHistory();
+
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.undo(), null);
+
+    assert.equal(history.push('Add platform', 'a', 'b'), true);
+    assert.equal(history.push('Move platform', 'b', 'c'), true);
+
+    assert.equal(history.undo().before, 'b');
+    assert.equal(history.undo().before, 'a');
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.redo().after, 'b');
+    assert.equal(history.canRedo(), true);
+
+    // A new change drops what could be redone
+    history.push('Delete platform', 'b', 'd');
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.redo(), null);
+});
+
+test('changes that change nothing are not recorded', async () => {
+    const { default: EditorHistory } = await load('/src/utils/EditorHistory.js');
+    const history = new EditorHistory();
+
+    assert.equal(history.push('Nothing', 'a', 'a'), false);
+    assert.equal(history.canUndo(), false);
+});
+
+test('edits with the same merge key in quick succession undo as one step', async () => {
+    const { default: EditorHistory } = await load('/src/utils/EditorHistory.js');
+    const history = new EditorHistory();
+
+    history.push('Friction', 'a', 'b', 'platform_1.friction');
+    history.push('Friction', 'b', 'c', 'platform_1.friction');
+    history.push('Bounce', 'c', 'd', 'platform_1.restitution');
+
+    assert.equal(history.undoStack.length, 2);
+    history.undo();
+    const { before, after } = history.undo();
+    assert.deepEqual([before, after], ['a', 'c']);
+});
+
+test('the oldest commands fall off past the limit and the stacks survive a save', async () => {
+    const { default: EditorHistory } = await load('/src/utils/EditorHistory.js');
+    const history = new EditorHistory(3);
+
+    ['a', 'b', 'c', 'd', 'e'].forEach((state, index, states) => {
+        if (index > 0) history.push(`Step ${index}`, states[index - 1], state);
+    });
+    assert.deepEqual(history.undoStack.map(command => command.label), ['Step 2', 'Step 3', 'Step 4']);
+    history.undo();
+
+    const restored = new EditorHistory(3);
+    restored.load(JSON.parse(JSON.stringify(history)));
+    assert.deepEqual(restored.toJSON(), JSON.parse(JSON.stringify(history.toJSON())));
+    assert.equal(restored.redo().label, 'Step 4');
+
+    restored.load(null);
+    assert.equal(restored.canUndo() || restored.canRedo(), false);
+});
+
+test('signal edits in the map editor undo and redo', async () => {
+    const { default: EditorHistory } = await load('/src/utils/EditorHistory.js');
+    const { default: MapEditor } = await load('/src/scenes/MapEditor.js');
+
+    // Just enough of the editor for an empty map; drawing and selection are left out
+    const editor = Object.assign(Object.create(MapEditor.prototype), {
+        history: new EditorHistory(),
+        isTestMode: false,
+        mapData: {},
+        entities: { wormStart: { x: 0, y: 0 } },
+        platforms: [],
+        stickers: [],
+        constraints: [],
+        prefabInstances: []
+    });
+    [
+        'autoSave', 'showFeedback', 'clearGroupSelection', 'selectPlatform', 'selectSticker', 'selectConstraint',
+        'selectPrefabInstance', 'notifyLayersChanged', 'updatePrefabMapData', 'notifyPrefabsChanged',
+        'updateEntityPositions', 'updateReferenceWormPosition', 'updateConstraintGraphics', 'drawRopes',
+        'notifyRopesChanged', 'drawSignalOverlay'
+    ].forEach(name => { editor[name] = () => {}; });
+
+    const wired = { nodes: [{ id: 'red', type: 'switch' }], targets: [] };
+    const rewired = { nodes: [{ id: 'red', type: 'switch', switchId: 'red' }], targets: [{ signal: 'red', action: 'motion', platform: 'lift' }] };
+    editor.updateSignals(wired);
+    editor.updateSignals(rewired);
+    assert.deepEqual(editor.history.undoStack.map(command => command.label), ['Edit signals']);
+
+    editor.undo();
+    assert.equal(editor.mapData.signals, undefined);
+    editor.redo();
+    assert.deepEqual(editor.mapData.signals, rewired);
+});
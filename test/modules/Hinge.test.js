@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+test('the pivot is relative to the platform and limits default to free spinning', async () => {
+    const { default: Hinge } = await load('/src/utils/Hinge.js');
+
+    const swing = new Hinge({ pivot: { x: 0, y: -200 }, damping: 5 }, { x: 400, y: 500 });
+    assert.deepEqual(swing.pivot, { x: 400, y: 300 });
+    assert.equal(swing.clampAngle(10), 10);
+    assert.equal(swing.damping, 1);
+    assert.equal(swing.motor, null);
+    assert.equal(swing.getMotorAngle(1000), 0);
+    assert.equal(swing.getPeakSpeed(100), 0);
+
+    const limited = new Hinge({ minAngle: -0.5, maxAngle: 0.8 }, { x: 0, y: 0 });
+    assert.equal(limited.clampAngle(-2), -0.5);
+    assert.equal(limited.clampAngle(2), 0.8);
+});
+
+test('motors drive the angle as a function of time within the limits', async () => {
+    const { default: Hinge } = await load('/src/utils/Hinge.js');
+    const center = { x: 0, y: 0 };
+
+    const spinner = new Hinge({ motor: { type: 'constant', speed: 1.5 } }, center);
+    assert.equal(spinner.getMotorAngle(2000), 3);
+    assert.equal(spinner.getPeakSpeed(100), 150);
+
+    const stopped = new Hinge({ maxAngle: 1, motor: { type: 'constant', speed: 1.5 } }, center);
+    assert.equal(stopped.getMotorAngle(2000), 1);
+
+    const rocker = new Hinge({ motor: { type: 'oscillate', amplitude: 0.6, period: 4000 } }, center);
+    assert.ok(Math.abs(rocker.getMotorAngle(1000) - 0.6) < 1e-9);
+    assert.ok(Math.abs(rocker.getMotorAngle(3000) + 0.6) < 1e-9);
+    assert.ok(Math.abs(rocker.getPeakSpeed(100) - 0.6 * 2 * Math.PI * 1000 / 4000 * 100) < 1e-9);
+
+    assert.equal(new Hinge({ motor: { type: 'warp' } }, center).motor, null);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules, quietly } from '../harness.js';
+
+const load = useGameModules();
+
+const map = {
+    metadata: { name: 'Zigzag' },
+    dimensions: { width: 800, height: 600 },
+    entities: { wormStart: { x: 100, y: 100 }, goal: { x: 700, y: 500 } },
+    platforms: [{ id: 'a', type: 'rectangle', x: 400, y: 580, width: 800, height: 40, matter: { friction: 0.5 } }],
+    constraints: []
+};
+
+const pack = (changes = {}) => JSON.stringify({
+    format: 'floppy-worm-level-pack',
+    version: 1,
+    category: { name: 'community' },
+    maps: [{ key: 'Zigzag', mapData: map }],
+    ...changes
+});
+
+test('createLevelPack and parseLevelPack round-trip a category', async () => {
+    const { createLevelPack, parseLevelPack, LEVEL_PACK_FORMAT } = await load('/src/services/LevelPack.js');
+
+    const created = await createLevelPack({ name: 'community', displayName: 'Community' }, [
+        { key: 'Zigzag', mapData: map },
+        { key: 'Spiral', order: 7, mapData: { type: 'svg', svgContent: '<svg/>', svgPath: '/assets/spiral.svg' } }
+    ]);
+    assert.equal(created.format, LEVEL_PACK_FORMAT);
+    assert.deepEqual(created.category, { name: 'community', displayName: 'Community', order: 900 });
+    assert.deepEqual(created.maps.map(({ key, order }) => [key, order]), [['Zigzag', 0], ['Spiral', 7]]);
+    // The build URL of an SVG map means nothing to another game
+    assert.equal('svgPath' in created.maps[1].mapData, false);
+
+    const parsed = parseLevelPack(JSON.stringify(created));
+    assert.deepEqual(parsed.category, created.category);
+    assert.equal(parsed.maps[1].mapData.svgContent, '<svg/>');
+});
+
+test('parsed maps are migrated and category defaults filled in', async () => {
+    const { parseLevelPack } = await load('/src/services/LevelPack.js');
+    const { MAP_SCHEMA_VERSION } = await load('/src/services/MapValidator.js');
+
+    const parsed = parseLevelPack(pack());
+    assert.deepEqual(parsed.category, { name: 'community', displayName: 'community', order: 900 });
+    assert.deepEqual(parsed.assets, {});
+    assert.equal(parsed.maps[0].order, 0);
+    assert.equal(parsed.maps[0].mapData.formatVersion, MAP_SCHEMA_VERSION);
+    assert.deepEqual(parsed.maps[0].mapData.platforms[0].physics, { friction: 0.5 });
+});
+
+test('broken packs are rejected before anything is stored', async () => {
+    const { parseLevelPack, LevelPackError } = await load('/src/services/LevelPack.js');
+    const { MapValidationError } = await load('/src/services/MapValidator.js');
+    const rejects = (text, message) => assert.throws(() => parseLevelPack(text), error => (
+        error instanceof LevelPackError && message.test(error.message)
+    ));
+
+    rejects('{', /^Not a level pack/);
+    rejects(pack({ format: 'zip' }), /"format" must be/);
+    rejects(pack({ version: 2 }), /version 2 is not supported/);
+    rejects(pack({ category: {} }), /needs a category name/);
+    rejects(pack({ maps: [] }), /has no maps/);
+    rejects(pack({ maps: [{ key: 'Zigzag' }] }), /maps\[0\] needs a key and mapData/);
+    rejects(pack({ maps: [{ key: 'Zigzag', mapData: map }, { key: 'Zigzag', mapData: map }] }), /appears twice/);
+    rejects(pack({ maps: [{ key: 'Spiral', mapData: { type: 'svg' } }] }), /has no svgContent/);
+
+    assert.throws(() => parseLevelPack(pack({ maps: [{ key: 'Zigzag', mapData: { ...map, dimensions: null } }] })), MapValidationError);
+});
+
+test('an import that fails to store leaves the registry as it was', async () => {
+    const { importLevelPack, parseLevelPack } = await load('/src/services/LevelPack.js');
+    const { registerLevelPack, unregisterLevelPack, getCategories, STATIC_MAP_REGISTRY } = await load('/src/scenes/maps/MapDataRegistry.js');
+    const community = () => getCategories().find(category => category.name === 'community');
+
+    // Node has no IndexedDB, so storing any pack fails
+    const update = pack({ category: { name: 'community', displayName: 'Community v2' }, maps: [{ key: 'Spiral', mapData: map }] });
+    try {
+        registerLevelPack(quietly(() => parseLevelPack(pack())));
+        await assert.rejects(importLevelPack(update));
+        assert.equal(community().displayName, 'community');
+        assert.deepEqual(community().getMaps().map(({ key }) => key), ['Zigzag']);
+        assert.equal('Spiral' in STATIC_MAP_REGISTRY, false);
+
+        unregisterLevelPack('community');
+        await assert.rejects(importLevelPack(update));
+        assert.equal(community(), undefined);
+        assert.equal('Spiral' in STATIC_MAP_REGISTRY, false);
+    } finally {
+        unregisterLevelPack('community');
+    }
+});
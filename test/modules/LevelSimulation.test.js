@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules, quietly } from '../harness.js';
+
+const load = useGameModules();
+
+// The worm starts on a checkpoint and rolls left into an electric block
+const map = {
+    metadata: { name: 'Checkpoint death' },
+    dimensions: { width: 1400, height: 800 },
+    entities: { wormStart: { x: 600, y: 700 }, goal: { x: 1100, y: 740 }, checkpoints: [{ x: 600, y: 720 }] },
+    platforms: [
+        { id: 'floor', type: 'rectangle', x: 700, y: 780, width: 1400, height: 40 },
+        { id: 'zap', type: 'rectangle', x: 300, y: 740, width: 40, height: 40, platformType: 'electric' }
+    ],
+    constraints: []
+};
+
+// One counter-clockwise turn of both sticks
+const roll = Array.from({ length: 8 }, (_, index) => {
+    const stick = { x: Math.cos(-index * Math.PI / 4), y: Math.sin(-index * Math.PI / 4) };
+    return { frames: 4, leftStick: stick, rightStick: stick };
+});
+
+// Run the level, noting the steps the worm died on and the input it consumed, as the recorder does
+function play(LevelSimulation, config) {
+    const simulation = new LevelSimulation(map, { mapKey: 'checkpoint-death', ...config });
+    const deaths = [];
+    const inputs = [];
+    const { inputSource } = simulation;
+    const getInputState = inputSource.getInputState.bind(inputSource);
+    inputSource.getInputState = delta => {
+        const input = getInputState(delta);
+        inputs.push({ input });
+        return input;
+    };
+    simulation.scene.events.on('worm-death', ({ reason }) => deaths.push({ frame: simulation.frame, reason }));
+
+    try {
+        const result = simulation.run({ maxFrames: 400 });
+        return { result, deaths, inputs };
+    } finally {
+        simulation.destroy();
+    }
+}
+
+test('a replayed run respawns at the checkpoint on the same steps as the original', async () => {
+    const { default: LevelSimulation } = await load('/src/headless/LevelSimulation.js');
+    const { default: ReplayInputSource } = await load('/src/components/ghost/ReplayInputSource.js');
+
+    const original = quietly(() => play(LevelSimulation, { inputs: Array(12).fill(roll).flat() }));
+    assert.ok(original.result.respawns > 0, 'the worm dies after reaching the checkpoint');
+    assert.equal(original.result.outcome, 'timeout');
+    assert.deepEqual(original.deaths.map(death => death.reason), Array(original.result.respawns).fill('electric_shock'));
+
+    const replay = quietly(() => play(LevelSimulation, { inputSource: new ReplayInputSource(original.inputs) }));
+    assert.deepEqual(replay.deaths, original.deaths);
+    assert.deepEqual(replay.result, original.result);
+});
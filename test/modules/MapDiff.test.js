@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+const base = {
+    metadata: { name: 'Tower', modified: '2025-01-01T00:00:00Z' },
+    dimensions: { width: 1920, height: 1080 },
+    entities: { wormStart: { x: 100, y: 900 }, goal: { x: 1800, y: 100 } },
+    platforms: [
+        { id: 'floor', type: 'rectangle', x: 960, y: 1060, width: 1920, height: 40 },
+        { id: 'ledge', type: 'rectangle', x: 400, y: 700, width: 200, height: 20 }
+    ],
+    stickers: [{ x: 100, y: 100, text: 'Climb' }]
+};
+
+test('identical maps have no changes, whatever their key order or save time', async () => {
+    const { diffMaps } = await load('/src/services/MapDiff.js');
+    const reordered = JSON.parse(JSON.stringify(base));
+    reordered.platforms[0] = { height: 40, width: 1920, y: 1060, x: 960, type: 'rectangle', id: 'floor' };
+    reordered.metadata.modified = '2025-06-01T00:00:00Z';
+
+    assert.deepEqual(diffMaps(base, reordered), []);
+});
+
+test('list items are matched by id, and by position without one', async () => {
+    const { diffMaps } = await load('/src/services/MapDiff.js');
+    const after = JSON.parse(JSON.stringify(base));
+    after.platforms[1].x = 450;
+    after.platforms.splice(0, 1);
+    after.platforms.push({ id: 'roof', type: 'rectangle', x: 960, y: 20, width: 1920, height: 40 });
+    after.stickers[0].text = 'Climb!';
+
+    assert.deepEqual(diffMaps(base, after), [
+        { section: 'platforms', id: 'floor', type: 'removed' },
+        { section: 'platforms', id: 'ledge', type: 'changed', fields: ['x'] },
+        { section: 'platforms', id: 'roof', type: 'added' },
+        { section: 'stickers', id: '#0', type: 'changed', fields: ['text'] }
+    ]);
+});
+
+test('keyed sections report entries, with the fields of changed objects', async () => {
+    const { diffMaps } = await load('/src/services/MapDiff.js');
+    const after = JSON.parse(JSON.stringify(base));
+    after.metadata.name = 'Taller Tower';
+    after.metadata.difficulty = 3;
+    after.entities.goal.y = 50;
+    after.signals = [{ id: 'door', source: 'switch' }];
+
+    assert.deepEqual(diffMaps(base, after), [
+        { section: 'metadata', id: 'name', type: 'changed' },
+        { section: 'metadata', id: 'difficulty', type: 'added' },
+        { section: 'entities', id: 'goal', type: 'changed', fields: ['y'] },
+        { section: 'signals', id: 'signals', type: 'changed' }
+    ]);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+test('maps without layers get the default ones, and items land on gameplay unless they name another', async () => {
+    const { getMapLayers, getItemLayer, DEFAULT_LAYERS, GAMEPLAY_LAYER } = await load('/src/services/MapLayers.js');
+
+    assert.equal(getMapLayers({}), DEFAULT_LAYERS);
+    assert.equal(getMapLayers({ layers: [] }), DEFAULT_LAYERS);
+
+    const layers = [{ id: 'sky', collides: false, parallax: 0.2 }, { id: GAMEPLAY_LAYER }];
+    assert.equal(getMapLayers({ layers }), layers);
+    assert.equal(getItemLayer(layers, { layer: 'sky' }).id, 'sky');
+    assert.equal(getItemLayer(layers, {}).id, GAMEPLAY_LAYER);
+    assert.equal(getItemLayer(layers, { layer: 'gone' }).id, GAMEPLAY_LAYER);
+    // Even a map that lost its gameplay layer has somewhere to put things
+    assert.equal(getItemLayer([{ id: 'sky' }], {}).id, GAMEPLAY_LAYER);
+});
+
+test('only decorative layers scroll at their own parallax', async () => {
+    const { getLayerParallax, isDecorativeLayer, getParallaxPosition } = await load('/src/services/MapLayers.js');
+
+    assert.equal(getLayerParallax({ id: 'sky', collides: false, parallax: 0.5 }), 0.5);
+    assert.equal(getLayerParallax({ id: 'walls', parallax: 0.5 }), 1);
+    assert.equal(getLayerParallax({ id: 'sky', collides: false }), 1);
+    assert.equal(isDecorativeLayer({ id: 'walls' }), false);
+
+    const view = { width: 800, height: 600 };
+    assert.deepEqual(getParallaxPosition({ x: 1200, y: 300 }, 0.5, view), { x: 800, y: 300 });
+    assert.deepEqual(getParallaxPosition({ x: 1200, y: 300 }, 1, view), { x: 1200, y: 300 });
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules, quietly } from '../harness.js';
+
+const load = useGameModules();
+
+test('unversioned maps count as version 1 and are upgraded to the current format', async () => {
+    const { migrateMap, needsMigration, getFormatVersion } = await load('/src/services/MapMigrations.js');
+    const { MAP_SCHEMA_VERSION } = await load('/src/services/MapValidator.js');
+
+    const legacy = {
+        metadata: { name: 'Old' },
+        platforms: [
+            { id: 'a', type: 'rectangle', matter: { friction: 0.2, restitution: 0.5 }, physics: { friction: 0.9 } },
+            { id: 'b', type: 'circle', platformType: 'circle' },
+            { id: 'c', type: 'rectangle', platformType: 'ice' }
+        ]
+    };
+    const original = JSON.stringify(legacy);
+
+    assert.equal(getFormatVersion(legacy), 1);
+    assert.equal(needsMigration(legacy), true);
+
+    const { mapData, fromVersion, applied } = migrateMap(legacy);
+    assert.equal(fromVersion, 1);
+    assert.equal(applied.length, MAP_SCHEMA_VERSION - 1);
+    assert.equal(Object.keys(mapData)[0], 'formatVersion');
+    assert.equal(mapData.formatVersion, MAP_SCHEMA_VERSION);
+
+    // matter merges into physics, with physics winning
+    assert.deepEqual(mapData.platforms[0].physics, { friction: 0.9, restitution: 0.5 });
+    assert.equal('matter' in mapData.platforms[0], false);
+    // A shape name was never a platform type
+    assert.equal(mapData.platforms[1].platformType, 'standard');
+    assert.equal(mapData.platforms[2].platformType, 'ice');
+
+    assert.equal(JSON.stringify(legacy), original, 'the input is left alone');
+});
+
+test('current, newer and SVG maps are returned untouched', async () => {
+    const { migrateMap, needsMigration } = await load('/src/services/MapMigrations.js');
+    const { MAP_SCHEMA_VERSION } = await load('/src/services/MapValidator.js');
+
+    const current = { formatVersion: MAP_SCHEMA_VERSION, platforms: [] };
+    const newer = { formatVersion: MAP_SCHEMA_VERSION + 1, platforms: [] };
+    const svg = { type: 'svg' };
+
+    [current, newer, svg].forEach(mapData => {
+        assert.equal(needsMigration(mapData), false);
+        const result = migrateMap(mapData);
+        assert.equal(result.mapData, mapData);
+        assert.deepEqual(result.applied, []);
+    });
+});
+
+test('body options from a migrated matter block still reach special platforms', async () => {
+    const { migrateMap } = await load('/src/services/MapMigrations.js');
+    const { default: LevelSimulation } = await load('/src/headless/LevelSimulation.js');
+
+    const { mapData } = migrateMap({
+        metadata: { name: 'Old ice' },
+        dimensions: { width: 800, height: 600 },
+        entities: { wormStart: { x: 100, y: 100 }, goal: { x: 700, y: 500 } },
+        platforms: [
+            { id: 'ice', type: 'rectangle', x: 400, y: 300, width: 200, height: 20, platformType: 'ice', matter: { isStatic: false, frictionAir: 0.2 } },
+            { id: 'floor', type: 'rectangle', x: 400, y: 580, width: 800, height: 40, matter: { isStatic: false, frictionAir: 0.2 } }
+        ],
+        constraints: []
+    });
+
+    const simulation = quietly(() => new LevelSimulation(mapData, { mapKey: 'old-ice' }));
+    try {
+        const [ice, floor] = simulation.platforms;
+        [ice.instance.body, floor.body].forEach(body => {
+            assert.equal(body.isStatic, false);
+            assert.equal(body.frictionAir, 0.2);
+        });
+    } finally {
+        simulation.destroy();
+    }
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { useGameModules, quietly } from '../harness.js';
+
+const load = useGameModules();
+
+const levelsDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../levels');
+
+const base = {
+    metadata: { name: 'Check' },
+    dimensions: { width: 800, height: 600 },
+    entities: { wormStart: { x: 100, y: 100 }, goal: { x: 700, y: 500 } },
+    platforms: [],
+    constraints: []
+};
+
+test('every shipped level is valid once migrated', async () => {
+    const { validateMap } = await load('/src/services/MapValidator.js');
+    const { migrateMap } = await load('/src/services/MapMigrations.js');
+
+    const files = readdirSync(levelsDir, { recursive: true }).filter(file => file.endsWith('.json'));
+    assert.ok(files.length > 0);
+    files.forEach(file => {
+        const { mapData } = migrateMap(JSON.parse(readFileSync(path.join(levelsDir, file), 'utf8')));
+        const { errors } = validateMap(mapData);
+        assert.deepEqual(errors, [], file);
+    });
+});
+
+test('errors name the path that is wrong; doubtful data only warns', async () => {
+    const { validateMap } = await load('/src/services/MapValidator.js');
+
+    assert.deepEqual(validateMap(base), { valid: true, errors: [], warnings: [] });
+
+    const platforms = validateMap({
+        ...base,
+        platforms: [
+            { id: 'a', type: 'hexagon', x: 0, y: 0 },
+            { id: 'a', type: 'rectangle', x: '1', y: 0, width: 10, height: 10 }
+        ]
+    });
+    assert.equal(platforms.valid, false);
+    assert.deepEqual(platforms.errors.map(error => error.path), ['platforms[0].type', 'platforms[1].x']);
+    assert.deepEqual(platforms.warnings.map(warning => warning.path), ['platforms[1].id']);
+
+    const constraints = validateMap({ ...base, constraints: [{ id: 'c', bodyA: 'nope' }] });
+    assert.equal(constraints.valid, true);
+    assert.match(constraints.warnings[0].message, /unknown platform "nope"/);
+
+    assert.deepEqual(validateMap({ ...base, entities: { wormStart: { x: 0, y: 0 } } }).errors.map(error => error.path), ['entities.goal']);
+    assert.deepEqual(validateMap({ ...base, formatVersion: 99 }).errors.map(error => error.path), ['formatVersion']);
+    assert.equal(validateMap(5).errors[0].message, 'Map must be an object');
+    assert.equal(validateMap({ type: 'svg' }).valid, true);
+});
+
+test('assertValidMap throws a MapValidationError listing the problems', async () => {
+    const { assertValidMap, MapValidationError, formatValidationIssues } = await load('/src/services/MapValidator.js');
+
+    assert.equal(quietly(() => assertValidMap(base, 'check')), base);
+    assert.throws(() => assertValidMap({ ...base, dimensions: null }, 'broken'), error => (
+        error instanceof MapValidationError && error.message.startsWith('Invalid map "broken":') && error.errors.length > 0
+    ));
+
+    const issues = Array.from({ length: 4 }, (_, index) => ({ message: `problem ${index}` }));
+    assert.equal(formatValidationIssues(issues, 2), '• problem 0\n• problem 1\n…and 2 more');
+});
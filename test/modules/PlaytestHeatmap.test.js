@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+// A two-segment worm centered on the point
+const at = (timestamp, x, y) => ({ timestamp, segments: [{ x: x - 5, y }, { x: x + 5, y }] });
+
+test('cells count each attempt once and add up the time spent in them', async () => {
+    const { buildHeatmap } = await load('/src/services/PlaytestHeatmap.js');
+    const attempts = [
+        { frames: [at(0, 10, 10), at(100, 20, 10), at(200, 60, 10), at(5000, 60, 10)], success: true },
+        { frames: [at(0, 10, 10), at(50, 60, 60)], success: false, deathReason: 'fire', deaths: [{ x: 1, y: 2, reason: 'electric_shock' }] }
+    ];
+
+    const heatmap = buildHeatmap(attempts, { width: 100, height: 100 }, 50);
+    assert.deepEqual([heatmap.columns, heatmap.rows, heatmap.attempts, heatmap.successes], [2, 2, 2, 1]);
+    assert.deepEqual(heatmap.visits, [2, 1, 0, 1]);
+    // The long gap before the last frame is a pause and counts for at most 250ms
+    assert.deepEqual(heatmap.time, [250, 250, 0, 0]);
+    assert.deepEqual(heatmap.deaths, [{ x: 1, y: 2, reason: 'electric_shock' }, { x: 60, y: 60, reason: 'fire' }]);
+    assert.deepEqual(heatmap.deathReasons, { electric_shock: 1, fire: 1 });
+});
+
+test('positions outside the level are ignored', async () => {
+    const { buildHeatmap } = await load('/src/services/PlaytestHeatmap.js');
+    const heatmap = buildHeatmap([{ frames: [at(0, -100, 10), at(20, 10, 500)], success: true }], { width: 100, height: 100 }, 50);
+
+    assert.deepEqual(heatmap.visits, [0, 0, 0, 0]);
+});
+
+test('recordings match a map by key or by filename', async () => {
+    const { isRecordingOfMap } = await load('/src/services/PlaytestHeatmap.js');
+
+    assert.equal(isRecordingOfMap({ mapKey: '001-Left' }, '001-Left.json'), true);
+    assert.equal(isRecordingOfMap({ mapKey: '001-Left.json' }, '001-Left'), true);
+    assert.equal(isRecordingOfMap({ mapKey: 'Left' }, 'levels/010-tutorial/001-Left.json'), true);
+    assert.equal(isRecordingOfMap({ mapKey: '002-Right' }, '001-Left'), false);
+    assert.equal(isRecordingOfMap({}, '001-Left'), false);
+});
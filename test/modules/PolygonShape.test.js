@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+// An L: the square with its top-right quarter cut out
+const ell = [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 50 }, { x: 100, y: 50 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+const bowtie = [{ x: 0, y: 0 }, { x: 100, y: 100 }, { x: 100, y: 0 }, { x: 0, y: 100 }];
+
+test('area is signed by winding and the centroid is the center of mass', async () => {
+    const { getPolygonArea, getPolygonCentroid } = await load('/src/utils/PolygonShape.js');
+
+    assert.equal(getPolygonArea(square), 10000);
+    assert.equal(getPolygonArea([...square].reverse()), -10000);
+    assert.deepEqual(getPolygonCentroid(square), { x: 50, y: 50 });
+    // Flat outlines fall back to the average vertex
+    assert.deepEqual(getPolygonCentroid([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }]), { x: 10, y: 0 });
+});
+
+test('isSimplePolygon rejects crossing, flat and too-short outlines', async () => {
+    const { isSimplePolygon } = await load('/src/utils/PolygonShape.js');
+
+    assert.equal(isSimplePolygon(square), true);
+    assert.equal(isSimplePolygon(ell), true);
+    assert.equal(isSimplePolygon(bowtie), false);
+    assert.equal(isSimplePolygon([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }]), false);
+    assert.equal(isSimplePolygon([{ x: 0, y: 0 }, { x: 10, y: 0 }]), false);
+});
+
+test('decomposePolygon keeps convex outlines whole and splits concave ones into convex parts', async () => {
+    const { decomposePolygon, getPolygonArea } = await load('/src/utils/PolygonShape.js');
+
+    assert.deepEqual(decomposePolygon(square), [square]);
+    // Counter-clockwise input comes back clockwise
+    assert.ok(getPolygonArea(decomposePolygon([...square].reverse())[0]) > 0);
+    // Points in the middle of an edge are dropped
+    assert.equal(decomposePolygon([...square.slice(0, 1), { x: 50, y: 0 }, ...square.slice(1)])[0].length, 4);
+
+    const parts = decomposePolygon(ell);
+    assert.ok(parts.length >= 2);
+    const total = parts.reduce((sum, part) => sum + getPolygonArea(part), 0);
+    assert.equal(total, getPolygonArea(ell));
+    parts.forEach(part => {
+        assert.deepEqual(decomposePolygon(part), [part], 'every part is convex');
+    });
+
+    assert.equal(decomposePolygon(bowtie), null);
+});
+
+test('smoothPolygon doubles the corners and simplifyPolygon removes the ones that barely matter', async () => {
+    const { smoothPolygon, simplifyPolygon } = await load('/src/utils/PolygonShape.js');
+
+    assert.deepEqual(smoothPolygon(square).slice(0, 2), [{ x: 25, y: 0 }, { x: 75, y: 0 }]);
+    assert.equal(smoothPolygon(square, 2).length, 16);
+
+    const wobbly = [{ x: 0, y: 0 }, { x: 50, y: 1 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+    assert.deepEqual(simplifyPolygon(wobbly, 2), [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }]);
+    assert.equal(simplifyPolygon(wobbly, 0.5).length, 5);
+});
+
+test('custom platform vertices are relative to x/y when the platform has them', async () => {
+    const { getCustomPlatformPoints, centerPolygon } = await load('/src/utils/PolygonShape.js');
+
+    const relative = { x: 200, y: 300, vertices: [{ x: -10, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 20 }] };
+    assert.deepEqual(getCustomPlatformPoints(relative), [{ x: 190, y: 300 }, { x: 210, y: 300 }, { x: 200, y: 320 }]);
+
+    const turned = getCustomPlatformPoints({ ...relative, angle: Math.PI / 2 });
+    assert.ok(Math.abs(turned[0].x - 200) < 1e-9 && Math.abs(turned[0].y - 290) < 1e-9);
+
+    // Without a position the vertices are already in the world
+    assert.deepEqual(getCustomPlatformPoints({ vertices: square }), square);
+
+    assert.deepEqual(centerPolygon(square.map(point => ({ x: point.x + 100, y: point.y + 100 }))), {
+        x: 150,
+        y: 150,
+        vertices: [{ x: -50, y: -50 }, { x: 50, y: -50 }, { x: 50, y: 50 }, { x: -50, y: 50 }]
+    });
+});
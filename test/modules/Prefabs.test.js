@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules, quietly } from '../harness.js';
+
+const load = useGameModules();
+
+const pendulum = {
+    name: 'Pendulum',
+    platforms: [
+        { id: 'bob', type: 'circle', x: 0, y: 96, radius: 20 },
+        { id: 'switch', type: 'rectangle', x: -50, y: 0, platformType: 'switch', switchId: 'gate' },
+        { id: 'door', type: 'rectangle', x: 50, y: 0, platformType: 'door', doorId: 'gate' },
+        { id: 'remote', type: 'rectangle', x: 0, y: 0, platformType: 'door', doorId: 'shared' },
+        { id: 'outline', type: 'custom', vertices: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }] }
+    ],
+    constraints: [
+        { id: 'rope', bodyA: 'bob', pointB: { x: 0, y: 0 } },
+        { id: 'outside', bodyA: 'bob', bodyB: 'level_floor' }
+    ],
+    stickers: [{ id: 'hint', x: 0, y: -40, text: 'Swing!' }]
+};
+
+test('an instance expands into parts with prefixed ids at the instance position', async () => {
+    const { expandPrefabInstance } = await load('/src/services/Prefabs.js');
+    const { platforms, constraints, stickers } = expandPrefabInstance(pendulum, { id: 'p1', prefab: 'pendulum', x: 800, y: 400 });
+
+    assert.deepEqual(platforms.map(platform => platform.id), ['p1/bob', 'p1/switch', 'p1/door', 'p1/remote', 'p1/outline']);
+    assert.deepEqual([platforms[0].x, platforms[0].y], [800, 496]);
+    // Outlines without a position are in world coordinates and move instead
+    assert.deepEqual(platforms[4].vertices[1], { x: 810, y: 400 });
+    assert.equal(platforms[4].x, undefined);
+
+    // A switch and door inside the prefab stay a private pair; other ids are left alone
+    assert.equal(platforms[1].switchId, 'p1/gate');
+    assert.equal(platforms[2].doorId, 'p1/gate');
+    assert.equal(platforms[3].doorId, 'shared');
+
+    // Bodies inside the prefab are renamed, world anchors move, outside bodies are kept
+    assert.equal(constraints[0].bodyA, 'p1/bob');
+    assert.deepEqual(constraints[0].pointB, { x: 800, y: 400 });
+    assert.equal(constraints[1].bodyB, 'level_floor');
+
+    assert.deepEqual(stickers, [{ id: 'p1/hint', x: 800, y: 360, text: 'Swing!' }]);
+    assert.equal(pendulum.platforms[0].id, 'bob', 'the prefab is left alone');
+});
+
+test('expandPrefabInstances skips instances of unknown prefabs', async () => {
+    const { expandPrefabInstances } = await load('/src/services/Prefabs.js');
+    const mapData = {
+        prefabs: { pendulum },
+        prefabInstances: [
+            { id: 'p1', prefab: 'pendulum', x: 0, y: 0 },
+            { id: 'p2', prefab: 'pendulum', x: 500, y: 0 },
+            { id: 'ghost', prefab: 'missing', x: 0, y: 0 }
+        ]
+    };
+
+    const { platforms, constraints, stickers } = quietly(() => expandPrefabInstances(mapData));
+    assert.equal(platforms.length, 10);
+    assert.equal(constraints.length, 4);
+    assert.equal(stickers.length, 2);
+    assert.equal(new Set(platforms.map(platform => platform.id)).size, 10);
+});
+
+test('createPrefab makes parts relative to the origin and drops constraints that reach outside', async () => {
+    const { createPrefab, expandPrefabInstance, prefabKey } = await load('/src/services/Prefabs.js');
+    const parts = {
+        platforms: [
+            { id: 'platform_17', type: 'rectangle', x: 1000, y: 500 },
+            { id: 'platform_18', type: 'rectangle', x: 1100.4, y: 480 }
+        ],
+        constraints: [
+            { id: 'c1', bodyA: 'platform_17', bodyB: 'platform_18' },
+            { id: 'c2', bodyA: 'platform_17', bodyB: 'platform_3' },
+            { id: 'c3', bodyA: 'platform_18', pointB: { x: 1050, y: 300 } }
+        ],
+        stickers: [{ id: 'sticker_4', x: 1000, y: 450, text: 'Hi' }]
+    };
+
+    const { prefab, skippedConstraints } = createPrefab('Twin Blocks', parts, { x: 1000, y: 500 });
+    assert.equal(skippedConstraints, 1);
+    assert.deepEqual(prefab.platforms.map(({ id, x, y }) => ({ id, x, y })), [
+        { id: 'platform_1', x: 0, y: 0 },
+        { id: 'platform_2', x: 100, y: -20 }
+    ]);
+    assert.deepEqual(prefab.constraints[0], { id: 'constraint_1', bodyA: 'platform_1', bodyB: 'platform_2' });
+    assert.deepEqual(prefab.constraints[1].pointB, { x: 50, y: -200 });
+    assert.deepEqual(prefab.stickers[0], { id: 'sticker_1', x: 0, y: -50, text: 'Hi' });
+
+    // Placing it back where it came from restores the positions
+    const { platforms } = expandPrefabInstance(prefab, { id: 'twin', x: 1000, y: 500 });
+    assert.deepEqual(platforms.map(({ x, y }) => [x, y]), [[1000, 500], [1100, 480]]);
+
+    assert.equal(prefabKey('  Red Door!  '), 'red_door');
+    assert.equal(prefabKey('***'), 'prefab');
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+const input = {
+    leftStick: { x: 0.1, y: -0.7 },
+    rightStick: { x: -1, y: 0.3 },
+    leftTrigger: 0.25,
+    rightTrigger: 1,
+    leftGrab: 1,
+    rightGrab: 0,
+    rollButton: true,
+    swapControls: false
+};
+
+// Lay out frames the way the recorder does
+function encode(format, frames, segmentCount, encoding) {
+    const view = new DataView(new ArrayBuffer(frames.length * format.getBytesPerFrame(segmentCount, encoding)));
+    let offset = 0;
+    frames.forEach(({ timestamp, segments, input: frameInput }) => {
+        view.setUint32(offset, timestamp, true);
+        offset += 4;
+        segments.forEach(({ x, y }) => {
+            view.setFloat32(offset, x, true);
+            view.setFloat32(offset + 4, y, true);
+            offset += 8;
+        });
+        offset = format.writeInput(view, offset, frameInput, encoding);
+    });
+    return view.buffer;
+}
+
+test('replay frames keep the exact input the worm consumed', async () => {
+    const format = await load('/src/components/ghost/RecordingFormat.js');
+    const frames = [
+        { timestamp: 0, segments: [{ x: 10, y: 20 }, { x: 12.5, y: 20 }], input },
+        { timestamp: 17, segments: [{ x: 11, y: 21 }, { x: 13.5, y: 21 }], input: { ...input, rollButton: false, swapControls: true } }
+    ];
+
+    assert.equal(format.getBytesPerFrame(2, format.REPLAY_ENCODING), 4 + 16 + 65);
+    const decoded = format.decodeFrames(encode(format, frames, 2, format.REPLAY_ENCODING), 2, format.REPLAY_ENCODING);
+    assert.deepEqual(decoded, frames);
+});
+
+test('older encodings carry less: v2 has sticks and triggers at float32, v1 only positions', async () => {
+    const format = await load('/src/components/ghost/RecordingFormat.js');
+    const frames = [{ timestamp: 5, segments: [{ x: 1, y: 2 }], input }];
+
+    const [v2] = format.decodeFrames(encode(format, frames, 1, 'binary-v2'), 1, 'binary-v2');
+    assert.deepEqual(Object.keys(v2.input), ['leftStick', 'rightStick', 'leftTrigger', 'rightTrigger']);
+    assert.equal(v2.input.leftStick.y, Math.fround(-0.7));
+
+    const [v1] = format.decodeFrames(encode(format, frames, 1, 'binary-v1'), 1, 'binary-v1');
+    assert.deepEqual(v1, { timestamp: 5, segments: [{ x: 1, y: 2 }] });
+});
+
+test('only v3 recordings replay, and they are expected to end as they were recorded', async () => {
+    const format = await load('/src/components/ghost/RecordingFormat.js');
+
+    assert.equal(format.isReplayable({ encoding: 'binary-v3' }), true);
+    assert.equal(format.isReplayable({ encoding: 'binary-v2' }), false);
+    assert.equal(format.isReplayable(null), false);
+
+    assert.equal(format.expectedReplayOutcome({ success: true }), 'victory');
+    assert.equal(format.expectedReplayOutcome({ success: false, deathReason: 'electric_shock' }), 'death');
+    assert.equal(format.expectedReplayOutcome({ success: false, deathReason: 'manual_restart' }), 'timeout');
+    assert.equal(format.expectedReplayOutcome({ success: false }), 'timeout');
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+test('each step is held for its frames and input turns neutral when the script ends', async () => {
+    const { default: ScriptedInputSource } = await load('/src/headless/ScriptedInputSource.js');
+    const source = new ScriptedInputSource([
+        { frames: 2, leftStick: { x: 1 } },
+        { leftGrab: 1, rollButton: true }
+    ]);
+
+    assert.equal(source.length, 3);
+
+    const first = source.getInputState(16);
+    assert.deepEqual(first.leftStick, { x: 1, y: 0 });
+    assert.deepEqual(first.rightStick, { x: 0, y: 0 });
+    assert.equal(first.deltaSeconds, 0.016);
+    assert.equal(source.getInputState(16).leftStick.x, 1);
+
+    const third = source.getInputState(16);
+    assert.deepEqual([third.leftStick.x, third.leftGrab, third.rollButton], [0, 1, true]);
+    assert.equal(source.finished, false);
+
+    const after = source.getInputState(16);
+    assert.deepEqual([after.leftGrab, after.rollButton], [0, false]);
+    assert.equal(source.finished, true);
+    assert.equal(source.frame, 4);
+});
+
+test('a disabled source reads neutral without using up its script', async () => {
+    const { default: ScriptedInputSource } = await load('/src/headless/ScriptedInputSource.js');
+    const source = new ScriptedInputSource([{ frames: 1, leftTrigger: 1 }], { swapControls: true });
+
+    source.enabled = false;
+    assert.equal(source.getInputState(16).leftTrigger, 0);
+    source.enabled = true;
+
+    const state = source.getInputState(16);
+    assert.equal(state.leftTrigger, 1);
+    assert.equal(state.swapControls, true);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+// Just enough of a scene for the sources and the sticker action
+function createHost() {
+    const segment = { position: { x: 0, y: 0 } };
+    return {
+        platforms: [{ id: 'switch_1', data: { id: 'switch_1' }, instance: { switchId: 'red', isActivated: false } }],
+        stickers: [{ data: { id: 'hint' }, visible: null, setVisible(visible) { this.visible = visible; } }],
+        worm: { segments: [segment] },
+        goalManager: { goals: [{ collected: false }] },
+        segment
+    };
+}
+
+test('nodes are ordered after their inputs', async () => {
+    const { default: SignalSystem } = await load('/src/systems/SignalSystem.js');
+
+    const ordered = SignalSystem.orderNodes([
+        { id: 'stay', type: 'latch', inputs: ['both'], reset: 'goal' },
+        { id: 'both', type: 'and', inputs: ['red', 'ledge'] },
+        { id: 'red', type: 'switch' },
+        { id: 'ledge', type: 'zone' },
+        { id: 'goal', type: 'goal' }
+    ]);
+    assert.deepEqual(ordered.map(node => node.id), ['red', 'ledge', 'both', 'goal', 'stay']);
+});
+
+test('sources read switches, zones and goals, and gates combine them', async () => {
+    const { default: SignalSystem } = await load('/src/systems/SignalSystem.js');
+    const host = createHost();
+    const signals = new SignalSystem(host, {
+        nodes: [
+            { id: 'red', type: 'switch', switchId: 'red' },
+            { id: 'ledge', type: 'zone', x: 400, y: 300, width: 200, height: 100 },
+            { id: 'star', type: 'goal', goal: 0 },
+            { id: 'both', type: 'and', inputs: ['red', 'ledge'] },
+            { id: 'either', type: 'or', inputs: ['red', 'ledge'] },
+            { id: 'away', type: 'not', inputs: ['ledge'] },
+            { id: 'stay', type: 'latch', inputs: ['both'], reset: 'star' }
+        ],
+        targets: [{ signal: 'stay', action: 'sticker', sticker: 'hint' }]
+    });
+    const values = () => ['red', 'ledge', 'star', 'both', 'either', 'away', 'stay'].filter(id => signals.getValue(id));
+
+    // Targets start off
+    assert.equal(host.stickers[0].visible, false);
+
+    signals.update(0);
+    assert.deepEqual(values(), ['away']);
+
+    host.platforms[0].instance.isActivated = true;
+    host.segment.position = { x: 350, y: 320 };
+    signals.update(16);
+    assert.deepEqual(values(), ['red', 'ledge', 'both', 'either', 'stay']);
+    assert.equal(host.stickers[0].visible, true);
+
+    // The latch holds after its input drops, until the reset signal
+    host.segment.position = { x: 0, y: 0 };
+    signals.update(32);
+    assert.deepEqual(values(), ['red', 'either', 'away', 'stay']);
+
+    host.goalManager.goals[0].collected = true;
+    signals.update(48);
+    assert.deepEqual(values(), ['red', 'star', 'either', 'away']);
+    assert.equal(host.stickers[0].visible, false);
+});
+
+test('delays pass both edges on after their delay, and inverted targets start on', async () => {
+    const { default: SignalSystem } = await load('/src/systems/SignalSystem.js');
+    const host = createHost();
+    const signals = new SignalSystem(host, {
+        nodes: [
+            { id: 'red', type: 'switch', switchId: 'red' },
+            { id: 'later', type: 'delay', inputs: ['red'], delay: 1000 }
+        ],
+        targets: [{ signal: 'later', action: 'sticker', sticker: 'hint', invert: true }]
+    });
+    assert.equal(host.stickers[0].visible, true);
+
+    host.platforms[0].instance.isActivated = true;
+    signals.update(0);
+    signals.update(999);
+    assert.equal(signals.getValue('later'), false);
+    signals.update(1000);
+    assert.equal(signals.getValue('later'), true);
+    assert.equal(host.stickers[0].visible, false);
+
+    host.platforms[0].instance.isActivated = false;
+    signals.update(1500);
+    assert.equal(signals.getValue('later'), true);
+    signals.update(2500);
+    assert.equal(signals.getValue('later'), false);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+const block = {
+    points: [{ x: 100, y: 100 }, { x: 200, y: 100 }, { x: 200, y: 150 }, { x: 100, y: 150 }],
+    corners: true
+};
+
+test('snapToIncrement rounds to the increment and leaves values alone without one', async () => {
+    const { snapToIncrement } = await load('/src/utils/SnapGuides.js');
+
+    assert.equal(snapToIncrement(37, 16), 32);
+    assert.equal(snapToIncrement(0.3, 0.25), 0.25);
+    assert.equal(snapToIncrement(37, 0), 37);
+});
+
+test('corners win over edges, and nothing snaps from too far away', async () => {
+    const { findOutlineSnap } = await load('/src/utils/SnapGuides.js');
+
+    // Close to an edge, closer still to a corner of the moving outline
+    const moving = [{ x: 150, y: 96 }, { x: 203, y: 97 }];
+    assert.deepEqual(findOutlineSnap(moving, [block], 8), { dx: -3, dy: 3, x: 200, y: 100, kind: 'corner' });
+
+    assert.deepEqual(findOutlineSnap([{ x: 150, y: 96 }], [block], 8), { dx: 0, dy: 4, x: 150, y: 100, kind: 'edge' });
+    assert.equal(findOutlineSnap([{ x: 150, y: 80 }], [block], 8), null);
+});
+
+test('round outlines only offer their edges', async () => {
+    const { findOutlineSnap } = await load('/src/utils/SnapGuides.js');
+
+    const round = { ...block, corners: false };
+    assert.equal(findOutlineSnap([{ x: 203, y: 97 }], [round], 8).kind, 'edge');
+});
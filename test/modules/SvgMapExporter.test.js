@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+const mapData = {
+    metadata: { name: 'Jump & Run', difficulty: 2 },
+    dimensions: { width: 1000, height: 500 },
+    entities: { wormStart: { x: 100, y: 400 }, goal: { x: 900, y: 100 }, checkpoints: [{ x: 500, y: 300 }] },
+    platforms: [
+        { id: 'floor', type: 'rectangle', x: 500, y: 480, width: 1000, height: 40 },
+        { id: 'tilt', type: 'rectangle', x: 300, y: 300, width: 100, height: 20, angle: Math.PI / 2, platformType: 'ice' },
+        { id: 'ball', type: 'circle', x: 700, y: 300, radius: 30, physics: { restitution: 0.9 }, layer: 'background' },
+        { id: 'wedge', type: 'custom', x: 800, y: 200, vertices: [{ x: -10, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 20 }] },
+        { id: 'blob', type: 'blob' }
+    ],
+    stickers: [{ id: 'hint', x: 100, y: 100, text: '<Jump>', config: { fontSize: '20px' } }],
+    constraints: [{ id: 'c', bodyA: 'ball', pointB: { x: 700, y: 100 } }],
+    ropes: [{ id: 'r', pointA: { x: 0, y: 0 } }],
+    prefabs: { post: { platforms: [{ id: 'p', type: 'rectangle', x: 0, y: 0, width: 10, height: 50 }] } },
+    prefabInstances: [{ id: 'post_1', prefab: 'post', x: 600, y: 430 }]
+};
+
+test('platforms become SVG shapes with their settings in data attributes', async () => {
+    const { mapToSvg } = await load('/src/services/SvgMapExporter.js');
+    const { svg } = mapToSvg(mapData);
+
+    assert.match(svg, /viewBox="0 0 1000 500"/);
+    assert.match(svg, /<title>Jump &amp; Run<\/title>/);
+    assert.match(svg, /<rect id="floor" class="platform" x="0" y="460" width="1000" height="40"\/>/);
+    assert.match(svg, /<rect id="tilt" class="platform ice" x="250" y="290" width="100" height="20" transform="rotate\(90 300 300\)"\/>/);
+    assert.match(svg, /<circle id="ball" class="platform" cx="700" cy="300" r="30" data-physics='\{"restitution":0.9\}' data-props='\{"layer":"background"\}'\/>/);
+    assert.match(svg, /<polygon id="wedge" class="platform" points="790,200 810,200 800,220"\/>/);
+    // Prefab instances are expanded
+    assert.match(svg, /<rect id="post_1\/p" class="platform" x="595" y="405" width="10" height="50"\/>/);
+});
+
+test('entities and stickers get their own layers', async () => {
+    const { mapToSvg } = await load('/src/services/SvgMapExporter.js');
+    const { svg } = mapToSvg(mapData);
+
+    assert.match(svg, /<circle class="worm-start" cx="100" cy="400" r="20"\/>/);
+    assert.match(svg, /<circle class="goal" cx="900" cy="100" r="40"\/>/);
+    assert.match(svg, /<circle class="checkpoint" cx="500" cy="300" r="20"\/>/);
+    assert.match(svg, /<text id="hint" class="sticker" x="100" y="106" text-anchor="middle" font-size="20" fill="#888888" data-config='\{"fontSize":"20px"\}'>&lt;Jump&gt;<\/text>/);
+    assert.match(svg, /<g id="stickers" inkscape:groupmode="layer" inkscape:label="Stickers">/);
+});
+
+test('what the SVG format cannot hold is listed as skipped', async () => {
+    const { mapToSvg } = await load('/src/services/SvgMapExporter.js');
+    const { svg, skipped } = mapToSvg(mapData);
+
+    assert.deepEqual(skipped, ['platform blob (blob)', '1 constraints', '1 ropes']);
+    assert.doesNotMatch(svg, /blob/);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useGameModules } from '../harness.js';
+
+const load = useGameModules();
+
+const corner = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }];
+
+test('ease names resolve to Phaser easing functions', async () => {
+    const { getEaseFunction } = await load('/src/utils/WaypointPath.js');
+
+    assert.equal(getEaseFunction('Linear')(0.25), 0.25);
+    assert.ok(Math.abs(getEaseFunction('Sine.easeInOut')(0.5) - 0.5) < 1e-9);
+    assert.ok(getEaseFunction('Quad')(0.5) > 0.5, 'the variant defaults to easeOut');
+    assert.equal(getEaseFunction('Wobble.easeIn'), null);
+});
+
+test('loops return to the first waypoint and pause on arrival', async () => {
+    const { default: WaypointPath } = await load('/src/utils/WaypointPath.js');
+    const path = new WaypointPath({ type: 'waypoints', waypoints: corner, speed: 100, mode: 'loop', pause: 500 });
+
+    // 100 + 100 + 141 px at 100px/s, plus three pauses
+    assert.ok(Math.abs(path.totalDuration - (1000 + 1000 + Math.SQRT2 * 1000 + 1500)) < 1e-9);
+    assert.deepEqual(path.getState(500), { x: 50, y: 0, angle: 0 });
+    assert.deepEqual(path.getState(1200), { x: 100, y: 0, angle: 0 });
+    assert.deepEqual(path.getState(path.totalDuration + 500), path.getState(500));
+    assert.equal(path.getPeakSpeed(), 100);
+});
+
+test('ping-pong retraces the path and once stops at the end', async () => {
+    const { default: WaypointPath } = await load('/src/utils/WaypointPath.js');
+
+    const pingpong = new WaypointPath({ waypoints: corner, speed: 100, mode: 'pingpong' });
+    assert.equal(pingpong.totalDuration, 4000);
+    assert.deepEqual(pingpong.getState(2500), { x: 100, y: 50, angle: 0 });
+    assert.deepEqual(pingpong.getState(3500), { x: 50, y: 0, angle: 0 });
+
+    const once = new WaypointPath({ waypoints: [{ x: 0, y: 0, pause: 1000 }, { x: 0, y: -200, angle: 1 }], speed: 200, mode: 'once' });
+    assert.deepEqual(once.getState(500), { x: 0, y: 0, angle: 0 });
+    assert.deepEqual(once.getState(1500), { x: 0, y: -100, angle: 0.5 });
+    assert.deepEqual(once.getState(60000), { x: 0, y: -200, angle: 1 });
+    assert.equal(once.rotates, true);
+});
+
+test('per-waypoint durations override the speed, and short paths stand still', async () => {
+    const { default: WaypointPath } = await load('/src/utils/WaypointPath.js');
+
+    const timed = new WaypointPath({ waypoints: [{ x: 0, y: 0, duration: 250 }, { x: 100, y: 0 }], speed: 1, mode: 'once' });
+    assert.equal(timed.totalDuration, 250);
+    assert.equal(timed.getPeakSpeed(), 400);
+
+    const still = new WaypointPath({ waypoints: [{ x: 5, y: 5 }] });
+    assert.deepEqual(still.getState(1000), { x: 5, y: 5, angle: 0 });
+    assert.equal(new WaypointPath({ waypoints: corner, mode: 'bogus' }).mode, 'loop');
+});
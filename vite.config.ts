@@ -1,12 +1,32 @@
 import { vitePlugin as remix } from "@remix-run/dev";
 import { installGlobals } from "@remix-run/node";
-import { defineConfig } from "vite";
+import { defineConfig, type Plugin } from "vite";
 import tsconfigPaths from "vite-tsconfig-paths";
+import path from "path";
 
 installGlobals();
 
+// Send edited level files to the running game (see src/services/MapHotReload.js)
+// instead of letting Vite reload the page
+const mapHotReload = (): Plugin => ({
+    name: 'map-hot-reload',
+    async handleHotUpdate({ file, server, read }) {
+        const relative = path.relative(__dirname, file).split(path.sep).join('/');
+        if (!relative.startsWith('levels/') || !/\.(json|svg)$/i.test(relative)) {
+            return;
+        }
+        server.ws.send({
+            type: 'custom',
+            event: 'floppy-worm:map-file-changed',
+            data: { path: relative, content: await read() }
+        });
+        return [];
+    }
+});
+
 export default defineConfig({
     plugins: [
+        mapHotReload(),
         remix({
             ssr: false,
         }),